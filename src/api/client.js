@@ -0,0 +1,149 @@
+import { toApiError } from "./errors";
+import { apiFetch, readJson } from "./http";
+
+// A small fetch() client with the parts of axios people reach for: a base URL,
+// default headers, a timeout, JSON in and out, and interceptors. Requests go
+// through apiFetch(), so failures are the error model in ./errors.js.
+//
+// Interceptors chain like axios's, one promise step each: a rejected handler
+// sees the failure of every step before it, and whatever it returns (or
+// throws) continues down the chain. One difference on purpose: request
+// interceptors run in the order they were added, where axios runs the last
+// added first.
+
+/**
+ * @typedef {object} ClientConfig
+ * @property {string} [url]
+ * @property {string} [method] default "GET"
+ * @property {string} [baseURL] prepended to relative URLs
+ * @property {Record<string, string>} [headers] merged over the client's defaults
+ * @property {Record<string, string | number>} [params] appended as the query string
+ * @property {unknown} [data] the body; plain objects and arrays are sent as JSON
+ * @property {number} [timeout] ms, 0 for none
+ * @property {"json" | "text" | "blob"} [responseType] default "json"
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * @typedef {object} ClientResponse
+ * @property {unknown} data
+ * @property {number} status
+ * @property {string} statusText
+ * @property {Headers} headers
+ * @property {ClientConfig} config
+ */
+
+function createInterceptorManager() {
+    const handlers = new Map();
+    let nextId = 0;
+    return {
+        /** Adds a step; returns its id for eject(). */
+        use(fulfilled, rejected) {
+            handlers.set(nextId, { fulfilled, rejected });
+            return nextId++;
+        },
+        eject(id) {
+            handlers.delete(id);
+        },
+        clear() {
+            handlers.clear();
+        },
+        /** The steps in the order they were added. */
+        list: () => [...handlers.values()],
+    };
+}
+
+/** baseURL + url the way axios joins them; absolute URLs are left alone. */
+export function buildUrl({ baseURL = "", url = "", params }) {
+    const joined = /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url) || !baseURL
+        ? url
+        : `${baseURL.replace(/\/+$/, "")}/${url.replace(/^\/+/, "")}`;
+    const query = params ? new URLSearchParams(Object.entries(params).map(([key, value]) => [key, String(value)])).toString() : "";
+    if (!query) return joined;
+    return `${joined}${joined.includes("?") ? "&" : "?"}${query}`;
+}
+
+function isPlainData(data) {
+    return Array.isArray(data) || Object.prototype.toString.call(data) === "[object Object]";
+}
+
+/**
+ * @param {{ baseURL?: string, headers?: Record<string, string>, timeout?: number }} [defaults]
+ *   kept on `client.defaults`, read on every request, so they can change later
+ */
+export function createClient({ baseURL = "", headers = {}, timeout = 0 } = {}) {
+    const defaults = { baseURL, headers: { Accept: "application/json, text/plain, */*", ...headers }, timeout };
+    const interceptors = {
+        request: createInterceptorManager(),
+        response: createInterceptorManager(),
+    };
+
+    async function send(config) {
+        const url = buildUrl(config);
+        const method = config.method.toUpperCase();
+        const headers = new Headers(config.headers);
+        let body = config.data;
+        if (isPlainData(body)) {
+            body = JSON.stringify(body);
+            if (!headers.has("Content-Type")) headers.set("Content-Type", "application/json");
+        }
+
+        const context = { url, method };
+        try {
+            const response = await apiFetch(url, { method, headers, body, signal: config.signal, timeout: config.timeout });
+            let data = null;
+            if (response.status !== 204 && method !== "HEAD") {
+                if (config.responseType === "text") data = await response.text();
+                else if (config.responseType === "blob") data = await response.blob();
+                else data = await readJson(response, context);
+            }
+            return { data, status: response.status, statusText: response.statusText, headers: response.headers, config };
+        } catch (error) {
+            // Like axios, the failed request's config rides on the error so an
+            // interceptor can send it again.
+            const failure = toApiError(error, context);
+            failure.config = config;
+            throw failure;
+        }
+    }
+
+    /**
+     * @param {ClientConfig} config
+     * @returns {Promise<ClientResponse>}
+     */
+    function request(config) {
+        const merged = {
+            method: "GET",
+            baseURL: defaults.baseURL,
+            timeout: defaults.timeout,
+            responseType: "json",
+            ...config,
+            headers: { ...defaults.headers, ...config.headers },
+        };
+
+        let chain = Promise.resolve(merged);
+        for (const { fulfilled, rejected } of interceptors.request.list()) {
+            chain = chain.then(fulfilled, rejected);
+        }
+        chain = chain.then(send);
+        for (const { fulfilled, rejected } of interceptors.response.list()) {
+            chain = chain.then(fulfilled, rejected);
+        }
+        return chain;
+    }
+
+    const withoutBody = (method) => (url, config = {}) => request({ ...config, method, url });
+    const withBody = (method) => (url, data, config = {}) => request({ ...config, method, url, data });
+
+    return {
+        defaults,
+        interceptors,
+        request,
+        get: withoutBody("GET"),
+        delete: withoutBody("DELETE"),
+        head: withoutBody("HEAD"),
+        post: withBody("POST"),
+        put: withBody("PUT"),
+        patch: withBody("PATCH"),
+    };
+}
@@ -0,0 +1,22 @@
+// In-flight request deduplication: callers asking for a key while a request
+// for it is pending get that request's promise instead of sending another.
+// The key is forgotten as soon as the request settles, so this is not a cache:
+// the next caller after that fetches again.
+
+const inFlight = new Map();
+
+/**
+ * @template T
+ * @param {string} key
+ * @param {() => Promise<T>} fetcher
+ * @returns {Promise<T>}
+ */
+export function dedupe(key, fetcher) {
+    if (!inFlight.has(key)) {
+        const promise = fetcher().finally(() => {
+            if (inFlight.get(key) === promise) inFlight.delete(key);
+        });
+        inFlight.set(key, promise);
+    }
+    return inFlight.get(key);
+}
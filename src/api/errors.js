@@ -0,0 +1,211 @@
+import axios from "axios";
+
+// One error model for every way a request can fail, whatever sent it (fetch,
+// axios or XHR). Lessons branch on the class instead of parsing messages:
+//
+//   NetworkError     no response at all (offline, DNS, CORS, dropped connection)
+//   TimeoutError     no response in time
+//   AbortError       cancelled on purpose
+//   HttpError        a response with a 4xx/5xx status; keeps status, headers and body
+//   ParseError       a 2xx whose body isn't what was expected (empty, not JSON, truncated)
+//   ValidationError  a body that parsed but doesn't have the expected shape
+//
+// TimeoutError and AbortError keep the names of the DOMExceptions fetch throws,
+// so `error.name === "AbortError"` checks keep working.
+
+// Names are spelled out: minified builds rename classes.
+export class ApiError extends Error {
+    name = "ApiError";
+
+    /**
+     * @param {string} message
+     * @param {{ url?: string, method?: string, cause?: unknown }} [context]
+     */
+    constructor(message, { url, method, cause } = {}) {
+        super(message, { cause });
+        this.url = url;
+        this.method = method;
+    }
+}
+
+export class NetworkError extends ApiError {
+    name = "NetworkError";
+}
+
+export class TimeoutError extends ApiError {
+    name = "TimeoutError";
+
+    constructor(message, { timeout, ...context } = {}) {
+        super(message, context);
+        this.timeout = timeout;
+    }
+}
+
+export class AbortError extends ApiError {
+    name = "AbortError";
+}
+
+export class HttpError extends ApiError {
+    name = "HttpError";
+
+    /**
+     * @param {{ status: number, statusText?: string, headers?: Headers, body?: unknown,
+     *   url?: string, method?: string, cause?: unknown }} details
+     */
+    constructor({ status, statusText = "", headers = new Headers(), body = null, ...context }) {
+        super(`HTTP ${status}${statusText ? ` ${statusText}` : ""}`, context);
+        this.status = status;
+        this.statusText = statusText;
+        this.headers = headers;
+        this.body = body;
+    }
+
+    /** Seconds to wait before retrying, from a Retry-After header (seconds or HTTP date). */
+    get retryAfter() {
+        const value = this.headers.get("retry-after");
+        if (value === null) return null;
+        const seconds = Number(value);
+        if (Number.isFinite(seconds)) return seconds;
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(Math.ceil((date - Date.now()) / 1000), 0);
+    }
+
+    /** Builds the error from a failed fetch Response, reading its body (JSON when it parses). */
+    static async fromResponse(response, context = {}) {
+        let body = null;
+        try {
+            const text = await response.text();
+            try {
+                body = JSON.parse(text);
+            } catch {
+                body = text || null;
+            }
+        } catch {
+            // The body couldn't be read (aborted mid-way); status and headers still tell the story.
+        }
+        return new HttpError({
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers,
+            body,
+            url: context.url ?? response.url,
+            method: context.method,
+        });
+    }
+}
+
+export class ParseError extends ApiError {
+    name = "ParseError";
+
+    /**
+     * @param {string} message
+     * @param {{ reason: "empty" | "content-type" | "syntax", contentType?: string, text?: string }
+     *   & ConstructorParameters<typeof ApiError>[1]} details
+     */
+    constructor(message, { reason, contentType, text, ...context }) {
+        super(message, context);
+        this.reason = reason;
+        this.contentType = contentType;
+        this.text = text;
+    }
+}
+
+export class ValidationError extends ApiError {
+    name = "ValidationError";
+
+    constructor(message, { data, ...context } = {}) {
+        super(message, context);
+        this.data = data;
+    }
+}
+
+function fromAxiosError(error) {
+    const context = {
+        url: error.config?.url && axios.getUri(error.config),
+        method: error.config?.method?.toUpperCase(),
+        cause: error,
+    };
+    if (error.code === "ERR_CANCELED") {
+        return new AbortError("Request cancelled", context);
+    }
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+        return new TimeoutError(error.message, { ...context, timeout: error.config?.timeout });
+    }
+    if (error.response) {
+        const { status, statusText, headers, data } = error.response;
+        return new HttpError({
+            status,
+            statusText,
+            headers: new Headers(Object.entries(headers.toJSON?.() ?? headers).map(([name, value]) => [name, String(value)])),
+            body: data,
+            ...context,
+        });
+    }
+    return new NetworkError(error.message, context);
+}
+
+// The TypeError fetch() rejects with when no response arrives, per browser
+// (Chrome, Firefox, Safari) and Node. Other TypeErrors are bugs, not network failures.
+const FETCH_FAILURE = /^(Failed to fetch|NetworkError when attempting to fetch resource\.?|Load failed|fetch failed)$/;
+
+/**
+ * Maps what fetch, axios or an abort signal threw onto the model. Errors that
+ * are already part of it, and anything it doesn't recognise, come back as-is.
+ *
+ * @param {unknown} error
+ * @param {{ url?: string, method?: string }} [context]
+ */
+export function toApiError(error, context = {}) {
+    if (error instanceof ApiError) return error;
+    if (axios.isAxiosError(error)) return fromAxiosError(error);
+    if (error?.name === "TimeoutError") {
+        return new TimeoutError(error.message, { ...context, cause: error });
+    }
+    if (error?.name === "AbortError") {
+        return new AbortError(error.message, { ...context, cause: error });
+    }
+    if (error instanceof TypeError && FETCH_FAILURE.test(error.message)) {
+        return new NetworkError(error.message, { ...context, cause: error });
+    }
+    if (error instanceof SyntaxError) {
+        return new ParseError(error.message, { reason: "syntax", ...context, cause: error });
+    }
+    return error;
+}
+
+/**
+ * What to tell the user about an error: a short title and a sentence.
+ * Lessons show it next to the technical details.
+ */
+export function describeError(error) {
+    if (error instanceof HttpError) {
+        const { status, retryAfter } = error;
+        if (status === 401) return { title: "Not signed in", message: "Your session has expired. Please sign in again." };
+        if (status === 403) return { title: "Not allowed", message: "You don't have permission to do that." };
+        if (status === 404) return { title: "Not found", message: "We couldn't find what you were looking for." };
+        if (status === 429) {
+            return {
+                title: "Too many requests",
+                message: `Please wait ${retryAfter ?? "a few"} seconds before trying again.`,
+            };
+        }
+        if (status >= 500) return { title: "Server error", message: "Something went wrong on our side. Please try again." };
+        return { title: "Request rejected", message: `The server refused the request (${status}).` };
+    }
+    if (error instanceof TimeoutError) {
+        return { title: "Timed out", message: "The server is taking too long to respond." };
+    }
+    if (error instanceof AbortError) {
+        return { title: "Cancelled", message: "The request was cancelled." };
+    }
+    if (error instanceof NetworkError) {
+        return { title: "Offline", message: "Cannot reach the server. Please check your internet connection." };
+    }
+    if (error instanceof ParseError) {
+        return { title: "Unreadable response", message: "The server sent data in an unexpected format." };
+    }
+    if (error instanceof ValidationError) {
+        return { title: "Unexpected data", message: "The server's answer didn't contain what we needed." };
+    }
+    return { title: "Error", message: "Something went wrong. Please try again." };
+}
@@ -0,0 +1,125 @@
+import axios from "axios";
+import { getApiBase } from "./settings";
+import { AbortError, HttpError, NetworkError, ParseError, TimeoutError, ValidationError, toApiError } from "./errors";
+
+// The common request helpers: a fetch() wrapper and an axios instance that
+// both fail with the error model in ./errors.js.
+
+/**
+ * fetch() that resolves only with ok responses and rejects with NetworkError,
+ * TimeoutError, AbortError or HttpError.
+ *
+ * @param {string} url
+ * @param {RequestInit & { timeout?: number, fetch?: typeof fetch }} [options]
+ *   timeout: ms before giving up; fetch: the fetch to send with (a lesson's traced fetch, say)
+ * @returns {Promise<Response>}
+ */
+export async function apiFetch(url, { timeout, fetch: send = fetch, ...init } = {}) {
+    const context = { url, method: (init.method ?? "GET").toUpperCase() };
+    const timeoutSignal = timeout ? AbortSignal.timeout(timeout) : null;
+    const signals = [init.signal, timeoutSignal].filter(Boolean);
+    const signal = signals.length > 1 ? AbortSignal.any(signals) : signals[0];
+
+    let response;
+    try {
+        response = await send(url, { ...init, signal });
+    } catch (error) {
+        if (timeoutSignal?.aborted) {
+            throw new TimeoutError(`No response within ${timeout} ms`, { ...context, timeout, cause: error });
+        }
+        if (error?.name === "TimeoutError") {
+            throw new TimeoutError(error.message, { ...context, cause: error });
+        }
+        if (signal?.aborted || error?.name === "AbortError") {
+            throw new AbortError(error?.message ?? "Request cancelled", { ...context, cause: error });
+        }
+        throw new NetworkError(error?.message ?? "Network request failed", { ...context, cause: error });
+    }
+
+    if (!response.ok) {
+        throw await HttpError.fromResponse(response, context);
+    }
+    return response;
+}
+
+/**
+ * Reads a JSON body, failing with ParseError when it's empty, isn't labelled
+ * JSON or doesn't parse.
+ *
+ * @param {Response} response
+ * @param {{ url?: string, method?: string }} [context]
+ */
+export async function readJson(response, context = { url: response.url }) {
+    const contentType = response.headers.get("content-type") ?? "";
+    let text;
+    try {
+        text = await response.text();
+    } catch (error) {
+        throw toApiError(error, context);
+    }
+
+    if (text.trim() === "") {
+        throw new ParseError("Response body is empty", { reason: "empty", contentType, text, ...context });
+    }
+    if (!contentType.includes("json")) {
+        throw new ParseError(`Expected JSON but got ${contentType || "no Content-Type"}`, {
+            reason: "content-type", contentType, text, ...context,
+        });
+    }
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ParseError(error.message, { reason: "syntax", contentType, text, ...context, cause: error });
+    }
+}
+
+/**
+ * apiFetch() plus readJson(). `validate` returns a description of what's wrong
+ * with the data (thrown as a ValidationError), or nothing when it's fine.
+ *
+ * @param {string} url
+ * @param {Parameters<typeof apiFetch>[1] & { validate?: (data: unknown) => string | undefined }} [options]
+ */
+export async function fetchJson(url, { validate, ...options } = {}) {
+    const context = { url, method: (options.method ?? "GET").toUpperCase() };
+    const data = await readJson(await apiFetch(url, options), context);
+    const problem = validate?.(data);
+    if (problem) {
+        throw new ValidationError(problem, { ...context, data });
+    }
+    return data;
+}
+
+/**
+ * Makes an axios instance reject with the error model instead of AxiosError.
+ * Add it after interceptors that need the AxiosError (retries, say).
+ *
+ * @param {import("axios").AxiosInstance} instance
+ * @returns {number} interceptor id
+ */
+export function attachErrorModel(instance) {
+    return instance.interceptors.response.use(undefined, (error) => Promise.reject(toApiError(error)));
+}
+
+/** An axios instance for the Cat API whose base URL follows the mock/real switch and whose errors use the model. */
+export function createApi() {
+    const instance = axios.create({
+        baseURL: getApiBase(),
+        timeout: 10000,
+    });
+
+    instance.interceptors.request.use((config) => {
+        config.baseURL = getApiBase();
+        return config;
+    });
+
+    attachErrorModel(instance);
+    return instance;
+}
+
+/** A common image-list check: the response is a non-empty array of objects with a url. */
+export function validateImages(data) {
+    if (!Array.isArray(data)) return "Expected an array of images";
+    if (!data[0]?.url) return "No image URL in response";
+    return undefined;
+}
@@ -0,0 +1,166 @@
+import { HttpError, NetworkError, TimeoutError, toApiError } from "./errors";
+import { apiFetch, readJson } from "./http";
+
+// Retry with exponential backoff.
+// delay = min(cap, baseDelay × 2^attempt), then optionally randomised ("jitter")
+// so that many clients failing at once don't all retry at the same instant.
+
+export const JITTER_STRATEGIES = {
+    none: {
+        label: "None",
+        formula: "min(cap, base × 2^n)",
+    },
+    full: {
+        label: "Full",
+        formula: "random(0, min(cap, base × 2^n))",
+    },
+    equal: {
+        label: "Equal",
+        formula: "exp / 2 + random(0, exp / 2)",
+    },
+    decorrelated: {
+        label: "Decorrelated",
+        formula: "min(cap, random(base, previous × 3))",
+    },
+};
+
+/**
+ * Returns a function giving the delay before retry `attempt` (0 for the first retry).
+ * Decorrelated jitter depends on the previous delay, so each schedule keeps its own state.
+ *
+ * @param {object} options
+ * @param {number} options.baseDelay ms
+ * @param {number} options.cap ms
+ * @param {keyof JITTER_STRATEGIES} options.jitter
+ * @param {() => number} [options.random] a number in [0, 1) per call; fixed values make a schedule repeatable
+ */
+export function createBackoff({ baseDelay, cap, jitter, random = Math.random }) {
+    let previous = baseDelay;
+
+    return (attempt) => {
+        const exponential = Math.min(cap, baseDelay * 2 ** attempt);
+        let delay;
+        switch (jitter) {
+            case "full":
+                delay = random() * exponential;
+                break;
+            case "equal":
+                delay = exponential / 2 + random() * (exponential / 2);
+                break;
+            case "decorrelated":
+                delay = Math.min(cap, baseDelay + random() * (previous * 3 - baseDelay));
+                break;
+            default:
+                delay = exponential;
+        }
+        previous = delay;
+        return Math.round(delay);
+    };
+}
+
+/** Upper bound of the delay before retry `attempt`, ignoring jitter. */
+export function exponentialDelay({ baseDelay, cap }, attempt) {
+    return Math.min(cap, baseDelay * 2 ** attempt);
+}
+
+/** Network failures, 408, 429 and 5xx are worth retrying; other 4xx are not. */
+export function isRetryableStatus(status) {
+    return status === undefined || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * The same rule for an error from ./errors.js. Timeouts count as network
+ * failures; aborts, unreadable bodies and bad data would fail the same way again.
+ */
+export function isRetryable(error) {
+    if (error instanceof HttpError) return isRetryableStatus(error.status);
+    return error instanceof NetworkError || error instanceof TimeoutError;
+}
+
+/**
+ * Plain fetch loop with backoff. Throws the last error (from ./errors.js) once
+ * retries run out.
+ *
+ * @param {string} url
+ * @param {object} options
+ * @param {number} options.retries
+ * @param {(attempt: number) => number} options.backoff
+ * @param {AbortSignal} [options.signal]
+ * @param {(event: object) => void} [options.onEvent] "attempt" | "response" | "wait" events
+ */
+export async function fetchWithRetry(url, { retries, backoff, signal, onEvent = () => {} }) {
+    for (let attempt = 0; ; attempt++) {
+        onEvent({ type: "attempt", attempt });
+        let response;
+        try {
+            response = await apiFetch(url, { signal });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            onEvent(responseEvent(attempt, error));
+            if (attempt >= retries || !isRetryable(error)) throw error;
+
+            const delay = backoff(attempt);
+            onEvent({ type: "wait", attempt, delay });
+            await sleep(delay, signal);
+            continue;
+        }
+        onEvent({ type: "response", attempt, status: response.status });
+        return readJson(response, { url, method: "GET" });
+    }
+}
+
+/** The "response" event for a failed attempt: its status if it got one, else what went wrong. */
+export function responseEvent(attempt, error) {
+    return error instanceof HttpError
+        ? { type: "response", attempt, status: error.status }
+        : { type: "response", attempt, error: error.name };
+}
+
+/**
+ * Adds a response-error interceptor that re-sends failed requests with backoff.
+ * The retry count travels on the request config, the usual axios idiom. It
+ * reads the AxiosError, so add it before attachErrorModel().
+ *
+ * @param {import("axios").AxiosInstance} instance
+ * @param {object} options same as fetchWithRetry, minus url/signal
+ * @returns {number} interceptor id, for `instance.interceptors.response.eject`
+ */
+export function attachRetryInterceptor(instance, { retries, backoff, onEvent = () => {} }) {
+    return instance.interceptors.response.use(
+        (response) => {
+            onEvent({ type: "response", attempt: response.config.retryCount ?? 0, status: response.status });
+            return response;
+        },
+        async (error) => {
+            const config = error.config;
+            const attempt = config?.retryCount ?? 0;
+            if (!config || error.code === "ERR_CANCELED") throw error;
+
+            const failure = toApiError(error);
+            onEvent(responseEvent(attempt, failure));
+            if (attempt >= retries || !isRetryable(failure)) throw error;
+
+            const delay = backoff(attempt);
+            onEvent({ type: "wait", attempt, delay });
+            await sleep(delay, config.signal);
+
+            config.retryCount = attempt + 1;
+            onEvent({ type: "attempt", attempt: attempt + 1 });
+            return instance.request(config);
+        }
+    );
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const id = setTimeout(resolve, ms);
+        signal?.addEventListener("abort", () => {
+            clearTimeout(id);
+            reject(signal.reason);
+        }, { once: true });
+    });
+}
@@ -0,0 +1,101 @@
+import { useSyncExternalStore } from "react";
+import { MOCK_API_BASE } from "../mock/constants";
+
+const STORAGE_KEY = "api-fetching:api-mode";
+
+export const API_MODES = {
+    mock: {
+        label: "Mock API",
+        description: "Built-in offline Cat API",
+        baseUrl: MOCK_API_BASE,
+    },
+    real: {
+        label: "Real API",
+        description: "api.thecatapi.com",
+        baseUrl: "https://api.thecatapi.com/v1",
+    },
+};
+
+let mode = readStoredMode();
+const listeners = new Set();
+
+function readStoredMode() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        return stored in API_MODES ? stored : "mock";
+    } catch {
+        return "mock";
+    }
+}
+
+export function getApiMode() {
+    return mode;
+}
+
+export function setApiMode(next) {
+    if (!(next in API_MODES) || next === mode) return;
+    mode = next;
+    try {
+        localStorage.setItem(STORAGE_KEY, next);
+    } catch {
+        // Private mode or blocked storage: the choice just won't survive a reload.
+    }
+    listeners.forEach((listener) => listener());
+}
+
+export function subscribeApiMode(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export function useApiMode() {
+    return useSyncExternalStore(subscribeApiMode, getApiMode);
+}
+
+export function getApiBase() {
+    return API_MODES[mode].baseUrl;
+}
+
+/** Full URL for a Cat API path (e.g. "/images/search") in the current mode. */
+export function apiUrl(path) {
+    return `${getApiBase()}${path}`;
+}
+
+/**
+ * URLs the error lessons use to provoke each failure.
+ * The mock serves them directly; the real API needs a few tricks, and the
+ * failures it can't be made to produce are null.
+ */
+export function failureUrls() {
+    if (mode === "mock") {
+        return {
+            http: apiUrl("/does-not-exist"),
+            network: apiUrl("/network-error"),
+            malformed: apiUrl("/malformed"),
+            slow: apiUrl("/images/search?delay=8000"),
+            unauthorized: apiUrl("/status/401"),
+            forbidden: apiUrl("/status/403"),
+            rateLimited: apiUrl("/status/429?retryAfter=5"),
+            serverError: apiUrl("/status/500"),
+            unavailable: apiUrl("/status/503?retryAfter=30"),
+            cors: apiUrl("/cors"),
+            empty: apiUrl("/empty"),
+            wrongContentType: apiUrl("/wrong-content-type"),
+        };
+    }
+    return {
+        http: apiUrl("/does-not-exist"),
+        network: "https://this-domain-will-not-resolve.example.test",
+        malformed: null,
+        slow: null,
+        unauthorized: null,
+        forbidden: null,
+        rateLimited: null,
+        serverError: null,
+        unavailable: null,
+        // Reachable, but sends no Access-Control-Allow-Origin header.
+        cors: "https://example.com/",
+        empty: null,
+        wrongContentType: null,
+    };
+}
@@ -0,0 +1,109 @@
+import { useEffect, useRef, useSyncExternalStore } from "react";
+
+// A minimal stale-while-revalidate cache: serve what's cached, refetch in the
+// background when it's older than `staleTime`, and forget entries nobody has
+// used for `gcTime`. Events mirror React Query's QueryCache so both can be
+// watched the same way.
+
+const entries = new Map();
+const listeners = new Set();
+
+function emit(event) {
+    listeners.forEach((listener) => listener(event));
+}
+
+function update(key, patch, action) {
+    // Garbage-collected while the fetch was in flight: nobody wants the result.
+    if (!entries.has(key)) return;
+    entries.set(key, { ...entries.get(key), ...patch });
+    emit({ type: "updated", key, action });
+}
+
+/**
+ * Subscribe to cache events: "added", "updated" (with `action.type` "fetch",
+ * "success" or "error"), "observerAdded", "observerRemoved" and "removed".
+ */
+export function subscribeSWRCache(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export function getSWREntry(key) {
+    return entries.get(key);
+}
+
+/** Fetches `key` unless a fetch for it is already in flight, in which case that one is shared. */
+export function revalidate(key, fetcher) {
+    const entry = entries.get(key);
+    if (entry?.promise) return entry.promise;
+
+    const promise = fetcher().then(
+        (data) => update(key, { data, error: null, updatedAt: Date.now(), promise: null }, { type: "success" }),
+        (error) => update(key, { error, promise: null }, { type: "error" })
+    );
+    update(key, { promise }, { type: "fetch" });
+    return promise;
+}
+
+function observe(key) {
+    if (!entries.has(key)) {
+        entries.set(key, { key, data: undefined, error: null, updatedAt: 0, promise: null, observers: 0 });
+        emit({ type: "added", key });
+    }
+    const entry = entries.get(key);
+    clearTimeout(entry.gcTimer);
+    entries.set(key, { ...entry, observers: entry.observers + 1, gcTimer: undefined });
+    emit({ type: "observerAdded", key });
+}
+
+function unobserve(key, gcTime) {
+    const entry = entries.get(key);
+    if (!entry) return;
+
+    const observers = entry.observers - 1;
+    const gcTimer = observers === 0
+        ? setTimeout(() => {
+            entries.delete(key);
+            emit({ type: "removed", key });
+        }, gcTime)
+        : undefined;
+    entries.set(key, { ...entry, observers, gcTimer });
+    emit({ type: "observerRemoved", key });
+}
+
+/**
+ * Returns the cached value for `key` straight away and revalidates it in the
+ * background on mount when it is missing or older than `staleTime`.
+ *
+ * @param {string} key
+ * @param {() => Promise<any>} fetcher
+ * @param {object} [options]
+ * @param {number} [options.staleTime] ms a value counts as fresh; 0 = always revalidate
+ * @param {number} [options.gcTime] ms an unused entry is kept before it is dropped
+ */
+export function useSWR(key, fetcher, { staleTime = 0, gcTime = 5 * 60 * 1000 } = {}) {
+    const entry = useSyncExternalStore(subscribeSWRCache, () => entries.get(key));
+    const latest = useRef({ fetcher, staleTime, gcTime });
+
+    useEffect(() => {
+        latest.current = { fetcher, staleTime, gcTime };
+    });
+
+    useEffect(() => {
+        observe(key);
+        const current = entries.get(key);
+        if (Date.now() - current.updatedAt >= latest.current.staleTime) {
+            revalidate(key, latest.current.fetcher);
+        }
+        return () => unobserve(key, latest.current.gcTime);
+    }, [key]);
+
+    return {
+        data: entry?.data,
+        error: entry?.error ?? null,
+        updatedAt: entry?.updatedAt ?? 0,
+        isLoading: !entry?.updatedAt && Boolean(entry?.promise),
+        isValidating: Boolean(entry?.promise),
+        revalidate: () => revalidate(key, fetcher),
+    };
+}
@@ -0,0 +1,70 @@
+import { HttpError } from "./errors";
+
+// Access token refresh from a response interceptor.
+// A 401 triggers one refresh; requests that get a 401 while it's in flight
+// wait for it, and every one of them is then sent again with the new token.
+// Refreshing once per 401 instead is the classic bug: with rotating refresh
+// tokens only the first refresh succeeds and the rest sign the user out.
+
+/**
+ * @typedef {object} Session
+ * @property {string | null} accessToken
+ * @property {string | null} refreshToken
+ */
+
+/**
+ * Adds the access token to every request and, on a 401, refreshes it and
+ * replays the request once.
+ *
+ * @param {ReturnType<import("./client").createClient>} client
+ * @param {object} options
+ * @param {Session} options.session read on every request, updated after each refresh
+ * @param {(refreshToken: string) => Promise<{ accessToken: string, refreshToken: string }>} options.refresh
+ *   must not go through `client`, or its own 401 would be intercepted
+ * @param {boolean} [options.shareRefresh] false starts a refresh per 401 (the bug, for comparison)
+ * @param {(event: object) => void} [options.onEvent] "refresh" | "queued" | "replay" events, each with the request's config
+ * @returns {{ request: number, response: number }} interceptor ids
+ */
+export function attachTokenRefresh(client, { session, refresh, shareRefresh = true, onEvent = () => {} }) {
+    let inFlight = null;
+
+    function refreshSession() {
+        if (shareRefresh && inFlight) return inFlight;
+        const promise = refresh(session.refreshToken)
+            .then((tokens) => {
+                session.accessToken = tokens.accessToken;
+                session.refreshToken = tokens.refreshToken;
+            })
+            .finally(() => {
+                if (inFlight === promise) inFlight = null;
+            });
+        inFlight = promise;
+        return promise;
+    }
+
+    const request = client.interceptors.request.use((config) => {
+        if (session.accessToken) {
+            config.headers.Authorization = `Bearer ${session.accessToken}`;
+        }
+        return config;
+    });
+
+    const response = client.interceptors.response.use(undefined, async (error) => {
+        const config = error.config;
+        if (!(error instanceof HttpError) || error.status !== 401 || !config || config.replayed) {
+            throw error;
+        }
+
+        // A request sent before the last refresh finished only needs the new
+        // token, not another refresh.
+        if (config.headers.Authorization === `Bearer ${session.accessToken}`) {
+            onEvent({ type: shareRefresh && inFlight ? "queued" : "refresh", config });
+            await refreshSession();
+        }
+
+        onEvent({ type: "replay", config });
+        return client.request({ ...config, replayed: true });
+    });
+
+    return { request, response };
+}
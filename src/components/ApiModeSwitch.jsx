@@ -0,0 +1,31 @@
+import { API_MODES, setApiMode, useApiMode } from "../api/settings";
+
+export default function ApiModeSwitch({ compact = false }) {
+  const mode = useApiMode();
+
+  return (
+    <div
+      className={`inline-flex rounded-lg border border-zinc-800 bg-zinc-950 p-1 ${compact ? "" : "w-full"}`}
+      role="radiogroup"
+      aria-label="API source"
+    >
+      {Object.entries(API_MODES).map(([id, option]) => (
+        <button
+          key={id}
+          role="radio"
+          aria-checked={mode === id}
+          onClick={() => setApiMode(id)}
+          title={option.description}
+          className={`flex-1 px-3 py-1.5 rounded-md text-xs font-medium transition-colors ${mode === id
+            ? id === "mock"
+              ? "bg-emerald-600 text-white"
+              : "bg-indigo-600 text-white"
+            : "text-zinc-400 hover:text-zinc-200"
+            }`}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  );
+}
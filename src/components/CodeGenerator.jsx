@@ -0,0 +1,59 @@
+import { useEffect, useState } from "react";
+import { CODEGEN_CLIENTS, generateCode } from "../network/codegen";
+
+/**
+ * Tabs of code for the given request, one per HTTP client, with a copy button.
+ * The code is generated on every render, so it follows the request as it's edited.
+ *
+ * @param {{ request: object, initialClient?: string, options?: object, codeClassName?: string }} props
+ */
+export default function CodeGenerator({ request, initialClient = "fetch", options, codeClassName = "" }) {
+  const [client, setClient] = useState(initialClient);
+  const [copy, setCopy] = useState("idle");
+  const code = generateCode(client, request, options);
+
+  useEffect(() => {
+    if (copy === "idle") return undefined;
+    const id = setTimeout(() => setCopy("idle"), 1500);
+    return () => clearTimeout(id);
+  }, [copy]);
+
+  const copyCode = () => {
+    // navigator.clipboard is missing outside secure contexts; that counts as a failed copy.
+    Promise.resolve()
+      .then(() => navigator.clipboard.writeText(code))
+      .then(() => setCopy("copied"), () => setCopy("failed"));
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-2 mb-3">
+        {Object.entries(CODEGEN_CLIENTS).map(([id, label]) => (
+          <button
+            key={id}
+            onClick={() => setClient(id)}
+            aria-pressed={client === id}
+            className={`px-3 py-1.5 rounded-lg text-xs font-mono transition-all duration-200 ${client === id
+              ? "bg-indigo-600 text-white"
+              : "bg-zinc-800 text-zinc-400 hover:text-zinc-200"
+              }`}
+          >
+            {label}
+          </button>
+        ))}
+        <button
+          onClick={copyCode}
+          className={`ml-auto px-3 py-1.5 rounded-lg text-xs font-semibold transition-all duration-200 ${copy === "copied"
+            ? "bg-green-700 text-white"
+            : copy === "failed" ? "bg-red-700 text-white" : "bg-zinc-700 hover:bg-zinc-600 text-zinc-100"
+            }`}
+        >
+          {copy === "copied" ? "✓ Copied" : copy === "failed" ? "Copy failed" : "Copy"}
+        </button>
+      </div>
+      <pre className={`bg-black rounded-lg p-5 text-xs text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed ${codeClassName}`}>
+        {code}
+      </pre>
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+import { ApiError, HttpError, describeError } from "../api/errors";
+
+/**
+ * A failed request as lessons show it: the error class, what the user would
+ * be told, and the technical details underneath.
+ *
+ * @param {{ error: Error, className?: string }} props
+ */
+export default function ErrorNotice({ error, className = "" }) {
+  const { title, message } = describeError(error);
+  const request = error instanceof ApiError && error.url ? `${error.method ?? "GET"} ${error.url}` : null;
+
+  return (
+    <div role="alert" className={`rounded-lg border border-red-800 bg-red-950/30 p-4 text-sm ${className}`}>
+      <div className="flex flex-wrap items-center gap-2 mb-1">
+        <span className="px-2 py-0.5 rounded bg-red-900/60 text-red-200 text-xs font-mono">{error.name}</span>
+        <span className="font-semibold text-red-300">{title}</span>
+      </div>
+      <p className="text-zinc-200">{message}</p>
+      <p className="mt-2 text-xs text-zinc-500 font-mono break-all">
+        {error instanceof HttpError ? `${error.status} ${error.statusText}`.trim() : error.message}
+        {request && ` · ${request}`}
+      </p>
+    </div>
+  );
+}
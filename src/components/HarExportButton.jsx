@@ -0,0 +1,18 @@
+import { useNetworkLog } from "../network/recorder";
+import { downloadHar } from "../network/har";
+
+/** Downloads the requests one lesson has made as a HAR file, with the lesson's log lines in `log.comment`. */
+export default function HarExportButton({ lesson, logs = [], className = "" }) {
+  const entries = useNetworkLog().filter((entry) => entry.lesson === lesson);
+
+  return (
+    <button
+      onClick={() => downloadHar(entries, `${lesson}-${new Date().toISOString().replace(/[:.]/g, "-")}.har`, logs)}
+      disabled={entries.length === 0}
+      className={`px-3 py-1.5 text-xs rounded-lg bg-zinc-800 hover:bg-zinc-700 disabled:opacity-40 disabled:cursor-not-allowed ${className}`}
+      title="Download this lesson's requests and log as a HAR 1.2 file"
+    >
+      Export HAR ({entries.length})
+    </button>
+  );
+}
@@ -0,0 +1,341 @@
+import { useEffect, useRef, useState } from "react";
+import { clearNetworkLog, useNetworkLog } from "../network/recorder";
+import { downloadHar, refreshReplay, startReplay, stopReplay, useReplay } from "../network/har";
+
+const INITIATORS = {
+  fetch: "bg-sky-900/60 text-sky-300",
+  axios: "bg-purple-900/60 text-purple-300",
+  xhr: "bg-orange-900/60 text-orange-300",
+};
+
+const LOG_STYLES = {
+  success: "text-green-400",
+  warning: "text-yellow-400",
+  error: "text-red-400",
+  cancelled: "text-amber-400",
+};
+
+function formatSize(bytes) {
+  if (bytes === undefined) return "–";
+  if (bytes < 1024) return `${bytes} B`;
+  return `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+function shortUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.origin === location.origin ? `${parsed.pathname}${parsed.search}` : url;
+  } catch {
+    return url;
+  }
+}
+
+function statusLabel(entry) {
+  if (entry.state === "pending" && entry.status === undefined) return "pending";
+  if (entry.state === "aborted") return "(aborted)";
+  if (entry.state === "failed" && entry.status === undefined) return "(failed)";
+  return entry.status;
+}
+
+function statusStyle(entry) {
+  if (entry.state === "pending") return "text-zinc-400 animate-pulse";
+  if (entry.state === "aborted") return "text-amber-400";
+  if (entry.state === "failed" || entry.status >= 400) return "text-red-400";
+  return "text-green-400";
+}
+
+/**
+ * Drawer listing every request the app made, recorded by the network recorder.
+ * Shows the current lesson's requests by default.
+ *
+ * @param {{ lessons: { id: string, label: string }[], activeLesson?: string }} props
+ */
+export default function NetworkDrawer({ lessons, activeLesson }) {
+  const entries = useNetworkLog();
+  const [open, setOpen] = useState(false);
+  const [lessonFilter, setLessonFilter] = useState("current");
+  const [initiators, setInitiators] = useState(() => new Set(Object.keys(INITIATORS)));
+  const [search, setSearch] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const fileInput = useRef(null);
+  const replay = useReplay();
+
+  useEffect(() => {
+    refreshReplay();
+  }, [open]);
+
+  const lessonLabel = (id) => lessons.find((lesson) => lesson.id === id)?.label ?? id ?? "–";
+  const wantedLesson = lessonFilter === "current" ? activeLesson : lessonFilter;
+  const visible = entries.filter((entry) =>
+    (lessonFilter === "all" || entry.lesson === wantedLesson) &&
+    initiators.has(entry.initiator) &&
+    entry.url.toLowerCase().includes(search.toLowerCase())
+  );
+  const selected = entries.find((entry) => entry.id === selectedId);
+  const currentCount = entries.filter((entry) => entry.lesson === activeLesson).length;
+
+  const exportHar = () => {
+    const scope = lessonFilter === "current" ? activeLesson ?? "app" : lessonFilter;
+    downloadHar(visible, `api-fetching-${scope}-${new Date().toISOString().replace(/[:.]/g, "-")}.har`);
+  };
+
+  const importHar = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = "";
+    if (!file) return;
+    setImportError(null);
+    try {
+      await startReplay(await file.text(), file.name);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  const toggleInitiator = (id) => {
+    setInitiators((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        className="fixed bottom-32 right-4 z-40 px-4 py-2 rounded-full bg-zinc-900 border border-zinc-700 hover:border-indigo-500 shadow-2xl text-xs font-semibold flex items-center gap-2"
+        title="Open the network drawer"
+      >
+        <span className={`w-2 h-2 rounded-full ${replay.active ? "bg-amber-400 animate-pulse" : "bg-sky-400"}`} />
+        {replay.active ? "Network · replaying" : "Network"}
+        <span className="px-2 py-0.5 rounded-full bg-zinc-800 text-zinc-300">{currentCount}</span>
+      </button>
+    );
+  }
+
+  return (
+    <section
+      className="fixed bottom-0 left-0 right-0 z-50 h-[50vh] bg-zinc-950 border-t border-zinc-700 shadow-2xl flex flex-col text-xs"
+      aria-label="Network requests"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3 px-4 py-2 border-b border-zinc-800">
+        <div className="flex items-center gap-3">
+          <h2 className="font-semibold text-sm text-white">Network</h2>
+          <span className="text-zinc-500">
+            {visible.length} of {entries.length} requests
+          </span>
+        </div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select
+            value={lessonFilter}
+            onChange={(e) => setLessonFilter(e.target.value)}
+            className="px-3 py-1.5 bg-black border border-zinc-700 rounded-lg"
+            aria-label="Filter by lesson"
+          >
+            <option value="current">This lesson</option>
+            <option value="all">All lessons</option>
+            {lessons.map((lesson) => (
+              <option key={lesson.id} value={lesson.id}>{lesson.label}</option>
+            ))}
+          </select>
+          {Object.entries(INITIATORS).map(([id, style]) => (
+            <button
+              key={id}
+              onClick={() => toggleInitiator(id)}
+              aria-pressed={initiators.has(id)}
+              className={`px-2.5 py-1.5 rounded-lg font-mono ${initiators.has(id) ? style : "bg-zinc-900 text-zinc-600 line-through"}`}
+            >
+              {id}
+            </button>
+          ))}
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Filter URL"
+            className="px-3 py-1.5 bg-black border border-zinc-700 rounded-lg w-40"
+          />
+          <button
+            onClick={exportHar}
+            disabled={visible.length === 0}
+            className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 disabled:opacity-40 disabled:cursor-not-allowed rounded-lg"
+            title="Download the listed requests as a HAR 1.2 file"
+          >
+            Export HAR
+          </button>
+          <button
+            onClick={() => fileInput.current.click()}
+            className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded-lg"
+            title="Replay the responses of a HAR file through the mock API"
+          >
+            Import HAR
+          </button>
+          <input
+            ref={fileInput}
+            type="file"
+            accept=".har,application/json"
+            onChange={importHar}
+            className="hidden"
+            aria-label="HAR file to replay"
+          />
+          <button
+            onClick={() => {
+              clearNetworkLog();
+              setSelectedId(null);
+            }}
+            className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded-lg"
+          >
+            Clear
+          </button>
+          <button
+            onClick={() => setOpen(false)}
+            className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded-lg"
+            title="Close the network drawer"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      {importError && (
+        <div className="px-4 py-2 bg-red-950/40 border-b border-red-900 text-red-300 flex justify-between">
+          <span>{importError}</span>
+          <button onClick={() => setImportError(null)} className="text-red-400 hover:text-red-200">Dismiss</button>
+        </div>
+      )}
+      {replay.active && (
+        <div className="px-4 py-2 bg-amber-950/40 border-b border-amber-900 text-amber-300 flex flex-wrap items-center justify-between gap-2">
+          <span>
+            Replaying <span className="font-mono">{replay.source}</span>: matching mock requests get the recorded
+            response ({replay.requests.length} distinct requests, {replay.served} served so far). Anything else falls
+            through to the normal mock routes.
+          </span>
+          <div className="flex gap-2">
+            <button onClick={refreshReplay} className="px-3 py-1 bg-amber-900/60 hover:bg-amber-800 rounded-lg">
+              Refresh
+            </button>
+            <button onClick={stopReplay} className="px-3 py-1 bg-amber-700 hover:bg-amber-600 rounded-lg text-white">
+              Stop replay
+            </button>
+          </div>
+          {replay.logs?.length > 0 && (
+            <details className="w-full">
+              <summary className="cursor-pointer">Lesson log recorded with the file ({replay.logs.length} lines)</summary>
+              <ol className="mt-2 max-h-32 overflow-y-auto font-mono space-y-0.5">
+                {replay.logs.map((log, idx) => (
+                  <li key={idx} className={LOG_STYLES[log.type] ?? "text-zinc-300"}>
+                    <span className="text-zinc-600">{new Date(log.timestamp).toLocaleTimeString()}</span> {log.msg}
+                  </li>
+                ))}
+              </ol>
+            </details>
+          )}
+        </div>
+      )}
+
+      <div className="flex-1 grid grid-cols-1 md:grid-cols-[minmax(0,3fr)_minmax(0,2fr)] min-h-0">
+        <div className="overflow-auto border-r border-zinc-800">
+          <table className="w-full text-left">
+            <thead className="sticky top-0 bg-zinc-950 text-zinc-500">
+              <tr>
+                <th className="px-4 py-2 font-medium">Name</th>
+                <th className="px-2 py-2 font-medium">Method</th>
+                <th className="px-2 py-2 font-medium">Status</th>
+                <th className="px-2 py-2 font-medium">Type</th>
+                {lessonFilter === "all" && <th className="px-2 py-2 font-medium">Lesson</th>}
+                <th className="px-2 py-2 font-medium text-right">Size</th>
+                <th className="px-4 py-2 font-medium text-right">Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visible.length === 0 && (
+                <tr>
+                  <td colSpan={7} className="px-4 py-6 text-center text-zinc-600">
+                    No requests recorded yet. Run something in the lesson.
+                  </td>
+                </tr>
+              )}
+              {visible.map((entry) => (
+                <tr
+                  key={entry.id}
+                  onClick={() => setSelectedId(entry.id)}
+                  className={`cursor-pointer border-t border-zinc-900 font-mono ${selectedId === entry.id ? "bg-indigo-950/40" : "hover:bg-zinc-900"}`}
+                >
+                  <td className="px-4 py-1.5 text-zinc-200 truncate max-w-xs" title={entry.url}>{shortUrl(entry.url)}</td>
+                  <td className="px-2 py-1.5 text-zinc-300">{entry.method}</td>
+                  <td className={`px-2 py-1.5 ${statusStyle(entry)}`}>{statusLabel(entry)}</td>
+                  <td className="px-2 py-1.5">
+                    <span className={`px-1.5 py-0.5 rounded ${INITIATORS[entry.initiator]}`}>{entry.initiator}</span>
+                  </td>
+                  {lessonFilter === "all" && <td className="px-2 py-1.5 text-zinc-400">{lessonLabel(entry.lesson)}</td>}
+                  <td className="px-2 py-1.5 text-right text-zinc-400">{formatSize(entry.size)}</td>
+                  <td className="px-4 py-1.5 text-right text-zinc-400">{entry.duration === undefined ? "…" : `${entry.duration} ms`}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="overflow-auto p-4 space-y-4">
+          {!selected ? (
+            <p className="text-zinc-600 text-center py-10">Select a request to see its headers and body</p>
+          ) : (
+            <>
+              <DetailSection
+                title="General"
+                rows={{
+                  "Request URL": selected.url,
+                  "Request method": selected.method,
+                  "Status": selected.status === undefined ? selected.state : `${selected.status} ${selected.statusText ?? ""}`,
+                  "Sent by": selected.initiator,
+                  "Lesson": lessonLabel(selected.lesson),
+                  "Started": new Date(selected.startedAtDate).toLocaleTimeString(),
+                  "Duration": selected.duration === undefined ? "pending" : `${selected.duration} ms`,
+                  "Size": formatSize(selected.size),
+                  ...(selected.error && { "Error": selected.error }),
+                }}
+              />
+              <DetailSection title="Request headers" rows={selected.requestHeaders} />
+              {selected.requestBody && <BodySection title="Request body" body={selected.requestBody} />}
+              {selected.responseHeaders && <DetailSection title="Response headers" rows={selected.responseHeaders} />}
+              {selected.responseBody !== undefined && (
+                <BodySection title="Response body" body={selected.responseBody || "(empty)"} />
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
+
+function DetailSection({ title, rows }) {
+  const entries = Object.entries(rows ?? {});
+  return (
+    <div>
+      <h3 className="text-zinc-500 font-medium mb-1">{title}</h3>
+      {entries.length === 0 ? (
+        <p className="text-zinc-600 font-mono">(none)</p>
+      ) : (
+        <dl className="grid grid-cols-[minmax(0,1fr)_minmax(0,2fr)] gap-x-3 gap-y-0.5 font-mono">
+          {entries.map(([name, value]) => (
+            <div key={name} className="contents">
+              <dt className="text-zinc-400 break-all">{name}</dt>
+              <dd className="text-zinc-200 break-all">{value}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+    </div>
+  );
+}
+
+function BodySection({ title, body }) {
+  return (
+    <div>
+      <h3 className="text-zinc-500 font-medium mb-1">{title}</h3>
+      <pre className="bg-black rounded-lg p-3 border border-zinc-800 text-zinc-300 whitespace-pre-wrap break-all">{body}</pre>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { useApiMode } from "../api/settings";
+import { NETWORK_PROFILES, setCustomConditions, setNetworkProfile, useNetworkProfile } from "../network/conditions";
+
+const CUSTOM_FIELDS = [
+  { key: "latency", label: "Latency", unit: "ms", max: 10000, step: 50 },
+  { key: "jitter", label: "Jitter", unit: "± ms", max: 10000, step: 50 },
+  { key: "bandwidth", label: "Bandwidth", unit: "kbit/s", max: 1000000, step: 100, hint: "0 = unlimited" },
+  { key: "failureRate", label: "Dropped", unit: "%", max: 100, step: 1 },
+];
+
+/**
+ * Picks the network profile the mock API applies to every request.
+ * `compact` shows just the dropdown, for the mobile header.
+ */
+export default function NetworkProfileSelect({ compact = false }) {
+  const { id, custom } = useNetworkProfile();
+  const mode = useApiMode();
+  const profile = NETWORK_PROFILES[id];
+  const throttled = id !== "none";
+
+  return (
+    <div className={compact ? "" : "w-full"}>
+      <select
+        value={id}
+        onChange={(event) => setNetworkProfile(event.target.value)}
+        aria-label="Network profile"
+        title={profile.description}
+        className={`w-full rounded-lg border bg-zinc-950 px-2 py-1.5 text-xs font-medium focus:outline-none focus:ring-2 focus:ring-indigo-500 ${throttled
+          ? id === "offline"
+            ? "border-red-700 text-red-300"
+            : "border-amber-700 text-amber-300"
+          : "border-zinc-800 text-zinc-300"
+          }`}
+      >
+        {Object.entries(NETWORK_PROFILES).map(([profileId, option]) => (
+          <option key={profileId} value={profileId}>
+            {option.label}
+          </option>
+        ))}
+      </select>
+
+      {!compact && (
+        <>
+          <p className="mt-1.5 text-[11px] text-zinc-500">{profile.description}</p>
+          {id === "custom" && (
+            <div className="mt-2 grid grid-cols-2 gap-2">
+              {CUSTOM_FIELDS.map((field) => (
+                <label key={field.key} className="text-[11px] text-zinc-400" title={field.hint}>
+                  {field.label} <span className="text-zinc-600">{field.unit}</span>
+                  <input
+                    type="number"
+                    min={0}
+                    max={field.max}
+                    step={field.step}
+                    value={custom[field.key]}
+                    onChange={(event) => setCustomConditions({ [field.key]: Math.max(Number(event.target.value) || 0, 0) })}
+                    className="mt-0.5 w-full rounded-md border border-zinc-800 bg-zinc-950 px-2 py-1 font-mono text-xs text-zinc-200 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  />
+                </label>
+              ))}
+            </div>
+          )}
+          {throttled && mode === "real" && (
+            <p className="mt-1.5 text-[11px] text-amber-400/80">
+              Only the mock API is throttled; switch to it to see the effect.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,259 @@
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from "react";
+import { notifyManager, useQueryClient } from "@tanstack/react-query";
+
+const STATUS_STYLES = {
+  success: "text-green-400",
+  error: "text-red-400",
+  pending: "text-zinc-400",
+  idle: "text-zinc-500",
+};
+
+const FETCH_STATUS_STYLES = {
+  fetching: "text-indigo-300 animate-pulse",
+  paused: "text-amber-400",
+  idle: "text-zinc-500",
+};
+
+// Both caches notify through the same kind of listener, so one hook can follow either.
+// The snapshot is a counter bumped on every event; rows read the cache itself.
+// Events can fire while another component renders (useQuery building a new
+// query), so they are delivered through notifyManager, as React Query's hooks do.
+function useCacheVersion(cache) {
+  const version = useRef(0);
+  const subscribe = useCallback(
+    (onChange) => cache.subscribe(notifyManager.batchCalls(() => {
+      version.current += 1;
+      onChange();
+    })),
+    [cache]
+  );
+  return useSyncExternalStore(subscribe, () => version.current);
+}
+
+function ago(timestamp, now) {
+  if (!timestamp) return "never";
+  const seconds = Math.max(Math.round((now - timestamp) / 1000), 0);
+  return seconds < 60 ? `${seconds}s ago` : `${Math.floor(seconds / 60)}m ${seconds % 60}s ago`;
+}
+
+function preview(value) {
+  if (value === undefined) return "undefined";
+  try {
+    const text = JSON.stringify(value, null, 2);
+    return text.length > 2000 ? `${text.slice(0, 2000)}\n… (${text.length} characters)` : text;
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Collapsible view of the app's QueryClient: every query and mutation, live.
+ * Rendered once by the app shell so it's available from any lesson.
+ */
+export default function QueryInspector() {
+  const queryClient = useQueryClient();
+  const queryCache = queryClient.getQueryCache();
+  const mutationCache = queryClient.getMutationCache();
+  const [open, setOpen] = useState(false);
+  const [filter, setFilter] = useState("");
+  const [selected, setSelected] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+
+  // Only tick while open; opening sets the clock so ages are right straight away.
+  useEffect(() => {
+    if (!open) return undefined;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [open]);
+
+  useCacheVersion(queryCache);
+  useCacheVersion(mutationCache);
+
+  const queries = queryCache
+    .getAll()
+    .filter((query) => query.queryHash.toLowerCase().includes(filter.toLowerCase()));
+  const mutations = mutationCache.getAll();
+  const selectedQuery = queries.find((query) => query.queryHash === selected);
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => {
+          setNow(Date.now());
+          setOpen(true);
+        }}
+        className="fixed bottom-20 right-4 z-40 px-4 py-2 rounded-full bg-zinc-900 border border-zinc-700 hover:border-indigo-500 shadow-2xl text-xs font-semibold flex items-center gap-2"
+        title="Open the React Query cache inspector"
+      >
+        <span className="w-2 h-2 rounded-full bg-red-400" />
+        Query cache
+        <span className="px-2 py-0.5 rounded-full bg-zinc-800 text-zinc-300">{queryCache.getAll().length}</span>
+      </button>
+    );
+  }
+
+  const exact = (query) => ({ queryKey: query.queryKey, exact: true });
+
+  return (
+    <section
+      className="fixed bottom-0 left-0 right-0 z-40 h-[45vh] bg-zinc-950 border-t border-zinc-700 shadow-2xl flex flex-col text-xs"
+      aria-label="React Query cache inspector"
+    >
+      <div className="flex items-center justify-between gap-4 px-4 py-2 border-b border-zinc-800">
+        <div className="flex items-center gap-3">
+          <h2 className="font-semibold text-sm text-white">Query cache</h2>
+          <span className="text-zinc-500">
+            {queries.length} queries · {mutations.length} mutations
+          </span>
+        </div>
+        <div className="flex items-center gap-2">
+          <input
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter by key"
+            className="px-3 py-1.5 bg-black border border-zinc-700 rounded-lg text-xs w-48"
+          />
+          <button
+            onClick={() => queryClient.invalidateQueries()}
+            className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded-lg"
+          >
+            Invalidate all
+          </button>
+          <button
+            onClick={() => setOpen(false)}
+            className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded-lg"
+            title="Close the inspector"
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-1 grid grid-cols-1 md:grid-cols-[minmax(0,3fr)_minmax(0,2fr)] min-h-0">
+        {/* Queries + mutations */}
+        <div className="overflow-auto border-r border-zinc-800">
+          <table className="w-full text-left">
+            <thead className="sticky top-0 bg-zinc-950 text-zinc-500">
+              <tr>
+                <th className="px-4 py-2 font-medium">Query key</th>
+                <th className="px-2 py-2 font-medium">status</th>
+                <th className="px-2 py-2 font-medium">fetchStatus</th>
+                <th className="px-2 py-2 font-medium">observers</th>
+                <th className="px-2 py-2 font-medium">dataUpdatedAt</th>
+              </tr>
+            </thead>
+            <tbody>
+              {queries.length === 0 && (
+                <tr>
+                  <td colSpan={5} className="px-4 py-6 text-center text-zinc-600">
+                    No queries in the cache{filter && " match this filter"}
+                  </td>
+                </tr>
+              )}
+              {queries.map((query) => (
+                <tr
+                  key={query.queryHash}
+                  onClick={() => setSelected(query.queryHash)}
+                  className={`cursor-pointer border-t border-zinc-900 ${selected === query.queryHash ? "bg-indigo-950/40" : "hover:bg-zinc-900"}`}
+                >
+                  <td className="px-4 py-2 font-mono text-zinc-200 break-all">
+                    {query.queryHash}
+                    {query.isStale() && query.state.status === "success" && (
+                      <span className="ml-2 text-amber-400">stale</span>
+                    )}
+                  </td>
+                  <td className={`px-2 py-2 ${STATUS_STYLES[query.state.status]}`}>{query.state.status}</td>
+                  <td className={`px-2 py-2 ${FETCH_STATUS_STYLES[query.state.fetchStatus]}`}>{query.state.fetchStatus}</td>
+                  <td className={`px-2 py-2 ${query.getObserversCount() > 0 ? "text-zinc-200" : "text-zinc-600"}`}>
+                    {query.getObserversCount() || "inactive"}
+                  </td>
+                  <td className="px-2 py-2 text-zinc-400">{ago(query.state.dataUpdatedAt, now)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className="px-4 py-2 mt-2 flex items-center justify-between text-zinc-500 border-t border-zinc-800">
+            <span className="font-medium">Mutations</span>
+            {mutations.length > 0 && (
+              <button
+                onClick={() => mutationCache.clear()}
+                className="px-2 py-1 bg-zinc-800 hover:bg-zinc-700 rounded"
+              >
+                Clear
+              </button>
+            )}
+          </div>
+          {mutations.length === 0 ? (
+            <p className="px-4 pb-4 text-zinc-600">No mutations yet</p>
+          ) : (
+            <ul className="px-4 pb-4 space-y-1">
+              {mutations.map((mutation) => (
+                <li key={mutation.mutationId} className="flex gap-3 font-mono">
+                  <span className="text-zinc-500">#{mutation.mutationId}</span>
+                  <span className="text-zinc-200">{JSON.stringify(mutation.options.mutationKey ?? "(no key)")}</span>
+                  <span className={STATUS_STYLES[mutation.state.status]}>{mutation.state.status}</span>
+                  <span className="text-zinc-400">{ago(mutation.state.submittedAt, now)}</span>
+                  {mutation.state.error && (
+                    <span className="text-red-400 truncate">{mutation.state.error.name}: {mutation.state.error.message}</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Selected entry */}
+        <div className="overflow-auto p-4">
+          {!selectedQuery ? (
+            <p className="text-zinc-600 text-center py-10">Select a query to see its data and actions</p>
+          ) : (
+            <>
+              <p className="font-mono text-zinc-200 break-all mb-3">{selectedQuery.queryHash}</p>
+              <div className="flex flex-wrap gap-2 mb-4">
+                <button
+                  onClick={() => queryClient.invalidateQueries(exact(selectedQuery))}
+                  className="px-3 py-1.5 bg-amber-700 hover:bg-amber-600 rounded-lg"
+                  title="Mark stale and refetch if it has observers"
+                >
+                  Invalidate
+                </button>
+                <button
+                  onClick={() => queryClient.refetchQueries(exact(selectedQuery))}
+                  className="px-3 py-1.5 bg-indigo-600 hover:bg-indigo-500 rounded-lg"
+                  title="Fetch again now, even without observers"
+                >
+                  Refetch
+                </button>
+                <button
+                  onClick={() => queryClient.resetQueries(exact(selectedQuery))}
+                  className="px-3 py-1.5 bg-zinc-700 hover:bg-zinc-600 rounded-lg"
+                  title="Back to its initial state, refetching if active"
+                >
+                  Reset
+                </button>
+                <button
+                  onClick={() => {
+                    queryClient.removeQueries(exact(selectedQuery));
+                    setSelected(null);
+                  }}
+                  className="px-3 py-1.5 bg-red-700 hover:bg-red-600 rounded-lg"
+                  title="Drop it from the cache without telling observers"
+                >
+                  Remove
+                </button>
+              </div>
+              {selectedQuery.state.error && (
+                <p className="text-red-400 mb-3">{selectedQuery.state.error.name}: {selectedQuery.state.error.message}</p>
+              )}
+              <p className="text-zinc-500 mb-1">data</p>
+              <pre className="bg-black rounded-lg p-3 border border-zinc-800 text-zinc-300 whitespace-pre-wrap break-all">
+                {preview(selectedQuery.state.data)}
+              </pre>
+            </>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
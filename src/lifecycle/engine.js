@@ -0,0 +1,210 @@
+// Request lifecycle engine.
+// Pages describe which step each real request event maps to; the engine turns
+// events (request start, headers received, body parsed, error) into step,
+// status and log updates, spacing step changes by `minStepDuration` so the
+// flow diagrams stay watchable even when the mock API answers instantly.
+//
+// Every run is cancellable: begin() hands back a run handle whose updates are
+// dropped once the run is superseded, reset or abandoned, and whose requests
+// and timers are aborted with it.
+
+import { createRunScope } from "./runScope";
+
+const INITIAL_STATE = { step: 0, status: "idle", logs: [] };
+
+const BODY_READERS = ["json", "text", "blob", "arrayBuffer", "formData"];
+
+/**
+ * @param {object} [options]
+ * @param {Record<string, number>} [options.steps] event type → flow step
+ * @param {number} [options.minStepDuration] minimum ms a step stays on screen
+ */
+export function createLifecycle({ steps = {}, minStepDuration = 0 } = {}) {
+    let state = INITIAL_STATE;
+    let queue = Promise.resolve();
+    let lastStepAt = 0;
+    const scope = createRunScope();
+    const listeners = new Set();
+
+    function setState(patch) {
+        state = { ...state, ...patch };
+        listeners.forEach((listener) => listener());
+    }
+
+    function appendLog(msg, type) {
+        setState({ logs: [...state.logs, { msg, type, timestamp: Date.now() }] });
+    }
+
+    // Every update goes through one queue so logs and steps never reorder.
+    // Only step changes are paced; plain log lines apply as soon as their turn comes.
+    // Updates belonging to a run that is no longer active are dropped, and one
+    // that throws is reported without stalling the updates queued after it.
+    function enqueue(run, update, paced) {
+        queue = queue.then(async () => {
+            if (!run.active) return;
+            if (paced) {
+                const wait = lastStepAt + minStepDuration - performance.now();
+                if (wait > 0) await sleep(wait);
+                if (!run.active) return;
+                lastStepAt = performance.now();
+            }
+            update();
+        }).catch(reportError);
+        return queue;
+    }
+
+    /**
+     * Cancels the run in flight, leaving its logs on screen with a final
+     * "cancelled" line. Returns false when nothing was running.
+     * @param {string} reason shown in the log, e.g. "superseded by a new run"
+     */
+    function cancel(reason) {
+        const wasRunning = scope.cancel(reason) && state.status === "loading";
+        queue = Promise.resolve();
+        if (wasRunning) {
+            setState({ status: "cancelled" });
+            appendLog(`Run cancelled: ${reason}`, "cancelled");
+        }
+        return wasRunning;
+    }
+
+    /**
+     * Starts a run, cancelling (and keeping the logs of) any run still in flight.
+     * @param {string} [log] first log line
+     * @returns {LifecycleRun}
+     */
+    function begin(log) {
+        const superseded = cancel("superseded by a new run");
+        const run = scope.start();
+        lastStepAt = performance.now() - minStepDuration;
+        setState({ ...INITIAL_STATE, status: "loading", logs: superseded ? state.logs : [] });
+        if (log) appendLog(log, "info");
+        return bindRun(run);
+    }
+
+    function reset() {
+        scope.cancel("reset");
+        queue = Promise.resolve();
+        setState(INITIAL_STATE);
+    }
+
+    /**
+     * @typedef {ReturnType<typeof bindRun>} LifecycleRun
+     */
+    function bindRun(run) {
+        /**
+         * Records a lifecycle event.
+         * @param {string} type event name, looked up in `steps`
+         * @param {object} [detail]
+         * @param {string} [detail.log] log line to append
+         * @param {string} [detail.logType] info | success | warning | error
+         * @param {number} [detail.step] overrides the step from `steps`
+         * @param {Function} [detail.apply] page state update to run in sync with the step
+         */
+        function emit(type, { log, logType = "info", step = steps[type], apply } = {}) {
+            return enqueue(run, () => {
+                if (step !== undefined) setState({ step });
+                if (log) appendLog(log, logType);
+                apply?.();
+            }, step !== undefined);
+        }
+
+        function succeed(detail = {}) {
+            return emit("done", {
+                logType: "success",
+                ...detail,
+                apply: () => {
+                    setState({ status: "success" });
+                    detail.apply?.();
+                },
+            });
+        }
+
+        function fail(error, detail = {}) {
+            return emit("error", {
+                log: `Request failed (${error.name}): ${error.message}`,
+                logType: "error",
+                ...detail,
+                apply: () => {
+                    setState({ status: "error" });
+                    detail.apply?.();
+                },
+            });
+        }
+
+        /**
+         * fetch() that reports its own lifecycle: "request" just before it is sent,
+         * "pending" once it is in flight, "headers" when the Response arrives and
+         * "parse"/"body" around body reads. Failures emit "network-error" or "parse-error".
+         * The request is aborted if the run is cancelled.
+         */
+        async function tracedFetch(input, init = {}) {
+            const method = (init.method ?? "GET").toUpperCase();
+            const signal = init.signal ? AbortSignal.any([run.signal, init.signal]) : run.signal;
+            emit("request", { log: `${method} ${typeof input === "string" ? input : input.url}` });
+
+            let response;
+            try {
+                const pending = fetch(input, { ...init, signal });
+                emit("pending", { log: "Waiting for the server to respond..." });
+                response = await pending;
+            } catch (error) {
+                emit("network-error", { log: `${error.name}: ${error.message}`, logType: "error" });
+                throw error;
+            }
+
+            emit("headers", {
+                log: `Headers received: ${response.status} ${response.statusText} (${response.headers.get("content-type") ?? "no content-type"})`,
+                logType: response.ok ? "success" : "warning",
+            });
+
+            for (const reader of BODY_READERS) {
+                const read = response[reader].bind(response);
+                response[reader] = async () => {
+                    emit("parse", { log: `Reading body with response.${reader}()` });
+                    try {
+                        const body = await read();
+                        emit("body", { log: `Body parsed by response.${reader}()`, logType: "success" });
+                        return body;
+                    } catch (error) {
+                        emit("parse-error", { log: `response.${reader}() failed: ${error.message}`, logType: "error" });
+                        throw error;
+                    }
+                };
+            }
+
+            return response;
+        }
+
+        return {
+            signal: run.signal,
+            get active() {
+                return run.active;
+            },
+            setTimeout: run.setTimeout,
+            sleep: run.sleep,
+            emit,
+            log: (msg, type = "info") => enqueue(run, () => appendLog(msg, type), false),
+            succeed,
+            fail,
+            fetch: tracedFetch,
+        };
+    }
+
+    return {
+        getState: () => state,
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+        /** Resolves once every queued update has been applied. */
+        settled: () => queue,
+        begin,
+        cancel,
+        reset,
+    };
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,71 @@
+// Run-scoped cancellation.
+// A scope owns at most one run at a time. Each run carries an AbortSignal for
+// its requests and tracks its own timers, so starting the next run (or leaving
+// the lesson) aborts in-flight fetches and clears every pending timeout at once.
+
+/**
+ * @typedef {object} Run
+ * @property {number} id
+ * @property {AbortSignal} signal aborted with an AbortError when the run is cancelled
+ * @property {boolean} active false once the run has been cancelled
+ * @property {(callback: Function, ms: number) => number} setTimeout cleared on cancel
+ * @property {(ms: number) => Promise<void>} sleep never settles if the run is cancelled first
+ */
+
+export function createRunScope() {
+    let current = null;
+    let nextId = 1;
+
+    function start() {
+        cancel("superseded by a new run");
+
+        const controller = new AbortController();
+        const timers = new Set();
+        let active = true;
+
+        const run = {
+            id: nextId++,
+            signal: controller.signal,
+            get active() {
+                return active;
+            },
+            setTimeout(callback, ms) {
+                const timer = setTimeout(() => {
+                    timers.delete(timer);
+                    if (active) callback();
+                }, ms);
+                timers.add(timer);
+                return timer;
+            },
+            sleep(ms) {
+                return new Promise((resolve) => run.setTimeout(resolve, ms));
+            },
+            cancel(reason) {
+                if (!active) return;
+                active = false;
+                timers.forEach(clearTimeout);
+                timers.clear();
+                controller.abort(new DOMException(reason, "AbortError"));
+            },
+        };
+
+        current = run;
+        return run;
+    }
+
+    /** Cancels the current run, if any. Returns true when there was one. */
+    function cancel(reason = "cancelled") {
+        if (!current) return false;
+        const run = current;
+        current = null;
+        run.cancel(reason);
+        return true;
+    }
+
+    return {
+        start,
+        cancel,
+        /** @returns {Run | null} */
+        current: () => current,
+    };
+}
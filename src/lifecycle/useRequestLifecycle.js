@@ -0,0 +1,30 @@
+import { useEffect, useState, useSyncExternalStore } from "react";
+import { createLifecycle } from "./engine";
+
+// Lifecycles whose run was cancelled by navigating away, kept so the lesson
+// shows the "cancelled" log when the learner comes back to it.
+const abandoned = new Map();
+
+/**
+ * React binding for the lifecycle engine.
+ * Returns the current `step`, `status` and `logs` plus the engine's methods.
+ * Unmounting cancels the run in flight.
+ *
+ * @param {Parameters<typeof createLifecycle>[0] & { id: string }} options
+ *   read once, on mount; `id` names the lesson the lifecycle belongs to
+ */
+export function useRequestLifecycle({ id, ...options }) {
+    const [lifecycle] = useState(() => abandoned.get(id) ?? createLifecycle(options));
+    const state = useSyncExternalStore(lifecycle.subscribe, lifecycle.getState);
+
+    useEffect(() => {
+        abandoned.delete(id);
+        return () => {
+            if (lifecycle.cancel("you left the lesson before it finished")) {
+                abandoned.set(id, lifecycle);
+            }
+        };
+    }, [id, lifecycle]);
+
+    return { ...lifecycle, ...state };
+}
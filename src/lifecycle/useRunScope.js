@@ -0,0 +1,16 @@
+import { useEffect, useState } from "react";
+import { createRunScope } from "./runScope";
+
+/**
+ * A run scope that lives as long as the component: unmounting cancels the
+ * current run, aborting its requests and clearing its timers.
+ */
+export function useRunScope() {
+    const [scope] = useState(createRunScope);
+
+    useEffect(() => () => {
+        scope.cancel("left the lesson");
+    }, [scope]);
+
+    return scope;
+}
@@ -1,10 +1,15 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import "./index.css";
+import './network/install'
 import App from './App.jsx'
+import { startMockServer } from './mock/register'
+import { syncNetworkProfile } from './network/conditions'
 
-createRoot(document.getElementById('root')).render(
-  <StrictMode>
-    <App />
-  </StrictMode>,
-)
+startMockServer().then(syncNetworkProfile).then(() => {
+  createRoot(document.getElementById('root')).render(
+    <StrictMode>
+      <App />
+    </StrictMode>,
+  )
+})
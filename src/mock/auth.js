@@ -0,0 +1,73 @@
+// Short-lived tokens for the token refresh lesson. Access tokens expire after a
+// few seconds; refresh tokens are single-use and rotate on every refresh, so a
+// second refresh with the same token is caught as reuse, as real auth servers do.
+
+const DEFAULT_TTL = 5;
+const MAX_TTL = 300;
+const MAX_TOKENS = 500;
+
+// access token -> { expiresAt } and refresh token -> { ttl, used }
+const accessTokens = new Map();
+const refreshTokens = new Map();
+
+function remember(tokens, token, entry) {
+    tokens.set(token, entry);
+    if (tokens.size > MAX_TOKENS) {
+        tokens.delete(tokens.keys().next().value);
+    }
+}
+
+function randomToken(prefix) {
+    return `${prefix}_${Math.random().toString(36).slice(2, 12)}`;
+}
+
+function bearerToken(authorization) {
+    return /^Bearer (\S+)$/.exec(authorization ?? "")?.[1] ?? null;
+}
+
+/** A new access token valid for `ttl` seconds, and a refresh token that renews it with the same lifetime. */
+export function issueTokens(ttl = DEFAULT_TTL) {
+    const seconds = Math.min(Math.max(Number(ttl) || DEFAULT_TTL, 1), MAX_TTL);
+    const accessToken = randomToken("at");
+    const refreshToken = randomToken("rt");
+    remember(accessTokens, accessToken, { expiresAt: Date.now() + seconds * 1000 });
+    remember(refreshTokens, refreshToken, { ttl: seconds, used: false });
+    return { accessToken, refreshToken, tokenType: "Bearer", expiresIn: seconds };
+}
+
+/**
+ * Trades a refresh token for a new pair. `error` says why it was refused:
+ * INVALID_REFRESH_TOKEN or REFRESH_TOKEN_REUSED.
+ *
+ * @returns {{ tokens: ReturnType<typeof issueTokens> } | { error: string }}
+ */
+export function refreshSession(refreshToken) {
+    const entry = refreshTokens.get(refreshToken);
+    if (!entry) return { error: "INVALID_REFRESH_TOKEN" };
+    if (entry.used) return { error: "REFRESH_TOKEN_REUSED" };
+    entry.used = true;
+    return { tokens: issueTokens(entry.ttl) };
+}
+
+/**
+ * Checks an Authorization header.
+ *
+ * @returns {{ status: "valid", expiresIn: number } | { status: "missing" | "invalid" | "expired" }}
+ *   expiresIn in ms
+ */
+export function checkAccessToken(authorization) {
+    const token = bearerToken(authorization);
+    if (!token) return { status: "missing" };
+    const entry = accessTokens.get(token);
+    if (!entry) return { status: "invalid" };
+    const expiresIn = entry.expiresAt - Date.now();
+    return expiresIn > 0 ? { status: "valid", expiresIn } : { status: "expired" };
+}
+
+/** Ends an access token's life now. Returns false for unknown tokens. */
+export function expireAccessToken(authorization) {
+    const entry = accessTokens.get(bearerToken(authorization));
+    if (!entry) return false;
+    entry.expiresAt = Math.min(entry.expiresAt, Date.now());
+    return true;
+}
@@ -0,0 +1,7 @@
+// Paths and protocol facts shared by the mock server (dev middleware + service worker) and the app.
+export const MOCK_API_PREFIX = "/mock-api";
+export const MOCK_API_BASE = `${MOCK_API_PREFIX}/v1`;
+export const MOCK_SERVICE_WORKER = "mock-sw.js";
+
+// Statuses whose responses can't carry a body; `new Response(body, { status })` throws for them.
+export const NULL_BODY_STATUSES = new Set([101, 204, 205, 304]);
@@ -0,0 +1,570 @@
+// Mock Cat API.
+// One handler backs both the Vite dev-server middleware and the production
+// service worker, so every lesson gets real HTTP semantics (status codes,
+// headers, dropped connections) without touching api.thecatapi.com.
+import { checkAccessToken, expireAccessToken, issueTokens, refreshSession } from "./auth";
+import { MOCK_API_PREFIX, NULL_BODY_STATUSES } from "./constants";
+import { bytesPerSecond, dropsRequest, isThrottled, networkConditions, nextLatency, setNetworkConditions } from "./network";
+import { clearReplay, loadReplay, replayStatus, takeReplayEntry, toReplayResponse } from "./replay";
+
+const MAX_DELAY = 30000;
+
+// The app's control routes: never replayed and never throttled, so a HAR
+// replay or an "offline" profile can always be switched off again.
+const CONTROL_PATH = /^\/v1\/_(?:replay|network)$/;
+
+// Throttled bodies are sent in slices of this many milliseconds' worth of bytes.
+const THROTTLE_TICK = 100;
+
+const CATS = [
+    { id: "mock-tabby", name: "Tabby", fur: "#d97706", marks: "#92400e", eyes: "#65a30d", bg: "#1e1b4b" },
+    { id: "mock-tuxedo", name: "Tuxedo", fur: "#27272a", marks: "#fafafa", eyes: "#facc15", bg: "#0c4a6e" },
+    { id: "mock-siamese", name: "Siamese", fur: "#fef3c7", marks: "#78350f", eyes: "#38bdf8", bg: "#3b0764" },
+    { id: "mock-ginger", name: "Ginger", fur: "#ea580c", marks: "#9a3412", eyes: "#16a34a", bg: "#052e16" },
+    { id: "mock-grey", name: "Grey", fur: "#71717a", marks: "#3f3f46", eyes: "#f59e0b", bg: "#450a0a" },
+    { id: "mock-calico", name: "Calico", fur: "#f5f5f4", marks: "#c2410c", eyes: "#84cc16", bg: "#172554" },
+];
+
+const BREEDS = [
+    { id: "abys", name: "Abyssinian", origin: "Egypt", temperament: "Active, Energetic, Independent", life_span: "14 - 15" },
+    { id: "beng", name: "Bengal", origin: "United States", temperament: "Alert, Agile, Energetic", life_span: "12 - 15" },
+    { id: "birm", name: "Birman", origin: "France", temperament: "Affectionate, Active, Gentle", life_span: "14 - 15" },
+    { id: "bomb", name: "Bombay", origin: "United States", temperament: "Affectionate, Dependent, Gentle", life_span: "12 - 16" },
+    { id: "bsho", name: "British Shorthair", origin: "United Kingdom", temperament: "Affectionate, Easy Going, Calm", life_span: "12 - 17" },
+    { id: "mcoo", name: "Maine Coon", origin: "United States", temperament: "Adaptable, Intelligent, Gentle", life_span: "12 - 15" },
+    { id: "norw", name: "Norwegian Forest Cat", origin: "Norway", temperament: "Sweet, Active, Intelligent", life_span: "12 - 16" },
+    { id: "pers", name: "Persian", origin: "Iran (Persia)", temperament: "Affectionate, Loyal, Quiet", life_span: "14 - 15" },
+    { id: "ragd", name: "Ragdoll", origin: "United States", temperament: "Affectionate, Friendly, Gentle", life_span: "12 - 17" },
+    { id: "rblu", name: "Russian Blue", origin: "Russia", temperament: "Active, Dependent, Easy Going", life_span: "10 - 16" },
+    { id: "sava", name: "Savannah", origin: "United States", temperament: "Curious, Social, Intelligent", life_span: "17 - 20" },
+    { id: "siam", name: "Siamese", origin: "Thailand", temperament: "Active, Agile, Clever", life_span: "12 - 15" },
+    { id: "sibe", name: "Siberian", origin: "Russia", temperament: "Curious, Loyal, Playful", life_span: "12 - 15" },
+    { id: "sphy", name: "Sphynx", origin: "Canada", temperament: "Loyal, Inquisitive, Friendly", life_span: "12 - 14" },
+    { id: "tang", name: "Turkish Angora", origin: "Turkey", temperament: "Affectionate, Agile, Clever", life_span: "15 - 18" },
+    { id: "tvan", name: "Turkish Van", origin: "Turkey", temperament: "Agile, Intelligent, Loyal", life_span: "12 - 17" },
+];
+
+// Hits per `key` on /v1/flaky and /v1/dedupe. Live as long as the dev server or service worker.
+const flakyHits = new Map();
+const dedupeHits = new Map();
+const MAX_HIT_KEYS = 200;
+
+// How often /v1/ticker's value changes.
+const TICKER_PERIOD = 3000;
+
+// Favourites, keyed by id. `sub_id` separates users, as on the real Cat API.
+const favourites = new Map();
+let nextFavouriteId = 1;
+
+const routes = [
+    { method: "GET", path: /^\/v1\/images\/search$/, handle: searchImages },
+    { method: "GET", path: /^\/v1\/breeds$/, handle: () => json(BREEDS) },
+    { method: "GET", path: /^\/v1\/breeds\/search$/, handle: searchBreeds },
+    { method: "GET", path: /^\/images\/([\w-]+)\.svg$/, handle: imageFile },
+    { method: "*", path: /^\/v1\/status\/(\d{3})$/, handle: statusCode },
+    { method: "GET", path: /^\/v1\/malformed$/, handle: malformedJson },
+    { method: "GET", path: /^\/v1\/flaky$/, handle: flaky },
+    { method: "GET", path: /^\/v1\/ticker$/, handle: ticker },
+    { method: "GET", path: /^\/v1\/dedupe\/([\w-]+)$/, handle: dedupeResource },
+    { method: "GET", path: /^\/v1\/dedupe\/([\w-]+)\/hits$/, handle: ({ params: [key] }) => json({ key, hits: dedupeHits.get(key) ?? 0 }) },
+    { method: "GET", path: /^\/v1\/favourites$/, handle: listFavourites },
+    { method: "POST", path: /^\/v1\/favourites$/, handle: addFavourite },
+    { method: "DELETE", path: /^\/v1\/favourites\/(\d+)$/, handle: removeFavourite },
+    { method: "*", path: /^\/v1\/network-error$/, handle: () => Response.error() },
+    { method: "*", path: /^\/v1\/cors$/, handle: corsRejection },
+    { method: "GET", path: /^\/v1\/empty$/, handle: emptyBody },
+    { method: "GET", path: /^\/v1\/wrong-content-type$/, handle: htmlPage },
+    { method: "*", path: /^\/v1\/echo(?:\/.*)?$/, handle: echo },
+    { method: "POST", path: /^\/v1\/auth\/login$/, handle: login },
+    { method: "POST", path: /^\/v1\/auth\/refresh$/, handle: refresh },
+    { method: "POST", path: /^\/v1\/auth\/expire$/, handle: expire },
+    { method: "GET", path: /^\/v1\/auth\/protected\/([\w-]+)$/, handle: protectedResource },
+    { method: "GET", path: /^\/v1\/_replay$/, handle: () => json(replayStatus()) },
+    { method: "POST", path: /^\/v1\/_replay$/, handle: startReplay },
+    { method: "DELETE", path: /^\/v1\/_replay$/, handle: () => json(clearReplay()) },
+    { method: "GET", path: /^\/v1\/_network$/, handle: () => json(networkConditions()) },
+    { method: "POST", path: /^\/v1\/_network$/, handle: setNetwork },
+];
+
+/**
+ * Answers a request aimed at the mock API.
+ * Any route accepts `?delay=<ms>` to hold the response back, or
+ * `?delay=<min>-<max>` for a random latency in that range.
+ * While a HAR replay is loaded, recorded requests get their recorded response.
+ * The network conditions set through /v1/_network apply on top of all of it.
+ *
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+export async function handleMockRequest(request) {
+    const url = new URL(request.url);
+    const path = url.pathname.slice(MOCK_API_PREFIX.length);
+
+    if (CONTROL_PATH.test(path)) {
+        return route(request, url, path);
+    }
+    if (!isThrottled()) {
+        return respond(request, url, path);
+    }
+
+    const { id, offline } = networkConditions();
+    if (offline) {
+        return Response.error();
+    }
+    await sleep(nextLatency(), request.signal);
+    if (dropsRequest()) {
+        return Response.error();
+    }
+
+    const response = await respond(request, url, path);
+    if (response.type === "error") {
+        return response;
+    }
+    const headers = new Headers(response.headers);
+    headers.set("X-Mock-Network", id);
+    return new Response(throttle(response.body, bytesPerSecond(), request.signal), {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+    });
+}
+
+async function respond(request, url, path) {
+    const recorded = takeReplayEntry(request.method, path, url.searchParams);
+    if (recorded) {
+        await sleep(Math.min(recorded.time, MAX_DELAY), request.signal);
+        return toReplayResponse(recorded);
+    }
+
+    const delay = parseDelay(url.searchParams.get("delay"));
+    if (delay > 0) {
+        await sleep(delay, request.signal);
+    }
+
+    return route(request, url, path);
+}
+
+function route(request, url, path) {
+    const matching = routes.filter((route) => route.path.test(path));
+    if (matching.length === 0) {
+        return json({ message: "NOT_FOUND", path }, { status: 404, statusText: "Not Found" });
+    }
+
+    const route = matching.find(
+        (candidate) => candidate.method === "*" || candidate.method === request.method
+    );
+    if (!route) {
+        return json(
+            { message: "METHOD_NOT_ALLOWED", method: request.method },
+            {
+                status: 405,
+                statusText: "Method Not Allowed",
+                headers: { Allow: matching.map((candidate) => candidate.method).join(", ") },
+            }
+        );
+    }
+
+    const params = path.match(route.path).slice(1);
+    return route.handle({ request, url, params });
+}
+
+function parseDelay(value) {
+    const [min, max = min] = (value ?? "").split("-").map((part) => Number(part) || 0);
+    const delay = min + Math.random() * Math.max(max - min, 0);
+    return Math.min(Math.round(delay), MAX_DELAY);
+}
+
+function searchBreeds({ url }) {
+    const query = (url.searchParams.get("q") ?? "").trim().toLowerCase();
+    return json(BREEDS.filter((breed) => breed.name.toLowerCase().includes(query)));
+}
+
+function searchImages({ url }) {
+    const limit = Math.min(Math.max(Number(url.searchParams.get("limit")) || 1, 1), 10);
+    const shuffled = [...CATS].sort(() => Math.random() - 0.5);
+
+    return json(Array.from({ length: limit }, (_, idx) => imageOf(shuffled[idx % shuffled.length], url.origin)));
+}
+
+function imageOf(cat, origin) {
+    return {
+        id: cat.id,
+        url: `${origin}${MOCK_API_PREFIX}/images/${cat.id}.svg`,
+        width: 600,
+        height: 400,
+        breeds: [],
+    };
+}
+
+// Counts a hit for `key`, forgetting the least recently used keys past MAX_HIT_KEYS.
+function countHit(hits, key) {
+    const hit = (hits.get(key) ?? 0) + 1;
+    hits.delete(key);
+    hits.set(key, hit);
+    if (hits.size > MAX_HIT_KEYS) {
+        hits.delete(hits.keys().next().value);
+    }
+    return hit;
+}
+
+function imageFile({ params: [id] }) {
+    const cat = CATS.find((candidate) => candidate.id === id);
+    if (!cat) {
+        return json({ message: "IMAGE_NOT_FOUND", id }, { status: 404, statusText: "Not Found" });
+    }
+
+    return new Response(catSvg(cat), {
+        headers: {
+            "Content-Type": "image/svg+xml",
+            "Cache-Control": "public, max-age=3600",
+        },
+    });
+}
+
+/**
+ * Answers with the given status. 401 carries a WWW-Authenticate challenge, and
+ * 429 and 503 a Retry-After header (`?retryAfter=<seconds>`, default 5).
+ */
+function statusCode({ url, params: [code] }) {
+    const status = Number(code);
+    if (status < 200 || status > 599) {
+        return json({ message: "INVALID_STATUS", status }, { status: 400, statusText: "Bad Request" });
+    }
+
+    const headers = {};
+    if (status === 401) {
+        headers["WWW-Authenticate"] = 'Bearer realm="mock-cat-api"';
+    }
+    if (status === 429 || status === 503) {
+        headers["Retry-After"] = url.searchParams.get("retryAfter") ?? "5";
+    }
+    const init = { status, statusText: STATUS_TEXT[status] ?? "", headers };
+    if (NULL_BODY_STATUSES.has(status)) {
+        return new Response(null, init);
+    }
+    return json({ message: STATUS_TEXT[status] ?? "Mock status", status }, init);
+}
+
+/**
+ * What a page sees when a cross-origin response lacks Access-Control-Allow-Origin:
+ * the browser drops it and fetch() rejects like a network error. A `no-cors`
+ * request still gets through (as an opaque response), which is how the errors
+ * lesson tells the two apart.
+ */
+function corsRejection({ request }) {
+    const mode = request.headers.get("sec-fetch-mode") ?? request.mode;
+    if (mode === "no-cors") {
+        return new Response("CORS demo", { headers: { "Content-Type": "text/plain; charset=utf-8" } });
+    }
+    return Response.error();
+}
+
+// A 200 that promises JSON and sends nothing, so response.json() throws.
+function emptyBody() {
+    return new Response("", { headers: { "Content-Type": "application/json; charset=utf-8" } });
+}
+
+// A login or SPA fallback page where the client expected JSON.
+function htmlPage() {
+    return new Response("<!doctype html>\n<html><head><title>Sign in</title></head><body><h1>Please sign in</h1></body></html>\n", {
+        headers: { "Content-Type": "text/html; charset=utf-8" },
+    });
+}
+
+/**
+ * Fails on purpose. `?fail=<n>&key=<id>` fails the first n hits for that key;
+ * otherwise each hit fails with probability `?rate=` (default 0.5).
+ * Failures use `?status=` (default 503); `status=0` drops the connection.
+ */
+function flaky({ url }) {
+    const key = url.searchParams.get("key");
+    const failFirst = Number(url.searchParams.get("fail"));
+    const rate = Number(url.searchParams.get("rate") ?? 0.5);
+    const status = Number(url.searchParams.get("status") ?? 503);
+
+    const hit = key ? countHit(flakyHits, key) : 1;
+
+    const fails = key && url.searchParams.has("fail") ? hit <= failFirst : Math.random() < rate;
+    if (!fails) {
+        return searchImages({ url });
+    }
+    if (status === 0) {
+        return Response.error();
+    }
+    return json(
+        { message: "FLAKY_FAILURE", hit },
+        { status, statusText: STATUS_TEXT[status] ?? "" }
+    );
+}
+
+/**
+ * A reading that changes every TICKER_PERIOD ms, for the polling lesson.
+ * `tick` numbers the periods and `value` is derived from it, so every poll
+ * within one period sees the same data and a new tick means new data.
+ */
+function ticker() {
+    const now = Date.now();
+    const tick = Math.floor(now / TICKER_PERIOD);
+    return json({
+        tick,
+        value: 40 + ((tick * 7919) % 61),
+        changedAt: new Date(tick * TICKER_PERIOD).toISOString(),
+        servedAt: new Date(now).toISOString(),
+    });
+}
+
+/**
+ * A resource that counts how often it is fetched, per `key`, so the
+ * deduplication lesson can show how many requests really reached the server.
+ * /v1/dedupe/<key>/hits reads the count without adding to it.
+ */
+function dedupeResource({ url, params: [key] }) {
+    const hit = countHit(dedupeHits, key);
+    return json({ key, hit, servedAt: new Date().toISOString(), image: imageOf(CATS[(hit - 1) % CATS.length], url.origin) });
+}
+
+function listFavourites({ url }) {
+    const subId = url.searchParams.get("sub_id");
+    return json([...favourites.values()].filter((favourite) => !subId || favourite.sub_id === subId));
+}
+
+// Writes accept `?fail=1` so lessons can watch a mutation get rejected.
+function failedWrite(url) {
+    return url.searchParams.get("fail") === "1"
+        ? json({ message: "FAVOURITE_WRITE_FAILED" }, { status: 500, statusText: STATUS_TEXT[500] })
+        : null;
+}
+
+async function addFavourite({ request, url }) {
+    const failure = failedWrite(url);
+    if (failure) return failure;
+
+    const { image_id: imageId, sub_id: subId = null } = await request.json().catch(() => ({}));
+    if (!imageId) {
+        return json({ message: "IMAGE_ID_REQUIRED" }, { status: 400, statusText: STATUS_TEXT[400] });
+    }
+    const duplicate = [...favourites.values()].some(
+        (favourite) => favourite.image_id === imageId && favourite.sub_id === subId
+    );
+    if (duplicate) {
+        return json({ message: "DUPLICATE_FAVOURITE - favourites are unique for account + image_id + sub_id" }, { status: 400, statusText: STATUS_TEXT[400] });
+    }
+
+    const favourite = {
+        id: nextFavouriteId++,
+        image_id: imageId,
+        sub_id: subId,
+        created_at: new Date().toISOString(),
+    };
+    favourites.set(favourite.id, favourite);
+    return json({ message: "SUCCESS", id: favourite.id });
+}
+
+function removeFavourite({ url, params: [id] }) {
+    const failure = failedWrite(url);
+    if (failure) return failure;
+
+    if (!favourites.delete(Number(id))) {
+        return json({ message: "NO_SUCH_FAVOURITE", id }, { status: 404, statusText: STATUS_TEXT[404] });
+    }
+    return json({ message: "SUCCESS" });
+}
+
+// Token auth for the refresh lesson: see ./auth.js. The login body may set the
+// access token lifetime in seconds (`{ "ttl": 5 }`).
+async function login({ request }) {
+    const { ttl } = await request.json().catch(() => ({}));
+    return json(issueTokens(ttl));
+}
+
+async function refresh({ request }) {
+    const { refreshToken } = await request.json().catch(() => ({}));
+    const result = refreshSession(refreshToken);
+    if (result.error) {
+        return json({ message: result.error }, { status: 401, statusText: STATUS_TEXT[401] });
+    }
+    return json(result.tokens);
+}
+
+function expire({ request }) {
+    if (!expireAccessToken(request.headers.get("authorization"))) {
+        return json({ message: "INVALID_TOKEN" }, { status: 401, statusText: STATUS_TEXT[401] });
+    }
+    return json({ message: "SUCCESS" });
+}
+
+// 401s follow RFC 6750: a bare challenge without a token, error="invalid_token"
+// with a bad or expired one.
+function protectedResource({ request, params: [name] }) {
+    const token = checkAccessToken(request.headers.get("authorization"));
+    if (token.status !== "valid") {
+        const challenge = token.status === "missing"
+            ? 'Bearer realm="mock-cat-api"'
+            : `Bearer realm="mock-cat-api", error="invalid_token", error_description="The access token ${token.status === "expired" ? "expired" : "is not recognised"}"`;
+        return json(
+            { message: token.status === "missing" ? "TOKEN_REQUIRED" : `TOKEN_${token.status.toUpperCase()}` },
+            { status: 401, statusText: STATUS_TEXT[401], headers: { "WWW-Authenticate": challenge } }
+        );
+    }
+    return json({ resource: name, servedAt: new Date().toISOString(), tokenExpiresIn: token.expiresIn });
+}
+
+async function setNetwork({ request }) {
+    const profile = await request.json().catch(() => null);
+    if (profile === null || typeof profile !== "object") {
+        return json({ message: "NETWORK_PROFILE_REQUIRED" }, { status: 400, statusText: STATUS_TEXT[400] });
+    }
+    return json(setNetworkConditions(profile));
+}
+
+async function startReplay({ request }) {
+    const recording = await request.json().catch(() => null);
+    if (!Array.isArray(recording?.entries)) {
+        return json({ message: "REPLAY_ENTRIES_REQUIRED" }, { status: 400, statusText: STATUS_TEXT[400] });
+    }
+    return json(loadReplay(recording));
+}
+
+/**
+ * Answers with the request exactly as the mock received it: method, URL,
+ * query, every header and the decoded body. Any method and any path under
+ * /v1/echo/ work, like httpbin's /anything.
+ */
+async function echo({ request, url }) {
+    const headers = [...request.headers.entries()].sort(([a], [b]) => a.localeCompare(b));
+    return json({
+        method: request.method,
+        url: `${url.pathname}${url.search}`,
+        query: [...url.searchParams.entries()],
+        headers,
+        body: await describeBody(request),
+    });
+}
+
+async function describeBody(request) {
+    const bytes = new Uint8Array(await request.arrayBuffer());
+    const contentType = request.headers.get("content-type") ?? "";
+    if (bytes.byteLength === 0) {
+        return { kind: "none", contentType, size: 0 };
+    }
+
+    const body = { contentType, size: bytes.byteLength };
+    if (contentType.startsWith("multipart/form-data")) {
+        try {
+            const form = await new Response(bytes, { headers: { "Content-Type": contentType } }).formData();
+            const fields = [...form.entries()].map(([name, value]) => (typeof value === "string"
+                ? { name, value }
+                : { name, fileName: value.name, type: value.type, size: value.size }));
+            return { ...body, kind: "multipart", fields };
+        } catch {
+            return { ...body, kind: "invalid", error: "Body is not valid multipart/form-data" };
+        }
+    }
+
+    const text = new TextDecoder().decode(bytes);
+    if (contentType.startsWith("application/x-www-form-urlencoded")) {
+        return { ...body, kind: "form", text, fields: [...new URLSearchParams(text).entries()].map(([name, value]) => ({ name, value })) };
+    }
+    if (/json/.test(contentType)) {
+        try {
+            return { ...body, kind: "json", text, json: JSON.parse(text) };
+        } catch (error) {
+            return { ...body, kind: "invalid", text, error: `Body is not valid JSON: ${error.message}` };
+        }
+    }
+    return { ...body, kind: "text", text };
+}
+
+function malformedJson() {
+    return new Response('[{"id": "mock-tabby", "url": ', {
+        headers: { "Content-Type": "application/json; charset=utf-8" },
+    });
+}
+
+const STATUS_TEXT = {
+    200: "OK",
+    201: "Created",
+    204: "No Content",
+    304: "Not Modified",
+    400: "Bad Request",
+    401: "Unauthorized",
+    403: "Forbidden",
+    404: "Not Found",
+    405: "Method Not Allowed",
+    408: "Request Timeout",
+    429: "Too Many Requests",
+    500: "Internal Server Error",
+    502: "Bad Gateway",
+    503: "Service Unavailable",
+    504: "Gateway Timeout",
+};
+
+function json(body, init = {}) {
+    return new Response(JSON.stringify(body), {
+        ...init,
+        headers: {
+            "Content-Type": "application/json; charset=utf-8",
+            ...init.headers,
+        },
+    });
+}
+
+// Re-emits a body no faster than `rate` bytes per second.
+function throttle(body, rate, signal) {
+    if (!body || rate <= 0) return body;
+
+    const reader = body.getReader();
+    const slice = Math.max(Math.round((rate * THROTTLE_TICK) / 1000), 1);
+    return new ReadableStream({
+        async pull(controller) {
+            const { done, value } = await reader.read();
+            if (done) {
+                controller.close();
+                return;
+            }
+            for (let offset = 0; offset < value.byteLength; offset += slice) {
+                const chunk = value.subarray(offset, offset + slice);
+                await sleep((chunk.byteLength / rate) * 1000, signal);
+                controller.enqueue(chunk);
+            }
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        },
+    });
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(id);
+            reject(signal.reason);
+        };
+        // Throttled bodies sleep many times on one signal; don't pile up listeners.
+        const id = setTimeout(() => {
+            signal?.removeEventListener("abort", onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+function catSvg({ name, fur, marks, eyes, bg }) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="400" viewBox="0 0 600 400">
+  <rect width="600" height="400" fill="${bg}"/>
+  <polygon points="190,150 215,45 280,110" fill="${fur}"/>
+  <polygon points="410,150 385,45 320,110" fill="${fur}"/>
+  <polygon points="205,130 220,75 255,110" fill="${marks}"/>
+  <polygon points="395,130 380,75 345,110" fill="${marks}"/>
+  <ellipse cx="300" cy="210" rx="130" ry="115" fill="${fur}"/>
+  <path d="M270 110 L300 150 L330 110" stroke="${marks}" stroke-width="10" fill="none" stroke-linecap="round"/>
+  <ellipse cx="250" cy="195" rx="22" ry="28" fill="${eyes}"/>
+  <ellipse cx="350" cy="195" rx="22" ry="28" fill="${eyes}"/>
+  <ellipse cx="250" cy="195" rx="7" ry="22" fill="#0a0a0a"/>
+  <ellipse cx="350" cy="195" rx="7" ry="22" fill="#0a0a0a"/>
+  <polygon points="288,240 312,240 300,255" fill="#f472b6"/>
+  <path d="M300 255 Q285 275 270 265 M300 255 Q315 275 330 265" stroke="#0a0a0a" stroke-width="4" fill="none" stroke-linecap="round"/>
+  <path d="M200 245 L120 230 M200 258 L115 262 M400 245 L480 230 M400 258 L485 262" stroke="${marks}" stroke-width="3" stroke-linecap="round"/>
+  <text x="300" y="375" text-anchor="middle" font-family="sans-serif" font-size="26" font-weight="700" fill="#f4f4f5">${name} · mock cat</text>
+</svg>`;
+}
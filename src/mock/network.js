@@ -0,0 +1,55 @@
+// Simulated network conditions for the mock API: latency with jitter, a
+// bandwidth cap, a share of dropped requests, or no network at all. The app
+// sets them through /v1/_network and every other mock route is subject to them.
+
+const MAX_LATENCY = 10000;
+
+const NO_THROTTLING = { id: "none", latency: 0, jitter: 0, bandwidth: 0, failureRate: 0, offline: false };
+
+let conditions = NO_THROTTLING;
+
+function clamp(value, min, max) {
+    const number = Number(value);
+    return Number.isFinite(number) ? Math.min(Math.max(number, min), max) : min;
+}
+
+/**
+ * @param {{ id?: string, latency?: number, jitter?: number, bandwidth?: number,
+ *   failureRate?: number, offline?: boolean }} profile
+ *   latency and jitter in ms, bandwidth in kbit/s (0 = unlimited), failureRate in percent
+ */
+export function setNetworkConditions(profile) {
+    conditions = {
+        id: typeof profile.id === "string" ? profile.id : "custom",
+        latency: clamp(profile.latency, 0, MAX_LATENCY),
+        jitter: clamp(profile.jitter, 0, MAX_LATENCY),
+        bandwidth: clamp(profile.bandwidth, 0, 1_000_000),
+        failureRate: clamp(profile.failureRate, 0, 100),
+        offline: profile.offline === true,
+    };
+    return conditions;
+}
+
+export function networkConditions() {
+    return conditions;
+}
+
+export function isThrottled() {
+    return conditions.id !== "none";
+}
+
+/** Latency for one request: the base latency plus or minus up to `jitter` ms. */
+export function nextLatency() {
+    const { latency, jitter } = conditions;
+    return Math.round(Math.max(latency + (Math.random() * 2 - 1) * jitter, 0));
+}
+
+/** Whether this request is lost on the way, as decided by the failure rate. */
+export function dropsRequest() {
+    return Math.random() * 100 < conditions.failureRate;
+}
+
+/** Bandwidth cap in bytes per second, or 0 when unlimited. */
+export function bytesPerSecond() {
+    return (conditions.bandwidth * 1000) / 8;
+}
@@ -0,0 +1,30 @@
+import { MOCK_SERVICE_WORKER } from "./constants";
+
+const CONTROL_TIMEOUT = 3000;
+
+/**
+ * Makes sure something answers /mock-api/* before the app renders.
+ * The dev server already does; production builds install the service worker.
+ */
+export function startMockServer() {
+    if (import.meta.env.DEV || !("serviceWorker" in navigator)) {
+        return Promise.resolve();
+    }
+
+    return navigator.serviceWorker
+        .register(`${import.meta.env.BASE_URL}${MOCK_SERVICE_WORKER}`, { type: "module" })
+        .then(() => navigator.serviceWorker.ready)
+        .then((registration) => {
+            if (navigator.serviceWorker.controller) return;
+
+            // First visit (or a hard reload): ask the worker to take this page over.
+            registration.active?.postMessage("claim");
+            return new Promise((resolve) => {
+                navigator.serviceWorker.addEventListener("controllerchange", resolve, { once: true });
+                setTimeout(resolve, CONTROL_TIMEOUT);
+            });
+        })
+        .catch((error) => {
+            console.warn("Mock API service worker unavailable:", error);
+        });
+}
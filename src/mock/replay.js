@@ -0,0 +1,74 @@
+// Responses imported from a HAR file, served instead of the normal mock routes
+// so a recorded run can be reproduced offline. Recorded responses for the same
+// request are played back in order; the last one repeats once they run out.
+import { NULL_BODY_STATUSES } from "./constants";
+
+// Headers describing the original transfer, not the body we hand back.
+const TRANSFER_HEADERS = new Set(["content-length", "content-encoding", "transfer-encoding", "connection", "keep-alive", "date"]);
+
+let replay = null;
+
+/** Stable key for a request: method, path and sorted query string. */
+export function replayKey(method, path, searchParams) {
+    const query = [...searchParams.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, value]) => `${name}=${value}`)
+        .join("&");
+    return `${method.toUpperCase()} ${path}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * @param {{ source: string, entries: { method: string, path: string, query: [string, string][],
+ *   status: number, statusText: string, headers: [string, string][], body: string | null,
+ *   encoding?: string, time: number }[], logs?: { msg: string, type: string, timestamp: number }[] }} recording
+ */
+export function loadReplay({ source, entries, logs = [] }) {
+    const queues = new Map();
+    for (const entry of entries) {
+        const key = replayKey(entry.method, entry.path, new URLSearchParams(entry.query));
+        if (!queues.has(key)) queues.set(key, []);
+        queues.get(key).push(entry);
+    }
+    replay = { source, queues, logs, total: entries.length, served: 0 };
+    return replayStatus();
+}
+
+export function clearReplay() {
+    replay = null;
+    return replayStatus();
+}
+
+export function replayStatus() {
+    return replay
+        ? {
+            active: true,
+            source: replay.source,
+            total: replay.total,
+            served: replay.served,
+            requests: [...replay.queues.keys()],
+            logs: replay.logs,
+        }
+        : { active: false };
+}
+
+/** The recorded response for this request, or null if the recording has none. */
+export function takeReplayEntry(method, path, searchParams) {
+    const queue = replay?.queues.get(replayKey(method, path, searchParams));
+    if (!queue) return null;
+    replay.served += 1;
+    return queue.length > 1 ? queue.shift() : queue[0];
+}
+
+export function toReplayResponse(entry) {
+    if (entry.status === 0) return Response.error();
+
+    const headers = new Headers(entry.headers.filter(([name]) => !TRANSFER_HEADERS.has(name.toLowerCase())));
+    headers.set("X-Mock-Replay", "1");
+    let body = null;
+    if (!NULL_BODY_STATUSES.has(entry.status) && entry.body !== null) {
+        body = entry.encoding === "base64"
+            ? Uint8Array.from(atob(entry.body), (char) => char.charCodeAt(0))
+            : entry.body;
+    }
+    return new Response(body, { status: entry.status, statusText: entry.statusText, headers });
+}
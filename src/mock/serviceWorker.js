@@ -0,0 +1,25 @@
+// Static-host fallback for the dev-server middleware: answers /mock-api/*
+// inside the browser so production builds keep working offline.
+import { handleMockRequest } from "./handlers";
+import { MOCK_API_PREFIX } from "./constants";
+
+self.addEventListener("install", () => self.skipWaiting());
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("message", (event) => {
+    if (event.data === "claim") {
+        event.waitUntil(self.clients.claim());
+    }
+});
+
+self.addEventListener("fetch", (event) => {
+    const url = new URL(event.request.url);
+    if (url.origin !== self.location.origin || !url.pathname.startsWith(`${MOCK_API_PREFIX}/`)) {
+        return;
+    }
+
+    event.respondWith(handleMockRequest(event.request));
+});
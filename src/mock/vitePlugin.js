@@ -0,0 +1,99 @@
+import { fileURLToPath } from "node:url";
+import { handleMockRequest } from "./handlers";
+import { MOCK_API_PREFIX, MOCK_SERVICE_WORKER } from "./constants";
+
+const SERVICE_WORKER_ENTRY = fileURLToPath(new URL("./serviceWorker.js", import.meta.url));
+
+/**
+ * Serves the mock Cat API from the Vite dev server and, for production builds,
+ * emits the service worker that takes over the same routes on static hosts.
+ */
+export default function mockApiPlugin() {
+    let isBuild = false;
+
+    return {
+        name: "mock-cat-api",
+
+        configResolved(config) {
+            isBuild = config.command === "build";
+        },
+
+        configureServer(server) {
+            server.middlewares.use(MOCK_API_PREFIX, (req, res, next) => {
+                serve(req, res).catch(next);
+            });
+        },
+
+        buildStart() {
+            if (isBuild) {
+                this.emitFile({
+                    type: "chunk",
+                    id: SERVICE_WORKER_ENTRY,
+                    fileName: MOCK_SERVICE_WORKER,
+                });
+            }
+        },
+    };
+}
+
+async function serve(req, res) {
+    const controller = new AbortController();
+    res.on("close", () => controller.abort());
+
+    let response;
+    try {
+        response = await handleMockRequest(await toWebRequest(req, controller.signal));
+    } catch (error) {
+        // The client went away (aborted fetch, XHR timeout): nobody to answer.
+        if (controller.signal.aborted) return;
+        throw error;
+    }
+
+    if (response.type === "error") {
+        // Drop the connection so the browser reports a genuine network error.
+        req.socket.destroy();
+        return;
+    }
+
+    res.statusCode = response.status;
+    if (response.statusText) {
+        res.statusMessage = response.statusText;
+    }
+    response.headers.forEach((value, key) => res.setHeader(key, value));
+    if (!response.body) {
+        res.end();
+        return;
+    }
+
+    // Stream rather than buffer, so a throttled body arrives as it's produced.
+    try {
+        for await (const chunk of response.body) {
+            res.write(chunk);
+        }
+    } catch (error) {
+        if (controller.signal.aborted) return;
+        throw error;
+    }
+    res.end();
+}
+
+async function toWebRequest(req, signal) {
+    const url = new URL(req.originalUrl ?? req.url, `http://${req.headers.host}`);
+    const headers = new Headers();
+    for (const [key, value] of Object.entries(req.headers)) {
+        headers.set(key, Array.isArray(value) ? value.join(", ") : value);
+    }
+
+    const hasBody = req.method !== "GET" && req.method !== "HEAD";
+    const chunks = [];
+    if (hasBody) {
+        for await (const chunk of req) chunks.push(chunk);
+    }
+
+    return new Request(url, {
+        method: req.method,
+        headers,
+        body: hasBody ? new Blob(chunks) : undefined,
+        signal,
+    });
+}
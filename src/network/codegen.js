@@ -0,0 +1,241 @@
+// Turns a request description into equivalent code for several HTTP clients.
+//
+// A request is { method, url, headers: [name, value][], body }, where body is
+// null or one of:
+//   { type: "json", text }                  (sent as-is; pretty-printed when it parses)
+//   { type: "form", fields: [name, value][] }
+//   { type: "multipart", fields: { name, value?, fileName? }[] }
+//   { type: "raw", text, contentType }
+
+export const CODEGEN_CLIENTS = {
+    fetch: "fetch",
+    axios: "axios",
+    xhr: "XMLHttpRequest",
+    "react-query": "React Query",
+    curl: "curl",
+};
+
+const BODYLESS = new Set(["GET", "HEAD"]);
+
+const str = (value) => JSON.stringify(value);
+const indent = (text, spaces) => text.split("\n").join(`\n${" ".repeat(spaces)}`);
+
+function parseJson(text) {
+    try {
+        return { ok: true, value: JSON.parse(text) };
+    } catch {
+        return { ok: false };
+    }
+}
+
+function absoluteUrl(url) {
+    try {
+        return new URL(url, globalThis.location?.href ?? "http://localhost").href;
+    } catch {
+        return url;
+    }
+}
+
+// The body that is actually sent, and the headers to send with it. JSON and
+// raw bodies get a Content-Type when none was given, as the request builder does.
+function normalize(request) {
+    const method = request.method.toUpperCase();
+    const body = BODYLESS.has(method) ? null : request.body ?? null;
+    const headers = [...request.headers];
+    const hasContentType = headers.some(([name]) => name.toLowerCase() === "content-type");
+    if (body && !hasContentType) {
+        if (body.type === "json") headers.push(["Content-Type", "application/json"]);
+        if (body.type === "raw") headers.push(["Content-Type", body.contentType]);
+    }
+    return { method, url: request.url, headers, body };
+}
+
+function headersObject(headers) {
+    if (headers.length === 0) return "{}";
+    return `{\n${headers.map(([name, value]) => `  ${str(name)}: ${str(value)},`).join("\n")}\n}`;
+}
+
+// Statements that build a FormData, for clients that need one.
+function formDataSetup(body) {
+    if (body?.type !== "multipart") return "";
+    const lines = body.fields.map((field) => (field.fileName !== undefined
+        ? `formData.append(${str(field.name)}, fileInput.files[0]); // ${field.fileName || "a File or Blob"}`
+        : `formData.append(${str(field.name)}, ${str(field.value)});`));
+    return `const formData = new FormData();\n${lines.join("\n")}\n\n`;
+}
+
+// Pairs rather than an object, so repeated fields (tag=a&tag=b) all survive.
+function urlSearchParams(fields) {
+    if (fields.length === 0) return "new URLSearchParams()";
+    return `new URLSearchParams([\n${fields.map(([name, value]) => `  [${str(name)}, ${str(value)}],`).join("\n")}\n])`;
+}
+
+// The body as a JavaScript expression. `serialize` is false for axios, which
+// stringifies plain objects itself.
+function bodyExpression(body, { serialize = true } = {}) {
+    switch (body.type) {
+        case "json": {
+            const parsed = parseJson(body.text);
+            if (!parsed.ok) return str(body.text);
+            const literal = JSON.stringify(parsed.value, null, 2);
+            return serialize ? `JSON.stringify(${literal})` : literal;
+        }
+        case "form":
+            return urlSearchParams(body.fields);
+        case "multipart":
+            return "formData";
+        default:
+            return str(body.text);
+    }
+}
+
+function fetchInit({ method, headers, body }, extra = []) {
+    const lines = [];
+    if (method !== "GET") lines.push(`method: ${str(method)},`);
+    if (headers.length > 0) lines.push(`headers: ${headersObject(headers)},`);
+    if (body) lines.push(`body: ${bodyExpression(body)},`);
+    lines.push(...extra);
+    return lines.length === 0 ? "" : `, {\n  ${indent(lines.join("\n"), 2)}\n}`;
+}
+
+function fetchCode(request) {
+    return `${formDataSetup(request.body)}const response = await fetch(${str(request.url)}${fetchInit(request)});
+
+if (!response.ok) {
+  throw new Error(\`HTTP \${response.status}\`);
+}
+
+const data = await response.json();`;
+}
+
+function axiosCode(request, { axiosInstance = false } = {}) {
+    const { method, url, headers, body } = request;
+    let setup = formDataSetup(body);
+    let client = "axios";
+    let target = url;
+    if (axiosInstance) {
+        const [base, path] = splitBase(url);
+        setup = `const api = axios.create({
+  baseURL: ${str(base)},
+  timeout: 10000,
+});
+
+api.interceptors.request.use((config) => {
+  console.log("Request:", config.method.toUpperCase(), config.url);
+  return config;
+});
+
+${setup}`;
+        client = "api";
+        target = path;
+    }
+
+    const config = headers.length > 0 ? `{\n  headers: ${indent(headersObject(headers), 2)},\n}` : null;
+    const lower = method.toLowerCase();
+    let call;
+    if (["post", "put", "patch"].includes(lower)) {
+        const data = body ? bodyExpression(body, { serialize: false }) : "undefined";
+        call = `${client}.${lower}(${str(target)}, ${data}${config ? `, ${config}` : ""})`;
+    } else if (body) {
+        // DELETE and OPTIONS have no shorthand that takes a body.
+        const lines = [`method: ${str(lower)},`, `url: ${str(target)},`];
+        if (headers.length > 0) lines.push(`headers: ${headersObject(headers)},`);
+        lines.push(`data: ${bodyExpression(body, { serialize: false })},`);
+        call = `${client}.request({\n  ${indent(lines.join("\n"), 2)}\n})`;
+    } else {
+        call = `${client}.${lower}(${str(target)}${config ? `, ${config}` : ""})`;
+    }
+
+    return `${setup}// axios parses JSON and rejects on non-2xx statuses
+const response = await ${call};
+const data = response.data;`;
+}
+
+// The API base (up to /v1, like the lessons' axios.create calls) and the path after it.
+function splitBase(url) {
+    const index = url.indexOf("/v1/");
+    return index === -1 ? ["", url] : [url.slice(0, index + 3), url.slice(index + 3)];
+}
+
+function xhrCode({ method, url, headers, body }) {
+    const headerLines = headers.map(([name, value]) => `xhr.setRequestHeader(${str(name)}, ${str(value)});`);
+    const send = body ? `xhr.send(${bodyExpression(body)});` : "xhr.send();";
+    return `${formDataSetup(body)}const xhr = new XMLHttpRequest();
+xhr.open(${str(method)}, ${str(url)});
+${headerLines.length > 0 ? `${headerLines.join("\n")}\n` : ""}
+xhr.onload = () => {
+  if (xhr.status < 200 || xhr.status >= 300) {
+    console.error(\`HTTP \${xhr.status}\`);
+    return;
+  }
+  const data = JSON.parse(xhr.responseText);
+};
+xhr.onerror = () => console.error("Network error");
+
+${send}`;
+}
+
+function reactQueryCode(request) {
+    const { method, url, body } = request;
+    if (method === "GET") {
+        return `const { data, isPending, error } = useQuery({
+  queryKey: [${str(url)}],
+  queryFn: async ({ signal }) => {
+    const response = await fetch(${str(url)}${indent(fetchInit(request, ["signal,"]), 4)});
+    if (!response.ok) throw new Error(\`HTTP \${response.status}\`);
+    return response.json();
+  },
+});`;
+    }
+
+    const setup = body?.type === "multipart" ? `\n    ${indent(formDataSetup(body).trimEnd(), 4)}\n` : "";
+    return `const queryClient = useQueryClient();
+
+const mutation = useMutation({
+  mutationFn: async () => {${setup}
+    const response = await fetch(${str(url)}${indent(fetchInit(request), 4)});
+    if (!response.ok) throw new Error(\`HTTP \${response.status}\`);
+    return response.json();
+  },
+  onSuccess: () => queryClient.invalidateQueries(),
+});
+
+// In an event handler:
+mutation.mutate();`;
+}
+
+const shellQuote = (value) => `'${String(value).replace(/'/g, "'\\''")}'`;
+
+function curlCode({ method, url, headers, body }) {
+    const flag = method === "HEAD" ? "--head " : method === "GET" ? "" : `-X ${method} `;
+    const parts = [`curl ${flag}${shellQuote(absoluteUrl(url))}`];
+    for (const [name, value] of headers) parts.push(`-H ${shellQuote(`${name}: ${value}`)}`);
+    if (body?.type === "json" || body?.type === "raw") {
+        parts.push(`--data-raw ${shellQuote(body.text)}`);
+    } else if (body?.type === "form") {
+        for (const [name, value] of body.fields) parts.push(`--data-urlencode ${shellQuote(`${name}=${value}`)}`);
+    } else if (body?.type === "multipart") {
+        for (const field of body.fields) {
+            parts.push(`-F ${shellQuote(field.fileName !== undefined ? `${field.name}=@${field.fileName || "file"}` : `${field.name}=${field.value}`)}`);
+        }
+    }
+    return parts.join(" \\\n  ");
+}
+
+const GENERATORS = {
+    fetch: fetchCode,
+    axios: axiosCode,
+    xhr: xhrCode,
+    "react-query": reactQueryCode,
+    curl: curlCode,
+};
+
+/**
+ * @param {keyof CODEGEN_CLIENTS} client
+ * @param {{ method: string, url: string, headers: [string, string][], body?: object | null }} request
+ * @param {{ axiosInstance?: boolean }} [options] axiosInstance: call through an axios.create() instance
+ * @returns {string}
+ */
+export function generateCode(client, request, options) {
+    return GENERATORS[client](normalize(request), options);
+}
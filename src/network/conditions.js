@@ -0,0 +1,115 @@
+import { useSyncExternalStore } from "react";
+import { MOCK_API_BASE } from "../mock/constants";
+
+// The network profile every mock API request goes through. The choice lives
+// here (and in localStorage); the mock server applies it, so it reaches fetch,
+// axios, XHR and <img> loads alike.
+
+const STORAGE_KEY = "api-fetching:network-profile";
+const NETWORK_URL = `${MOCK_API_BASE}/_network`;
+
+/** Latency and jitter in ms, bandwidth in kbit/s (0 = unlimited), failureRate in percent. */
+export const NETWORK_PROFILES = {
+    none: {
+        label: "No throttling",
+        description: "The mock answers as fast as it can",
+        latency: 0, jitter: 0, bandwidth: 0, failureRate: 0,
+    },
+    "fast-4g": {
+        label: "Fast 4G",
+        description: "60 ms ± 20 ms, 9 Mbit/s",
+        latency: 60, jitter: 20, bandwidth: 9000, failureRate: 0,
+    },
+    "slow-3g": {
+        label: "Slow 3G",
+        description: "2 s ± 300 ms, 400 kbit/s",
+        latency: 2000, jitter: 300, bandwidth: 400, failureRate: 0,
+    },
+    "flaky-wifi": {
+        label: "Flaky Wi-Fi",
+        description: "150 ms ± 400 ms, 5 Mbit/s, 20% of requests dropped",
+        latency: 150, jitter: 400, bandwidth: 5000, failureRate: 20,
+    },
+    offline: {
+        label: "Offline",
+        description: "Every request fails with a network error",
+        latency: 0, jitter: 0, bandwidth: 0, failureRate: 0, offline: true,
+    },
+    custom: {
+        label: "Custom",
+        description: "Your own latency, jitter, bandwidth and failure rate",
+    },
+};
+
+const DEFAULT_CUSTOM = { latency: 300, jitter: 100, bandwidth: 1500, failureRate: 5 };
+
+let state = readStoredProfile();
+const listeners = new Set();
+
+function readStoredProfile() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return {
+            id: stored?.id in NETWORK_PROFILES ? stored.id : "none",
+            custom: { ...DEFAULT_CUSTOM, ...stored?.custom },
+        };
+    } catch {
+        return { id: "none", custom: DEFAULT_CUSTOM };
+    }
+}
+
+function setState(next) {
+    state = next;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch {
+        // Private mode or blocked storage: the profile just won't survive a reload.
+    }
+    listeners.forEach((listener) => listener());
+    syncNetworkProfile();
+}
+
+function subscribeNetworkProfile(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/** @returns {{ id: string, custom: { latency: number, jitter: number, bandwidth: number, failureRate: number } }} */
+export function useNetworkProfile() {
+    return useSyncExternalStore(subscribeNetworkProfile, () => state);
+}
+
+export function setNetworkProfile(id) {
+    if (!(id in NETWORK_PROFILES) || id === state.id) return;
+    setState({ ...state, id });
+}
+
+/** Updates the custom profile's values and switches to it. */
+export function setCustomConditions(patch) {
+    setState({ id: "custom", custom: { ...state.custom, ...patch } });
+}
+
+/** The conditions the mock server should apply for the current choice. */
+export function activeConditions() {
+    const source = state.id === "custom" ? state.custom : NETWORK_PROFILES[state.id];
+    const { latency, jitter, bandwidth, failureRate, offline = false } = source;
+    return { id: state.id, latency, jitter, bandwidth, failureRate, offline };
+}
+
+/**
+ * Sends the current profile to the mock server. Called on startup too, since a
+ * restarted dev server or service worker forgets it.
+ */
+export function syncNetworkProfile() {
+    return fetch(NETWORK_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(activeConditions()),
+    })
+        .then((response) => {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        })
+        .catch((error) => {
+            console.warn("Could not apply the network profile to the mock API:", error);
+        });
+}
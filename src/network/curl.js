@@ -0,0 +1,279 @@
+// Parses a curl command line (as copied from browser devtools with
+// "Copy as cURL (bash)") into { method, url, headers, body }.
+// Flags that change what is sent but can't be expressed as a fetch() call are
+// rejected with a readable Error instead of being silently dropped.
+
+// Flags that take a value, by every name curl accepts.
+const VALUE_FLAGS = {
+    "-X": "method", "--request": "method",
+    "-H": "header", "--header": "header",
+    "-d": "data", "--data": "data", "--data-raw": "data-raw", "--data-ascii": "data", "--data-binary": "data-binary",
+    "--data-urlencode": "data-urlencode",
+    "--json": "json",
+    "-u": "user", "--user": "user",
+    "-A": "user-agent", "--user-agent": "user-agent",
+    "-e": "referer", "--referer": "referer",
+    "-b": "cookie", "--cookie": "cookie",
+    "--url": "url",
+};
+
+// Flags that take no value.
+const SWITCHES = {
+    "-G": "get", "--get": "get",
+    "-I": "head", "--head": "head",
+};
+
+// Output and transport options: they don't change the request itself.
+const IGNORED = new Set([
+    "-s", "--silent", "-S", "--show-error", "-L", "--location", "-k", "--insecure", "-v", "--verbose",
+    "-i", "--include", "--compressed", "-g", "--globoff", "--http1.1", "--http2", "--no-buffer", "-N",
+    "-f", "--fail", "--fail-with-body",
+]);
+
+const UNSUPPORTED = {
+    "-F": "multipart uploads (-F/--form) aren't supported here; use the Request Builder lesson",
+    "--form": "multipart uploads (-F/--form) aren't supported here; use the Request Builder lesson",
+    "-T": "file uploads (-T/--upload-file) can't be replayed from the browser",
+    "--upload-file": "file uploads (-T/--upload-file) can't be replayed from the browser",
+    "-x": "proxies (-x/--proxy) are chosen by the browser, not by fetch()",
+    "--proxy": "proxies (-x/--proxy) are chosen by the browser, not by fetch()",
+    "-E": "client certificates (-E/--cert) are managed by the browser",
+    "--cert": "client certificates (-E/--cert) are managed by the browser",
+    "-o": "-o/--output writes to a file; the lesson shows the response instead",
+    "--output": "-o/--output writes to a file; the lesson shows the response instead",
+    "-O": "-O/--remote-name writes to a file; the lesson shows the response instead",
+    "--remote-name": "-O/--remote-name writes to a file; the lesson shows the response instead",
+};
+
+/**
+ * Splits a command line into words the way bash would: single quotes,
+ * double quotes with backslash escapes, $'...' strings and `\` line continuations.
+ */
+export function tokenize(command) {
+    const words = [];
+    let word = null;
+    let i = 0;
+    const append = (text) => {
+        word = (word ?? "") + text;
+    };
+
+    while (i < command.length) {
+        const char = command[i];
+        if (char === "\\" && command[i + 1] === "\n") {
+            i += 2;
+        } else if (/\s/.test(char)) {
+            if (word !== null) words.push(word);
+            word = null;
+            i += 1;
+        } else if (char === "'") {
+            const end = command.indexOf("'", i + 1);
+            if (end === -1) throw new Error("Unterminated single quote.");
+            append(command.slice(i + 1, end));
+            i = end + 1;
+        } else if (char === "$" && command[i + 1] === "'") {
+            const [text, end] = readAnsiC(command, i + 2);
+            append(text);
+            i = end + 1;
+        } else if (char === '"') {
+            let text = "";
+            i += 1;
+            while (i < command.length && command[i] !== '"') {
+                if (command[i] === "\\" && /["\\$`\n]/.test(command[i + 1] ?? "")) {
+                    if (command[i + 1] !== "\n") text += command[i + 1];
+                    i += 2;
+                } else {
+                    text += command[i];
+                    i += 1;
+                }
+            }
+            if (i >= command.length) throw new Error("Unterminated double quote.");
+            append(text);
+            i += 1;
+        } else if (char === "\\") {
+            append(command[i + 1] ?? "");
+            i += 2;
+        } else {
+            append(char);
+            i += 1;
+        }
+    }
+    if (word !== null) words.push(word);
+    return words;
+}
+
+const ANSI_ESCAPES = { n: "\n", r: "\r", t: "\t", "\\": "\\", "'": "'", '"': '"', "0": "\0" };
+
+// Reads a $'...' string starting after the opening quote. Returns [text, index of closing quote].
+function readAnsiC(command, start) {
+    let text = "";
+    let i = start;
+    while (i < command.length && command[i] !== "'") {
+        if (command[i] === "\\") {
+            const next = command[i + 1];
+            if (next === "x") {
+                text += String.fromCharCode(parseInt(command.slice(i + 2, i + 4), 16));
+                i += 4;
+                continue;
+            }
+            if (next === "u") {
+                text += String.fromCharCode(parseInt(command.slice(i + 2, i + 6), 16));
+                i += 6;
+                continue;
+            }
+            text += ANSI_ESCAPES[next] ?? `\\${next}`;
+            i += 2;
+        } else {
+            text += command[i];
+            i += 1;
+        }
+    }
+    if (i >= command.length) throw new Error("Unterminated $'...' string.");
+    return [text, i];
+}
+
+function splitHeader(line) {
+    const index = line.indexOf(":");
+    if (index <= 0) throw new Error(`Header "${line}" has no "Name: value" separator.`);
+    return [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+}
+
+function urlEncodeData(value) {
+    const index = value.indexOf("=");
+    if (index === -1) return encodeURIComponent(value);
+    return `${value.slice(0, index)}=${encodeURIComponent(value.slice(index + 1))}`;
+}
+
+// Short flags can share a word (-sSL). The first one that takes a value gets
+// the rest of the word, so -sSLXPOST is -s -S -L -X POST.
+function splitShortFlags(word) {
+    const args = [];
+    for (let index = 1; index < word.length; index += 1) {
+        const flag = `-${word[index]}`;
+        args.push(flag);
+        if (VALUE_FLAGS[flag]) {
+            if (index + 1 < word.length) args.push(word.slice(index + 1));
+            break;
+        }
+    }
+    return args;
+}
+
+// btoa only takes Latin-1 text; curl encodes the credentials' UTF-8 bytes.
+function base64Utf8(text) {
+    return btoa(String.fromCharCode(...new TextEncoder().encode(text)));
+}
+
+/**
+ * @param {string} command
+ * @returns {{ method: string, url: string, headers: [string, string][], body: string | null }}
+ * @throws {Error} when the command can't be turned into a fetch() call
+ */
+export function parseCurl(command) {
+    const words = tokenize(command.trim().replace(/\r\n/g, "\n"));
+    if (words[0] !== "curl") {
+        throw new Error("The command has to start with curl.");
+    }
+
+    let method = null;
+    let url = null;
+    let get = false;
+    let head = false;
+    let json = false;
+    const headers = [];
+    const data = [];
+
+    const args = words.slice(1).flatMap((word) => (/^-[a-zA-Z]./.test(word) ? splitShortFlags(word) : [word]));
+
+    for (let i = 0; i < args.length; i += 1) {
+        const arg = args[i];
+        if (!arg.startsWith("-") || arg === "-") {
+            if (url !== null) throw new Error(`Only one URL is supported (got "${url}" and "${arg}").`);
+            url = arg;
+            continue;
+        }
+        if (UNSUPPORTED[arg]) throw new Error(`Unsupported flag ${arg}: ${UNSUPPORTED[arg]}.`);
+        if (IGNORED.has(arg)) continue;
+        if (SWITCHES[arg] === "get") {
+            get = true;
+            continue;
+        }
+        if (SWITCHES[arg] === "head") {
+            head = true;
+            continue;
+        }
+
+        const kind = VALUE_FLAGS[arg];
+        if (!kind) throw new Error(`Unsupported flag ${arg}.`);
+        const value = args[i + 1];
+        if (value === undefined) throw new Error(`${arg} needs a value.`);
+        i += 1;
+
+        switch (kind) {
+            case "method":
+                method = value.toUpperCase();
+                break;
+            case "header":
+                headers.push(splitHeader(value));
+                break;
+            case "data":
+                if (value.startsWith("@")) throw new Error(`${arg} ${value} reads a file, which the browser can't do.`);
+                data.push(value.replace(/[\r\n]/g, ""));
+                break;
+            case "data-binary":
+                // Sent byte for byte: newlines stay, unlike -d.
+                if (value.startsWith("@")) throw new Error(`${arg} ${value} reads a file, which the browser can't do.`);
+                data.push(value);
+                break;
+            case "data-raw":
+                data.push(value);
+                break;
+            case "data-urlencode":
+                // Without an "=", "@file" and "name@file" mean the content comes from a file.
+                if (!value.includes("=") && value.includes("@")) {
+                    throw new Error(`${arg} ${value} reads a file, which the browser can't do.`);
+                }
+                data.push(urlEncodeData(value));
+                break;
+            case "json":
+                json = true;
+                data.push(value);
+                break;
+            case "user":
+                headers.push(["Authorization", `Basic ${base64Utf8(value.includes(":") ? value : `${value}:`)}`]);
+                break;
+            case "user-agent":
+                headers.push(["User-Agent", value]);
+                break;
+            case "referer":
+                headers.push(["Referer", value]);
+                break;
+            case "cookie":
+                if (!value.includes("=")) throw new Error(`${arg} ${value} reads a cookie file, which the browser can't do.`);
+                headers.push(["Cookie", value]);
+                break;
+            default:
+                url = value;
+        }
+    }
+
+    if (!url) throw new Error("No URL found in the command.");
+
+    const hasHeader = (name) => headers.some(([key]) => key.toLowerCase() === name);
+    let body = data.length > 0 ? data.join("&") : null;
+
+    // -G sends the data as the query string instead of a body.
+    if (get && body !== null) {
+        url += `${url.includes("?") ? "&" : "?"}${body}`;
+        body = null;
+    }
+    if (json) {
+        if (!hasHeader("content-type")) headers.push(["Content-Type", "application/json"]);
+        if (!hasHeader("accept")) headers.push(["Accept", "application/json"]);
+    } else if (body !== null && !hasHeader("content-type")) {
+        // What curl sends for -d without a Content-Type of its own.
+        headers.push(["Content-Type", "application/x-www-form-urlencoded"]);
+    }
+
+    method ??= head ? "HEAD" : get || body === null ? "GET" : "POST";
+    return { method, url, headers, body };
+}
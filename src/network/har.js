@@ -0,0 +1,209 @@
+import { useSyncExternalStore } from "react";
+import { setApiMode } from "../api/settings";
+import { MOCK_API_BASE, MOCK_API_PREFIX } from "../mock/constants";
+
+// HAR 1.2 export of recorded requests, and import of a HAR file into the mock
+// server so its responses are replayed.
+// Spec: http://www.softwareishard.com/blog/har-12-spec/
+
+const REPLAY_URL = `${MOCK_API_BASE}/_replay`;
+
+const toPairs = (object) => Object.entries(object ?? {}).map(([name, value]) => ({ name, value: String(value) }));
+
+function queryString(url) {
+    try {
+        return [...new URL(url).searchParams.entries()].map(([name, value]) => ({ name, value }));
+    } catch {
+        return [];
+    }
+}
+
+function toHarEntry(entry) {
+    const failed = entry.status === undefined;
+    const time = entry.duration ?? 0;
+
+    return {
+        startedDateTime: new Date(entry.startedAtDate).toISOString(),
+        time,
+        request: {
+            method: entry.method,
+            url: entry.url,
+            httpVersion: "HTTP/1.1",
+            cookies: [],
+            headers: toPairs(entry.requestHeaders),
+            queryString: queryString(entry.url),
+            ...(entry.postData && { postData: entry.postData }),
+            headersSize: -1,
+            bodySize: entry.postData?.text?.length ?? (entry.postData ? -1 : 0),
+        },
+        response: {
+            status: failed ? 0 : entry.status,
+            statusText: failed ? "" : entry.statusText ?? "",
+            httpVersion: "HTTP/1.1",
+            cookies: [],
+            headers: toPairs(entry.responseHeaders),
+            content: entry.content ?? { size: 0, mimeType: "" },
+            redirectURL: "",
+            headersSize: -1,
+            bodySize: entry.size ?? -1,
+            ...(entry.error && { _error: entry.error }),
+        },
+        cache: {},
+        timings: { send: 0, wait: time, receive: 0 },
+        _lesson: entry.lesson,
+        _initiator: entry.initiator,
+    };
+}
+
+// A lesson's log travels in log.comment, one "<ISO time> <type>: <message>" line
+// per entry, so HAR viewers show it as plain text and parseHar can read it back.
+const LOG_LINE = /^(\d{4}-\d{2}-\d{2}T[\d:.]+Z) (\w+): (.*)$/;
+
+function toLogComment(logs) {
+    return logs.map(({ msg, type, timestamp }) => `${new Date(timestamp).toISOString()} ${type}: ${msg}`).join("\n");
+}
+
+function fromLogComment(comment) {
+    const logs = [];
+    for (const line of comment.split("\n")) {
+        const match = LOG_LINE.exec(line);
+        if (match) {
+            logs.push({ msg: match[3], type: match[2], timestamp: Date.parse(match[1]) });
+        } else if (logs.length > 0) {
+            // A message that spanned several lines.
+            logs[logs.length - 1].msg += `\n${line}`;
+        }
+    }
+    return logs;
+}
+
+/**
+ * Builds a HAR 1.2 log from network recorder entries. Requests still in flight are left out.
+ * `logs` are the lesson's log lines ({ msg, type, timestamp }), written to `log.comment`.
+ */
+export function toHar(entries, logs = []) {
+    return {
+        log: {
+            version: "1.2",
+            creator: { name: "build-it-api-fetching", version: "1.0" },
+            entries: entries
+                .filter((entry) => entry.state !== "pending" && !/\/_(?:replay|network)\b/.test(entry.url))
+                .map(toHarEntry),
+            ...(logs.length > 0 && { comment: toLogComment(logs) }),
+        },
+    };
+}
+
+export function downloadHar(entries, fileName, logs) {
+    const blob = new Blob([JSON.stringify(toHar(entries, logs), null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Revoking in the same task can cancel the download in Safari and Firefox.
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Mock requests keep their path minus the /mock-api prefix; real Cat API
+// requests (https://api.thecatapi.com/v1/...) already start with /v1.
+function mockPath(pathname) {
+    return pathname.startsWith(MOCK_API_PREFIX) ? pathname.slice(MOCK_API_PREFIX.length) : pathname;
+}
+
+/**
+ * Reads a HAR file into the entries the mock replay understands, plus the
+ * lesson log lines exported with it.
+ * Throws an Error with a readable message when the file isn't usable.
+ *
+ * @param {string} text
+ * @returns {{ entries: object[], logs: { msg: string, type: string, timestamp: number }[] }}
+ */
+export function parseHar(text) {
+    let har;
+    try {
+        har = JSON.parse(text);
+    } catch {
+        throw new Error("Not a HAR file: it isn't valid JSON.");
+    }
+    if (!Array.isArray(har?.log?.entries)) {
+        throw new Error("Not a HAR file: log.entries is missing.");
+    }
+
+    const entries = har.log.entries.flatMap(({ request, response, time }) => {
+        if (!request?.url || !response) return [];
+        let url;
+        try {
+            url = new URL(request.url);
+        } catch {
+            return [];
+        }
+        const content = response.content ?? {};
+        return [{
+            method: request.method ?? "GET",
+            path: mockPath(url.pathname),
+            query: [...url.searchParams.entries()],
+            status: response.status ?? 0,
+            statusText: response.statusText ?? "",
+            headers: (response.headers ?? []).map(({ name, value }) => [name, value]),
+            body: content.text ?? null,
+            encoding: content.encoding,
+            time: Math.max(Math.round(time ?? 0), 0),
+        }];
+    });
+    if (entries.length === 0) {
+        throw new Error("The HAR file has no requests to replay.");
+    }
+    const logs = typeof har.log.comment === "string" ? fromLogComment(har.log.comment) : [];
+    return { entries, logs };
+}
+
+// ---- Replay state, mirrored from the mock server ----
+
+let replay = { active: false };
+const listeners = new Set();
+
+function setReplay(next) {
+    replay = next;
+    listeners.forEach((listener) => listener());
+}
+
+function subscribeReplay(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export function useReplay() {
+    return useSyncExternalStore(subscribeReplay, () => replay);
+}
+
+async function replayRequest(init) {
+    const response = await fetch(REPLAY_URL, init);
+    if (!response.ok) {
+        throw new Error(`The mock server refused the replay (HTTP ${response.status}).`);
+    }
+    setReplay(await response.json());
+}
+
+/** Asks the mock server whether a replay is loaded (it outlives page reloads). */
+export function refreshReplay() {
+    return replayRequest().catch(() => {});
+}
+
+/**
+ * Loads a HAR file into the mock server and switches the app to the mock API
+ * so the recorded responses are what lessons receive.
+ */
+export async function startReplay(text, source) {
+    const { entries, logs } = parseHar(text);
+    await replayRequest({
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ source, entries, logs }),
+    });
+    setApiMode("mock");
+}
+
+export function stopReplay() {
+    return replayRequest({ method: "DELETE" });
+}
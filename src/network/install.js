@@ -0,0 +1,6 @@
+import { installNetworkRecorder } from "./recorder";
+
+// Imported by main.jsx ahead of App: modules that call axios.create() when
+// they load (APIMethodsComparison, through createApi()) must see the recorded
+// default adapter.
+installNetworkRecorder();
@@ -0,0 +1,320 @@
+import { useSyncExternalStore } from "react";
+import axios from "axios";
+
+// Records every request the app makes (fetch, XMLHttpRequest and axios, which
+// sends through XHR) so the network drawer can show them next to the lesson.
+
+const MAX_ENTRIES = 300;
+const PREVIEW_LENGTH = 2000;
+// Full bodies are kept (for HAR export) up to this size.
+const MAX_CAPTURE = 512 * 1024;
+const TEXT_TYPES = /^text\/|json|xml|javascript|x-www-form-urlencoded/;
+
+let entries = [];
+let nextId = 1;
+// Set while an axios adapter runs so the XHR it opens is labelled "axios".
+let initiator = null;
+const listeners = new Set();
+let notifyQueued = false;
+
+// Requests can start while React is rendering (use() creating a promise, for
+// one), so subscribers hear about changes after the current task, batched.
+function notify() {
+    if (notifyQueued) return;
+    notifyQueued = true;
+    queueMicrotask(() => {
+        notifyQueued = false;
+        listeners.forEach((listener) => listener());
+    });
+}
+
+function addEntry(entry) {
+    const id = nextId++;
+    entries = [
+        ...entries.slice(-(MAX_ENTRIES - 1)),
+        { id, lesson: currentLesson(), state: "pending", startedAt: performance.now(), startedAtDate: Date.now(), ...entry },
+    ];
+    notify();
+    return id;
+}
+
+function updateEntry(id, patch) {
+    entries = entries.map((entry) => (entry.id === id ? { ...entry, ...patch } : entry));
+    notify();
+}
+
+function finishEntry(id, patch) {
+    const entry = entries.find((candidate) => candidate.id === id);
+    if (!entry) return;
+    updateEntry(id, { duration: Math.round(performance.now() - entry.startedAt), ...patch });
+}
+
+export function subscribeNetworkLog(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export function getNetworkLog() {
+    return entries;
+}
+
+export function useNetworkLog() {
+    return useSyncExternalStore(subscribeNetworkLog, getNetworkLog);
+}
+
+export function clearNetworkLog() {
+    entries = [];
+    notify();
+}
+
+// Read from the URL when the request starts: lesson pages fetch from their own
+// effects, which run before anything above them could record a route change.
+function currentLesson() {
+    return location.pathname.match(/\/lesson\/([^/]+)/)?.[1] ?? null;
+}
+
+// ---- Previews ----
+
+function absoluteUrl(url) {
+    try {
+        return new URL(url, location.href).href;
+    } catch {
+        return String(url);
+    }
+}
+
+function headersToObject(headers) {
+    return Object.fromEntries(new Headers(headers ?? {}).entries());
+}
+
+function parseRawHeaders(raw) {
+    return Object.fromEntries(
+        raw
+            .trim()
+            .split(/[\r\n]+/)
+            .filter(Boolean)
+            .map((line) => {
+                const index = line.indexOf(":");
+                return [line.slice(0, index).trim().toLowerCase(), line.slice(index + 1).trim()];
+            })
+    );
+}
+
+function truncate(text) {
+    return text.length > PREVIEW_LENGTH ? `${text.slice(0, PREVIEW_LENGTH)}\n… (${text.length} characters)` : text;
+}
+
+function describeRequestBody(body) {
+    if (body === undefined || body === null) return null;
+    if (typeof body === "string") return truncate(body);
+    if (body instanceof URLSearchParams) return truncate(body.toString());
+    if (body instanceof FormData) {
+        return [...body.entries()]
+            .map(([name, value]) => `${name}: ${typeof value === "string" ? value : `[file ${value.name}, ${value.size} bytes]`}`)
+            .join("\n");
+    }
+    if (body instanceof Blob) return `[${body.type || "blob"}, ${body.size} bytes]`;
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return `[binary, ${body.byteLength} bytes]`;
+    return `[${body.constructor?.name ?? typeof body}]`;
+}
+
+function capturePostData(body, headers) {
+    const mimeType = new Headers(headers ?? {}).get("content-type") ?? "";
+    if (typeof body === "string") return { mimeType: mimeType || "text/plain", text: body };
+    if (body instanceof URLSearchParams) {
+        return { mimeType: mimeType || "application/x-www-form-urlencoded", text: body.toString() };
+    }
+    if (body instanceof FormData) {
+        return {
+            mimeType: "multipart/form-data",
+            params: [...body.entries()].map(([name, value]) => (typeof value === "string"
+                ? { name, value }
+                : { name, fileName: value.name, contentType: value.type })),
+        };
+    }
+    return null;
+}
+
+function toBase64(bytes) {
+    let binary = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/** Size, a readable preview and (when small enough) the full body of a response. */
+function describeResponse(bytes, contentType) {
+    const mimeType = contentType ?? "";
+    const isText = TEXT_TYPES.test(mimeType);
+    const text = isText ? new TextDecoder().decode(bytes) : null;
+
+    let content = { mimeType, size: bytes.byteLength };
+    if (bytes.byteLength > MAX_CAPTURE) {
+        content = { ...content, comment: "body too large to keep" };
+    } else if (isText) {
+        content = { ...content, text };
+    } else if (bytes.byteLength > 0) {
+        content = { ...content, text: toBase64(bytes), encoding: "base64" };
+    }
+
+    let responseBody = "";
+    if (bytes.byteLength > 0) {
+        responseBody = isText ? truncate(text) : `[${mimeType || "binary"}, ${bytes.byteLength} bytes]`;
+    }
+    return { size: bytes.byteLength, responseBody, content };
+}
+
+// ---- fetch ----
+
+function instrumentFetch() {
+    const originalFetch = window.fetch;
+
+    window.fetch = async function recordedFetch(input, init = {}) {
+        const request = input instanceof Request ? input : null;
+        const id = addEntry({
+            initiator: initiator ?? "fetch",
+            method: (init.method ?? request?.method ?? "GET").toUpperCase(),
+            url: absoluteUrl(request?.url ?? input),
+            requestHeaders: headersToObject(init.headers ?? request?.headers),
+            requestBody: describeRequestBody(init.body),
+            postData: capturePostData(init.body, init.headers ?? request?.headers),
+        });
+
+        let response;
+        try {
+            response = await originalFetch.call(this, input, init);
+        } catch (error) {
+            finishEntry(id, {
+                state: error.name === "AbortError" ? "aborted" : "failed",
+                error: `${error.name}: ${error.message}`,
+            });
+            throw error;
+        }
+
+        updateEntry(id, {
+            status: response.status,
+            statusText: response.statusText,
+            responseHeaders: headersToObject(response.headers),
+        });
+        // Read a copy so the caller still gets an unread body.
+        response
+            .clone()
+            .arrayBuffer()
+            .then(
+                (buffer) => finishEntry(id, {
+                    state: "done",
+                    ...describeResponse(new Uint8Array(buffer), response.headers.get("content-type")),
+                }),
+                (error) => finishEntry(id, {
+                    state: error.name === "AbortError" ? "aborted" : "failed",
+                    error: `Body: ${error.name}: ${error.message}`,
+                })
+            );
+        return response;
+    };
+}
+
+// ---- XMLHttpRequest ----
+
+// The body as bytes, whatever responseType the caller asked for.
+async function xhrResponseBytes(xhr) {
+    switch (xhr.responseType) {
+        case "":
+        case "text":
+            return new TextEncoder().encode(xhr.responseText);
+        case "json":
+            return new TextEncoder().encode(xhr.response === null ? "" : JSON.stringify(xhr.response));
+        case "arraybuffer":
+            return new Uint8Array(xhr.response ?? new ArrayBuffer(0));
+        case "blob":
+            return new Uint8Array(xhr.response ? await xhr.response.arrayBuffer() : new ArrayBuffer(0));
+        default:
+            // "document": re-serialise the parsed tree.
+            return new TextEncoder().encode(xhr.response?.documentElement?.outerHTML ?? "");
+    }
+}
+
+function instrumentXhr() {
+    const proto = XMLHttpRequest.prototype;
+    const { open, send, setRequestHeader } = proto;
+    const pending = new WeakMap();
+
+    proto.open = function recordedOpen(method, url, ...rest) {
+        pending.set(this, {
+            initiator: initiator ?? "xhr",
+            method: String(method).toUpperCase(),
+            url: absoluteUrl(url),
+            requestHeaders: {},
+        });
+        return open.call(this, method, url, ...rest);
+    };
+
+    proto.setRequestHeader = function recordedSetRequestHeader(name, value) {
+        const entry = pending.get(this);
+        if (entry) entry.requestHeaders[name.toLowerCase()] = value;
+        return setRequestHeader.call(this, name, value);
+    };
+
+    proto.send = function recordedSend(body) {
+        const entry = pending.get(this);
+        if (entry) {
+            const id = addEntry({
+                ...entry,
+                requestBody: describeRequestBody(body),
+                postData: capturePostData(body, entry.requestHeaders),
+            });
+            let ending = null;
+            this.addEventListener("abort", () => { ending = "aborted"; });
+            this.addEventListener("timeout", () => { ending = "timeout"; });
+            this.addEventListener("loadend", async () => {
+                if (this.status === 0) {
+                    finishEntry(id, {
+                        state: ending === "aborted" ? "aborted" : "failed",
+                        error: ending === "timeout" ? "Timed out" : ending === "aborted" ? "Aborted" : "Network error",
+                    });
+                    return;
+                }
+                const contentType = this.getResponseHeader("content-type");
+                finishEntry(id, {
+                    state: "done",
+                    status: this.status,
+                    statusText: this.statusText,
+                    responseHeaders: parseRawHeaders(this.getAllResponseHeaders()),
+                    ...describeResponse(await xhrResponseBytes(this), contentType),
+                });
+            });
+        }
+        return send.call(this, body);
+    };
+}
+
+// ---- axios ----
+
+// Instances made with axios.create() copy these defaults, so wrapping the
+// default adapter covers every instance created after install, and only
+// those: an instance keeps the adapter it copied. src/network/install.js runs
+// this before any lesson module loads.
+function instrumentAxios() {
+    const adapters = axios.defaults.adapter;
+    axios.defaults.adapter = function recordedAdapter(config) {
+        const adapter = axios.getAdapter(adapters, config);
+        initiator = "axios";
+        try {
+            return adapter(config);
+        } finally {
+            initiator = null;
+        }
+    };
+}
+
+let installed = false;
+
+/** Patches fetch, XMLHttpRequest and axios once; call before any module creates an axios instance. */
+export function installNetworkRecorder() {
+    if (installed || typeof window === "undefined") return;
+    installed = true;
+    instrumentFetch();
+    instrumentXhr();
+    instrumentAxios();
+}
@@ -1,9 +1,27 @@
 import { useState, useRef } from "react";
 import axios from "axios";
-import { useQuery } from "@tanstack/react-query";
+import { useMutation, useQuery } from "@tanstack/react-query";
 import { animations, diagrams } from "../Animations";
+import { apiUrl, getApiBase, useApiMode } from "../api/settings";
+import { toApiError } from "../api/errors";
+import { createApi, fetchJson } from "../api/http";
+import { useRunScope } from "../lifecycle/useRunScope";
+import CodeGenerator from "../components/CodeGenerator";
+import ErrorNotice from "../components/ErrorNotice";
 
-const CAT_API = "https://api.thecatapi.com/v1/images/search";
+// The "improved" instance: the app's Cat API setup plus logging interceptors,
+// which stay in this lesson instead of logging every call the app makes.
+const api = createApi();
+
+api.interceptors.request.use((config) => {
+  console.log("Request:", config.method?.toUpperCase(), config.url);
+  return config;
+});
+
+api.interceptors.response.use((response) => {
+  console.log("Response:", response.status);
+  return response;
+});
 
 const methodDescriptions = {
   native: {
@@ -52,22 +70,58 @@ const methodDescriptions = {
   }
 };
 
+// Which generated snippet each method's code panel opens on.
+const CODE_CLIENTS = {
+  native: "fetch",
+  axios: "axios",
+  "axios-improved": "axios",
+  "react-query": "react-query",
+};
+
+// "Name: value" per line, as typed in the headers box.
+function parseHeaderLines(text) {
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const index = line.indexOf(":");
+      return index === -1 ? [line, ""] : [line.slice(0, index).trim(), line.slice(index + 1).trim()];
+    })
+    .filter(([name]) => name);
+}
+
+// axios serialises objects itself; anything that isn't JSON goes as text.
+function axiosData(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
 // animations and diagrams imported from src/Animations/index.js
 export default function APIMethodsComparison() {
+  const apiMode = useApiMode();
   const [activeMethod, setActiveMethod] = useState("native");
   const [catImage, setCatImage] = useState(null);
+  const [error, setError] = useState(null);
   const [loading, setLoading] = useState(false);
   const [isAnimating, setIsAnimating] = useState(false);
   const [animationKey, setAnimationKey] = useState(0);
   const [showResult, setShowResult] = useState(true);
+  // The request every example sends, and the generated code shows.
+  const [requestMethod, setRequestMethod] = useState("GET");
+  const [requestPath, setRequestPath] = useState("/images/search");
+  const [headersText, setHeadersText] = useState("Accept: application/json");
+  const [bodyText, setBodyText] = useState('{\n  "image_id": "mock-tabby"\n}');
   const pendingImageRef = useRef(null);
-  const animationTimeoutRef = useRef(null);
+  // Each click is a run: starting another one (or leaving the lesson) aborts
+  // the request in flight and clears the animation timer.
+  const runs = useRunScope();
 
   function stopAnimationCycle() {
-    if (animationTimeoutRef.current) {
-      clearTimeout(animationTimeoutRef.current);
-      animationTimeoutRef.current = null;
-    }
+    runs.cancel("animation finished");
     setIsAnimating(false);
     setShowResult(true);
     if (pendingImageRef.current) {
@@ -76,31 +130,57 @@ export default function APIMethodsComparison() {
   }
 
   function startAnimationCycle() {
-    if (animationTimeoutRef.current) {
-      clearTimeout(animationTimeoutRef.current);
-    }
+    const run = runs.start();
     setIsAnimating(true);
     setShowResult(false);
     setCatImage(null);
+    setError(null);
     setAnimationKey((prev) => prev + 1);
-    animationTimeoutRef.current = setTimeout(() => {
+    pendingImageRef.current = null;
+    run.setTimeout(() => {
       stopAnimationCycle();
     }, 6300);
+    return run;
+  }
+
+  const sendsBody = requestMethod !== "GET";
+  const headers = parseHeaderLines(headersText);
+  const request = {
+    method: requestMethod,
+    url: apiUrl(requestPath),
+    headers,
+    body: sendsBody ? { type: "json", text: bodyText } : null,
+  };
+  const fetchInit = {
+    method: requestMethod,
+    headers: Object.fromEntries(sendsBody ? [["Content-Type", "application/json"], ...headers] : headers),
+    ...(sendsBody && { body: bodyText }),
+  };
+  const axiosConfig = {
+    method: requestMethod.toLowerCase(),
+    headers: Object.fromEntries(headers),
+    ...(sendsBody && { data: axiosData(bodyText) }),
+  };
+  // The cat endpoints answer with a list of images; anything else has no picture to show.
+  const imageOf = (data) => (Array.isArray(data) ? data[0]?.url ?? null : null);
+
+  // Every example fails the same way: the error model from src/api/errors.js.
+  function showError(run, error) {
+    if (!run.active) return;
+    console.error(error);
+    setError(toApiError(error));
+    stopAnimationCycle();
   }
 
   // NATIVE FETCH
   const handleNativeFetch = async () => {
     setLoading(true);
-    startAnimationCycle();
-    pendingImageRef.current = null;
+    const run = startAnimationCycle();
     try {
-      const response = await fetch(CAT_API);
-      if (!response.ok) throw new Error("Request failed");
-      const data = await response.json();
-      pendingImageRef.current = data[0].url;
+      const data = await fetchJson(apiUrl(requestPath), { ...fetchInit, signal: run.signal });
+      pendingImageRef.current = imageOf(data);
     } catch (error) {
-      console.error(error);
-      stopAnimationCycle();
+      showError(run, error);
     }
     setLoading(false);
   };
@@ -108,82 +188,61 @@ export default function APIMethodsComparison() {
   // AXIOS
   const handleAxios = async () => {
     setLoading(true);
-    startAnimationCycle();
-    pendingImageRef.current = null;
+    const run = startAnimationCycle();
     try {
-      const response = await axios.get(CAT_API);
-      pendingImageRef.current = response.data[0].url;
+      const response = await axios.request({ ...axiosConfig, url: apiUrl(requestPath), signal: run.signal });
+      pendingImageRef.current = imageOf(response.data);
     } catch (error) {
-      console.error(error);
-      stopAnimationCycle();
+      // Plain axios rejects with an AxiosError; toApiError maps it onto the model.
+      showError(run, error);
     }
     setLoading(false);
   };
 
-  // AXIOS IMPROVED (with interceptors)
-  const axiosInstanceRef = useRef(null);
-
-  if (!axiosInstanceRef.current) {
-    axiosInstanceRef.current = axios.create({
-      baseURL: "https://api.thecatapi.com/v1",
-      timeout: 10000,
-    });
-
-    axiosInstanceRef.current.interceptors.request.use(
-      (config) => {
-        console.log("Request:", config.method?.toUpperCase(), config.url);
-        return config;
-      },
-      (error) => Promise.reject(error)
-    );
-
-    axiosInstanceRef.current.interceptors.response.use(
-      (response) => {
-        console.log("Response:", response.status);
-        return response;
-      },
-      (error) => Promise.reject(error)
-    );
-  }
-
+  // AXIOS IMPROVED: the lesson's instance built by createApi() (src/api/http.js),
+  // whose interceptors log, follow the mock/real switch and map errors onto the model.
   const handleAxiosImproved = async () => {
     setLoading(true);
-    startAnimationCycle();
-    pendingImageRef.current = null;
+    const run = startAnimationCycle();
     try {
-      const response = await axiosInstanceRef.current.get("/images/search");
-      pendingImageRef.current = response.data[0].url;
+      const response = await api.request({ ...axiosConfig, url: requestPath, signal: run.signal });
+      pendingImageRef.current = imageOf(response.data);
     } catch (error) {
-      console.error(error);
-      stopAnimationCycle();
+      showError(run, error);
     }
     setLoading(false);
   };
 
   // REACT QUERY
   const { isLoading, refetch } = useQuery({
-    queryKey: ["cat-image"],
-    queryFn: async () => {
-      const response = await fetch(CAT_API);
-      if (!response.ok) throw new Error("Request failed");
-      return response.json();
-    },
+    queryKey: ["cat-image", apiMode, requestPath, headersText],
+    // React Query aborts this signal when the query is cancelled or loses its last observer
+    queryFn: ({ signal }) => fetchJson(apiUrl(requestPath), { ...fetchInit, signal }),
     enabled: false,
+    // Show the first failure within the animation; the retry lesson covers retries.
+    retry: false,
+  });
+
+  // Anything but GET changes data on the server, which React Query models as a mutation.
+  const mutation = useMutation({
+    mutationFn: () => fetchJson(apiUrl(requestPath), fetchInit),
   });
 
   const handleReactQuery = () => {
-    startAnimationCycle();
-    pendingImageRef.current = null;
-    refetch()
+    const run = startAnimationCycle();
+    const settled = sendsBody
+      ? mutation.mutateAsync().then((data) => ({ data }))
+      : refetch();
+    settled
       .then((result) => {
-        if (result.data) {
-          pendingImageRef.current = result.data[0].url;
+        // refetch() resolves even when the query fails; the error is on the result.
+        if (result.error) {
+          showError(run, result.error);
+        } else if (run.active && result.data) {
+          pendingImageRef.current = imageOf(result.data);
         }
       })
-      .catch((err) => {
-        console.error(err);
-        stopAnimationCycle();
-      });
+      .catch((err) => showError(run, err));
   };
 
   return (
@@ -292,17 +351,62 @@ export default function APIMethodsComparison() {
                 <h3 className="text-xl font-bold text-white">Code Example</h3>
               </div>
 
+              {/* The request behind every example */}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-5 text-xs">
+                <div className="flex gap-2 md:col-span-2">
+                  <select
+                    value={requestMethod}
+                    onChange={(e) => setRequestMethod(e.target.value)}
+                    className="px-3 py-2 bg-slate-950 border border-slate-700 rounded-lg font-mono font-bold text-purple-300"
+                    aria-label="HTTP method"
+                  >
+                    {["GET", "POST", "PUT", "PATCH", "DELETE"].map((method) => (
+                      <option key={method} value={method}>{method}</option>
+                    ))}
+                  </select>
+                  <span className="self-center font-mono text-slate-500 hidden sm:inline">{getApiBase()}</span>
+                  <input
+                    value={requestPath}
+                    onChange={(e) => setRequestPath(e.target.value)}
+                    className="flex-1 px-3 py-2 bg-slate-950 border border-slate-700 rounded-lg font-mono"
+                    aria-label="Request path"
+                    spellCheck={false}
+                  />
+                </div>
+                <label className={sendsBody ? "" : "md:col-span-2"}>
+                  <span className="block text-slate-400 mb-1">Headers (one "Name: value" per line)</span>
+                  <textarea
+                    value={headersText}
+                    onChange={(e) => setHeadersText(e.target.value)}
+                    rows={3}
+                    className="w-full px-3 py-2 bg-slate-950 border border-slate-700 rounded-lg font-mono"
+                    spellCheck={false}
+                  />
+                </label>
+                {sendsBody && (
+                  <label>
+                    <span className="block text-slate-400 mb-1">JSON body</span>
+                    <textarea
+                      value={bodyText}
+                      onChange={(e) => setBodyText(e.target.value)}
+                      rows={3}
+                      className="w-full px-3 py-2 bg-slate-950 border border-slate-700 rounded-lg font-mono"
+                      spellCheck={false}
+                    />
+                  </label>
+                )}
+              </div>
+
               {activeMethod === "native" && (
                 <>
-                  <pre className="bg-gradient-to-br from-slate-950 to-slate-900 rounded-xl p-5 text-xs text-slate-100 overflow-auto mb-5 border border-slate-800 shadow-inner font-mono leading-relaxed">
-                    {`// native-fetch
-async function fetchCat() {
-  const response = await fetch(url);
-  if (!response.ok) throw new Error();
-  const data = await response.json();
-  return data[0].url;
-}`}
-                  </pre>
+                  <div className="mb-5">
+                    <CodeGenerator
+                      key={activeMethod}
+                      request={request}
+                      initialClient={CODE_CLIENTS[activeMethod]}
+                      options={activeMethod === "axios-improved" ? { axiosInstance: true } : undefined}
+                    />
+                  </div>
                   <button
                     onClick={handleNativeFetch}
                     disabled={loading}
@@ -315,14 +419,14 @@ async function fetchCat() {
 
               {activeMethod === "axios" && (
                 <>
-                  <pre className="bg-gradient-to-br from-slate-950 to-slate-900 rounded-xl p-5 text-xs text-slate-100 overflow-auto mb-5 border border-slate-800 shadow-inner font-mono leading-relaxed">
-                    {`// axios
-// npm install axios
-async function fetchCat() {
-  const response = await axios.get(url);
-  return response.data[0].url;
-}`}
-                  </pre>
+                  <div className="mb-5">
+                    <CodeGenerator
+                      key={activeMethod}
+                      request={request}
+                      initialClient={CODE_CLIENTS[activeMethod]}
+                      options={activeMethod === "axios-improved" ? { axiosInstance: true } : undefined}
+                    />
+                  </div>
                   <button
                     onClick={handleAxios}
                     disabled={loading}
@@ -335,18 +439,14 @@ async function fetchCat() {
 
               {activeMethod === "axios-improved" && (
                 <>
-                  <pre className="bg-gradient-to-br from-slate-950 to-slate-900 rounded-xl p-5 text-xs text-slate-100 overflow-auto mb-5 border border-slate-800 shadow-inner font-mono leading-relaxed">
-                    {`// axios-improved
-const api = axios.create({ ... });
-
-api.interceptors.request.use(
-  config => { /* log/modify */ return config; }
-);
-api.interceptors.response.use(
-  res => { /* handle */ return res; }
-);
-`}
-                  </pre>
+                  <div className="mb-5">
+                    <CodeGenerator
+                      key={activeMethod}
+                      request={request}
+                      initialClient={CODE_CLIENTS[activeMethod]}
+                      options={activeMethod === "axios-improved" ? { axiosInstance: true } : undefined}
+                    />
+                  </div>
                   <button
                     onClick={handleAxiosImproved}
                     disabled={loading}
@@ -359,22 +459,20 @@ api.interceptors.response.use(
 
               {activeMethod === "react-query" && (
                 <>
-                  <pre className="bg-gradient-to-br from-slate-950 to-slate-900 rounded-xl p-5 text-xs text-slate-100 overflow-auto mb-5 border border-slate-800 shadow-inner font-mono leading-relaxed">
-                    {`// react-query
-// npm install @tanstack/react-query
-const { data, isLoading } = useQuery({
-  queryKey: ["cat"],
-  queryFn: () => fetch(url)
-      .then(r => r.json())
-});
-`}
-                  </pre>
+                  <div className="mb-5">
+                    <CodeGenerator
+                      key={activeMethod}
+                      request={request}
+                      initialClient={CODE_CLIENTS[activeMethod]}
+                      options={activeMethod === "axios-improved" ? { axiosInstance: true } : undefined}
+                    />
+                  </div>
                   <button
                     onClick={handleReactQuery}
-                    disabled={isLoading}
+                    disabled={isLoading || mutation.isPending}
                     className="w-full px-5 py-3.5 bg-gradient-to-r from-purple-600 via-purple-500 to-fuchsia-500 hover:from-purple-500 hover:via-purple-400 hover:to-fuchsia-400 disabled:opacity-50 disabled:cursor-not-allowed rounded-xl font-bold text-white shadow-lg hover:shadow-purple-500/50 transition-all duration-300 hover:scale-105"
                   >
-                    {isLoading ? "⏳ Loading..." : "▶ Run Example"}
+                    {isLoading || mutation.isPending ? "⏳ Loading..." : "▶ Run Example"}
                   </button>
                 </>
               )}
@@ -407,6 +505,8 @@ const { data, isLoading } = useQuery({
             </div>
           </div>
 
+          {showResult && error && <ErrorNotice error={error} className="fade-in" />}
+
           {/* Enhanced Cat Image Result */}
           {showResult && catImage && (
             <div className="bg-gradient-to-br from-slate-900/80 to-slate-800/80 backdrop-blur-xl rounded-2xl p-6 sm:p-7 lg:p-8 border border-slate-700/50 shadow-2xl fade-in">
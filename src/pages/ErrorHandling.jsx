@@ -1,117 +1,290 @@
 import { useState } from "react";
+import { apiUrl, failureUrls, useApiMode } from "../api/settings";
+import { AbortError, HttpError, NetworkError, ParseError, TimeoutError, toApiError } from "../api/errors";
+import { apiFetch, readJson } from "../api/http";
+import { useRequestLifecycle } from "../lifecycle/useRequestLifecycle";
+import HarExportButton from "../components/HarExportButton";
+
+const REQUEST_TIMEOUT = 3000;
+const ABORT_AFTER = 1000;
+const PROBE_TIMEOUT = 3000;
+
+/**
+ * Every failure the lesson can provoke. `url` names the failureUrls() entry
+ * that produces it (null: the normal search endpoint); `check` is how the
+ * catch block recognises it, `message` what the user is told and `recovery`
+ * what the app should do next.
+ */
+const SCENARIOS = {
+    success: {
+        label: "Success",
+        description: "Normal request",
+        color: "green",
+        category: null,
+        url: null,
+        check: "apiFetch() resolves and readJson() parses the body",
+        message: "Everything went well. Data loaded successfully.",
+        recovery: "Nothing to recover from.",
+    },
+    http: {
+        label: "HTTP 404",
+        description: "Endpoint not found",
+        color: "yellow",
+        category: "http",
+        url: "http",
+        check: "HttpError with a 4xx status",
+        message: "We couldn't find what you were looking for.",
+        recovery: "Don't retry: the same request fails the same way. Check the URL or ID, or show a not-found state.",
+    },
+    unauthorized: {
+        label: "401 Unauthorized",
+        description: "Missing or expired credentials",
+        color: "yellow",
+        category: "http",
+        url: "unauthorized",
+        check: "HttpError, status 401 (see WWW-Authenticate)",
+        message: "Your session has expired. Please sign in again.",
+        recovery: "Refresh the token once and replay the request; if that fails too, send the user to sign in.",
+    },
+    forbidden: {
+        label: "403 Forbidden",
+        description: "Signed in, but not allowed",
+        color: "yellow",
+        category: "http",
+        url: "forbidden",
+        check: "HttpError, status 403",
+        message: "You don't have permission to do that.",
+        recovery: "Don't retry and don't sign the user out: hide the action or offer to request access.",
+    },
+    "rate-limited": {
+        label: "429 Too Many",
+        description: "Rate limited, with Retry-After",
+        color: "yellow",
+        category: "http",
+        url: "rateLimited",
+        check: "HttpError, status 429; error.retryAfter",
+        message: (error) => `You're going a bit fast. Please try again in ${error.retryAfter ?? "a few"} seconds.`,
+        recovery: "Wait the Retry-After delay before the next attempt and slow the caller down (debounce, queue).",
+    },
+    server: {
+        label: "500 Server Error",
+        description: "Bug on the server",
+        color: "orange",
+        category: "http",
+        url: "serverError",
+        check: "HttpError, status >= 500",
+        message: "Something went wrong on our side. Please try again.",
+        recovery: "Retry a few times with exponential backoff, then report it; the request itself may be fine.",
+    },
+    unavailable: {
+        label: "503 Unavailable",
+        description: "Maintenance or overload",
+        color: "orange",
+        category: "http",
+        url: "unavailable",
+        check: "HttpError, status 503; error.retryAfter",
+        message: (error) => `The service is temporarily unavailable. We'll try again in ${error.retryAfter ?? "a few"} seconds.`,
+        recovery: "Honour Retry-After (or back off), keep showing cached data, and retry automatically.",
+    },
+    network: {
+        label: "Network Error",
+        description: "No connection",
+        color: "red",
+        category: "network",
+        url: "network",
+        check: "NetworkError, and a no-cors probe fails too",
+        message: "Cannot connect to the server. Please check your internet connection.",
+        recovery: "Retry with backoff, or wait for the browser's online event; keep what the user typed.",
+    },
+    timeout: {
+        label: "Timeout",
+        description: `No answer within ${REQUEST_TIMEOUT / 1000} s`,
+        color: "red",
+        category: "network",
+        url: "slow",
+        check: `TimeoutError (apiFetch's timeout: ${REQUEST_TIMEOUT})`,
+        message: "The server is taking too long to respond.",
+        recovery: "Offer a retry; idempotent requests can be retried automatically, ideally with a longer timeout.",
+    },
+    abort: {
+        label: "Aborted",
+        description: `Cancelled after ${ABORT_AFTER / 1000} s`,
+        color: "blue",
+        category: "network",
+        url: "slow",
+        check: "AbortError (controller.abort())",
+        message: "Request cancelled.",
+        recovery: "Usually nothing: the app cancelled it on purpose (new search, unmount), so don't show an error.",
+    },
+    cors: {
+        label: "CORS Rejected",
+        description: "Response blocked by the browser",
+        color: "red",
+        category: "network",
+        url: "cors",
+        check: "NetworkError, but a mode: \"no-cors\" probe reaches the server",
+        message: "This content can't be loaded from this site.",
+        recovery: "Retrying won't help: allow the origin on the server (Access-Control-Allow-Origin) or call it through your own backend.",
+    },
+    empty: {
+        label: "Empty Body",
+        description: "200 with nothing in it",
+        color: "purple",
+        category: "parsing",
+        url: "empty",
+        check: "ParseError, reason \"empty\"",
+        message: "The server sent an empty response.",
+        recovery: "Treat it as \"no data\" where that's valid (204, empty list); otherwise show an empty state and report it.",
+    },
+    parsing: {
+        label: "Truncated JSON",
+        description: "Invalid JSON",
+        color: "purple",
+        category: "parsing",
+        url: "malformed",
+        check: "ParseError, reason \"syntax\"",
+        message: "The server sent data in an unexpected format. Please contact support.",
+        recovery: "Don't retry in a loop; log the raw text for debugging and fall back to cached or empty data.",
+    },
+    "content-type": {
+        label: "Wrong Content-Type",
+        description: "HTML where JSON was expected",
+        color: "purple",
+        category: "parsing",
+        url: "wrongContentType",
+        check: "ParseError, reason \"content-type\"",
+        message: "The server sent something unexpected. Please reload the page.",
+        recovery: "Check Content-Type before parsing: an HTML page usually means a wrong URL, a login redirect or an SPA fallback.",
+    },
+};
+
+const UNKNOWN_FAILURE = {
+    label: "Unknown Error",
+    check: "none of the checks matched",
+    message: "Something went wrong. Please try again.",
+    recovery: "Log it with as much context as possible and offer a retry.",
+};
+
+// Scenarios whose status codes are recognised on their own; any other 4xx is "http".
+const STATUS_SCENARIOS = { 401: "unauthorized", 403: "forbidden", 429: "rate-limited", 503: "unavailable" };
+const PARSE_SCENARIOS = { empty: "empty", "content-type": "content-type", syntax: "parsing" };
+
+const LIFECYCLE_STEPS = {
+    request: 1,
+    pending: 2,
+    parse: 3,
+    caught: 3,
+    done: 4,
+    error: 4,
+};
 
 export default function ErrorHandling() {
-    const [step, setStep] = useState(0);
-    const [mode, setMode] = useState("success");
-    const [status, setStatus] = useState("idle");
+    const { step, status, logs, ...lifecycle } = useRequestLifecycle({
+        id: "errors",
+        steps: LIFECYCLE_STEPS,
+        minStepDuration: 700,
+    });
+    const [requestedMode, setMode] = useState("success");
     const [message, setMessage] = useState("");
-    const [logs, setLogs] = useState([]);
     const [errorDetails, setErrorDetails] = useState(null);
     const [responseStatus, setResponseStatus] = useState(null);
-
-    const addLog = (msg, type = "info") => {
-        setLogs((prev) => [...prev, { msg, type, timestamp: Date.now() }]);
-    };
-
-    const reset = () => {
-        setStep(0);
-        setStatus("idle");
+    const apiMode = useApiMode();
+    const failures = failureUrls();
+    // The real API can't be made to produce most failures; those need the mock.
+    const isAvailable = (id) => id === "parsing" || !SCENARIOS[id].url || failures[SCENARIOS[id].url] !== null;
+    const mode = isAvailable(requestedMode) ? requestedMode : "success";
+    const scenario = SCENARIOS[mode];
+
+    const clearResult = () => {
         setMessage("");
-        setLogs([]);
         setErrorDetails(null);
         setResponseStatus(null);
     };
 
+    const reset = () => {
+        lifecycle.reset();
+        clearResult();
+    };
+
     async function runRequest(selectedMode) {
-        reset();
+        clearResult();
         setMode(selectedMode);
-        setStatus("loading");
-
-        addLog(`Starting ${selectedMode} scenario...`, "info");
-
-        setTimeout(() => {
-            setStep(1);
-            addLog("Browser sending fetch request...", "info");
-        }, 400);
+        const run = lifecycle.begin(`Starting ${SCENARIOS[selectedMode].label} scenario...`);
+
+        const urlKey = SCENARIOS[selectedMode].url;
+        const url = (urlKey && failures[urlKey]) || apiUrl("/images/search");
+        const context = { url, method: "GET" };
+        let signal;
+        let timeout;
+
+        if (selectedMode === "timeout") {
+            timeout = REQUEST_TIMEOUT;
+            run.log(`Slow endpoint, apiFetch gives up after ${REQUEST_TIMEOUT} ms`, "warning");
+        } else if (selectedMode === "abort") {
+            const controller = new AbortController();
+            signal = controller.signal;
+            run.setTimeout(() => controller.abort(), ABORT_AFTER);
+            run.log(`Slow endpoint, calling controller.abort() after ${ABORT_AFTER} ms`, "warning");
+        } else if (selectedMode !== "success") {
+            run.log(`Using ${url} to trigger: ${SCENARIOS[selectedMode].description}`, "warning");
+        }
 
         try {
-            setTimeout(() => {
-                setStep(2);
-                addLog("Waiting for server response...", "info");
-            }, 1000);
-
-            let url = "https://api.thecatapi.com/v1/images/search";
-
-            if (selectedMode === "http") {
-                url = "https://api.thecatapi.com/v1/does-not-exist";
-                addLog(
-                    "Using invalid endpoint to trigger HTTP error",
-                    "warning"
-                );
-            }
-
-            if (selectedMode === "network") {
-                url = "https://this-domain-will-not-resolve.example.test";
-                addLog(
-                    "Using unreachable domain to trigger network error",
-                    "warning"
-                );
-            }
-
-            const response = await fetch(url);
-            setResponseStatus(response.status);
-
-            addLog(
-                `Response received - Status: ${response.status}`,
-                response.ok ? "success" : "warning"
-            );
-
-            if (!response.ok) {
-                addLog(`HTTP Error detected: ${response.status}`, "error");
-                throw new Error("HTTP " + response.status);
-            }
-
-            setTimeout(() => setStep(3), 1800);
+            const response = await apiFetch(url, { fetch: run.fetch, signal, timeout });
+            run.emit("status", {
+                log: `Response received - Status: ${response.status}`,
+                logType: "success",
+                apply: () => setResponseStatus(response.status),
+            });
 
-            if (selectedMode === "parsing") {
-                addLog("Attempting to parse response...", "info");
-                const text = await response.text();
-                addLog("Forcing invalid JSON parse...", "warning");
+            if (selectedMode === "parsing" && !failures.malformed) {
+                await response.text();
+                run.log("Forcing invalid JSON parse...", "warning");
                 JSON.parse("invalid json content");
-            } else {
-                addLog("Parsing JSON response...", "info");
-                await response.json();
             }
+            await readJson(response, context);
 
-            setTimeout(() => {
-                setStep(4);
-                setStatus("success");
-                setMessage("Everything went well. Data loaded successfully.");
-                addLog("Request completed successfully.", "success");
-            }, 2400);
+            run.succeed({
+                log: "Request completed successfully.",
+                apply: () => setMessage(SCENARIOS.success.message),
+            });
         } catch (err) {
-            console.error("Error demo:", err);
-            setErrorDetails({
-                name: err.name,
-                message: err.message,
-                type: getErrorType(err, mode),
+            // A cancelled run is not an error scenario; the log already says why it stopped.
+            if (!run.active) return;
+            const error = toApiError(err, context);
+            console.error("Error demo:", error);
+            if (error instanceof HttpError) {
+                run.emit("status", {
+                    log: `Response received - Status: ${error.status}`,
+                    logType: "warning",
+                    apply: () => setResponseStatus(error.status),
+                });
+            }
+            run.log(`Error caught: ${error.name} - ${error.message}`, "error");
+
+            const detected = await detectFailure(error);
+            if (!run.active) return;
+            const failure = SCENARIOS[detected] ?? UNKNOWN_FAILURE;
+            const userMsg = typeof failure.message === "function" ? failure.message(error) : failure.message;
+
+            run.emit("caught", {
+                log: `Detected ${failure.label}: ${failure.check}`,
+                logType: "warning",
+                apply: () => setErrorDetails({
+                    name: error.name,
+                    message: error.message,
+                    type: failure.label,
+                    check: failure.check,
+                    recovery: failure.recovery,
+                    expected: detected === selectedMode,
+                }),
             });
 
-            setTimeout(() => {
-                setStep(3);
-                addLog(
-                    `Error caught: ${err.name} - ${err.message}`,
-                    "error"
-                );
-            }, 1800);
-
-            setTimeout(() => {
-                setStep(4);
-                setStatus("error");
-                const userMsg = getUserMessage(err, mode);
-                setMessage(userMsg);
-                addLog(`User message: ${userMsg}`, "info");
-            }, 2600);
+            run.fail(error, {
+                log: `User message: ${userMsg}`,
+                logType: "info",
+                apply: () => setMessage(userMsg),
+            });
         }
     }
 
@@ -138,46 +311,34 @@ export default function ErrorHandling() {
                     <h3 className="font-semibold text-lg mb-4 text-center">
                         Choose Error Scenario to Test
                     </h3>
-                    <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
-                        <ScenarioButton
-                            active={mode === "success"}
-                            onClick={() => setMode("success")}
-                            label="Success"
-                            description="Normal request"
-                            color="green"
-                        />
-                        <ScenarioButton
-                            active={mode === "http"}
-                            onClick={() => setMode("http")}
-                            label="HTTP Error"
-                            description="404 / 500 status"
-                            color="yellow"
-                        />
-                        <ScenarioButton
-                            active={mode === "network"}
-                            onClick={() => setMode("network")}
-                            label="Network Error"
-                            description="No connection"
-                            color="red"
-                        />
-                        <ScenarioButton
-                            active={mode === "parsing"}
-                            onClick={() => setMode("parsing")}
-                            label="Parsing Error"
-                            description="Invalid JSON"
-                            color="purple"
-                        />
+                    <div className="grid grid-cols-2 md:grid-cols-4 xl:grid-cols-7 gap-3">
+                        {Object.entries(SCENARIOS).map(([id, option]) => (
+                            <ScenarioButton
+                                key={id}
+                                active={mode === id}
+                                onClick={() => setMode(id)}
+                                label={option.label}
+                                description={option.description}
+                                color={option.color}
+                                disabled={!isAvailable(id)}
+                            />
+                        ))}
                     </div>
+                    {apiMode !== "mock" && (
+                        <p className="text-xs text-zinc-500 mt-3 text-center">
+                            The real API can't be made to time out, rate-limit or send broken bodies on demand;
+                            switch to the Mock API for the greyed-out scenarios.
+                        </p>
+                    )}
 
                     <div className="flex gap-3 mt-6">
                         <button
                             onClick={() => runRequest(mode)}
-                            disabled={status === "loading"}
-                            className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:bg-zinc-700 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200 hover:scale-105 disabled:scale-100 text-lg"
+                            className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 rounded-lg font-semibold transition-all duration-200 hover:scale-105 text-lg"
                         >
                             {status === "loading"
-                                ? "Running..."
-                                : `Run ${mode} scenario`}
+                                ? `Restart with ${scenario.label} scenario`
+                                : `Run ${scenario.label} scenario`}
                         </button>
                         <button
                             onClick={reset}
@@ -199,20 +360,24 @@ export default function ErrorHandling() {
                         </div>
 
                         <pre className="bg-black rounded-lg p-5 text-sm text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed mb-4">
-                            {`async function safeFetch(url) {
-  try {
-    const response = await fetch(url);
+                            {`import { HttpError, describeError } from "../api/errors";
+import { apiFetch, readJson } from "../api/http";
 
-    if (!response.ok) {
-      // HTTP 4xx / 5xx
-      throw new Error("HTTP " + response.status);
-    }
+async function safeFetch(url) {
+  try {
+    // NetworkError, TimeoutError, AbortError or HttpError
+    // (with status, headers and body) for 4xx / 5xx
+    const response = await apiFetch(url, { timeout: 3000 });
 
-    const data = await response.json();
+    // ParseError: empty body, not JSON, or truncated JSON
+    const data = await readJson(response);
     return { ok: true, data };
   } catch (error) {
-    console.error("Request failed:", error);
-    return { ok: false, error };
+    if (error instanceof HttpError && error.status === 401) {
+      redirectToLogin();
+    }
+    // describeError(error).message is what the user sees
+    return { ok: false, error, ...describeError(error) };
   }
 }`}
                         </pre>
@@ -220,20 +385,37 @@ export default function ErrorHandling() {
                         <div className="space-y-4">
                             <ErrorTypeCard
                                 title="Network Errors"
-                                description="Offline, DNS failure, CORS, server unreachable"
-                                active={mode === "network"}
+                                description="Offline, DNS failure, CORS, timeouts and aborts: fetch() rejects"
+                                active={scenario.category === "network"}
                             />
                             <ErrorTypeCard
                                 title="HTTP Errors"
-                                description="404, 500, 401, 403 (check response.ok)"
-                                active={mode === "http"}
+                                description="401, 403, 404, 429, 500, 503: fetch() resolves, check response.ok"
+                                active={scenario.category === "http"}
                             />
                             <ErrorTypeCard
-                                title="Parsing Errors"
-                                description="Invalid JSON, unexpected content format"
-                                active={mode === "parsing"}
+                                title="Body Errors"
+                                description="Empty body, truncated JSON, wrong Content-Type"
+                                active={scenario.category === "parsing"}
                             />
                         </div>
+
+                        <div className="mt-4 bg-black rounded-lg p-4 border border-zinc-800 space-y-2 text-xs">
+                            <p>
+                                <span className="text-zinc-500">Detect:</span>{" "}
+                                <code className="text-indigo-300">{scenario.check}</code>
+                            </p>
+                            <p>
+                                <span className="text-zinc-500">Tell the user:</span>{" "}
+                                <span className="text-zinc-200">
+                                    {typeof scenario.message === "function" ? scenario.message({}) : scenario.message}
+                                </span>
+                            </p>
+                            <p>
+                                <span className="text-zinc-500">Recover:</span>{" "}
+                                <span className="text-zinc-300">{scenario.recovery}</span>
+                            </p>
+                        </div>
                     </div>
 
                     {/* Visual Flow */}
@@ -368,6 +550,7 @@ export default function ErrorHandling() {
                                     {logs.length}
                                 </span>
                             )}
+                            <HarExportButton lesson="errors" logs={logs} className="ml-auto font-normal" />
                         </h3>
 
                         <div className="bg-black rounded-lg p-4 border border-zinc-800 h-72 overflow-y-auto font-mono text-xs space-y-2">
@@ -385,7 +568,9 @@ export default function ErrorHandling() {
                                                     ? "bg-green-950/30 text-green-400 border-l-2 border-green-500"
                                                     : log.type === "warning"
                                                         ? "bg-yellow-950/30 text-yellow-400 border-l-2 border-yellow-500"
-                                                        : "bg-zinc-800 text-zinc-300"
+                                                        : log.type === "cancelled"
+                                                            ? "bg-amber-950/30 text-amber-400 border-l-2 border-dashed border-amber-500"
+                                                            : "bg-zinc-800 text-zinc-300"
                                             }`}
                                     >
                                         {log.msg}
@@ -434,6 +619,19 @@ export default function ErrorHandling() {
                                 </div>
                             )}
 
+                            {status === "cancelled" && (
+                                <div className="text-center animate-fade-in">
+                                    <div className="bg-amber-950/30 border border-amber-800 rounded-lg p-5">
+                                        <p className="text-amber-400 font-semibold text-lg mb-2">
+                                            Request cancelled
+                                        </p>
+                                        <p className="text-zinc-400 text-sm">
+                                            The run was aborted before it finished, so there is nothing to show.
+                                        </p>
+                                    </div>
+                                </div>
+                            )}
+
                             {status === "error" && (
                                 <div className="text-center animate-fade-in">
                                     <div className="bg-red-950/30 border border-red-800 rounded-lg p-5 mb-4">
@@ -469,6 +667,20 @@ export default function ErrorHandling() {
                                                         {errorDetails.message}
                                                     </span>
                                                 </p>
+                                                <p>
+                                                    <span className="text-zinc-400">Detected by:</span>{" "}
+                                                    <code className="text-indigo-300">{errorDetails.check}</code>
+                                                </p>
+                                                <p>
+                                                    <span className="text-zinc-400">Recovery:</span>{" "}
+                                                    <span className="text-zinc-200">{errorDetails.recovery}</span>
+                                                </p>
+                                                {!errorDetails.expected && (
+                                                    <p className="text-amber-400 pt-1">
+                                                        Not the failure this scenario provokes: the network profile or
+                                                        the server produced a different one, and detection followed the evidence.
+                                                    </p>
+                                                )}
                                             </div>
                                         </div>
                                     )}
@@ -523,18 +735,22 @@ export default function ErrorHandling() {
     );
 }
 
-function ScenarioButton({ active, onClick, label, description, color }) {
+function ScenarioButton({ active, onClick, label, description, color, disabled }) {
     const colorClasses = {
         green: "border-green-500 bg-green-950/20 shadow-green-500/20",
         yellow: "border-yellow-500 bg-yellow-950/20 shadow-yellow-500/20",
+        orange: "border-orange-500 bg-orange-950/20 shadow-orange-500/20",
         red: "border-red-500 bg-red-950/20 shadow-red-500/20",
+        blue: "border-sky-500 bg-sky-950/20 shadow-sky-500/20",
         purple: "border-purple-500 bg-purple-950/20 shadow-purple-500/20",
     };
 
     return (
         <button
             onClick={onClick}
-            className={`p-4 rounded-lg border-2 transition-all duration-200 ${active
+            disabled={disabled}
+            title={disabled ? "Needs the Mock API" : undefined}
+            className={`p-4 rounded-lg border-2 transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${active
                     ? `${colorClasses[color]} shadow-lg scale-105`
                     : "border-zinc-700 bg-zinc-950 hover:border-zinc-600"
                 }`}
@@ -602,26 +818,27 @@ function BestPracticeCard({ title, description }) {
     );
 }
 
-function getUserMessage(error, mode) {
-    const msg = String(error?.message || "");
-
-    if (mode === "network" || msg.includes("Failed to fetch")) {
-        return "Cannot connect to the server. Please check your internet connection.";
-    }
-    if (mode === "http" || msg.startsWith("HTTP ")) {
-        return "The server returned an error response. Please try again later.";
+/**
+ * Works out which scenario an error belongs to from the error model, not from
+ * the button that was pressed.
+ */
+async function detectFailure(error) {
+    if (error instanceof TimeoutError) return "timeout";
+    if (error instanceof AbortError) return "abort";
+    if (error instanceof HttpError) return STATUS_SCENARIOS[error.status] ?? (error.status >= 500 ? "server" : "http");
+    if (error instanceof ParseError) return PARSE_SCENARIOS[error.reason];
+    if (!(error instanceof NetworkError)) return null;
+    if (!navigator.onLine) return "network";
+
+    // CORS and network failures reject with the same TypeError. A no-cors
+    // request can't read the response, but it only succeeds if the server is
+    // reachable, so a successful probe means the browser blocked the real one.
+    try {
+        await fetch(error.url, { mode: "no-cors", cache: "no-store", signal: AbortSignal.timeout(PROBE_TIMEOUT) });
+        return "cors";
+    } catch {
+        return "network";
     }
-    if (mode === "parsing") {
-        return "The server sent data in an unexpected format. Please contact support.";
-    }
-    return "Something went wrong. Please try again.";
-}
-
-function getErrorType(error, mode) {
-    if (mode === "network") return "Network Error";
-    if (mode === "http") return "HTTP Error";
-    if (mode === "parsing") return "Parsing Error";
-    return "Unknown Error";
 }
 
 function getStatusText(status) {
@@ -631,6 +848,8 @@ function getStatusText(status) {
         500: "Internal Server Error",
         401: "Unauthorized",
         403: "Forbidden",
+        429: "Too Many Requests",
+        503: "Service Unavailable",
     };
     return statusTexts[status] || "";
 }
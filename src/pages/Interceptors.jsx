@@ -0,0 +1,448 @@
+import { Fragment, useState } from "react";
+import axios from "axios";
+import { createClient } from "../api/client";
+import { toApiError } from "../api/errors";
+import { getApiBase, setApiMode, useApiMode } from "../api/settings";
+import ErrorNotice from "../components/ErrorNotice";
+import { useRunScope } from "../lifecycle/useRunScope";
+
+const DEMO_TOKEN = "demo-token";
+const TIMEOUT_MS = 1500;
+
+const SCENARIOS = {
+    echo: {
+        label: "POST to /echo",
+        description: "The mock answers with the request as it arrived, so you can see what the interceptors added",
+        config: { method: "POST", url: "/echo/interceptors", data: { hello: "interceptors" } },
+    },
+    cats: {
+        label: "GET a cat",
+        description: "A plain JSON response",
+        config: { url: "/images/search", params: { limit: 1 } },
+    },
+    error: {
+        label: "500 error",
+        description: "The error handlers run; the success-only ones are skipped",
+        config: { url: "/status/500" },
+    },
+    timeout: {
+        label: "Timeout",
+        description: `A 3 s response against a ${TIMEOUT_MS} ms timeout`,
+        config: { url: "/images/search", params: { delay: 3000 }, timeout: TIMEOUT_MS },
+    },
+};
+
+const CLIENTS = {
+    fetch: {
+        label: "createClient() — fetch",
+        create: () => createClient({ baseURL: getApiBase(), timeout: 10000 }),
+        transport: "fetch()",
+        reverseRequest: false,
+    },
+    axios: {
+        label: "axios.create()",
+        create: () => axios.create({ baseURL: getApiBase(), timeout: 10000 }),
+        transport: "XHR adapter",
+        reverseRequest: true,
+    },
+};
+
+const INTERCEPTORS = [
+    { id: "auth", phase: "request", label: "Attach token", description: "Sets Authorization: Bearer …" },
+    { id: "request-id", phase: "request", label: "Request id", description: "Sets X-Request-Id and starts a timer" },
+    { id: "timing", phase: "response", label: "Timing", description: "Reports the duration, on success and on failure" },
+    { id: "normalise", phase: "response", label: "Normalise errors", description: "Error handler only: turns any failure into the shared error model" },
+    { id: "unwrap", phase: "response", label: "Unwrap data", description: "Success handler only: resolves with response.data" },
+];
+
+const PHASE_STYLES = {
+    request: "text-purple-300 border-purple-700",
+    network: "text-sky-300 border-sky-700",
+    response: "text-indigo-300 border-indigo-700",
+    result: "text-zinc-300 border-zinc-600",
+};
+
+const STAGE_STYLES = {
+    pending: "border-zinc-700 bg-zinc-950 text-zinc-500",
+    ok: "border-green-600 bg-green-950/30 text-green-300",
+    error: "border-red-600 bg-red-950/30 text-red-300",
+    skipped: "border-dashed border-zinc-700 bg-zinc-950 text-zinc-600",
+};
+
+const ECHOED_HEADERS = ["accept", "authorization", "content-type", "x-request-id"];
+
+const CHAIN_CODE = `const fetchClient = createClient({ baseURL, timeout: 10000 });
+const axiosClient = axios.create({ baseURL, timeout: 10000 });
+
+// Same interceptor API, so the same code registers both chains.
+for (const client of [fetchClient, axiosClient]) {
+  client.interceptors.request.use((config) => {
+    config.headers.Authorization = \`Bearer \${token}\`;
+    return config;
+  });
+  client.interceptors.request.use((config) => {
+    config.headers["X-Request-Id"] = nextId();
+    return config;
+  });
+  client.interceptors.response.use(
+    (response) => { report(elapsed()); return response; },
+    (error) => { report(elapsed()); return Promise.reject(error); }
+  );
+  client.interceptors.response.use(undefined, (error) =>
+    Promise.reject(toApiError(error)) // AxiosError → HttpError…
+  );
+  client.interceptors.response.use((response) => response.data);
+}`;
+
+const CLIENT_CODE = `// src/api/client.js, in short
+function request(config) {
+  let chain = Promise.resolve(mergeDefaults(config));
+  for (const { fulfilled, rejected } of interceptors.request.list())
+    chain = chain.then(fulfilled, rejected);
+  chain = chain.then(send); // apiFetch() + readJson()
+  for (const { fulfilled, rejected } of interceptors.response.list())
+    chain = chain.then(fulfilled, rejected);
+  return chain;
+}`;
+
+/** What the lane shows for a failure before and after normalising. */
+function failureLabel(error) {
+    const status = error.status ?? error.response?.status;
+    return `${error.name}${status ? ` ${status}` : error.code ? ` ${error.code}` : ""}`;
+}
+
+function isResponseObject(value) {
+    return value !== null && typeof value === "object" && "status" in value && "config" in value;
+}
+
+function describeValue(value) {
+    if (isResponseObject(value)) return `response object (status ${value.status})`;
+    if (Array.isArray(value)) return `data: array of ${value.length}`;
+    return "data: object";
+}
+
+/**
+ * The stages a request passes through, in the order they run. axios runs
+ * request interceptors last-added first; createClient() keeps the order they
+ * were added in.
+ */
+function plannedStages(clientId, enabled) {
+    const active = INTERCEPTORS.filter((interceptor) => enabled[interceptor.id]);
+    const request = active.filter((interceptor) => interceptor.phase === "request");
+    if (CLIENTS[clientId].reverseRequest) request.reverse();
+    return [
+        ...request,
+        { id: "network", phase: "network", label: CLIENTS[clientId].transport },
+        ...active.filter((interceptor) => interceptor.phase === "response"),
+        { id: "result", phase: "result", label: "await client.request()" },
+    ];
+}
+
+// The same registration code for both clients: their interceptor APIs match.
+function installChain(client, enabled, record) {
+    let startedAt = performance.now();
+    const elapsed = () => Math.round(performance.now() - startedAt);
+
+    // Not one of the lesson's interceptors: it reports what came back from the
+    // network before the response interceptors below get to change it.
+    client.interceptors.response.use(
+        (response) => {
+            record("network", `${response.status} ${response.statusText}`.trim());
+            return response;
+        },
+        (error) => {
+            record("network", failureLabel(error), "error");
+            return Promise.reject(error);
+        }
+    );
+
+    if (enabled.auth) {
+        client.interceptors.request.use((config) => {
+            config.headers.Authorization = `Bearer ${DEMO_TOKEN}`;
+            record("auth", `Authorization: Bearer ${DEMO_TOKEN}`);
+            return config;
+        });
+    }
+    if (enabled["request-id"]) {
+        client.interceptors.request.use((config) => {
+            const id = Math.random().toString(36).slice(2, 8);
+            config.headers["X-Request-Id"] = id;
+            startedAt = performance.now();
+            record("request-id", `X-Request-Id: ${id}`);
+            return config;
+        });
+    }
+    if (enabled.timing) {
+        client.interceptors.response.use(
+            (response) => {
+                record("timing", `${elapsed()} ms`);
+                return response;
+            },
+            (error) => {
+                record("timing", `failed after ${elapsed()} ms`, "error");
+                return Promise.reject(error);
+            }
+        );
+    }
+    if (enabled.normalise) {
+        client.interceptors.response.use(undefined, (error) => {
+            const failure = toApiError(error);
+            record("normalise", failure === error ? `already ${failure.name}` : `${error.name} → ${failure.name}`, "error");
+            return Promise.reject(failure);
+        });
+    }
+    if (enabled.unwrap) {
+        client.interceptors.response.use((response) => {
+            record("unwrap", "response → response.data");
+            return response.data;
+        });
+    }
+}
+
+export default function Interceptors() {
+    const apiMode = useApiMode();
+    const runs = useRunScope();
+    const [scenario, setScenario] = useState("echo");
+    const [enabled, setEnabled] = useState(() => Object.fromEntries(INTERCEPTORS.map(({ id }) => [id, true])));
+    const [lanes, setLanes] = useState({});
+
+    async function runLane(clientId, run) {
+        const startedAt = performance.now();
+        let order = 0;
+        const update = (patch) => {
+            setLanes(prev => (prev[clientId]?.runId === run.id ? { ...prev, [clientId]: patch(prev[clientId]) } : prev));
+        };
+        const record = (stage, detail, outcome = "ok") => {
+            const event = { stage, detail, outcome, order: ++order, at: Math.round(performance.now() - startedAt) };
+            update(lane => ({ ...lane, events: [...lane.events, event] }));
+        };
+
+        setLanes(prev => ({ ...prev, [clientId]: { runId: run.id, enabled, scenario, status: "running", events: [] } }));
+        const client = CLIENTS[clientId].create();
+        installChain(client, enabled, record);
+
+        try {
+            const value = await client.request({ ...SCENARIOS[scenario].config, signal: run.signal });
+            record("result", describeValue(value));
+            update(lane => ({ ...lane, status: "success", value }));
+        } catch (error) {
+            if (!run.active) return;
+            record("result", failureLabel(error), "error");
+            update(lane => ({ ...lane, status: "failed", error }));
+        }
+    }
+
+    // One client after the other, so their timings don't share connections or server delays.
+    async function start() {
+        const run = runs.start();
+        setLanes({});
+        for (const id of Object.keys(CLIENTS)) {
+            await runLane(id, run);
+            if (!run.active) return;
+        }
+    }
+
+    const toggle = (id) => setEnabled(prev => ({ ...prev, [id]: !prev[id] }));
+
+    return (
+        <div className="min-h-screen bg-black text-white p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Headline */}
+                <div className="mb-10 text-center">
+                    <h2 className="text-5xl font-bold mb-3">
+                        One interceptor chain, <span className="text-indigo-400">two clients</span>
+                    </h2>
+                    <p className="text-zinc-400 text-lg max-w-3xl mx-auto">
+                        Interceptors aren't an axios feature so much as a promise chain around the request.
+                        The same interceptors run here on axios and on a small fetch() client, step by step.
+                    </p>
+                </div>
+
+                {apiMode !== "mock" && (
+                    <div className="mb-6 bg-yellow-950/30 border border-yellow-800 rounded-xl p-4 flex flex-wrap items-center justify-between gap-3">
+                        <p className="text-yellow-300 text-sm">
+                            This lesson needs the mock API: its echo and status routes, and headers the real Cat API's CORS policy may refuse.
+                        </p>
+                        <button
+                            onClick={() => setApiMode("mock")}
+                            className="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 rounded-lg text-sm font-semibold"
+                        >
+                            Switch to mock API
+                        </button>
+                    </div>
+                )}
+
+                {/* Main Content Grid */}
+                <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mb-6">
+                    {/* Chain + scenario */}
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <h3 className="font-semibold text-lg mb-4">Interceptor Chain</h3>
+                        <div className="space-y-2 mb-6">
+                            {INTERCEPTORS.map(interceptor => (
+                                <label
+                                    key={interceptor.id}
+                                    className="flex items-start gap-3 p-3 rounded-lg border border-zinc-800 bg-zinc-950 cursor-pointer hover:border-zinc-700"
+                                >
+                                    <input
+                                        type="checkbox"
+                                        checked={enabled[interceptor.id]}
+                                        onChange={() => toggle(interceptor.id)}
+                                        className="mt-1 accent-indigo-500"
+                                    />
+                                    <span className="flex-1">
+                                        <span className="flex items-center gap-2">
+                                            <span className="font-semibold text-sm">{interceptor.label}</span>
+                                            <span className={`text-[10px] px-1.5 py-0.5 rounded border ${PHASE_STYLES[interceptor.phase]}`}>
+                                                {interceptor.phase}
+                                            </span>
+                                        </span>
+                                        <span className="block text-xs text-zinc-400 mt-0.5">{interceptor.description}</span>
+                                    </span>
+                                </label>
+                            ))}
+                        </div>
+
+                        <h3 className="font-semibold text-lg mb-3">Request</h3>
+                        <div className="grid grid-cols-2 gap-2 mb-2">
+                            {Object.entries(SCENARIOS).map(([id, { label }]) => (
+                                <button
+                                    key={id}
+                                    onClick={() => setScenario(id)}
+                                    className={`px-3 py-2 rounded-lg border-2 text-sm font-semibold transition-all duration-200 ${scenario === id
+                                        ? "border-indigo-500 bg-indigo-950/30"
+                                        : "border-zinc-700 bg-zinc-950 hover:border-zinc-600"
+                                        }`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="text-xs text-zinc-400 mb-6">{SCENARIOS[scenario].description}</p>
+
+                        <button
+                            onClick={start}
+                            disabled={apiMode !== "mock"}
+                            className="w-full px-6 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:bg-zinc-700 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200 hover:scale-105 disabled:scale-100"
+                        >
+                            Run through both clients in turn
+                        </button>
+                    </div>
+
+                    {/* Code */}
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <h3 className="font-semibold text-lg mb-4">The Code</h3>
+                        <pre className="bg-black rounded-lg p-4 text-xs text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed mb-4 max-h-80">
+                            {CHAIN_CODE}
+                        </pre>
+                        <pre className="bg-black rounded-lg p-4 text-xs text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed">
+                            {CLIENT_CODE}
+                        </pre>
+                    </div>
+                </div>
+
+                {/* Lanes */}
+                <div className="space-y-6 mb-6">
+                    {Object.entries(CLIENTS).map(([id, { label }]) => (
+                        <Lane key={id} clientId={id} label={label} lane={lanes[id]} enabled={enabled} />
+                    ))}
+                </div>
+
+                {/* Key Points */}
+                <div className="bg-gradient-to-r from-indigo-950/50 to-purple-950/50 rounded-xl p-6 border border-indigo-800/30 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-indigo-300">Key Points</h3>
+                    <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <KeyPoint
+                            title="It's a promise chain"
+                            description="Each interceptor is a .then(onFulfilled, onRejected) step. An error handler sees failures from every step before it."
+                        />
+                        <KeyPoint
+                            title="Request order differs"
+                            description="axios runs request interceptors last-added first. createClient() keeps the order you added them in. Response interceptors run in order in both."
+                        />
+                        <KeyPoint
+                            title="Return or reject"
+                            description="A handler must return the config/response or reject. Returning from an error handler turns the failure into a success."
+                        />
+                        <KeyPoint
+                            title="fetch needs a wrapper"
+                            description="fetch() has no interceptors. A thin client around it gets the same chain without monkey-patching window.fetch."
+                        />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function Lane({ clientId, label, lane, enabled }) {
+    const stages = plannedStages(clientId, lane?.enabled ?? enabled);
+    const events = new Map((lane?.events ?? []).map(event => [event.stage, event]));
+    const done = lane && lane.status !== "running";
+    const echo = lane?.scenario === "echo" && lane.value
+        ? (isResponseObject(lane.value) ? lane.value.data : lane.value)
+        : null;
+
+    return (
+        <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold font-mono">{label}</h3>
+                {lane && (
+                    <span className={`text-xs px-3 py-1 rounded-full border ${lane.status === "running"
+                        ? "border-indigo-500 text-indigo-400"
+                        : lane.status === "success"
+                            ? "border-green-500 text-green-400"
+                            : "border-red-500 text-red-400"
+                        }`}
+                    >
+                        {lane.status}
+                    </span>
+                )}
+            </div>
+
+            <div className="flex flex-wrap items-stretch gap-2 mb-4">
+                {stages.map((stage, index) => {
+                    const event = events.get(stage.id);
+                    const state = event ? event.outcome : done ? "skipped" : "pending";
+                    return (
+                        <Fragment key={stage.id}>
+                            {index > 0 && <span className="self-center text-zinc-600">→</span>}
+                            <div className={`w-40 p-2 rounded-lg border-2 text-xs transition-all duration-300 ${STAGE_STYLES[state]}`}>
+                                <div className="flex items-center justify-between gap-1 mb-1">
+                                    <span className={`text-[10px] px-1 rounded border ${PHASE_STYLES[stage.phase]}`}>{stage.phase}</span>
+                                    {event && <span className="text-[10px] text-zinc-400">#{event.order} · {event.at}ms</span>}
+                                </div>
+                                <p className="font-semibold">{stage.label}</p>
+                                <p className="font-mono text-[10px] break-all mt-1">
+                                    {event ? event.detail : state === "skipped" ? "skipped" : "…"}
+                                </p>
+                            </div>
+                        </Fragment>
+                    );
+                })}
+            </div>
+
+            {lane?.status === "failed" && <ErrorNotice error={lane.error} />}
+            {echo && (
+                <div className="bg-black rounded-lg border border-zinc-800 p-3 font-mono text-xs">
+                    <p className="text-zinc-500 mb-1">Headers the server received</p>
+                    {echo.headers
+                        .filter(([name]) => ECHOED_HEADERS.includes(name))
+                        .map(([name, value]) => (
+                            <p key={name}>
+                                <span className="text-indigo-300">{name}</span>: <span className="text-zinc-300">{value}</span>
+                            </p>
+                        ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function KeyPoint({ title, description }) {
+    return (
+        <div className="bg-zinc-900/50 border border-indigo-800/30 rounded-lg p-4">
+            <h4 className="font-semibold text-sm text-indigo-300 mb-2">{title}</h4>
+            <p className="text-xs text-zinc-400 leading-relaxed">{description}</p>
+        </div>
+    );
+}
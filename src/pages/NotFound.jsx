@@ -0,0 +1,39 @@
+import { Link, useLocation } from "react-router-dom";
+
+export default function NotFound({ lessons, lessonId }) {
+    const location = useLocation();
+
+    return (
+        <div className="min-h-[60vh] bg-black text-white flex items-center justify-center p-6">
+            <div className="max-w-2xl w-full text-center">
+                <p className="text-7xl font-bold text-indigo-400 mb-4">404</p>
+                <h2 className="text-3xl font-bold mb-3">
+                    {lessonId ? "This lesson doesn't exist" : "Page not found"}
+                </h2>
+                <p className="text-zinc-400 mb-8">
+                    Nothing lives at{" "}
+                    <code className="bg-zinc-800 px-2 py-1 rounded text-red-300">
+                        {location.pathname}
+                    </code>
+                    . Pick one of the lessons below instead.
+                </p>
+
+                <div className="grid sm:grid-cols-2 gap-3 text-left">
+                    {lessons.map((lesson) => (
+                        <Link
+                            key={lesson.id}
+                            to={`/lesson/${lesson.id}`}
+                            className="flex items-center gap-3 p-4 rounded-lg border border-zinc-800 bg-zinc-900 hover:border-indigo-500 transition-colors"
+                        >
+                            <span className="text-2xl">{lesson.icon}</span>
+                            <div>
+                                <div className="font-semibold text-sm">{lesson.label}</div>
+                                <div className="text-xs text-zinc-400">{lesson.description}</div>
+                            </div>
+                        </Link>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+}
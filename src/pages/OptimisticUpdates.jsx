@@ -0,0 +1,547 @@
+import { useEffect, useOptimistic, useRef, useState, useTransition } from "react";
+import { useMutation, useMutationState, useQuery, useQueryClient } from "@tanstack/react-query";
+import { apiUrl, setApiMode, useApiMode } from "../api/settings";
+import { AbortError, HttpError } from "../api/errors";
+import { fetchJson } from "../api/http";
+import ErrorNotice from "../components/ErrorNotice";
+
+const IMPLEMENTATIONS = {
+    manual: {
+        label: "Manual useState",
+        subId: "optimistic-lesson-manual",
+        code: `async function toggle(image) {
+  const existing = favourites.find(f => f.image_id === image.id);
+
+  if (existing) {
+    // 1. apply: drop it right away
+    setFavourites(prev => prev.filter(f => f !== existing));
+    try {
+      await removeFavourite(existing.id);
+    } catch {
+      // 2. roll back *this* change only; other toggles survive
+      setFavourites(prev => [...prev, existing]);
+    }
+    return;
+  }
+
+  const temp = { id: \`temp-\${image.id}\`, image_id: image.id };
+  setFavourites(prev => [...prev, temp]);
+  try {
+    const { id } = await addFavourite(image.id);
+    setFavourites(prev => prev.map(f => (f === temp ? { ...f, id } : f)));
+  } catch {
+    setFavourites(prev => prev.filter(f => f !== temp));
+  }
+}`,
+    },
+    "react-query": {
+        label: "useMutation",
+        subId: "optimistic-lesson-react-query",
+        code: `const queryKey = ["favourites", subId];
+
+useMutation({
+  mutationFn: toggleFavourite,
+  onMutate: async ({ image, existing }) => {
+    // stop a refetch from overwriting the optimistic data
+    await queryClient.cancelQueries({ queryKey });
+    queryClient.setQueryData(queryKey, old => existing
+      ? old.filter(f => f.id !== existing.id)
+      : [...old, { id: \`temp-\${image.id}\`, image_id: image.id }]);
+  },
+  onError: (error, { image, existing }) => {
+    // undo this toggle only: others may still be in flight
+    queryClient.setQueryData(queryKey, old => existing
+      ? [...old, existing]
+      : old.filter(f => f.id !== \`temp-\${image.id}\`));
+  },
+  onSettled: () => queryClient.invalidateQueries({ queryKey }),
+});`,
+    },
+    "use-optimistic": {
+        label: "useOptimistic",
+        subId: "optimistic-lesson-use-optimistic",
+        code: `const [favourites, setFavourites] = useState([]);
+const [optimistic, addOptimistic] = useOptimistic(
+  favourites,
+  (current, change) => applyChange(current, change)
+);
+const [isPending, startTransition] = useTransition();
+
+function toggle(image) {
+  startTransition(async () => {
+    addOptimistic({ image, existing });
+    try {
+      const saved = await saveChange({ image, existing });
+      startTransition(() => setFavourites(prev => applyChange(prev, saved)));
+    } catch {
+      // nothing to undo: when the action ends React drops
+      // the optimistic value and renders \`favourites\` again
+    }
+  });
+}`,
+    },
+};
+
+const LOG_STYLES = {
+    optimistic: "bg-indigo-950/30 text-indigo-300",
+    request: "bg-zinc-800 text-zinc-300",
+    success: "bg-green-950/30 text-green-400",
+    error: "bg-red-950/30 text-red-400",
+    rollback: "bg-amber-950/30 text-amber-400 border-l-2 border-dashed border-amber-500",
+};
+
+export default function OptimisticUpdates() {
+    const apiMode = useApiMode();
+    const [latency, setLatency] = useState(1500);
+    const [failWrites, setFailWrites] = useState(false);
+    const [implementation, setImplementation] = useState("manual");
+
+    const cats = useQuery({
+        queryKey: ["optimistic-cats", apiMode],
+        queryFn: ({ signal }) => fetchJson(apiUrl("/images/search?limit=6"), { signal }),
+        enabled: apiMode === "mock",
+        staleTime: Infinity,
+    });
+
+    const server = { latency, failWrites };
+    const ready = apiMode === "mock" && cats.isSuccess;
+
+    return (
+        <div className="min-h-screen bg-black text-white p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Headline */}
+                <div className="mb-10 text-center">
+                    <h2 className="text-5xl font-bold mb-3">
+                        Optimistic updates with <span className="text-indigo-400">rollback</span>
+                    </h2>
+                    <p className="text-zinc-400 text-lg max-w-3xl mx-auto">
+                        Show the result before the server answers, then undo it if the server says no.
+                        Favourite some cats with a slow server, make it fail, and watch each implementation roll back.
+                    </p>
+                </div>
+
+                {apiMode !== "mock" && (
+                    <div className="mb-6 bg-yellow-950/30 border border-yellow-800 rounded-xl p-4 flex flex-wrap items-center justify-between gap-3">
+                        <p className="text-yellow-300 text-sm">
+                            This lesson needs the mock API's <code>/favourites</code> endpoint; the real Cat API requires an API key to write favourites.
+                        </p>
+                        <button
+                            onClick={() => setApiMode("mock")}
+                            className="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 rounded-lg text-sm font-semibold"
+                        >
+                            Switch to mock API
+                        </button>
+                    </div>
+                )}
+
+                {/* Server controls */}
+                <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl mb-6">
+                    <h3 className="font-semibold text-lg mb-4">Mock Server</h3>
+                    <div className="grid md:grid-cols-2 gap-6 items-center">
+                        <div>
+                            <label className="flex justify-between text-sm text-zinc-400 mb-1">
+                                <span>Write latency</span>
+                                <span className="font-mono text-indigo-300">{latency}ms</span>
+                            </label>
+                            <input
+                                type="range"
+                                min={0}
+                                max={4000}
+                                step={250}
+                                value={latency}
+                                onChange={(e) => setLatency(Number(e.target.value))}
+                                className="w-full accent-indigo-500"
+                            />
+                        </div>
+                        <button
+                            onClick={() => setFailWrites(prev => !prev)}
+                            className={`px-4 py-3 rounded-lg border-2 text-sm font-semibold transition-all duration-200 ${failWrites
+                                ? "border-red-500 bg-red-950/30 text-red-300"
+                                : "border-zinc-700 bg-zinc-950 text-zinc-300 hover:border-zinc-600"
+                                }`}
+                        >
+                            {failWrites ? "✗ Server rejects every write (500)" : "✓ Server accepts writes"}
+                        </button>
+                    </div>
+                </div>
+
+                {/* Implementations */}
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+                    {cats.isError && (
+                        <ErrorNotice error={cats.error} className="lg:col-span-3" />
+                    )}
+                    {ready && (
+                        <>
+                            <ManualFavourites cats={cats.data} server={server} />
+                            <ReactQueryFavourites cats={cats.data} server={server} />
+                            <UseOptimisticFavourites cats={cats.data} server={server} />
+                        </>
+                    )}
+                </div>
+
+                {/* Code */}
+                <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl mb-6">
+                    <div className="flex gap-2 mb-4">
+                        {Object.entries(IMPLEMENTATIONS).map(([id, { label }]) => (
+                            <button
+                                key={id}
+                                onClick={() => setImplementation(id)}
+                                className={`flex-1 px-3 py-2 rounded-lg text-sm font-semibold transition-all duration-200 ${implementation === id
+                                    ? "bg-indigo-600 text-white"
+                                    : "bg-zinc-800 text-zinc-400 hover:text-zinc-200"
+                                    }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                    <pre className="bg-black rounded-lg p-4 text-xs text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed">
+                        {IMPLEMENTATIONS[implementation].code}
+                    </pre>
+                </div>
+
+                {/* Key Points */}
+                <div className="bg-gradient-to-r from-indigo-950/50 to-purple-950/50 rounded-xl p-6 border border-indigo-800/30 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-indigo-300">Key Points</h3>
+                    <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <KeyPoint
+                            title="Roll back one change, not the world"
+                            description="Restoring a whole snapshot also undoes other toggles that were still in flight. Undo just the item that failed."
+                        />
+                        <KeyPoint
+                            title="Cancel refetches first"
+                            description="onMutate awaits cancelQueries so an older response can't land on top of the optimistic data."
+                        />
+                        <KeyPoint
+                            title="Re-sync when settled"
+                            description="Invalidating in onSettled replaces the guess with what the server actually stored, success or not."
+                        />
+                        <KeyPoint
+                            title="useOptimistic reverts by itself"
+                            description="The optimistic value only lives while the transition runs. Actions in one transition settle together, so a failure shows once they all finish."
+                        />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// ---- Implementations ----
+
+function ManualFavourites({ cats, server }) {
+    const { subId } = IMPLEMENTATIONS.manual;
+    const log = useEventLog();
+    const [favourites, setFavourites] = useState([]);
+    const [loadError, setLoadError] = useState(null);
+    const [pending, setPending] = useState(() => new Set());
+
+    useEffect(() => {
+        const controller = new AbortController();
+        fetchFavourites(subId, controller.signal)
+            .then(setFavourites)
+            .catch(error => {
+                if (!(error instanceof AbortError)) setLoadError(error);
+            });
+        return () => controller.abort();
+    }, [subId]);
+
+    async function toggle(image) {
+        setPending(prev => new Set(prev).add(image.id));
+        await save(image);
+        setPending(prev => {
+            const next = new Set(prev);
+            next.delete(image.id);
+            return next;
+        });
+    }
+
+    async function save(image) {
+        const existing = favourites.find(favourite => favourite.image_id === image.id);
+
+        if (existing) {
+            setFavourites(prev => prev.filter(favourite => favourite !== existing));
+            log.add("optimistic", `Removed ${image.id} from local state`);
+            try {
+                log.add("request", `DELETE /favourites/${existing.id}`);
+                await removeFavourite(existing.id, server);
+                log.add("success", `Server removed ${existing.id}`);
+            } catch (error) {
+                setFavourites(prev => [...prev, existing]);
+                log.add("error", errorLine(error));
+                log.add("rollback", `Put ${image.id} back`);
+            }
+            return;
+        }
+
+        const temp = { id: `temp-${image.id}`, image_id: image.id };
+        setFavourites(prev => [...prev, temp]);
+        log.add("optimistic", `Added ${image.id} with temporary id`);
+        try {
+            log.add("request", "POST /favourites");
+            const { id } = await addFavourite(image.id, subId, server);
+            setFavourites(prev => prev.map(favourite => (favourite === temp ? { ...temp, id } : favourite)));
+            log.add("success", `Server stored it as ${id}`);
+        } catch (error) {
+            setFavourites(prev => prev.filter(favourite => favourite !== temp));
+            log.add("error", errorLine(error));
+            log.add("rollback", `Took ${image.id} back out`);
+        }
+    }
+
+    return (
+        <FavouritesPanel
+            title={IMPLEMENTATIONS.manual.label}
+            cats={cats}
+            favourites={favourites}
+            pending={pending}
+            onToggle={toggle}
+            log={log}
+            loadError={loadError}
+        />
+    );
+}
+
+function ReactQueryFavourites({ cats, server }) {
+    const { subId } = IMPLEMENTATIONS["react-query"];
+    const queryKey = ["favourites", subId];
+    const queryClient = useQueryClient();
+    const log = useEventLog();
+
+    const { data: favourites = [], error: loadError } = useQuery({
+        queryKey,
+        queryFn: ({ signal }) => fetchFavourites(subId, signal),
+    });
+
+    const mutation = useMutation({
+        mutationKey: queryKey,
+        mutationFn: ({ image, existing }) => (existing
+            ? removeFavourite(existing.id, server)
+            : addFavourite(image.id, subId, server)),
+        onMutate: async ({ image, existing }) => {
+            await queryClient.cancelQueries({ queryKey });
+            queryClient.setQueryData(queryKey, (old = []) => (existing
+                ? old.filter(favourite => favourite.id !== existing.id)
+                : [...old, { id: `temp-${image.id}`, image_id: image.id }]));
+            log.add("optimistic", `setQueryData: ${existing ? "removed" : "added"} ${image.id}`);
+            log.add("request", existing ? `DELETE /favourites/${existing.id}` : "POST /favourites");
+        },
+        onSuccess: (data, { image }) => {
+            log.add("success", `Server accepted ${image.id}`);
+        },
+        onError: (error, { image, existing }) => {
+            // Only this toggle's entry: a snapshot would also undo toggles still in flight.
+            queryClient.setQueryData(queryKey, (old = []) => (existing
+                ? [...old.filter(favourite => favourite.id !== existing.id), existing]
+                : old.filter(favourite => favourite.id !== `temp-${image.id}`)));
+            log.add("error", errorLine(error));
+            log.add("rollback", existing ? `Put ${image.id} back` : `Took ${image.id} back out`);
+        },
+        onSettled: () => {
+            log.add("request", "invalidateQueries → refetch GET /favourites");
+            return queryClient.invalidateQueries({ queryKey });
+        },
+    });
+
+    const pending = useMutationState({
+        filters: { mutationKey: queryKey, status: "pending" },
+        select: (pendingMutation) => pendingMutation.state.variables.image.id,
+    });
+
+    function toggle(image) {
+        const existing = favourites.find(favourite => favourite.image_id === image.id);
+        mutation.mutate({ image, existing });
+    }
+
+    return (
+        <FavouritesPanel
+            title={IMPLEMENTATIONS["react-query"].label}
+            cats={cats}
+            favourites={favourites}
+            pending={new Set(pending)}
+            onToggle={toggle}
+            log={log}
+            loadError={loadError}
+        />
+    );
+}
+
+function UseOptimisticFavourites({ cats, server }) {
+    const { subId } = IMPLEMENTATIONS["use-optimistic"];
+    const log = useEventLog();
+    const [favourites, setFavourites] = useState([]);
+    const [loadError, setLoadError] = useState(null);
+    // Removals stay in the optimistic list as hidden, pending entries so the
+    // cat can't be toggled again until the server has answered.
+    const [optimisticFavourites, addOptimistic] = useOptimistic(favourites, (current, { image, existing }) => (existing
+        ? current.map(favourite => (favourite.id === existing.id ? { ...favourite, removed: true, pending: true } : favourite))
+        : [...current, { id: `temp-${image.id}`, image_id: image.id, pending: true }]));
+    const [isPending, startTransition] = useTransition();
+
+    useEffect(() => {
+        const controller = new AbortController();
+        fetchFavourites(subId, controller.signal)
+            .then(setFavourites)
+            .catch(error => {
+                if (!(error instanceof AbortError)) setLoadError(error);
+            });
+        return () => controller.abort();
+    }, [subId]);
+
+    function toggle(image) {
+        const existing = favourites.find(favourite => favourite.image_id === image.id);
+
+        startTransition(async () => {
+            addOptimistic({ image, existing });
+            log.add("optimistic", `addOptimistic: ${existing ? "removed" : "added"} ${image.id}`);
+            try {
+                log.add("request", existing ? `DELETE /favourites/${existing.id}` : "POST /favourites");
+                if (existing) {
+                    await removeFavourite(existing.id, server);
+                    startTransition(() => setFavourites(prev => prev.filter(favourite => favourite.id !== existing.id)));
+                    log.add("success", `Server removed ${existing.id}`);
+                } else {
+                    const { id } = await addFavourite(image.id, subId, server);
+                    startTransition(() => setFavourites(prev => [...prev, { id, image_id: image.id }]));
+                    log.add("success", `Server stored it as ${id}`);
+                }
+            } catch (error) {
+                log.add("error", errorLine(error));
+                log.add("rollback", "Nothing to undo: React drops the optimistic value when the action ends");
+            }
+        });
+    }
+
+    return (
+        <FavouritesPanel
+            title={IMPLEMENTATIONS["use-optimistic"].label}
+            cats={cats}
+            favourites={optimisticFavourites.filter(favourite => !favourite.removed)}
+            pending={new Set(optimisticFavourites.filter(favourite => favourite.pending).map(favourite => favourite.image_id))}
+            onToggle={toggle}
+            log={log}
+            loadError={loadError}
+            footer={isPending && "Transition pending: the list shows optimistic state"}
+        />
+    );
+}
+
+// ---- Mock API calls ----
+
+function fetchFavourites(subId, signal) {
+    return fetchJson(apiUrl(`/favourites?sub_id=${subId}`), { signal });
+}
+
+function addFavourite(imageId, subId, server) {
+    return fetchJson(writeUrl("/favourites", server), {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ image_id: imageId, sub_id: subId }),
+    });
+}
+
+function removeFavourite(id, server) {
+    return fetchJson(writeUrl(`/favourites/${id}`, server), { method: "DELETE" });
+}
+
+function writeUrl(path, { latency, failWrites }) {
+    const params = new URLSearchParams({ delay: latency });
+    if (failWrites) params.set("fail", "1");
+    return apiUrl(`${path}?${params}`);
+}
+
+// "HttpError HTTP 500 Internal Server Error: FAVOURITE_WRITE_FAILED", for the event log.
+function errorLine(error) {
+    const detail = error instanceof HttpError && error.body?.message ? `: ${error.body.message}` : "";
+    return `${error.name} ${error.message}${detail}`;
+}
+
+// ---- Helpers ----
+
+function useEventLog() {
+    const [entries, setEntries] = useState([]);
+    const startedAt = useRef(null);
+
+    return {
+        entries,
+        add(type, message) {
+            startedAt.current ??= performance.now();
+            const time = Math.round(performance.now() - startedAt.current);
+            setEntries(prev => [...prev, { id: prev.length, type, message, time }]);
+        },
+        clear() {
+            startedAt.current = null;
+            setEntries([]);
+        },
+    };
+}
+
+function FavouritesPanel({ title, cats, favourites, pending, onToggle, log, loadError, footer }) {
+    const favouriteIds = new Set(favourites.map(favourite => favourite.image_id));
+
+    return (
+        <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-lg">{title}</h3>
+                <span className="text-xs text-zinc-400">♥ {favouriteIds.size}</span>
+            </div>
+
+            {loadError && <ErrorNotice error={loadError} className="mb-4" />}
+
+            <div className="grid grid-cols-3 gap-2 mb-4">
+                {cats.map(cat => {
+                    const favourite = favouriteIds.has(cat.id);
+                    return (
+                        <button
+                            key={cat.id}
+                            onClick={() => onToggle(cat)}
+                            disabled={pending.has(cat.id)}
+                            aria-label={`${favourite ? "Unfavourite" : "Favourite"} ${cat.id}`}
+                            className="relative rounded-lg overflow-hidden border border-zinc-800 hover:border-zinc-600 disabled:cursor-wait"
+                        >
+                            <img src={cat.url} alt={cat.id} className="w-full aspect-[3/2] object-cover" />
+                            <span
+                                className={`absolute top-1 right-1 w-7 h-7 rounded-full flex items-center justify-center text-sm bg-black/70 ${favourite ? "text-pink-500" : "text-zinc-500"
+                                    } ${pending.has(cat.id) ? "animate-pulse" : ""}`}
+                            >
+                                {favourite ? "♥" : "♡"}
+                            </span>
+                        </button>
+                    );
+                })}
+            </div>
+
+            <div className="flex items-center justify-between mb-2">
+                <p className="text-sm text-zinc-400">Timeline</p>
+                <button
+                    onClick={log.clear}
+                    className="text-xs px-3 py-1 bg-zinc-700 hover:bg-zinc-600 rounded"
+                >
+                    Clear
+                </button>
+            </div>
+            <div className="bg-black rounded-lg p-3 border border-zinc-800 h-64 overflow-y-auto space-y-1 font-mono text-xs">
+                {log.entries.length === 0 ? (
+                    <p className="text-zinc-600 text-center py-10">Tap a cat to favourite it</p>
+                ) : (
+                    log.entries.map(entry => (
+                        <div key={entry.id} className={`flex gap-2 p-2 rounded ${LOG_STYLES[entry.type]}`}>
+                            <span className="text-zinc-500 shrink-0">{entry.time}ms</span>
+                            <span>{entry.message}</span>
+                        </div>
+                    ))
+                )}
+            </div>
+            {footer && <p className="mt-3 text-xs text-indigo-300">{footer}</p>}
+        </div>
+    );
+}
+
+function KeyPoint({ title, description }) {
+    return (
+        <div className="bg-zinc-900/50 border border-indigo-800/30 rounded-lg p-4">
+            <h4 className="font-semibold text-sm text-indigo-300 mb-2">{title}</h4>
+            <p className="text-xs text-zinc-400 leading-relaxed">{description}</p>
+        </div>
+    );
+}
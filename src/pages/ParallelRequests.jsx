@@ -0,0 +1,393 @@
+import { useState } from "react";
+import { apiUrl, failureUrls, useApiMode } from "../api/settings";
+import { fetchJson } from "../api/http";
+import { useRunScope } from "../lifecycle/useRunScope";
+
+const MAX_REQUESTS = 6;
+
+const STRATEGIES = {
+    sequential: {
+        label: "Sequential",
+        code: `const results = [];
+for (const url of urls) {
+  results.push(await fetchJson(url)); // waits before starting the next
+}`,
+        summary: "One after another. Total ≈ sum of latencies; the first failure stops the rest from starting.",
+    },
+    all: {
+        label: "Promise.all",
+        code: `const results = await Promise.all(urls.map(fetchJson));`,
+        summary: "All start together. Resolves when every request succeeds, rejects on the first failure.",
+    },
+    allSettled: {
+        label: "Promise.allSettled",
+        code: `const outcomes = await Promise.allSettled(urls.map(fetchJson));
+// [{ status: "fulfilled", value }, { status: "rejected", reason }, ...]`,
+        summary: "All start together. Never rejects: waits for everyone and reports each outcome.",
+    },
+    race: {
+        label: "Promise.race",
+        code: `const first = await Promise.race(urls.map(fetchJson));`,
+        summary: "Settles with whichever request settles first, success or failure.",
+    },
+    any: {
+        label: "Promise.any",
+        code: `const firstOk = await Promise.any(urls.map(fetchJson));
+// AggregateError only if every request fails`,
+        summary: "Resolves with the first success, ignoring failures until all have failed.",
+    },
+};
+
+const ROW_STYLES = {
+    waiting: { bar: "", text: "text-zinc-600", label: "not started" },
+    pending: { bar: "bg-indigo-500/60 animate-pulse", text: "text-indigo-300", label: "pending" },
+    fulfilled: { bar: "bg-green-500", text: "text-green-400", label: "fulfilled" },
+    rejected: { bar: "bg-red-500", text: "text-red-400", label: "rejected" },
+    aborted: { bar: "bg-amber-700/50 border border-dashed border-amber-500", text: "text-amber-400", label: "aborted" },
+};
+
+const DEFAULT_REQUESTS = [
+    { latency: 800, fails: false },
+    { latency: 400, fails: false },
+    { latency: 1200, fails: false },
+    { latency: 600, fails: false },
+];
+
+export default function ParallelRequests() {
+    const apiMode = useApiMode();
+    const runs = useRunScope();
+    const [requests, setRequests] = useState(DEFAULT_REQUESTS);
+    const [abortRest, setAbortRest] = useState(false);
+    const [results, setResults] = useState({});
+
+    const updateRequest = (index, patch) => {
+        setRequests(prev => prev.map((request, i) => (i === index ? { ...request, ...patch } : request)));
+    };
+
+    function requestUrl({ latency, fails }) {
+        // Only the mock API honours ?delay and serves /status/:code.
+        if (apiMode !== "mock") {
+            return fails ? failureUrls().http : apiUrl("/images/search");
+        }
+        return apiUrl(fails ? `/status/500?delay=${latency}` : `/images/search?delay=${latency}`);
+    }
+
+    async function runStrategy(id, run) {
+        const startedAt = performance.now();
+        const at = () => Math.round(performance.now() - startedAt);
+        const update = (patch) => {
+            setResults(prev => (prev[id]?.runId === run.id ? { ...prev, [id]: patch(prev[id]) } : prev));
+        };
+        const updateRow = (index, patch) => {
+            update(result => ({
+                ...result,
+                rows: result.rows.map((row, i) => (i === index ? { ...row, ...patch } : row)),
+            }));
+        };
+
+        // Combinators don't cancel the requests they stop waiting for; this controller can.
+        const rest = new AbortController();
+        const signal = AbortSignal.any([run.signal, rest.signal]);
+
+        // Every request started, so the next strategy waits for the stragglers race and any leave behind.
+        const started = [];
+
+        function fetchRow(index) {
+            const request = sendRow(index);
+            started.push(request);
+            return request;
+        }
+
+        async function sendRow(index) {
+            updateRow(index, { state: "pending", startedAt: at() });
+            try {
+                const data = await fetchJson(requestUrl(requests[index]), { signal });
+                updateRow(index, { state: "fulfilled", endedAt: at() });
+                return `#${index + 1} ${data[0]?.id ?? "ok"}`;
+            } catch (error) {
+                updateRow(index, {
+                    state: error.name === "AbortError" ? "aborted" : "rejected",
+                    endedAt: at(),
+                });
+                throw error;
+            }
+        }
+
+        setResults(prev => ({
+            ...prev,
+            [id]: { runId: run.id, rows: requests.map(() => ({ state: "waiting" })) },
+        }));
+
+        const all = () => requests.map((_, index) => fetchRow(index));
+        let outcome;
+        try {
+            let value;
+            if (id === "sequential") {
+                value = [];
+                for (let index = 0; index < requests.length; index++) {
+                    value.push(await fetchRow(index));
+                }
+            } else {
+                value = await Promise[id](all());
+            }
+            outcome = { kind: "fulfilled", text: describeValue(id, value) };
+        } catch (error) {
+            outcome = {
+                kind: "rejected",
+                text: error.name === "AggregateError"
+                    ? `AggregateError: all ${error.errors.length} requests failed`
+                    : `${error.name}: ${error.message}`,
+            };
+        }
+
+        if (!run.active) return;
+        update(result => ({ ...result, settledAt: at(), outcome }));
+        if (abortRest) {
+            rest.abort();
+        }
+        await Promise.allSettled(started);
+    }
+
+    // One strategy at a time: the browser opens at most 6 connections per
+    // origin, so running them together would queue requests and skew every waterfall.
+    async function runAll() {
+        const run = runs.start();
+        setResults({});
+        for (const id of Object.keys(STRATEGIES)) {
+            await runStrategy(id, run);
+            if (!run.active) return;
+        }
+    }
+
+    // One time axis for every strategy, so the waterfalls line up.
+    const timelineEnd = Math.max(
+        requests.reduce((sum, request) => sum + request.latency, 0),
+        ...Object.values(results).flatMap(result => [
+            result.settledAt ?? 0,
+            ...result.rows.map(row => row.endedAt ?? 0),
+        ])
+    ) + 100;
+
+    return (
+        <div className="min-h-screen bg-black text-white p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Headline */}
+                <div className="mb-10 text-center">
+                    <h2 className="text-5xl font-bold mb-3">
+                        <span className="text-indigo-400">Parallel</span> vs sequential requests
+                    </h2>
+                    <p className="text-zinc-400 text-lg max-w-3xl mx-auto">
+                        The same requests, awaited one by one or combined with the Promise combinators.
+                        Make one fail and watch how differently each combinator reacts.
+                    </p>
+                </div>
+
+                {/* Requests */}
+                <div className="mb-6 bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <h3 className="font-semibold text-lg">Requests</h3>
+                        <div className="flex gap-2">
+                            <button
+                                onClick={() => setRequests(prev => prev.slice(0, -1))}
+                                disabled={requests.length <= 2}
+                                className="px-3 py-1 bg-zinc-700 hover:bg-zinc-600 disabled:opacity-40 rounded text-sm"
+                            >
+                                − Remove
+                            </button>
+                            <button
+                                onClick={() => setRequests(prev => [...prev, { latency: 500, fails: false }])}
+                                disabled={requests.length >= MAX_REQUESTS}
+                                className="px-3 py-1 bg-zinc-700 hover:bg-zinc-600 disabled:opacity-40 rounded text-sm"
+                            >
+                                + Add
+                            </button>
+                            <button
+                                onClick={() => setRequests(prev => prev.map(request => ({
+                                    ...request,
+                                    latency: 100 * (2 + Math.floor(Math.random() * 14)),
+                                })))}
+                                className="px-3 py-1 bg-zinc-700 hover:bg-zinc-600 rounded text-sm"
+                            >
+                                Randomise latency
+                            </button>
+                        </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+                        {requests.map((request, index) => (
+                            <div key={index} className={`p-3 rounded-lg border ${request.fails ? "border-red-800 bg-red-950/20" : "border-zinc-700 bg-zinc-950"}`}>
+                                <div className="flex items-center justify-between mb-2 text-sm">
+                                    <span className="font-semibold">Request {index + 1}</span>
+                                    <label className="flex items-center gap-2 text-xs text-zinc-400">
+                                        <input
+                                            type="checkbox"
+                                            checked={request.fails}
+                                            onChange={(e) => updateRequest(index, { fails: e.target.checked })}
+                                            className="accent-red-500"
+                                        />
+                                        fails (500)
+                                    </label>
+                                </div>
+                                <input
+                                    type="range"
+                                    min={100}
+                                    max={2000}
+                                    step={100}
+                                    value={request.latency}
+                                    onChange={(e) => updateRequest(index, { latency: Number(e.target.value) })}
+                                    disabled={apiMode !== "mock"}
+                                    className="w-full accent-indigo-500"
+                                />
+                                <div className="text-xs text-zinc-500 font-mono">
+                                    {apiMode === "mock" ? `${request.latency}ms` : "network latency"}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-4 mt-6">
+                        <button
+                            onClick={runAll}
+                            className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 rounded-lg font-semibold transition-all duration-200 hover:scale-105"
+                        >
+                            Run the five strategies one after another
+                        </button>
+                        <label className="flex items-center gap-2 text-sm text-zinc-400">
+                            <input
+                                type="checkbox"
+                                checked={abortRest}
+                                onChange={(e) => setAbortRest(e.target.checked)}
+                                className="accent-amber-500"
+                            />
+                            Abort the remaining requests once the combinator settles
+                        </label>
+                    </div>
+                </div>
+
+                {/* Waterfalls */}
+                <div className="space-y-6 mb-6">
+                    {Object.entries(STRATEGIES).map(([id, strategy]) => (
+                        <Waterfall
+                            key={id}
+                            strategy={strategy}
+                            result={results[id]}
+                            requestCount={requests.length}
+                            timelineEnd={timelineEnd}
+                        />
+                    ))}
+                </div>
+
+                {/* Key Points */}
+                <div className="bg-gradient-to-r from-indigo-950/50 to-purple-950/50 rounded-xl p-6 border border-indigo-800/30 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-indigo-300">Key Points</h3>
+                    <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <KeyPoint
+                            title="Sequential only when dependent"
+                            description="If request B needs data from A, await A first. Otherwise you pay the sum of every latency."
+                        />
+                        <KeyPoint
+                            title="Fail fast ≠ stop work"
+                            description="Promise.all rejects on the first failure, but the other requests keep running. Abort them if you don't need them."
+                        />
+                        <KeyPoint
+                            title="Partial results"
+                            description="Promise.allSettled is the choice when a dashboard should render whatever loaded."
+                        />
+                        <KeyPoint
+                            title="race vs any"
+                            description="race settles on the first outcome, even an error. any waits for the first success, e.g. mirrors or fallbacks."
+                        />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function describeValue(id, value) {
+    if (id === "allSettled") {
+        return `[${value.map(outcome => (outcome.status === "rejected" ? `rejected (${outcome.reason.name})` : outcome.status)).join(", ")}]`;
+    }
+    if (id === "race" || id === "any") {
+        return `first ${id === "any" ? "success" : "to settle"}: ${value}`;
+    }
+    return `[${value.join(", ")}]`;
+}
+
+function Waterfall({ strategy, result, requestCount, timelineEnd }) {
+    const percent = (ms) => `${(ms / timelineEnd) * 100}%`;
+    const rows = result?.rows ?? Array.from({ length: requestCount }, () => ({ state: "waiting" }));
+
+    return (
+        <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                <div>
+                    <h3 className="font-semibold text-lg mb-2 font-mono text-indigo-300">{strategy.label}</h3>
+                    <p className="text-xs text-zinc-400 mb-3">{strategy.summary}</p>
+                    <pre className="bg-black rounded-lg p-3 text-xs text-zinc-200 overflow-auto border border-zinc-800">
+                        {strategy.code}
+                    </pre>
+                </div>
+
+                <div className="lg:col-span-2">
+                    <div className="relative bg-black rounded-lg p-4 border border-zinc-800 space-y-2 font-mono text-xs">
+                        {rows.map((row, index) => {
+                            const style = ROW_STYLES[row.state];
+                            return (
+                                <div key={index} className="flex items-center gap-3">
+                                    <div className="w-20 shrink-0 text-zinc-300">Request {index + 1}</div>
+                                    <div className="relative flex-1 h-5 bg-zinc-950 rounded">
+                                        {row.startedAt !== undefined && (
+                                            <div
+                                                className={`absolute top-0.5 bottom-0.5 rounded transition-all duration-300 ${style.bar}`}
+                                                style={{
+                                                    left: percent(row.startedAt),
+                                                    width: percent(Math.max((row.endedAt ?? timelineEnd) - row.startedAt, 10)),
+                                                }}
+                                            />
+                                        )}
+                                        {result?.settledAt !== undefined && (
+                                            <div
+                                                className={`absolute -top-1 -bottom-1 border-l-2 ${result.outcome.kind === "fulfilled" ? "border-green-400" : "border-red-400"}`}
+                                                style={{ left: percent(result.settledAt) }}
+                                            />
+                                        )}
+                                    </div>
+                                    <div className={`w-32 shrink-0 ${style.text}`}>
+                                        {style.label}
+                                        {row.endedAt !== undefined && ` · ${row.endedAt - row.startedAt}ms`}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+
+                    <div className="mt-3 text-sm min-h-6">
+                        {result?.outcome ? (
+                            <p className={result.outcome.kind === "fulfilled" ? "text-green-400" : "text-red-400"}>
+                                <span className="font-mono">
+                                    {result.outcome.kind === "fulfilled" ? "resolved" : "rejected"} at {result.settledAt}ms
+                                </span>
+                                {" → "}
+                                {result.outcome.text}
+                            </p>
+                        ) : result ? (
+                            <p className="text-zinc-500">Waiting for the combinator to settle…</p>
+                        ) : (
+                            <p className="text-zinc-600">Not run yet</p>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function KeyPoint({ title, description }) {
+    return (
+        <div className="bg-zinc-900/50 border border-indigo-800/30 rounded-lg p-4">
+            <h4 className="font-semibold text-sm text-indigo-300 mb-2">{title}</h4>
+            <p className="text-xs text-zinc-400 leading-relaxed">{description}</p>
+        </div>
+    );
+}
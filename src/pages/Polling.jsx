@@ -0,0 +1,456 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { fetchJson } from "../api/http";
+import { apiUrl, setApiMode, useApiMode } from "../api/settings";
+import ErrorNotice from "../components/ErrorNotice";
+
+const QUERY_KEY = ["polling-lesson", "ticker"];
+const CHART_WINDOW = 60000;
+const BUCKET = 2000;
+
+const IMPLEMENTATIONS = {
+    manual: {
+        label: "setInterval by hand",
+        code: `useEffect(() => {
+  const id = setInterval(() => {
+    if (!inBackground && document.visibilityState === "hidden") return;
+    if (!inFlight.current) poll(); // never stack requests
+  }, interval);
+  return () => clearInterval(id);
+}, [interval, inBackground]);
+
+useEffect(() => {
+  if (!onFocus) return;
+  const refetch = () => {
+    if (document.visibilityState === "visible") poll();
+  };
+  document.addEventListener("visibilitychange", refetch);
+  return () => document.removeEventListener("visibilitychange", refetch);
+}, [onFocus]);`,
+    },
+    "react-query": {
+        label: "React Query refetchInterval",
+        code: `useQuery({
+  queryKey: ["polling-lesson", "ticker"],
+  queryFn: fetchTicker,
+  refetchInterval: interval,           // or false
+  refetchIntervalInBackground: inBackground,
+  refetchOnWindowFocus: onFocus,
+  staleTime: 0, // focus refetches only stale data
+  retry: false,
+});`,
+    },
+};
+
+const OPTIONS = [
+    {
+        id: "inBackground",
+        label: "refetchIntervalInBackground",
+        description: "Keep polling while the tab is hidden. Off by default: nobody is looking.",
+    },
+    {
+        id: "onFocus",
+        label: "refetchOnWindowFocus",
+        description: "Fetch as soon as the tab is visible again, without waiting for the next tick.",
+    },
+];
+
+export default function Polling() {
+    const apiMode = useApiMode();
+    const [polling, setPolling] = useState(true);
+    const [refetchInterval, setRefetchInterval] = useState(2000);
+    const [options, setOptions] = useState({ inBackground: false, onFocus: true });
+    const [running, setRunning] = useState(false);
+    const [requests, setRequests] = useState({ manual: [], "react-query": [] });
+    const hiddenSpans = useHiddenSpans();
+    const now = useNow(500);
+
+    const settings = { interval: polling ? refetchInterval : 0, ...options };
+
+    // Stable, so neither implementation restarts its timers on every render.
+    const record = useCallback((implementation) => {
+        const at = Date.now();
+        const request = { at, hidden: document.visibilityState === "hidden" };
+        setRequests(prev => ({
+            ...prev,
+            [implementation]: [...prev[implementation].filter(r => r.at > at - CHART_WINDOW), request],
+        }));
+    }, []);
+
+    function toggle(id) {
+        setOptions(prev => ({ ...prev, [id]: !prev[id] }));
+    }
+
+    return (
+        <div className="min-h-screen bg-black text-white p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Headline */}
+                <div className="mb-10 text-center">
+                    <h2 className="text-5xl font-bold mb-3">
+                        Polling & <span className="text-indigo-400">refetch intervals</span>
+                    </h2>
+                    <p className="text-zinc-400 text-lg max-w-3xl mx-auto">
+                        Some data changes whether or not anyone asks. Poll an endpoint that moves every few seconds,
+                        then switch to another tab and come back to see who keeps polling behind your back.
+                    </p>
+                </div>
+
+                {apiMode !== "mock" && (
+                    <div className="mb-6 bg-yellow-950/30 border border-yellow-800 rounded-xl p-4 flex flex-wrap items-center justify-between gap-3">
+                        <p className="text-yellow-300 text-sm">
+                            This lesson needs the mock API's <code>/ticker</code> endpoint, whose value changes every 3 seconds.
+                        </p>
+                        <button
+                            onClick={() => setApiMode("mock")}
+                            className="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 rounded-lg text-sm font-semibold"
+                        >
+                            Switch to mock API
+                        </button>
+                    </div>
+                )}
+
+                {/* Settings */}
+                <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl mb-6">
+                    <div className="grid md:grid-cols-3 gap-6">
+                        <div>
+                            <label className="flex items-center gap-3 mb-3 cursor-pointer">
+                                <input
+                                    type="checkbox"
+                                    checked={polling}
+                                    onChange={() => setPolling(prev => !prev)}
+                                    className="accent-indigo-500"
+                                />
+                                <span className="font-semibold text-sm">refetchInterval</span>
+                            </label>
+                            <Slider
+                                label="Every"
+                                unit="ms"
+                                value={refetchInterval}
+                                min={500}
+                                max={10000}
+                                step={500}
+                                disabled={!polling}
+                                onChange={setRefetchInterval}
+                            />
+                        </div>
+                        {OPTIONS.map(option => (
+                            <label
+                                key={option.id}
+                                className="flex items-start gap-3 p-3 rounded-lg border border-zinc-800 bg-zinc-950 cursor-pointer hover:border-zinc-700"
+                            >
+                                <input
+                                    type="checkbox"
+                                    checked={options[option.id]}
+                                    onChange={() => toggle(option.id)}
+                                    className="mt-1 accent-indigo-500"
+                                />
+                                <span className="flex-1">
+                                    <span className="font-semibold text-sm">{option.label}</span>
+                                    <span className="block text-xs text-zinc-400 mt-1">{option.description}</span>
+                                </span>
+                            </label>
+                        ))}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-3 mt-4">
+                        <button
+                            onClick={() => setRunning(prev => !prev)}
+                            disabled={apiMode !== "mock"}
+                            className={`px-6 py-3 rounded-lg font-semibold transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed ${running
+                                ? "bg-zinc-700 hover:bg-zinc-600"
+                                : "bg-indigo-600 hover:bg-indigo-500"
+                                }`}
+                        >
+                            {running ? "Stop polling" : "Start polling"}
+                        </button>
+                        <button
+                            onClick={() => setRequests({ manual: [], "react-query": [] })}
+                            className="px-6 py-3 bg-zinc-700 hover:bg-zinc-600 rounded-lg font-semibold transition-all duration-200"
+                        >
+                            Clear chart
+                        </button>
+                        <p className="text-xs text-zinc-500">
+                            Both columns use these settings. Hide the tab for a few seconds: the shaded part of each chart is
+                            the time it was hidden, and amber bars are requests sent while nobody could see them.
+                        </p>
+                    </div>
+                </div>
+
+                {/* Side by side */}
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+                    {Object.keys(IMPLEMENTATIONS).map(implementation => (
+                        <PollingPanel
+                            key={implementation}
+                            implementation={implementation}
+                            requests={requests[implementation]}
+                            hiddenSpans={hiddenSpans}
+                            now={now}
+                        >
+                            {running && (
+                                implementation === "manual"
+                                    ? <ManualConsumer settings={settings} record={record} now={now} />
+                                    : <QueryConsumer settings={settings} record={record} now={now} />
+                            )}
+                        </PollingPanel>
+                    ))}
+                </div>
+
+                {/* Key Points */}
+                <div className="bg-gradient-to-r from-indigo-950/50 to-purple-950/50 rounded-xl p-6 border border-indigo-800/30 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-indigo-300">Key Points</h3>
+                    <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <KeyPoint
+                            title="Hidden tabs stop by default"
+                            description="React Query skips interval refetches while the document is hidden unless refetchIntervalInBackground is on. A bare setInterval keeps going (browsers only throttle it)."
+                        />
+                        <KeyPoint
+                            title="Catch up on focus"
+                            description="Pausing in the background is safe because refetchOnWindowFocus fetches the moment the user looks again. Switch both off and the data is stale until the next tick."
+                        />
+                        <KeyPoint
+                            title="Don't stack requests"
+                            description="If a response takes longer than the interval, a naive timer piles up overlapping requests. Skip the tick while one is in flight."
+                        />
+                        <KeyPoint
+                            title="Poll the interval, not the data"
+                            description="The ticker changes every 3 s. Polling faster than that only repeats the same answer; polling slower shows changes late."
+                        />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// ---- Consumers ----
+
+function ManualConsumer({ settings, record, now }) {
+    const fetcher = useCallback(() => fetchTicker(() => record("manual")), [record]);
+    const state = useManualPolling(fetcher, settings);
+    return <TickerView {...state} now={now} />;
+}
+
+function QueryConsumer({ settings, record, now }) {
+    const { data, error, dataUpdatedAt, isFetching } = useQuery({
+        queryKey: QUERY_KEY,
+        queryFn: () => fetchTicker(() => record("react-query")),
+        refetchInterval: settings.interval || false,
+        refetchIntervalInBackground: settings.inBackground,
+        refetchOnWindowFocus: settings.onFocus,
+        staleTime: 0,
+        retry: false,
+    });
+    return <TickerView data={data} error={error} updatedAt={dataUpdatedAt} isFetching={isFetching} now={now} />;
+}
+
+function fetchTicker(onRequest) {
+    onRequest();
+    return fetchJson(apiUrl("/ticker"));
+}
+
+/** The same three rules React Query applies, written out with setInterval and visibilitychange. */
+function useManualPolling(fetcher, { interval, inBackground, onFocus }) {
+    const [state, setState] = useState({ data: null, error: null, updatedAt: 0, isFetching: false });
+    const inFlight = useRef(false);
+
+    const poll = useCallback(async () => {
+        if (inFlight.current) return;
+        inFlight.current = true;
+        setState(prev => ({ ...prev, isFetching: true }));
+        try {
+            const data = await fetcher();
+            setState({ data, error: null, updatedAt: Date.now(), isFetching: false });
+        } catch (error) {
+            setState(prev => ({ ...prev, error, isFetching: false }));
+        } finally {
+            inFlight.current = false;
+        }
+    }, [fetcher]);
+
+    useEffect(() => {
+        poll();
+    }, [poll]);
+
+    useEffect(() => {
+        if (!interval) return;
+        const id = setInterval(() => {
+            if (!inBackground && document.visibilityState === "hidden") return;
+            poll();
+        }, interval);
+        return () => clearInterval(id);
+    }, [poll, interval, inBackground]);
+
+    useEffect(() => {
+        if (!onFocus) return;
+        const refetch = () => {
+            if (document.visibilityState === "visible") poll();
+        };
+        document.addEventListener("visibilitychange", refetch);
+        return () => document.removeEventListener("visibilitychange", refetch);
+    }, [poll, onFocus]);
+
+    return state;
+}
+
+function TickerView({ data, error, updatedAt, isFetching, now }) {
+    if (error && !data) {
+        return <ErrorNotice error={error} className="w-full" />;
+    }
+    if (!data) {
+        return <p className="text-zinc-400 text-sm animate-pulse">Loading the first reading…</p>;
+    }
+
+    return (
+        <div className="flex items-center gap-6 w-full">
+            <div className="text-center">
+                <p className="text-5xl font-bold font-mono text-indigo-300">{data.value}</p>
+                <p className="text-xs text-zinc-500 mt-1">cats online</p>
+            </div>
+            <div className="text-sm space-y-1">
+                <p className="font-mono text-zinc-300">tick #{data.tick}</p>
+                <p className="text-zinc-400">changed {seconds(now - Date.parse(data.changedAt))} ago on the server</p>
+                <p className="text-zinc-400">fetched {seconds(now - updatedAt)} ago</p>
+                {isFetching && <p className="text-indigo-300 animate-pulse">polling…</p>}
+                {error && <p className="text-red-400">last poll failed: {error.message}</p>}
+            </div>
+        </div>
+    );
+}
+
+// ---- Request chart ----
+
+function PollingPanel({ implementation, requests, hiddenSpans, now, children }) {
+    const { label, code } = IMPLEMENTATIONS[implementation];
+    const recent = requests.filter(r => r.at > now - CHART_WINDOW);
+    const hidden = recent.filter(r => r.hidden).length;
+
+    return (
+        <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-lg">{label}</h3>
+                <span className="text-xs text-zinc-400">
+                    last 60s: <span className="text-indigo-300">{recent.length - hidden} visible</span>
+                    {" · "}
+                    <span className="text-amber-400">{hidden} hidden</span>
+                </span>
+            </div>
+
+            <div className="bg-black rounded-lg border border-zinc-800 p-4 h-32 flex items-center justify-center mb-4">
+                {children ?? <p className="text-zinc-500 text-sm">Not polling</p>}
+            </div>
+
+            <RequestChart requests={recent} hiddenSpans={hiddenSpans} now={now} />
+
+            <pre className="mt-4 bg-black rounded-lg p-4 text-xs text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed">
+                {code}
+            </pre>
+        </div>
+    );
+}
+
+/** Requests per 2 s over the last minute, stacked by whether the tab was visible when each was sent. */
+function RequestChart({ requests, hiddenSpans, now }) {
+    const start = now - CHART_WINDOW;
+    const buckets = Array.from({ length: CHART_WINDOW / BUCKET }, () => ({ visible: 0, hidden: 0 }));
+    for (const request of requests) {
+        const index = Math.min(Math.floor((request.at - start) / BUCKET), buckets.length - 1);
+        buckets[index][request.hidden ? "hidden" : "visible"] += 1;
+    }
+    const peak = Math.max(2, ...buckets.map(b => b.visible + b.hidden));
+    const place = ({ from, to }) => {
+        const left = Math.max(from - start, 0) / CHART_WINDOW;
+        const right = Math.max((to ?? now) - start, 0) / CHART_WINDOW;
+        return { left: `${left * 100}%`, width: `${Math.max(right - left, 0) * 100}%` };
+    };
+
+    return (
+        <div className="bg-black rounded-lg border border-zinc-800 p-3">
+            <div className="relative h-24">
+                {hiddenSpans.filter(span => (span.to ?? now) > start).map(span => (
+                    <div key={span.from} className="absolute inset-y-0 bg-amber-500/10 border-x border-amber-500/30" style={place(span)} />
+                ))}
+                <div className="relative h-full flex items-end gap-px">
+                    {buckets.map((bucket, index) => (
+                        <div key={index} className="flex-1 flex flex-col justify-end h-full">
+                            <div className="bg-amber-500" style={{ height: `${(bucket.hidden / peak) * 100}%` }} />
+                            <div className="bg-indigo-500" style={{ height: `${(bucket.visible / peak) * 100}%` }} />
+                        </div>
+                    ))}
+                </div>
+            </div>
+            <div className="flex justify-between text-[10px] text-zinc-500 mt-1">
+                <span>-60s</span>
+                <span className="flex gap-3">
+                    <span><span className="inline-block w-2 h-2 bg-indigo-500 mr-1" />tab visible</span>
+                    <span><span className="inline-block w-2 h-2 bg-amber-500 mr-1" />tab hidden</span>
+                </span>
+                <span>now</span>
+            </div>
+        </div>
+    );
+}
+
+// ---- Hooks & UI helpers ----
+
+/** Periods the document was hidden, newest last; `to` is null while it still is. */
+function useHiddenSpans() {
+    const [spans, setSpans] = useState([]);
+
+    useEffect(() => {
+        function onChange() {
+            const at = Date.now();
+            if (document.visibilityState === "hidden") {
+                setSpans(prev => [...prev.filter(span => span.to === null || span.to > at - CHART_WINDOW), { from: at, to: null }]);
+            } else {
+                setSpans(prev => prev.map(span => (span.to === null ? { ...span, to: at } : span)));
+            }
+        }
+        document.addEventListener("visibilitychange", onChange);
+        return () => document.removeEventListener("visibilitychange", onChange);
+    }, []);
+
+    return spans;
+}
+
+function useNow(interval) {
+    const [now, setNow] = useState(() => Date.now());
+    useEffect(() => {
+        const id = setInterval(() => setNow(Date.now()), interval);
+        return () => clearInterval(id);
+    }, [interval]);
+    return now;
+}
+
+function seconds(ms) {
+    return `${(Math.max(ms, 0) / 1000).toFixed(1)}s`;
+}
+
+function Slider({ label, value, unit = "", min, max, step = 1, disabled = false, onChange }) {
+    return (
+        <div className={`mb-4 ${disabled ? "opacity-50" : ""}`}>
+            <label className="flex justify-between text-sm text-zinc-400 mb-1">
+                <span>{label}</span>
+                <span className="font-mono text-indigo-300">{value}{unit}</span>
+            </label>
+            <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={value}
+                disabled={disabled}
+                onChange={(e) => onChange(Number(e.target.value))}
+                className="w-full accent-indigo-500"
+            />
+        </div>
+    );
+}
+
+function KeyPoint({ title, description }) {
+    return (
+        <div className="bg-zinc-900/50 border border-indigo-800/30 rounded-lg p-4">
+            <h4 className="font-semibold text-sm text-indigo-300 mb-2">{title}</h4>
+            <p className="text-xs text-zinc-400 leading-relaxed">{description}</p>
+        </div>
+    );
+}
@@ -1,79 +1,184 @@
 import { useState } from "react";
+import { HttpError, toApiError } from "../api/errors";
+import { apiUrl, failureUrls } from "../api/settings";
+import ErrorNotice from "../components/ErrorNotice";
+import { useRequestLifecycle } from "../lifecycle/useRequestLifecycle";
+
+const TRACE_STYLES = {
+    sync: { label: "sync", className: "bg-zinc-800 text-zinc-300 border-zinc-600" },
+    register: { label: "register", className: "bg-purple-950/40 text-purple-300 border-purple-600" },
+    invoke: { label: "callback", className: "bg-green-950/40 text-green-300 border-green-600" },
+    await: { label: "await", className: "bg-indigo-950/40 text-indigo-300 border-indigo-600" },
+    microtask: { label: "microtask", className: "bg-yellow-950/40 text-yellow-300 border-yellow-600" },
+    macrotask: { label: "macrotask", className: "bg-orange-950/40 text-orange-300 border-orange-600" },
+    error: { label: "error", className: "bg-red-950/40 text-red-300 border-red-600" },
+};
+
+const LIFECYCLE_STEPS = {
+    request: 1,
+    pending: 2,
+    response: 3,
+    done: 4,
+};
 
 export default function PromisesAsync() {
-    const [step, setStep] = useState(0);
+    const { step, status, logs, ...lifecycle } = useRequestLifecycle({
+        id: "promises",
+        steps: LIFECYCLE_STEPS,
+        minStepDuration: 700,
+    });
     const [mode, setMode] = useState("await");
-    const [status, setStatus] = useState("idle");
     const [imageUrl, setImageUrl] = useState(null);
-    const [logs, setLogs] = useState([]);
     const [executionTime, setExecutionTime] = useState(null);
+    const [trace, setTrace] = useState([]);
+    const [simulateFailure, setSimulateFailure] = useState(false);
+    const [error, setError] = useState(null);
 
-    const addLog = (msg, type = "info") => {
-        setLogs(prev => [...prev, { msg, type, timestamp: Date.now() }]);
+    const clearResult = () => {
+        setImageUrl(null);
+        setError(null);
+        setExecutionTime(null);
+        setTrace([]);
     };
 
     const reset = () => {
-        setStep(0);
-        setStatus("idle");
-        setImageUrl(null);
-        setLogs([]);
-        setExecutionTime(null);
+        lifecycle.reset();
+        clearResult();
     };
 
-    async function runFlow(selectedMode) {
-        reset();
-        setMode(selectedMode);
-        setStatus("loading");
+    // Records what actually ran, in the order the engine ran it.
+    // Callbacks of a cancelled run still fire (with an AbortError) but are not recorded.
+    function createTracer(startTime, run) {
+        let order = 0;
+        return (kind, msg) => {
+            if (!run.active) return;
+            const entry = { order: ++order, kind, msg, at: Math.round(performance.now() - startTime) };
+            setTrace(prev => [...prev, entry]);
+        };
+    }
 
-        const startTime = Date.now();
-        addLog(`Starting ${selectedMode === "then" ? ".then() chain" : "async/await"} pattern...`, "info");
+    // Both probes are queued right after the request starts. Whatever the
+    // network does, the microtask runs before the setTimeout(0) callback.
+    function queueProbes(record, run) {
+        run.setTimeout(() => record("macrotask", "setTimeout(0) callback runs (task queue)"), 0);
+        Promise.resolve().then(() => record("microtask", "Promise.resolve().then() runs (microtask queue)"));
+        record("sync", "Queued a setTimeout(0) task and a Promise.resolve().then() microtask");
+    }
 
-        try {
-            setTimeout(() => {
-                setStep(1);
-                addLog("Browser initiating fetch request", "info");
-            }, 500);
+    // The lesson reads status codes itself, so the bare fetch() is kept; failures
+    // still end up in the shared error model.
+    function httpError(response, url) {
+        return new HttpError({ status: response.status, statusText: response.statusText, headers: response.headers, url, method: "GET" });
+    }
 
-            setTimeout(() => {
-                setStep(2);
-                addLog("Waiting for API response...", "info");
-            }, 1200);
+    function fail(run, failure) {
+        run.fail(failure, { log: `Error caught: ${failure.name}: ${failure.message}`, apply: () => setError(failure) });
+    }
 
-            const response = await fetch(
-                "https://api.thecatapi.com/v1/images/search"
-            );
+    function runThenChain(url, record, startTime, run) {
+        record("sync", "fetch(url) called → returns a pending Promise immediately");
+        run.emit("request", { log: "Browser initiating fetch request" });
+
+        fetch(url, { signal: run.signal })
+            .then((response) => {
+                record("invoke", `.then #1 invoked with Response (status ${response.status})`);
+                run.emit("response", {
+                    log: `Response received with status: ${response.status}`,
+                    logType: response.ok ? "success" : "error",
+                });
+                if (!response.ok) {
+                    throw httpError(response, url);
+                }
+                run.log("Executing .then() chain callbacks", "info");
+                record("sync", ".then #1 returns response.json() → chain waits on that Promise");
+                return response.json();
+            })
+            .then((data) => {
+                record("invoke", `.then #2 invoked with parsed data (${data.length} item)`);
+                run.log("JSON data parsed successfully", "success");
+                run.succeed({
+                    log: "UI updated with image",
+                    apply: () => setImageUrl(data[0].url),
+                });
+            })
+            .catch((error) => {
+                const failure = toApiError(error, { url, method: "GET" });
+                record("error", `.catch invoked: ${failure.name}: ${failure.message} (.then #2 was skipped)`);
+                fail(run, failure);
+            })
+            .finally(() => {
+                const elapsed = Math.round(performance.now() - startTime);
+                record("invoke", ".finally invoked (runs after success or failure)");
+                run.emit("finally", {
+                    log: `Total execution time: ${elapsed}ms`,
+                    apply: () => setExecutionTime(elapsed),
+                });
+            });
+
+        record("register", ".then #1, .then #2, .catch and .finally registered — none has run yet");
+        queueProbes(record, run);
+        run.emit("pending", { log: "Waiting for API response..." });
+        record("sync", "runFlow() returns; the call stack is now empty");
+    }
 
-            addLog(`Response received with status: ${response.status}`, "success");
+    async function runAwait(url, record, startTime, run) {
+        try {
+            record("sync", "fetch(url) called → returns a pending Promise");
+            run.emit("request", { log: "Browser initiating fetch request" });
+            const pending = fetch(url, { signal: run.signal });
+            queueProbes(record, run);
+
+            record("await", "await fetch(...) → function suspends, control returns to the caller");
+            run.emit("pending", { log: "Waiting for API response..." });
+            const response = await pending;
+            record("await", `Resumed after await fetch (status ${response.status})`);
+            run.emit("response", {
+                log: `Response received with status: ${response.status}`,
+                logType: response.ok ? "success" : "error",
+            });
 
             if (!response.ok) {
-                throw new Error("Request failed");
+                throw httpError(response, url);
             }
 
-            setTimeout(() => {
-                setStep(3);
-                if (selectedMode === "then") {
-                    addLog("Executing .then() chain callbacks", "info");
-                } else {
-                    addLog("Executing await statement for JSON parsing", "info");
-                }
-            }, 2200);
-
+            run.log("Executing await statement for JSON parsing", "info");
+            record("await", "await response.json() → suspends again");
             const data = await response.json();
-            addLog("JSON data parsed successfully", "success");
-
-            setTimeout(() => {
-                setStep(4);
-                setImageUrl(data[0].url);
-                setStatus("success");
-                const endTime = Date.now();
-                setExecutionTime(endTime - startTime);
-                addLog("UI updated with image", "success");
-                addLog(`Total execution time: ${endTime - startTime}ms`, "info");
-            }, 3200);
+            record("await", `Resumed after await response.json() (${data.length} item)`);
+            run.log("JSON data parsed successfully", "success");
 
+            run.succeed({
+                log: "UI updated with image",
+                apply: () => setImageUrl(data[0].url),
+            });
         } catch (error) {
-            setStatus("error");
-            addLog(`Error caught: ${error.message}`, "error");
+            const failure = toApiError(error, { url, method: "GET" });
+            record("error", `catch block entered: ${failure.name}: ${failure.message}`);
+            fail(run, failure);
+        } finally {
+            const elapsed = Math.round(performance.now() - startTime);
+            record("invoke", "finally block runs");
+            run.emit("finally", {
+                log: `Total execution time: ${elapsed}ms`,
+                apply: () => setExecutionTime(elapsed),
+            });
+        }
+    }
+
+    function runFlow(selectedMode) {
+        clearResult();
+        setMode(selectedMode);
+        const run = lifecycle.begin(`Starting ${selectedMode === "then" ? ".then() chain" : "async/await"} pattern...`);
+
+        const startTime = performance.now();
+        const record = createTracer(startTime, run);
+        const url = simulateFailure ? failureUrls().http : apiUrl("/images/search");
+
+        if (selectedMode === "then") {
+            runThenChain(url, record, startTime, run);
+        } else {
+            runAwait(url, record, startTime, run);
+            record("sync", "runFlow() continues while runAwait() is suspended, then returns");
         }
     }
 
@@ -162,6 +267,9 @@ export default function PromisesAsync() {
     .catch((error) => {
       console.error("Error:", error);
       throw error;
+    })
+    .finally(() => {
+      console.log("Request settled");
     });
 }`}
                         </pre>
@@ -234,6 +342,8 @@ export default function PromisesAsync() {
   } catch (error) {
     console.error("Error:", error);
     throw error;
+  } finally {
+    console.log("Request settled");
   }
 }`}
                         </pre>
@@ -414,13 +524,22 @@ export default function PromisesAsync() {
                             )}
                         </div>
 
+                        <label className="flex items-center gap-2 mb-4 text-sm text-zinc-300 cursor-pointer">
+                            <input
+                                type="checkbox"
+                                checked={simulateFailure}
+                                onChange={(e) => setSimulateFailure(e.target.checked)}
+                                className="accent-red-500"
+                            />
+                            Simulate an HTTP error (to see {mode === "then" ? ".catch()" : "catch"} run)
+                        </label>
+
                         <div className="flex gap-3">
                             <button
                                 onClick={() => runFlow(mode)}
-                                disabled={status === "loading"}
-                                className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:bg-zinc-700 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200 hover:scale-105 disabled:scale-100"
+                                className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 rounded-lg font-semibold transition-all duration-200 hover:scale-105"
                             >
-                                {status === "loading" ? "Running..." : `Run ${mode === "then" ? ".then()" : "async/await"}`}
+                                {status === "loading" ? "Restart (cancels current run)" : `Run ${mode === "then" ? ".then()" : "async/await"}`}
                             </button>
                             <button
                                 onClick={reset}
@@ -451,7 +570,8 @@ export default function PromisesAsync() {
                                         key={idx}
                                         className={`p-2 rounded animate-fade-in ${log.type === "error" ? "bg-red-950/30 text-red-400 border-l-2 border-red-500" :
                                                 log.type === "success" ? "bg-green-950/30 text-green-400 border-l-2 border-green-500" :
-                                                    "bg-zinc-800 text-zinc-300"
+                                                    log.type === "cancelled" ? "bg-amber-950/30 text-amber-400 border-l-2 border-dashed border-amber-500" :
+                                                        "bg-zinc-800 text-zinc-300"
                                             }`}
                                     >
                                         {log.msg}
@@ -462,6 +582,43 @@ export default function PromisesAsync() {
                     </div>
                 </div>
 
+                {/* Execution Order */}
+                <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl mb-6">
+                    <div className="flex items-center justify-between mb-4 flex-wrap gap-2">
+                        <h3 className="font-semibold text-lg">Execution Order</h3>
+                        <div className="flex gap-2 flex-wrap">
+                            {Object.entries(TRACE_STYLES).map(([kind, style]) => (
+                                <span key={kind} className={`text-xs px-2 py-0.5 rounded border ${style.className}`}>
+                                    {style.label}
+                                </span>
+                            ))}
+                        </div>
+                    </div>
+                    <p className="text-xs text-zinc-400 mb-4">
+                        Recorded live from the running code: callback registration, invocation,
+                        and where the microtask and task queues fit in.
+                    </p>
+
+                    <div className="bg-black rounded-lg p-4 border border-zinc-800 max-h-80 overflow-y-auto font-mono text-xs space-y-1.5">
+                        {trace.length === 0 ? (
+                            <p className="text-zinc-500 text-center py-8">
+                                Run a pattern to record its execution order
+                            </p>
+                        ) : (
+                            trace.map((entry) => (
+                                <div key={entry.order} className="flex items-center gap-3 animate-fade-in">
+                                    <span className="w-6 text-right text-zinc-500">{entry.order}</span>
+                                    <span className={`w-20 text-center px-2 py-0.5 rounded border ${TRACE_STYLES[entry.kind].className}`}>
+                                        {TRACE_STYLES[entry.kind].label}
+                                    </span>
+                                    <span className="flex-1 text-zinc-200">{entry.msg}</span>
+                                    <span className="text-zinc-500">+{entry.at}ms</span>
+                                </div>
+                            ))
+                        )}
+                    </div>
+                </div>
+
                 {/* Result Display */}
                 <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl mb-6">
                     <h3 className="font-semibold text-lg mb-4">Result</h3>
@@ -505,8 +662,23 @@ export default function PromisesAsync() {
                                 <div className="w-20 h-20 mx-auto mb-4 border-4 border-red-500 rounded-full flex items-center justify-center text-3xl text-red-500">
                                     ✕
                                 </div>
-                                <div className="bg-red-950/30 border border-red-800 rounded-lg p-4">
-                                    <p className="text-red-400 font-medium text-lg">Request failed</p>
+                                {error ? (
+                                    <ErrorNotice error={error} className="text-left" />
+                                ) : (
+                                    <div className="bg-red-950/30 border border-red-800 rounded-lg p-4">
+                                        <p className="text-red-400 font-medium text-lg">Request failed</p>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {status === "cancelled" && (
+                            <div className="text-center">
+                                <div className="w-20 h-20 mx-auto mb-4 border-4 border-amber-500 rounded-full flex items-center justify-center text-3xl text-amber-500">
+                                    ⊘
+                                </div>
+                                <div className="bg-amber-950/30 border border-amber-800 rounded-lg p-4">
+                                    <p className="text-amber-400 font-medium text-lg">Run cancelled</p>
                                 </div>
                             </div>
                         )}
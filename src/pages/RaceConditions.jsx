@@ -0,0 +1,423 @@
+import { useRef, useState } from "react";
+import { AbortError, toApiError } from "../api/errors";
+import { fetchJson } from "../api/http";
+import { apiUrl, useApiMode } from "../api/settings";
+import { useRunScope } from "../lifecycle/useRunScope";
+
+const MIN_LATENCY = 100;
+const KEYSTROKE_MS = 150;
+const AUTO_TYPE_TEXT = "siamese";
+
+const GUARDS = {
+    none: {
+        label: "No protection",
+        description: "Every response calls setResults()",
+    },
+    "request-id": {
+        label: "Request-id guard",
+        description: "Drop responses that aren't from the latest request",
+    },
+    abort: {
+        label: "AbortController",
+        description: "Abort the previous request before sending the next",
+    },
+};
+
+const GUARD_CODE = {
+    none: `async function search(query) {
+  const response = await fetch(\`/v1/breeds/search?q=\${query}\`);
+  const breeds = await response.json();
+
+  // Whichever response arrives LAST wins,
+  // even if it belongs to an older query.
+  setResults(breeds);
+}`,
+    "request-id": `let latestId = 0;
+
+async function search(query) {
+  const id = ++latestId;
+  const response = await fetch(\`/v1/breeds/search?q=\${query}\`);
+  const breeds = await response.json();
+
+  // A newer search started while we waited: ignore this one.
+  // (The request still ran to completion on the network.)
+  if (id !== latestId) return;
+  setResults(breeds);
+}`,
+    abort: `let controller;
+
+async function search(query) {
+  controller?.abort();              // cancel the previous request
+  controller = new AbortController();
+
+  try {
+    const response = await fetch(\`/v1/breeds/search?q=\${query}\`, {
+      signal: controller.signal,
+    });
+    setResults(await response.json());
+  } catch (error) {
+    if (error.name !== "AbortError") throw error; // aborts are expected
+  }
+}`,
+};
+
+const OUTCOMES = {
+    pending: { label: "In flight", bar: "bg-zinc-600 animate-pulse", text: "text-zinc-400" },
+    won: { label: "Won: on screen", bar: "bg-green-500", text: "text-green-400" },
+    "stale-win": { label: "Won, but stale", bar: "bg-red-500", text: "text-red-400" },
+    overwritten: { label: "Rendered, then overwritten", bar: "bg-indigo-500/60", text: "text-indigo-300" },
+    ignored: { label: "Ignored (old id)", bar: "bg-yellow-500/60", text: "text-yellow-400" },
+    aborted: { label: "Aborted", bar: "bg-amber-700/50 border border-dashed border-amber-500", text: "text-amber-400" },
+    error: { label: "Failed", bar: "bg-red-900", text: "text-red-400" },
+};
+
+export default function RaceConditions() {
+    const apiMode = useApiMode();
+    const [guard, setGuard] = useState("none");
+    const [maxLatency, setMaxLatency] = useState(1800);
+    const [query, setQuery] = useState("");
+    const [requests, setRequests] = useState([]);
+    const [shown, setShown] = useState(null);
+    const latestIdRef = useRef(0);
+    const controllerRef = useRef(null);
+    const timelineStartRef = useRef(null);
+    const arrivalsRef = useRef(0);
+    // The whole burst of searches is one run, so leaving the lesson aborts
+    // every request still in flight and stops auto-typing.
+    const runs = useRunScope();
+
+    const elapsed = () => Math.round(performance.now() - timelineStartRef.current);
+
+    const updateRequest = (id, patch) => {
+        setRequests(prev => prev.map(request => (request.id === id ? { ...request, ...patch } : request)));
+    };
+
+    function clearTimeline() {
+        runs.start();
+        latestIdRef.current = 0;
+        controllerRef.current = null;
+        timelineStartRef.current = null;
+        arrivalsRef.current = 0;
+        setRequests([]);
+        setShown(null);
+    }
+
+    async function search(term) {
+        const session = runs.current() ?? runs.start();
+        timelineStartRef.current ??= performance.now();
+
+        const id = ++latestIdRef.current;
+        let signal = session.signal;
+        if (guard === "abort") {
+            controllerRef.current?.abort();
+            controllerRef.current = new AbortController();
+            signal = AbortSignal.any([session.signal, controllerRef.current.signal]);
+        }
+
+        // Only the mock API understands ?delay; the real one has its own latency.
+        const delay = apiMode === "mock" ? `&delay=${MIN_LATENCY}-${maxLatency}` : "";
+        const url = apiUrl(`/breeds/search?q=${encodeURIComponent(term)}${delay}`);
+
+        setRequests(prev => [...prev, { id, query: term, guard, startedAt: elapsed(), outcome: "pending" }]);
+
+        try {
+            const breeds = await fetchJson(url, { signal });
+            const arrival = ++arrivalsRef.current;
+
+            if (guard === "request-id" && id !== latestIdRef.current) {
+                updateRequest(id, { endedAt: elapsed(), arrival, outcome: "ignored", count: breeds.length });
+                return;
+            }
+
+            updateRequest(id, { endedAt: elapsed(), arrival, outcome: "applied", count: breeds.length });
+            setShown({ id, query: term, breeds });
+        } catch (error) {
+            // Cleared or left the lesson: this burst's timeline is gone.
+            if (!session.active) return;
+            const failure = toApiError(error);
+            updateRequest(id, {
+                endedAt: elapsed(),
+                outcome: failure instanceof AbortError ? "aborted" : "error",
+                error: `${failure.name}: ${failure.message}`,
+            });
+        }
+    }
+
+    const handleInput = (value) => {
+        setQuery(value);
+        if (value.trim()) {
+            search(value.trim());
+        }
+    };
+
+    function autoType() {
+        clearTimeline();
+        setQuery("");
+        const session = runs.current();
+        for (let i = 1; i <= AUTO_TYPE_TEXT.length; i++) {
+            session.setTimeout(() => handleInput(AUTO_TYPE_TEXT.slice(0, i)), i * KEYSTROKE_MS);
+        }
+    }
+
+    const latestQuery = requests.at(-1)?.query ?? null;
+    const isStale = shown !== null && shown.query !== latestQuery;
+    const outcomeOf = (request) => {
+        if (request.id === shown?.id) return isStale ? "stale-win" : "won";
+        if (request.outcome === "applied") return "overwritten";
+        return request.outcome;
+    };
+
+    const timelineEnd = Math.max(
+        1,
+        ...requests.map(request => request.endedAt ?? request.startedAt)
+    ) + 200;
+    const renders = requests.filter(request => request.outcome === "applied").length;
+    const count = (outcome) => requests.filter(request => request.outcome === outcome).length;
+
+    return (
+        <div className="min-h-screen bg-black text-white p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Headline */}
+                <div className="mb-10 text-center">
+                    <h2 className="text-5xl font-bold mb-3">
+                        <span className="text-red-400">Race conditions</span> and{" "}
+                        <code className="text-indigo-400">AbortController</code>
+                    </h2>
+                    <p className="text-zinc-400 text-lg max-w-3xl mx-auto">
+                        Every keystroke fires a search, and every search takes a random amount of time.
+                        Without a guard, whichever response arrives last wins, even when it answers an
+                        older query.
+                    </p>
+                </div>
+
+                {/* Guard Selector */}
+                <div className="mb-6 bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-center">Choose a Guard</h3>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                        {Object.entries(GUARDS).map(([id, { label, description }]) => (
+                            <button
+                                key={id}
+                                onClick={() => setGuard(id)}
+                                className={`p-4 rounded-lg border-2 text-left transition-all duration-200 ${guard === id
+                                    ? "border-indigo-500 bg-indigo-950/30 shadow-lg"
+                                    : "border-zinc-700 bg-zinc-950 hover:border-zinc-600"
+                                    }`}
+                            >
+                                <div className="font-semibold mb-1">{label}</div>
+                                <div className="text-xs text-zinc-400">{description}</div>
+                            </button>
+                        ))}
+                    </div>
+                </div>
+
+                {/* Main Content Grid */}
+                <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mb-6">
+                    {/* Search */}
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <h3 className="font-semibold text-lg mb-4">Search Breeds</h3>
+
+                        <input
+                            value={query}
+                            onChange={(e) => handleInput(e.target.value)}
+                            placeholder="Type a breed name, e.g. siamese"
+                            className="w-full px-4 py-3 mb-4 bg-black border border-zinc-700 rounded-lg font-mono focus:outline-none focus:border-indigo-500"
+                        />
+
+                        <div className="flex gap-3 mb-6">
+                            <button
+                                onClick={autoType}
+                                className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 rounded-lg font-semibold transition-all duration-200 hover:scale-105"
+                            >
+                                Auto-type "{AUTO_TYPE_TEXT}"
+                            </button>
+                            <button
+                                onClick={() => {
+                                    clearTimeline();
+                                    setQuery("");
+                                }}
+                                className="px-6 py-3 bg-zinc-700 hover:bg-zinc-600 rounded-lg font-semibold transition-all duration-200"
+                            >
+                                Clear
+                            </button>
+                        </div>
+
+                        <label className="block text-sm text-zinc-400 mb-2">
+                            Random latency per request: {MIN_LATENCY}–{maxLatency}ms
+                        </label>
+                        <input
+                            type="range"
+                            min={300}
+                            max={3000}
+                            step={100}
+                            value={maxLatency}
+                            onChange={(e) => setMaxLatency(Number(e.target.value))}
+                            disabled={apiMode !== "mock"}
+                            className="w-full accent-indigo-500 mb-2"
+                        />
+                        {apiMode !== "mock" && (
+                            <p className="text-xs text-yellow-400">
+                                The real API decides its own latency; switch to the mock API to randomise it.
+                            </p>
+                        )}
+
+                        {/* Result */}
+                        <div className={`mt-4 bg-black rounded-lg p-4 border min-h-48 ${isStale ? "border-red-600" : "border-zinc-800"}`}>
+                            {shown === null ? (
+                                <p className="text-zinc-500 text-center mt-14">
+                                    Results appear here as responses arrive
+                                </p>
+                            ) : (
+                                <div className="animate-fade-in">
+                                    <div className="flex items-center justify-between mb-3 text-sm">
+                                        <span className="text-zinc-400">
+                                            Showing results for{" "}
+                                            <code className={isStale ? "text-red-400" : "text-green-400"}>"{shown.query}"</code>
+                                        </span>
+                                        <span className="text-xs text-zinc-500">request #{shown.id}</span>
+                                    </div>
+                                    {isStale && (
+                                        <p className="text-xs bg-red-950/40 border-l-2 border-red-500 text-red-300 p-2 rounded mb-3">
+                                            Stale UI: the last search was "{latestQuery}", but an older response arrived later and overwrote it.
+                                        </p>
+                                    )}
+                                    <div className="grid grid-cols-2 gap-2">
+                                        {shown.breeds.length === 0 && (
+                                            <p className="text-xs text-zinc-500">No breeds match</p>
+                                        )}
+                                        {shown.breeds.map(breed => (
+                                            <div key={breed.id} className="bg-zinc-900 border border-zinc-800 rounded p-2">
+                                                <div className="text-sm font-semibold">{breed.name}</div>
+                                                <div className="text-xs text-zinc-500">{breed.origin}</div>
+                                            </div>
+                                        ))}
+                                    </div>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+
+                    {/* Code Example */}
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <div className="flex items-center justify-between mb-4">
+                            <h3 className="font-semibold text-lg">The Code</h3>
+                            <span className="text-xs bg-indigo-600 px-3 py-1 rounded-full">
+                                {GUARDS[guard].label}
+                            </span>
+                        </div>
+                        <pre className="bg-black rounded-lg p-5 text-sm text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed">
+                            {GUARD_CODE[guard]}
+                        </pre>
+
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-4">
+                            <Stat label="Requests sent" value={requests.length} />
+                            <Stat label="setResults() calls" value={renders} />
+                            <Stat label="Ignored" value={count("ignored")} />
+                            <Stat label="Aborted" value={count("aborted")} />
+                        </div>
+                    </div>
+                </div>
+
+                {/* Timeline */}
+                <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl mb-6">
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <h3 className="font-semibold text-lg">Timeline: which response won?</h3>
+                        <div className="flex flex-wrap gap-3 text-xs">
+                            {Object.entries(OUTCOMES).map(([id, { label, bar }]) => (
+                                <span key={id} className="flex items-center gap-1 text-zinc-400">
+                                    <span className={`inline-block w-3 h-3 rounded-sm ${bar}`} />
+                                    {label}
+                                </span>
+                            ))}
+                        </div>
+                    </div>
+
+                    <div className="bg-black rounded-lg p-4 border border-zinc-800 space-y-2 font-mono text-xs">
+                        {requests.length === 0 ? (
+                            <p className="text-zinc-500 text-center py-8">
+                                Type in the search box or auto-type to fire overlapping requests
+                            </p>
+                        ) : (
+                            requests.map(request => {
+                                const outcome = OUTCOMES[outcomeOf(request)];
+                                const end = request.endedAt ?? timelineEnd;
+                                return (
+                                    <div key={request.id} className="flex items-center gap-3">
+                                        <div className="w-28 shrink-0 truncate text-zinc-300">
+                                            #{request.id} "{request.query}"
+                                        </div>
+                                        <div className="relative flex-1 h-6 bg-zinc-950 rounded">
+                                            <div
+                                                className={`absolute top-1 bottom-1 rounded transition-all duration-300 ${outcome.bar}`}
+                                                style={{
+                                                    left: `${(request.startedAt / timelineEnd) * 100}%`,
+                                                    width: `${Math.max(((end - request.startedAt) / timelineEnd) * 100, 0.5)}%`,
+                                                }}
+                                            />
+                                        </div>
+                                        <div className={`w-56 shrink-0 ${outcome.text}`} title={request.error}>
+                                            {outcome.label}
+                                            {request.endedAt !== undefined && ` · ${request.endedAt - request.startedAt}ms`}
+                                            {request.arrival !== undefined && ` · arrived ${ordinal(request.arrival)}`}
+                                        </div>
+                                    </div>
+                                );
+                            })
+                        )}
+                    </div>
+                </div>
+
+                {/* Key Points */}
+                <div className="bg-gradient-to-r from-indigo-950/50 to-purple-950/50 rounded-xl p-6 border border-indigo-800/30 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-indigo-300">Key Points</h3>
+                    <div className="grid md:grid-cols-3 gap-4">
+                        <KeyPoint
+                            title="Send order ≠ arrival order"
+                            description="Responses come back whenever the server and network finish. Nothing guarantees the last request answers last."
+                        />
+                        <KeyPoint
+                            title="Request-id guard"
+                            description="Cheap and works with any promise, but the stale request still runs to completion and uses bandwidth."
+                        />
+                        <KeyPoint
+                            title="AbortController"
+                            description="Stops the old request on the network too. Aborted fetches reject with an AbortError you should ignore, not report."
+                        />
+                    </div>
+                </div>
+            </div>
+
+            <style jsx>{`
+                @keyframes fade-in {
+                    from { opacity: 0; transform: translateY(10px); }
+                    to { opacity: 1; transform: translateY(0); }
+                }
+                .animate-fade-in {
+                    animation: fade-in 0.3s ease-out;
+                }
+            `}</style>
+        </div>
+    );
+}
+
+function ordinal(n) {
+    const suffix = n % 10 === 1 && n !== 11 ? "st" : n % 10 === 2 && n !== 12 ? "nd" : n % 10 === 3 && n !== 13 ? "rd" : "th";
+    return `${n}${suffix}`;
+}
+
+function Stat({ label, value }) {
+    return (
+        <div className="bg-black border border-zinc-800 rounded-lg p-3 text-center">
+            <div className="text-2xl font-bold text-indigo-400">{value}</div>
+            <div className="text-xs text-zinc-500">{label}</div>
+        </div>
+    );
+}
+
+function KeyPoint({ title, description }) {
+    return (
+        <div className="bg-zinc-900/50 border border-indigo-800/30 rounded-lg p-4">
+            <h4 className="font-semibold text-sm text-indigo-300 mb-2">{title}</h4>
+            <p className="text-xs text-zinc-400 leading-relaxed">{description}</p>
+        </div>
+    );
+}
@@ -0,0 +1,759 @@
+import { useState } from "react";
+import { AbortError, TimeoutError, toApiError } from "../api/errors";
+import ErrorNotice from "../components/ErrorNotice";
+import { MOCK_API_BASE } from "../mock/constants";
+import { useRunScope } from "../lifecycle/useRunScope";
+
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE", "HEAD", "OPTIONS"];
+
+const BODY_MODES = {
+    none: "none",
+    json: "JSON",
+    form: "x-www-form-urlencoded",
+    multipart: "multipart/form-data",
+    raw: "raw",
+};
+
+const RAW_TYPES = ["text/plain", "application/xml", "text/csv", "text/html"];
+
+// fetch() options with a fixed set of values. The first value is the default,
+// which is left out of the init object.
+const FETCH_OPTIONS = {
+    cache: ["default", "no-store", "reload", "no-cache", "force-cache", "only-if-cached"],
+    credentials: ["same-origin", "include", "omit"],
+    mode: ["cors", "same-origin", "no-cors"],
+    redirect: ["follow", "error", "manual"],
+    referrerPolicy: ["", "no-referrer", "origin", "same-origin", "strict-origin", "unsafe-url"],
+    priority: ["auto", "high", "low"],
+};
+
+const DEFAULT_OPTIONS = {
+    ...Object.fromEntries(Object.entries(FETCH_OPTIONS).map(([name, values]) => [name, values[0]])),
+    keepalive: false,
+    timeout: 0,
+};
+
+let nextRowId = 1;
+const row = (key = "", value = "", extra = {}) => ({ id: nextRowId++, enabled: true, key, value, ...extra });
+
+const hasBody = (method) => method !== "GET" && method !== "HEAD";
+
+function splitUrl(url) {
+    const index = url.indexOf("?");
+    return index === -1 ? [url, ""] : [url.slice(0, index), url.slice(index + 1)];
+}
+
+function queryOf(params) {
+    return new URLSearchParams(
+        params.filter((param) => param.enabled && param.key).map((param) => [param.key, param.value])
+    ).toString();
+}
+
+/**
+ * Turns the builder's state into the exact `fetch(url, init)` call it makes.
+ * Returns `{ error }` when the browser would refuse the request outright.
+ */
+function buildRequest({ method, baseUrl, params, headers, bodyMode, bodies, options }) {
+    const query = queryOf(params);
+    const url = query ? `${baseUrl}?${query}` : baseUrl;
+    const headerPairs = headers.filter((header) => header.enabled && header.key).map((header) => [header.key, header.value]);
+    const hasHeader = (name) => headerPairs.some(([key]) => key.toLowerCase() === name.toLowerCase());
+    const warnings = [];
+    const added = [];
+
+    let body;
+    let bodyPreview = null;
+    if (hasBody(method)) {
+        if (bodyMode === "json") {
+            try {
+                JSON.parse(bodies.json);
+            } catch (error) {
+                warnings.push(`The JSON body doesn't parse (${error.message}); it is sent as-is.`);
+            }
+            body = bodies.json;
+            bodyPreview = bodies.json;
+            if (!hasHeader("Content-Type")) added.push(["Content-Type", "application/json"]);
+        } else if (bodyMode === "form") {
+            body = new URLSearchParams(
+                bodies.form.filter((field) => field.enabled && field.key).map((field) => [field.key, field.value])
+            );
+            bodyPreview = body.toString();
+        } else if (bodyMode === "multipart") {
+            body = new FormData();
+            for (const field of bodies.multipart.filter((candidate) => candidate.enabled && candidate.key)) {
+                if (field.type === "file") {
+                    if (field.file) body.append(field.key, field.file);
+                } else {
+                    body.append(field.key, field.value);
+                }
+            }
+            bodyPreview = [...body.entries()]
+                .map(([name, value]) => `${name}: ${typeof value === "string" ? value : `[file ${value.name}, ${value.size} bytes]`}`)
+                .join("\n");
+            if (hasHeader("Content-Type")) {
+                warnings.push("A hand-written multipart Content-Type has no boundary, so the server can't split the parts. Leave it to fetch().");
+            }
+        } else if (bodyMode === "raw") {
+            body = bodies.raw;
+            bodyPreview = bodies.raw;
+            if (!hasHeader("Content-Type")) added.push(["Content-Type", bodies.rawType]);
+        }
+    } else if (bodyMode !== "none") {
+        warnings.push(`${method} requests can't carry a body, so the body is left out.`);
+    }
+
+    try {
+        new Headers([...headerPairs, ...added]);
+    } catch (error) {
+        return { error: `Invalid header: ${error.message}` };
+    }
+
+    const init = { method, headers: [...headerPairs, ...added] };
+    if (body !== undefined) init.body = body;
+    for (const name of Object.keys(FETCH_OPTIONS)) {
+        if (options[name] !== DEFAULT_OPTIONS[name]) init[name] = options[name];
+    }
+    if (options.keepalive) init.keepalive = true;
+
+    return { url, init, added, warnings, bodyPreview, timeout: options.timeout };
+}
+
+// The init object as it would appear in code. Bodies are summarised.
+function describeInit({ init, bodyPreview }) {
+    const lines = Object.entries(init).map(([name, value]) => {
+        if (name === "headers") {
+            if (value.length === 0) return "  headers: {},";
+            return `  headers: {\n${value.map(([key, val]) => `    ${JSON.stringify(key)}: ${JSON.stringify(val)},`).join("\n")}\n  },`;
+        }
+        if (name === "body") {
+            if (value instanceof URLSearchParams) return `  body: new URLSearchParams(${JSON.stringify(bodyPreview)}),`;
+            if (value instanceof FormData) return "  body: formData, // fetch() writes the multipart boundary";
+            return `  body: ${JSON.stringify(value)},`;
+        }
+        return `  ${name}: ${JSON.stringify(value)},`;
+    });
+    return `{\n${lines.join("\n")}\n}`;
+}
+
+// Compares what the page asked for with what reached the server.
+function compareHeaders(sent, received) {
+    const receivedNames = new Set(received.map(([name]) => name));
+    const sentNames = new Set(sent.map(([name]) => name.toLowerCase()));
+    return {
+        rows: received.map(([name, value]) => ({ name, value, origin: sentNames.has(name) ? "you" : "transport" })),
+        dropped: sent.filter(([name]) => !receivedNames.has(name.toLowerCase())).map(([name]) => name),
+    };
+}
+
+function prettyBody(text, contentType) {
+    if (!/json/.test(contentType ?? "")) return text;
+    try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Sends a built request and reads the whole response. Resolves with the
+ * result the panels show; failures are part of it rather than thrown.
+ */
+async function sendRequest(built, runSignal) {
+    const signal = built.timeout > 0 ? AbortSignal.any([runSignal, AbortSignal.timeout(built.timeout)]) : runSignal;
+    const startedAt = performance.now();
+    const elapsed = () => Math.round(performance.now() - startedAt);
+    try {
+        const response = await fetch(built.url, { ...built.init, signal });
+        const text = await response.text();
+
+        // Only the echo route describes the request; other routes answer normally.
+        let received = null;
+        if (response.ok && new URL(response.url || built.url, location.href).pathname.startsWith(`${MOCK_API_BASE}/echo`)) {
+            try {
+                received = JSON.parse(text);
+            } catch {
+                received = null;
+            }
+        }
+        return {
+            state: "done",
+            sent: built,
+            duration: elapsed(),
+            received,
+            response: {
+                status: response.status,
+                statusText: response.statusText,
+                type: response.type,
+                redirected: response.redirected,
+                headers: [...response.headers.entries()],
+                body: prettyBody(text, response.headers.get("content-type")),
+            },
+        };
+    } catch (error) {
+        const context = { url: built.url, method: built.init.method, cause: error };
+        return {
+            state: "error",
+            sent: built,
+            duration: elapsed(),
+            error: error.name === "TimeoutError"
+                ? new TimeoutError(`Timed out after ${built.timeout}ms (AbortSignal.timeout)`, { ...context, timeout: built.timeout })
+                : toApiError(error, context),
+        };
+    }
+}
+
+export default function RequestBuilder() {
+    const runs = useRunScope();
+    const [method, setMethod] = useState("POST");
+    const [baseUrl, setBaseUrl] = useState(`${MOCK_API_BASE}/echo/cats`);
+    const [params, setParams] = useState(() => [row("limit", "3"), row("breed", "abys")]);
+    // What the URL bar shows, kept as typed so a half-written query survives.
+    const [urlText, setUrlText] = useState(() => `${baseUrl}?${queryOf(params)}`);
+    const [headers, setHeaders] = useState(() => [
+        row("Accept", "application/json"),
+        row("x-demo-client", "build-it-api-fetching"),
+        { ...row("Authorization", "Bearer demo-token"), enabled: false },
+    ]);
+    const [bodyMode, setBodyMode] = useState("json");
+    const [bodies, setBodies] = useState(() => ({
+        json: '{\n  "image_id": "mock-tabby",\n  "sub_id": "lesson-user"\n}',
+        form: [row("name", "Tabby"), row("age", "3")],
+        multipart: [row("caption", "Sleepy tabby", { type: "text" }), row("photo", "", { type: "file", file: null })],
+        raw: "Hello from the request builder",
+        rawType: "text/plain",
+    }));
+    const [options, setOptions] = useState(DEFAULT_OPTIONS);
+    const [tab, setTab] = useState("params");
+    const [result, setResult] = useState({ state: "idle" });
+
+    const state = { method, baseUrl, params, headers, bodyMode, bodies, options };
+    const preview = buildRequest(state);
+
+    // Typing in the URL bar rewrites the enabled query params; disabled ones stay.
+    const editUrl = (url) => {
+        const [base, search] = splitUrl(url);
+        setUrlText(url);
+        setBaseUrl(base);
+        setParams((prev) => [
+            ...[...new URLSearchParams(search).entries()].map(([key, value]) => row(key, value)),
+            ...prev.filter((param) => !param.enabled),
+        ]);
+    };
+
+    const editParams = (next) => {
+        const query = queryOf(next);
+        setParams(next);
+        setUrlText(query ? `${baseUrl}?${query}` : baseUrl);
+    };
+
+    const setBody = (name, value) => setBodies((prev) => ({ ...prev, [name]: value }));
+
+    async function send() {
+        const run = runs.start();
+        const built = buildRequest(state);
+        if (built.error) {
+            setResult({ state: "error", error: built.error });
+            return;
+        }
+
+        setResult({ state: "pending", sent: built });
+        const result = await sendRequest(built, run.signal);
+        if (run.active) setResult(result);
+    }
+
+    const cancel = () => {
+        if (runs.cancel("cancelled by you")) {
+            setResult((prev) => ({
+                ...prev,
+                state: "error",
+                error: new AbortError("cancelled by you", { url: prev.sent?.url, method: prev.sent?.init.method }),
+            }));
+        }
+    };
+
+    const tabs = {
+        params: `Params (${params.filter((param) => param.enabled && param.key).length})`,
+        headers: `Headers (${headers.filter((header) => header.enabled && header.key).length})`,
+        body: `Body${hasBody(method) && bodyMode !== "none" ? ` (${BODY_MODES[bodyMode]})` : ""}`,
+        options: "Options",
+    };
+
+    return (
+        <div className="min-h-screen bg-black text-white p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Headline */}
+                <div className="mb-10 text-center">
+                    <h2 className="text-5xl font-bold mb-3">
+                        Build a request, <span className="text-indigo-400">see what arrives</span>
+                    </h2>
+                    <p className="text-zinc-400 text-lg max-w-3xl mx-auto">
+                        A Postman-style builder for <code className="bg-zinc-800 px-2 py-1 rounded">fetch()</code>.
+                        Every request goes to the mock API's <code className="bg-zinc-800 px-2 py-1 rounded">/echo</code> route,
+                        which answers with the request exactly as the server received it.
+                    </p>
+                </div>
+
+                {/* URL bar */}
+                <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl mb-6">
+                    <div className="flex flex-col md:flex-row gap-3">
+                        <select
+                            value={method}
+                            onChange={(e) => setMethod(e.target.value)}
+                            className="px-4 py-3 bg-black border border-zinc-700 rounded-lg font-mono font-bold text-indigo-300"
+                            aria-label="HTTP method"
+                        >
+                            {METHODS.map((name) => (
+                                <option key={name} value={name}>{name}</option>
+                            ))}
+                        </select>
+                        <input
+                            value={urlText}
+                            onChange={(e) => editUrl(e.target.value)}
+                            className="flex-1 px-4 py-3 bg-black border border-zinc-700 rounded-lg font-mono text-sm"
+                            aria-label="Request URL"
+                            spellCheck={false}
+                        />
+                        {result.state === "pending" ? (
+                            <button
+                                onClick={cancel}
+                                className="px-8 py-3 bg-amber-600 hover:bg-amber-500 rounded-lg font-semibold transition-all duration-200"
+                            >
+                                Cancel
+                            </button>
+                        ) : (
+                            <button
+                                onClick={send}
+                                className="px-8 py-3 bg-indigo-600 hover:bg-indigo-500 rounded-lg font-semibold transition-all duration-200 hover:scale-105"
+                            >
+                                Send
+                            </button>
+                        )}
+                    </div>
+                    <p className="text-xs text-zinc-500 mt-2">
+                        Any path under <code>{MOCK_API_BASE}/echo</code> is echoed. Add <code>delay=1500</code> as a param
+                        to slow the server down, or point the URL at another mock route to see its normal response.
+                    </p>
+
+                    {/* Tabs */}
+                    <div className="flex flex-wrap gap-2 mt-5 mb-4 border-b border-zinc-800">
+                        {Object.entries(tabs).map(([id, label]) => (
+                            <button
+                                key={id}
+                                onClick={() => setTab(id)}
+                                className={`px-4 py-2 text-sm font-semibold border-b-2 -mb-px transition-colors duration-200 ${tab === id
+                                    ? "border-indigo-500 text-white"
+                                    : "border-transparent text-zinc-400 hover:text-zinc-200"
+                                    }`}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {tab === "params" && (
+                        <KeyValueEditor rows={params} onChange={editParams} keyLabel="Query param" />
+                    )}
+                    {tab === "headers" && (
+                        <>
+                            <KeyValueEditor rows={headers} onChange={setHeaders} keyLabel="Header" />
+                            <p className="text-xs text-zinc-500 mt-3">
+                                Browsers silently drop <em>forbidden</em> headers such as <code>Cookie</code>, <code>Host</code> or{" "}
+                                <code>Origin</code>. Add one and compare with what the server received.
+                            </p>
+                        </>
+                    )}
+                    {tab === "body" && (
+                        <BodyEditor
+                            method={method}
+                            mode={bodyMode}
+                            onModeChange={setBodyMode}
+                            bodies={bodies}
+                            onChange={setBody}
+                        />
+                    )}
+                    {tab === "options" && <OptionsEditor options={options} onChange={setOptions} />}
+                </div>
+
+                {/* Sent / received / response */}
+                <div className="grid grid-cols-1 xl:grid-cols-3 gap-6 mb-6">
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <h3 className="font-semibold text-lg mb-4">What the page sends</h3>
+                        {preview.error ? (
+                            <p className="text-red-400 text-sm">{preview.error}</p>
+                        ) : (
+                            <>
+                                <pre className="bg-black rounded-lg p-4 text-xs text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed">
+                                    {`await fetch(${JSON.stringify(preview.url)}, ${describeInit(preview)})`}
+                                </pre>
+                                {preview.added.map(([name, value]) => (
+                                    <p key={name} className="text-xs text-indigo-300 mt-2">
+                                        + <code>{name}: {value}</code> added for the {BODY_MODES[bodyMode]} body
+                                    </p>
+                                ))}
+                                {preview.warnings.map((warning) => (
+                                    <p key={warning} className="text-xs text-amber-400 mt-2">⚠ {warning}</p>
+                                ))}
+                                {preview.timeout > 0 && (
+                                    <p className="text-xs text-zinc-400 mt-2">
+                                        signal: <code>AbortSignal.timeout({preview.timeout})</code>
+                                    </p>
+                                )}
+                            </>
+                        )}
+                    </div>
+
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <h3 className="font-semibold text-lg mb-4">What the server received</h3>
+                        <ReceivedPanel result={result} />
+                    </div>
+
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <h3 className="font-semibold text-lg mb-4">Response</h3>
+                        <ResponsePanel result={result} />
+                    </div>
+                </div>
+
+                {/* Key Points */}
+                <div className="bg-gradient-to-r from-indigo-950/50 to-purple-950/50 rounded-xl p-6 border border-indigo-800/30 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-indigo-300">Key Points</h3>
+                    <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <KeyPoint
+                            title="Let fetch() set multipart headers"
+                            description="A FormData body gets Content-Type: multipart/form-data with a generated boundary. Setting it yourself drops the boundary and breaks parsing."
+                        />
+                        <KeyPoint
+                            title="The body type picks the Content-Type"
+                            description="URLSearchParams becomes x-www-form-urlencoded, FormData multipart, a string text/plain. JSON strings need the header set by hand."
+                        />
+                        <KeyPoint
+                            title="The browser has the last word"
+                            description="Forbidden headers are dropped, and the transport adds its own (Content-Length, Origin, Accept-Encoding) on the way out."
+                        />
+                        <KeyPoint
+                            title="GET and HEAD have no body"
+                            description="fetch() throws a TypeError if you give one a body. Send data in the query string instead."
+                        />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function KeyValueEditor({ rows, onChange, keyLabel, allowFiles = false }) {
+    const update = (id, patch) => onChange(rows.map((candidate) => (candidate.id === id ? { ...candidate, ...patch } : candidate)));
+
+    return (
+        <div className="space-y-2">
+            {rows.map((item) => (
+                <div key={item.id} className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={item.enabled}
+                        onChange={(e) => update(item.id, { enabled: e.target.checked })}
+                        className="accent-indigo-500"
+                        aria-label={`Enable ${item.key || keyLabel}`}
+                    />
+                    <input
+                        value={item.key}
+                        onChange={(e) => update(item.id, { key: e.target.value })}
+                        placeholder={keyLabel}
+                        className="w-1/3 px-3 py-2 bg-black border border-zinc-700 rounded-lg font-mono text-sm"
+                        spellCheck={false}
+                    />
+                    {allowFiles && (
+                        <select
+                            value={item.type}
+                            onChange={(e) => update(item.id, { type: e.target.value })}
+                            className="px-2 py-2 bg-black border border-zinc-700 rounded-lg text-sm"
+                            aria-label={`Type of ${item.key || keyLabel}`}
+                        >
+                            <option value="text">Text</option>
+                            <option value="file">File</option>
+                        </select>
+                    )}
+                    {allowFiles && item.type === "file" ? (
+                        <input
+                            type="file"
+                            onChange={(e) => update(item.id, { file: e.target.files[0] ?? null })}
+                            className="flex-1 text-sm text-zinc-400 file:mr-3 file:px-3 file:py-1.5 file:rounded-lg file:border-0 file:bg-zinc-800 file:text-zinc-200"
+                        />
+                    ) : (
+                        <input
+                            value={item.value}
+                            onChange={(e) => update(item.id, { value: e.target.value })}
+                            placeholder="Value"
+                            className="flex-1 px-3 py-2 bg-black border border-zinc-700 rounded-lg font-mono text-sm"
+                            spellCheck={false}
+                        />
+                    )}
+                    <button
+                        onClick={() => onChange(rows.filter((candidate) => candidate.id !== item.id))}
+                        className="px-3 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm"
+                        title="Remove"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+            <button
+                onClick={() => onChange([...rows, row("", "", allowFiles ? { type: "text", file: null } : {})])}
+                className="px-4 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-sm"
+            >
+                + Add {keyLabel.toLowerCase()}
+            </button>
+        </div>
+    );
+}
+
+function BodyEditor({ method, mode, onModeChange, bodies, onChange }) {
+    return (
+        <div>
+            <div className="flex flex-wrap gap-2 mb-4">
+                {Object.entries(BODY_MODES).map(([id, label]) => (
+                    <button
+                        key={id}
+                        onClick={() => onModeChange(id)}
+                        className={`px-3 py-1.5 rounded-lg text-sm font-mono transition-all duration-200 ${mode === id
+                            ? "bg-indigo-600 text-white"
+                            : "bg-zinc-800 text-zinc-400 hover:text-zinc-200"
+                            }`}
+                    >
+                        {label}
+                    </button>
+                ))}
+            </div>
+
+            {!hasBody(method) && mode !== "none" && (
+                <p className="text-sm text-amber-400 mb-3">{method} requests can't have a body; switch the method to send it.</p>
+            )}
+
+            {mode === "none" && <p className="text-sm text-zinc-500">No body. Pick a format to send one.</p>}
+            {mode === "json" && (
+                <textarea
+                    value={bodies.json}
+                    onChange={(e) => onChange("json", e.target.value)}
+                    rows={8}
+                    className="w-full px-4 py-3 bg-black border border-zinc-700 rounded-lg font-mono text-sm"
+                    aria-label="JSON body"
+                    spellCheck={false}
+                />
+            )}
+            {mode === "form" && (
+                <KeyValueEditor rows={bodies.form} onChange={(rows) => onChange("form", rows)} keyLabel="Field" />
+            )}
+            {mode === "multipart" && (
+                <KeyValueEditor rows={bodies.multipart} onChange={(rows) => onChange("multipart", rows)} keyLabel="Part" allowFiles />
+            )}
+            {mode === "raw" && (
+                <>
+                    <select
+                        value={bodies.rawType}
+                        onChange={(e) => onChange("rawType", e.target.value)}
+                        className="mb-3 px-3 py-2 bg-black border border-zinc-700 rounded-lg font-mono text-sm"
+                        aria-label="Raw body Content-Type"
+                    >
+                        {RAW_TYPES.map((type) => (
+                            <option key={type} value={type}>{type}</option>
+                        ))}
+                    </select>
+                    <textarea
+                        value={bodies.raw}
+                        onChange={(e) => onChange("raw", e.target.value)}
+                        rows={6}
+                        className="w-full px-4 py-3 bg-black border border-zinc-700 rounded-lg font-mono text-sm"
+                        aria-label="Raw body"
+                        spellCheck={false}
+                    />
+                </>
+            )}
+        </div>
+    );
+}
+
+function OptionsEditor({ options, onChange }) {
+    const set = (name, value) => onChange({ ...options, [name]: value });
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            {Object.entries(FETCH_OPTIONS).map(([name, values]) => (
+                <label key={name} className="text-sm">
+                    <span className="block text-zinc-400 mb-1 font-mono">{name}</span>
+                    <select
+                        value={options[name]}
+                        onChange={(e) => set(name, e.target.value)}
+                        className="w-full px-3 py-2 bg-black border border-zinc-700 rounded-lg font-mono"
+                    >
+                        {values.map((value) => (
+                            <option key={value} value={value}>
+                                {value || "(browser default)"}
+                                {value === values[0] && value ? " (default)" : ""}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            ))}
+            <label className="text-sm">
+                <span className="block text-zinc-400 mb-1 font-mono">timeout (ms, 0 = none)</span>
+                <input
+                    type="number"
+                    min={0}
+                    step={100}
+                    value={options.timeout}
+                    onChange={(e) => set("timeout", Math.max(Number(e.target.value) || 0, 0))}
+                    className="w-full px-3 py-2 bg-black border border-zinc-700 rounded-lg font-mono"
+                />
+            </label>
+            <label className="flex items-center gap-2 text-sm mt-6">
+                <input
+                    type="checkbox"
+                    checked={options.keepalive}
+                    onChange={(e) => set("keepalive", e.target.checked)}
+                    className="accent-indigo-500"
+                />
+                <span className="font-mono">keepalive</span>
+            </label>
+        </div>
+    );
+}
+
+function ReceivedPanel({ result }) {
+    if (result.state === "idle") {
+        return <p className="text-sm text-zinc-500">Send the request to see it from the server's side.</p>;
+    }
+    if (result.state === "pending") {
+        return <p className="text-sm text-yellow-400 animate-pulse">Waiting for the server…</p>;
+    }
+    if (!result.received) {
+        return (
+            <p className="text-sm text-zinc-500">
+                {result.state === "error"
+                    ? "Nothing to show: the request never got an answer."
+                    : result.sent.init.method === "HEAD"
+                        ? "HEAD responses have no body, so the echo can't be read. Use GET to see the request."
+                        : `Only ${MOCK_API_BASE}/echo reflects the request back; this route answered normally.`}
+            </p>
+        );
+    }
+
+    const { method, url, headers, body } = result.received;
+    const { rows, dropped } = compareHeaders(result.sent.init.headers, headers);
+
+    return (
+        <div className="space-y-4 text-xs">
+            <p className="font-mono text-sm break-all">
+                <span className="text-indigo-300 font-bold">{method}</span> {url}
+            </p>
+
+            <div>
+                <p className="text-zinc-400 mb-2">Headers</p>
+                <div className="space-y-1">
+                    {rows.map(({ name, value, origin }) => (
+                        <div key={name} className="bg-zinc-950 p-2 rounded border border-zinc-800 flex gap-2">
+                            <span className={`shrink-0 px-1.5 rounded ${origin === "you" ? "bg-indigo-900/60 text-indigo-300" : "bg-zinc-800 text-zinc-400"}`}>
+                                {origin === "you" ? "yours" : "added"}
+                            </span>
+                            <span className="font-mono break-all">
+                                <span className="text-indigo-400">{name}:</span> <span className="text-zinc-300">{value}</span>
+                            </span>
+                        </div>
+                    ))}
+                    {dropped.map((name) => (
+                        <div key={name} className="bg-red-950/30 p-2 rounded border border-red-900 text-red-300">
+                            <span className="font-mono line-through">{name}</span> was dropped by the browser
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            <div>
+                <p className="text-zinc-400 mb-2">
+                    Body {body.kind !== "none" && <span className="text-zinc-500">· {body.size} bytes · {body.contentType || "no Content-Type"}</span>}
+                </p>
+                <ReceivedBody body={body} />
+            </div>
+        </div>
+    );
+}
+
+function ReceivedBody({ body }) {
+    if (body.kind === "none") return <p className="text-zinc-500">No body arrived</p>;
+    if (body.kind === "multipart" || body.kind === "form") {
+        return (
+            <div className="space-y-1">
+                {body.fields.map((field, idx) => (
+                    <div key={idx} className="bg-zinc-950 p-2 rounded border border-zinc-800 font-mono break-all">
+                        <span className="text-indigo-400">{field.name}:</span>{" "}
+                        {field.fileName !== undefined
+                            ? <span className="text-purple-300">file {field.fileName} ({field.type || "no type"}, {field.size} bytes)</span>
+                            : <span className="text-zinc-300">{field.value}</span>}
+                    </div>
+                ))}
+            </div>
+        );
+    }
+    return (
+        <>
+            {body.error && <p className="text-amber-400 mb-2">⚠ {body.error}</p>}
+            <pre className="bg-black rounded-lg p-3 border border-zinc-800 text-zinc-300 whitespace-pre-wrap break-all">
+                {body.kind === "json" ? JSON.stringify(body.json, null, 2) : body.text}
+            </pre>
+        </>
+    );
+}
+
+function ResponsePanel({ result }) {
+    if (result.state === "idle") {
+        return <p className="text-sm text-zinc-500">No response yet.</p>;
+    }
+    if (result.state === "pending") {
+        return <div className="w-10 h-10 border-4 border-zinc-700 border-t-indigo-500 rounded-full animate-spin" />;
+    }
+    if (result.state === "error") {
+        return (
+            <div className="text-sm">
+                {/* A string when the request couldn't be built; an error from the shared model once sent. */}
+                {typeof result.error === "string"
+                    ? <p className="text-red-400 font-mono break-all">{result.error}</p>
+                    : <ErrorNotice error={result.error} />}
+                {result.duration !== undefined && <p className="text-zinc-500 text-xs mt-2">after {result.duration}ms</p>}
+            </div>
+        );
+    }
+
+    const { response } = result;
+    const statusColor = response.status >= 200 && response.status < 300
+        ? "text-green-400"
+        : response.status >= 400 && response.status < 500 ? "text-yellow-400" : "text-red-400";
+
+    return (
+        <div className="space-y-4 text-xs">
+            <p className="text-sm">
+                <span className={`font-bold ${statusColor}`}>{response.status} {response.statusText}</span>
+                <span className="text-zinc-500"> · {result.duration}ms · type {response.type}{response.redirected && " · redirected"}</span>
+            </p>
+            {response.type === "opaque" && (
+                <p className="text-amber-400">An opaque (no-cors) response hides its status, headers and body from JavaScript.</p>
+            )}
+            <div className="space-y-1">
+                {response.headers.map(([name, value]) => (
+                    <p key={name} className="font-mono break-all">
+                        <span className="text-indigo-400">{name}:</span> <span className="text-zinc-300">{value}</span>
+                    </p>
+                ))}
+            </div>
+            <pre className="bg-black rounded-lg p-3 border border-zinc-800 text-zinc-300 whitespace-pre-wrap break-all max-h-80 overflow-auto">
+                {response.body || "(empty body)"}
+            </pre>
+        </div>
+    );
+}
+
+function KeyPoint({ title, description }) {
+    return (
+        <div className="bg-zinc-900/50 border border-indigo-800/30 rounded-lg p-4">
+            <h4 className="font-semibold text-sm text-indigo-300 mb-2">{title}</h4>
+            <p className="text-xs text-zinc-400 leading-relaxed">{description}</p>
+        </div>
+    );
+}
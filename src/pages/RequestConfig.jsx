@@ -1,121 +1,191 @@
 import { useState } from "react";
+import { HttpError, ValidationError, toApiError } from "../api/errors";
+import { apiFetch, readJson } from "../api/http";
+import { apiUrl, getApiBase, setApiMode, useApiMode } from "../api/settings";
+import ErrorNotice from "../components/ErrorNotice";
+import { useRequestLifecycle } from "../lifecycle/useRequestLifecycle";
+import HarExportButton from "../components/HarExportButton";
+import CodeGenerator from "../components/CodeGenerator";
+import { MOCK_API_BASE } from "../mock/constants";
+import { parseCurl } from "../network/curl";
+
+const DEMO_HEADERS = {
+    "Content-Type": "application/json",
+    "x-demo-client": "build-it-api-fetching"
+};
+
+const DEMO_BODY = `{
+  "demo": true,
+  "client": "build-it-api-fetching"
+}`;
+
+const METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+// This lesson sends a body with every method except these.
+const BODYLESS_METHODS = new Set(["GET"]);
+
+const CURL_EXAMPLE = `curl 'https://api.thecatapi.com/v1/favourites' \\
+  -X POST \\
+  -H 'accept: application/json' \\
+  -H 'content-type: application/json' \\
+  -u demo:secret \\
+  --data-raw '{"image_id":"mock-tabby","sub_id":"curl-import"}'`;
+
+let nextHeaderId = 1;
+const headerRow = (key = "", value = "") => ({ id: nextHeaderId++, key, value });
+
+const isJson = (headers) => Object.entries(headers).some(
+    ([key, value]) => key.toLowerCase() === "content-type" && /json/.test(value)
+);
+
+// Where a pasted URL lands on the mock API: the path after /mock-api/v1 (or
+// the Cat API's /v1), query string included.
+function mockPathOf(url) {
+    const { pathname, search } = new URL(url, location.href);
+    let path = pathname;
+    if (pathname.startsWith(MOCK_API_BASE)) path = pathname.slice(MOCK_API_BASE.length);
+    else if (pathname.startsWith("/v1/")) path = pathname.slice("/v1".length);
+    return `${path}${search}`;
+}
+
+const LIFECYCLE_STEPS = {
+    prepare: 1,
+    "set-method": 2,
+    "set-headers": 3,
+    "set-body": 4,
+    request: 5,
+    pending: 6,
+    headers: 7,
+};
 
 export default function RequestConfig() {
-    const [step, setStep] = useState(0);
-    const [status, setStatus] = useState("idle");
+    const { step, status, logs, ...lifecycle } = useRequestLifecycle({
+        id: "config",
+        steps: LIFECYCLE_STEPS,
+        minStepDuration: 700,
+    });
     const [responseStatus, setResponseStatus] = useState(null);
-    const [logs, setLogs] = useState([]);
     const [selectedMethod, setSelectedMethod] = useState("GET");
+    const [headerRows, setHeaderRows] = useState(() => Object.entries(DEMO_HEADERS).map(([key, value]) => headerRow(key, value)));
+    const [bodyText, setBodyText] = useState(DEMO_BODY);
+    const [requestPath, setRequestPath] = useState("/images/search");
+    const [curlText, setCurlText] = useState(CURL_EXAMPLE);
+    const [curlError, setCurlError] = useState(null);
+    const [error, setError] = useState(null);
+    useApiMode();
     const [configDetails, setConfigDetails] = useState({
         method: null,
         headers: null,
         body: null
     });
 
-    const addLog = (msg, type = "info") => {
-        setLogs(prev => [...prev, { msg, type, timestamp: Date.now() }]);
-    };
-
-    const reset = () => {
-        setStep(0);
-        setStatus("idle");
+    const clearResult = () => {
         setResponseStatus(null);
-        setLogs([]);
+        setError(null);
         setConfigDetails({ method: null, headers: null, body: null });
     };
 
-    async function runConfiguredFetch() {
-        reset();
-        setStatus("loading");
-
-        addLog("Initializing fetch request configuration...", "info");
-
-        setTimeout(() => {
-            setStep(1);
-            addLog("Browser preparing fetch() call", "info");
-        }, 500);
+    const reset = () => {
+        lifecycle.reset();
+        clearResult();
+    };
 
-        try {
-            setTimeout(() => {
-                setStep(2);
-                setConfigDetails(prev => ({ ...prev, method: selectedMethod }));
-                addLog(`Setting HTTP method: ${selectedMethod}`, "info");
-            }, 1200);
-
-            setTimeout(() => {
-                setStep(3);
-                setConfigDetails(prev => ({
-                    ...prev,
-                    headers: {
-                        "Content-Type": "application/json",
-                        "x-demo-client": "build-it-api-fetching"
-                    }
-                }));
-                addLog("Attaching request headers", "info");
-                addLog("Header: Content-Type: application/json", "success");
-                addLog("Header: x-demo-client: build-it-api-fetching", "success");
-            }, 2200);
-
-            setTimeout(() => {
-                setStep(4);
-                if (selectedMethod !== "GET") {
-                    setConfigDetails(prev => ({
-                        ...prev,
-                        body: { demo: true, timestamp: Date.now() }
-                    }));
-                    addLog("Preparing request body (JSON)", "info");
-                } else {
-                    addLog("No body needed for GET request", "info");
-                }
-            }, 3200);
-
-            setTimeout(() => {
-                setStep(5);
-                addLog("Sending HTTP request to API...", "info");
-            }, 4000);
-
-            const response = await fetch(
-                "https://api.thecatapi.com/v1/images/search",
-                {
-                    method: selectedMethod,
-                    headers: {
-                        "Content-Type": "application/json",
-                        "x-demo-client": "build-it-api-fetching",
-                    },
+    // Takes the configuration as an argument so an imported cURL command can
+    // run straight away, before its state updates have rendered.
+    async function runConfiguredFetch(config = { method: selectedMethod, path: requestPath, headerRows, bodyText }) {
+        clearResult();
+        const run = lifecycle.begin("Initializing fetch request configuration...");
+
+        const { method, path } = config;
+        const headers = Object.fromEntries(config.headerRows.filter(({ key }) => key.trim()).map(({ key, value }) => [key.trim(), value]));
+        const json = isJson(headers);
+        let body = null;
+        if (!BODYLESS_METHODS.has(method)) {
+            body = config.bodyText;
+            if (json) {
+                try {
+                    body = JSON.parse(config.bodyText);
+                } catch (error) {
+                    const failure = new ValidationError(`Body is not valid JSON: ${error.message}`, { method, cause: error });
+                    run.fail(failure, { apply: () => setError(failure) });
+                    return;
                 }
-            );
-
-            setTimeout(() => {
-                setStep(6);
-                addLog("API processing request...", "info");
-            }, 4500);
-
-            setResponseStatus(response.status);
-            addLog(`Response received with status: ${response.status}`, "success");
-
-            if (!response.ok) {
-                throw new Error("Request failed");
             }
+        }
 
-            setTimeout(() => {
-                setStep(7);
-                addLog("Parsing HTTP response...", "info");
-            }, 5000);
-
-            await response.json();
-            addLog("Response data parsed successfully", "success");
-
-            setTimeout(() => {
-                setStatus("success");
-                addLog("Request completed successfully", "success");
-            }, 5500);
+        run.emit("prepare", { log: "Browser preparing fetch() call" });
+        run.emit("set-method", {
+            log: `Setting HTTP method: ${method}`,
+            apply: () => setConfigDetails(prev => ({ ...prev, method })),
+        });
+        run.emit("set-headers", {
+            log: "Attaching request headers",
+            apply: () => setConfigDetails(prev => ({ ...prev, headers })),
+        });
+        Object.entries(headers).forEach(([key, value]) => {
+            run.log(`Header: ${key}: ${value}`, "success");
+        });
+        run.emit("set-body", {
+            log: body === null ? "No body needed for GET request" : `Preparing request body (${json ? "JSON" : "text"})`,
+            apply: () => setConfigDetails(prev => ({ ...prev, body })),
+        });
+
+        const url = apiUrl(path);
+        const context = { url, method };
+        try {
+            const response = await apiFetch(url, {
+                fetch: run.fetch,
+                method,
+                headers,
+                ...(body !== null && { body: json ? JSON.stringify(body) : body }),
+            });
+
+            run.log(`Response received with status: ${response.status}`, "success");
+            run.emit("status", { apply: () => setResponseStatus(response.status) });
+
+            await readJson(response, context);
+            run.succeed({ log: "Request completed successfully" });
+        } catch (error) {
+            const failure = toApiError(error, context);
+            if (failure instanceof HttpError) {
+                run.log(`Response received with status: ${failure.status}`, "error");
+                run.emit("status", { apply: () => setResponseStatus(failure.status) });
+            }
+            run.fail(failure, { apply: () => setError(failure) });
+        }
+    }
 
+    function importCurl() {
+        let parsed;
+        try {
+            parsed = parseCurl(curlText);
+            if (!METHODS.includes(parsed.method)) {
+                throw new Error(`${parsed.method} isn't one of this lesson's methods (${METHODS.join(", ")}); the Request Builder lesson can send it.`);
+            }
+            if (parsed.body !== null && BODYLESS_METHODS.has(parsed.method)) {
+                throw new Error(`This lesson sends ${parsed.method} without a body, so the command's data would be dropped. Remove -X ${parsed.method}, or use -G to send the data as a query string.`);
+            }
         } catch (error) {
-            setStatus("error");
-            addLog(`Request failed: ${error.message}`, "error");
+            setCurlError(error.message);
+            return;
         }
+
+        const config = {
+            method: parsed.method,
+            path: mockPathOf(parsed.url),
+            headerRows: parsed.headers.map(([key, value]) => headerRow(key, value)),
+            bodyText: parsed.body ?? "",
+        };
+        setCurlError(null);
+        setApiMode("mock");
+        setSelectedMethod(config.method);
+        setRequestPath(config.path);
+        setHeaderRows(config.headerRows);
+        setBodyText(config.bodyText);
+        runConfiguredFetch(config);
     }
 
+    const configuredHeaders = headerRows.filter(({ key }) => key.trim()).map(({ key, value }) => [key.trim(), value]);
+
     return (
         <div className="min-h-screen bg-black text-white p-6">
             <div className="max-w-7xl mx-auto">
@@ -134,7 +204,7 @@ export default function RequestConfig() {
                 <div className="mb-6 bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
                     <h3 className="font-semibold text-lg mb-4 text-center">Select HTTP Method</h3>
                     <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
-                        {["GET", "POST", "PUT", "PATCH", "DELETE"].map(method => (
+                        {METHODS.map(method => (
                             <MethodButton
                                 key={method}
                                 method={method}
@@ -145,6 +215,33 @@ export default function RequestConfig() {
                     </div>
                 </div>
 
+                {/* cURL import */}
+                <div className="mb-6 bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+                        <h3 className="font-semibold text-lg">Import a cURL command</h3>
+                        <p className="text-xs text-zinc-500">
+                            Paste a "Copy as cURL (bash)" command from devtools. It runs against the mock API.
+                        </p>
+                    </div>
+                    <textarea
+                        value={curlText}
+                        onChange={(e) => setCurlText(e.target.value)}
+                        rows={5}
+                        className="w-full px-3 py-2 bg-black border border-zinc-700 rounded-lg font-mono text-xs mb-3"
+                        aria-label="cURL command"
+                        spellCheck={false}
+                    />
+                    {curlError && (
+                        <p className="mb-3 text-sm text-red-400 bg-red-950/30 border border-red-900 rounded-lg px-3 py-2">{curlError}</p>
+                    )}
+                    <button
+                        onClick={importCurl}
+                        className="px-6 py-2 bg-indigo-600 hover:bg-indigo-500 rounded-lg font-semibold text-sm transition-all duration-200"
+                    >
+                        Import &amp; run
+                    </button>
+                </div>
+
                 {/* Main Content Grid */}
                 <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mb-6">
                     {/* Code Example */}
@@ -156,31 +253,81 @@ export default function RequestConfig() {
                             </span>
                         </div>
 
-                        <pre className="bg-black rounded-lg p-5 text-sm text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed mb-4">
-                            {`async function fetchConfigured() {
-  const response = await fetch(
-    "https://api.thecatapi.com/v1/images/search",
-    {
-      method: "${selectedMethod}",
-      headers: {
-        "Content-Type": "application/json",
-        "x-demo-client": "build-it-api-fetching"
-      }${selectedMethod !== "GET" ? `,
-      body: JSON.stringify({
-        demo: true,
-        timestamp: Date.now()
-      })` : ""}
-    }
-  );
+                        <div className="mb-4 flex items-center gap-2">
+                            <span className="text-xs font-mono text-zinc-500 hidden sm:inline">{getApiBase()}</span>
+                            <input
+                                value={requestPath}
+                                onChange={(e) => setRequestPath(e.target.value)}
+                                className="flex-1 px-3 py-2 bg-black border border-zinc-700 rounded-lg font-mono text-xs"
+                                aria-label="Request path"
+                                spellCheck={false}
+                            />
+                        </div>
 
-  if (!response.ok) {
-    throw new Error("Request failed");
-  }
+                        {/* Editable headers and body */}
+                        <div className="mb-4 space-y-2">
+                            <p className="text-sm text-zinc-400">Headers</p>
+                            {headerRows.map(({ id, key, value }) => (
+                                <div key={id} className="flex gap-2">
+                                    <input
+                                        value={key}
+                                        onChange={(e) => setHeaderRows(prev => prev.map(row => (row.id === id ? { ...row, key: e.target.value } : row)))}
+                                        placeholder="Header"
+                                        className="w-2/5 px-3 py-2 bg-black border border-zinc-700 rounded-lg font-mono text-xs"
+                                        spellCheck={false}
+                                    />
+                                    <input
+                                        value={value}
+                                        onChange={(e) => setHeaderRows(prev => prev.map(row => (row.id === id ? { ...row, value: e.target.value } : row)))}
+                                        placeholder="Value"
+                                        className="flex-1 px-3 py-2 bg-black border border-zinc-700 rounded-lg font-mono text-xs"
+                                        spellCheck={false}
+                                    />
+                                    <button
+                                        onClick={() => setHeaderRows(prev => prev.filter(row => row.id !== id))}
+                                        className="px-3 py-2 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-xs"
+                                        title="Remove header"
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                            ))}
+                            <button
+                                onClick={() => setHeaderRows(prev => [...prev, headerRow()])}
+                                className="px-3 py-1.5 bg-zinc-800 hover:bg-zinc-700 rounded-lg text-xs"
+                            >
+                                + Add header
+                            </button>
+                        </div>
 
-  const data = await response.json();
-  return data;
-}`}
-                        </pre>
+                        {!BODYLESS_METHODS.has(selectedMethod) && (
+                            <div className="mb-4">
+                                <p className="text-sm text-zinc-400 mb-2">Body</p>
+                                <textarea
+                                    value={bodyText}
+                                    onChange={(e) => setBodyText(e.target.value)}
+                                    rows={4}
+                                    className="w-full px-3 py-2 bg-black border border-zinc-700 rounded-lg font-mono text-xs"
+                                    aria-label="Request body"
+                                    spellCheck={false}
+                                />
+                            </div>
+                        )}
+
+                        <div className="mb-4">
+                            <CodeGenerator
+                                request={{
+                                    method: selectedMethod,
+                                    url: apiUrl(requestPath),
+                                    headers: configuredHeaders,
+                                    body: !BODYLESS_METHODS.has(selectedMethod)
+                                        ? isJson(Object.fromEntries(configuredHeaders))
+                                            ? { type: "json", text: bodyText }
+                                            : { type: "raw", text: bodyText, contentType: "text/plain" }
+                                        : null,
+                                }}
+                            />
+                        </div>
 
                         {/* Configuration Details */}
                         <div className="space-y-4">
@@ -223,10 +370,10 @@ export default function RequestConfig() {
                                 icon="B"
                                 active={configDetails.body !== null}
                             >
-                                {selectedMethod !== "GET" ? (
+                                {!BODYLESS_METHODS.has(selectedMethod) ? (
                                     configDetails.body ? (
                                         <pre className="text-xs bg-zinc-950 p-3 rounded border border-zinc-800 text-zinc-300">
-                                            {JSON.stringify(configDetails.body, null, 2)}
+                                            {typeof configDetails.body === "string" ? configDetails.body : JSON.stringify(configDetails.body, null, 2)}
                                         </pre>
                                     ) : (
                                         <p className="text-sm text-zinc-500">Body will be added during execution</p>
@@ -355,10 +502,9 @@ export default function RequestConfig() {
                         <div className="flex gap-3 mb-6">
                             <button
                                 onClick={runConfiguredFetch}
-                                disabled={status === "loading"}
-                                className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:bg-zinc-700 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200 hover:scale-105 disabled:scale-100"
+                                className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 rounded-lg font-semibold transition-all duration-200 hover:scale-105"
                             >
-                                {status === "loading" ? "Running..." : `Run ${selectedMethod} Request`}
+                                {status === "loading" ? "Restart (cancels current run)" : `Run ${selectedMethod} Request`}
                             </button>
                             <button
                                 onClick={reset}
@@ -398,6 +544,15 @@ export default function RequestConfig() {
                                         <span className="text-2xl text-red-400">✕</span>
                                     </div>
                                     <p className="text-red-400 font-medium">Request failed</p>
+                                    {error && <ErrorNotice error={error} className="mt-3 text-left" />}
+                                </div>
+                            )}
+                            {status === "cancelled" && (
+                                <div className="text-center py-4">
+                                    <div className="w-12 h-12 mx-auto mb-3 bg-amber-500/20 border-2 border-amber-500 rounded-full flex items-center justify-center">
+                                        <span className="text-2xl text-amber-400">⊘</span>
+                                    </div>
+                                    <p className="text-amber-400 font-medium">Request cancelled</p>
                                 </div>
                             )}
                         </div>
@@ -410,6 +565,7 @@ export default function RequestConfig() {
                             {logs.length > 0 && (
                                 <span className="text-xs bg-zinc-700 px-2 py-1 rounded">{logs.length}</span>
                             )}
+                            <HarExportButton lesson="config" logs={logs} className="ml-auto font-normal" />
                         </h3>
 
                         <div className="bg-black rounded-lg p-4 border border-zinc-800 h-72 overflow-y-auto font-mono text-xs space-y-2">
@@ -423,7 +579,8 @@ export default function RequestConfig() {
                                         key={idx}
                                         className={`p-2 rounded animate-fade-in ${log.type === "error" ? "bg-red-950/30 text-red-400 border-l-2 border-red-500" :
                                                 log.type === "success" ? "bg-green-950/30 text-green-400 border-l-2 border-green-500" :
-                                                    "bg-zinc-800 text-zinc-300"
+                                                    log.type === "cancelled" ? "bg-amber-950/30 text-amber-400 border-l-2 border-dashed border-amber-500" :
+                                                        "bg-zinc-800 text-zinc-300"
                                             }`}
                                     >
                                         {log.msg}
@@ -0,0 +1,352 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { dedupe } from "../api/dedupe";
+import { fetchJson } from "../api/http";
+import { apiUrl, setApiMode, useApiMode } from "../api/settings";
+import ErrorNotice from "../components/ErrorNotice";
+
+const STRATEGIES = {
+    naive: {
+        label: "useEffect in every component",
+        code: `useEffect(() => {
+  let ignore = false;
+  fetchResource(key).then(data => {
+    if (!ignore) setData(data);
+  });
+  return () => { ignore = true };
+}, [key]);`,
+    },
+    map: {
+        label: "In-flight promise map",
+        code: `const inFlight = new Map();
+
+function dedupe(key, fetcher) {
+  if (!inFlight.has(key)) {
+    inFlight.set(key, fetcher()
+      .finally(() => inFlight.delete(key)));
+  }
+  return inFlight.get(key);
+}
+
+// same useEffect, different call
+dedupe(key, () => fetchResource(key))`,
+    },
+    "react-query": {
+        label: "React Query shared queryKey",
+        code: `useQuery({
+  queryKey: ["dedupe", key],
+  queryFn: () => fetchResource(key),
+  staleTime: Infinity,
+  retry: false,
+});`,
+    },
+};
+
+const EMPTY_COUNTS = { naive: 0, map: 0, "react-query": 0 };
+
+export default function RequestDeduplication() {
+    const apiMode = useApiMode();
+    const [count, setCount] = useState(6);
+    const [latency, setLatency] = useState(1500);
+    const [run, setRun] = useState(null);
+    const [calls, setCalls] = useState(EMPTY_COUNTS);
+
+    function mount() {
+        setCalls(EMPTY_COUNTS);
+        setRun({ id: Date.now().toString(36), count, latency, late: 0 });
+    }
+
+    function addLate() {
+        setRun(prev => ({ ...prev, late: prev.late + 1 }));
+    }
+
+    // One fetcher per strategy, counting every time it really calls fetch.
+    // Rebuilt only for a run with another latency, so the widgets' effects don't rerun.
+    const runLatency = run?.latency;
+    const fetchers = useMemo(() => Object.fromEntries(Object.keys(STRATEGIES).map(strategy => [
+        strategy,
+        (key) => {
+            setCalls(prev => ({ ...prev, [strategy]: prev[strategy] + 1 }));
+            return fetchJson(apiUrl(`/dedupe/${key}?delay=${runLatency}`));
+        },
+    ])), [runLatency]);
+
+    return (
+        <div className="min-h-screen bg-black text-white p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Headline */}
+                <div className="mb-10 text-center">
+                    <h2 className="text-5xl font-bold mb-3">
+                        Request <span className="text-indigo-400">deduplication</span>
+                    </h2>
+                    <p className="text-zinc-400 text-lg max-w-3xl mx-auto">
+                        A header, a sidebar and a card all need the same resource at the same moment.
+                        Mount several of them at once and count how many requests actually reach the server.
+                    </p>
+                </div>
+
+                {apiMode !== "mock" && (
+                    <div className="mb-6 bg-yellow-950/30 border border-yellow-800 rounded-xl p-4 flex flex-wrap items-center justify-between gap-3">
+                        <p className="text-yellow-300 text-sm">
+                            This lesson needs the mock API's <code>/dedupe</code> endpoint, which counts the hits it receives.
+                        </p>
+                        <button
+                            onClick={() => setApiMode("mock")}
+                            className="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 rounded-lg text-sm font-semibold"
+                        >
+                            Switch to mock API
+                        </button>
+                    </div>
+                )}
+
+                {/* Settings */}
+                <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl mb-6">
+                    <div className="grid md:grid-cols-3 gap-6 items-end">
+                        <Slider label="Components" value={count} min={2} max={12} onChange={setCount} />
+                        <Slider label="Server latency" unit="ms" value={latency} min={300} max={3000} step={100} onChange={setLatency} />
+                        <div className="flex gap-3 mb-4">
+                            <button
+                                onClick={mount}
+                                disabled={apiMode !== "mock"}
+                                className="flex-1 px-4 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200"
+                            >
+                                Mount {count} components
+                            </button>
+                            <button
+                                onClick={addLate}
+                                disabled={!run || apiMode !== "mock"}
+                                className="flex-1 px-4 py-3 bg-zinc-700 hover:bg-zinc-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200"
+                            >
+                                Add a late one
+                            </button>
+                        </div>
+                    </div>
+                    <p className="text-xs text-zinc-500">
+                        Each column mounts the same number of components asking for one key of its own. Add a late one
+                        after the responses arrive to see which strategy remembers the result and which only shared the request.
+                    </p>
+                </div>
+
+                {/* Strategies */}
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+                    {Object.keys(STRATEGIES).map(strategy => (
+                        <StrategyPanel
+                            key={`${strategy}-${run?.id}`}
+                            strategy={strategy}
+                            run={run}
+                            calls={calls[strategy]}
+                            fetcher={fetchers[strategy]}
+                        />
+                    ))}
+                </div>
+
+                {/* Key Points */}
+                <div className="bg-gradient-to-r from-indigo-950/50 to-purple-950/50 rounded-xl p-6 border border-indigo-800/30 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-indigo-300">Key Points</h3>
+                    <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <KeyPoint
+                            title="Every effect fetches"
+                            description="useEffect knows nothing about its siblings. N components asking for the same URL send N requests."
+                        />
+                        <KeyPoint
+                            title="StrictMode doubles it"
+                            description="In development React mounts, unmounts and remounts each component, so the naive column sends 2N. The ignore flag hides the extra responses, not the requests."
+                        />
+                        <KeyPoint
+                            title="Share the promise, not the result"
+                            description="An in-flight map hands every caller the pending promise and forgets it once it settles. It isn't a cache: a late caller fetches again."
+                        />
+                        <KeyPoint
+                            title="React Query does both"
+                            description="Observers of one queryKey share a single fetch, and with a staleTime a late one is served from the cache without a request."
+                        />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// ---- Strategy columns ----
+
+function StrategyPanel({ strategy, run, calls, fetcher }) {
+    const { label, code } = STRATEGIES[strategy];
+    const [settled, setSettled] = useState(0);
+    const onSettled = useCallback(() => setSettled(prev => prev + 1), []);
+    const resourceKey = run && `${strategy}-${run.id}`;
+    const hits = useServerHits(resourceKey, settled);
+    const Widget = WIDGETS[strategy];
+    const total = run ? run.count + run.late : 0;
+
+    return (
+        <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+            <h3 className="font-semibold text-lg mb-4">{label}</h3>
+
+            <div className="grid grid-cols-2 gap-3 mb-4">
+                <Counter label="fetch() calls" value={run ? calls : "–"} />
+                <Counter label="Hits at the server" value={hits ?? "–"} highlight={hits !== null && hits <= 1} />
+            </div>
+
+            <div className="bg-black rounded-lg border border-zinc-800 p-3 min-h-40 mb-4">
+                {run ? (
+                    <div className="grid grid-cols-3 gap-2">
+                        {Array.from({ length: total }, (_, index) => (
+                            <Widget
+                                key={index}
+                                index={index}
+                                late={index >= run.count}
+                                resourceKey={resourceKey}
+                                fetcher={fetcher}
+                                onSettled={onSettled}
+                            />
+                        ))}
+                    </div>
+                ) : (
+                    <p className="text-zinc-500 text-sm text-center pt-14">No components mounted</p>
+                )}
+            </div>
+
+            <p className="text-xs text-zinc-500 mb-2">
+                {run ? `${settled} of ${total} components have their data` : "Mount the components to start"}
+            </p>
+
+            <pre className="bg-black rounded-lg p-4 text-xs text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed">
+                {code}
+            </pre>
+        </div>
+    );
+}
+
+/** Reads the server's hit counter for `key` again every time another component settles. */
+function useServerHits(key, settled) {
+    const [hits, setHits] = useState(null);
+
+    useEffect(() => {
+        if (!key || settled === 0) return;
+        let ignore = false;
+        fetchJson(apiUrl(`/dedupe/${key}/hits`))
+            .then(body => {
+                if (!ignore) setHits(body.hits);
+            })
+            .catch(() => {});
+        return () => {
+            ignore = true;
+        };
+    }, [key, settled]);
+
+    return hits;
+}
+
+// ---- Consumers ----
+
+function NaiveWidget({ resourceKey, fetcher, ...props }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let ignore = false;
+        fetcher(resourceKey).then(
+            body => !ignore && setData(body),
+            failure => !ignore && setError(failure),
+        );
+        return () => {
+            ignore = true;
+        };
+    }, [resourceKey, fetcher]);
+
+    return <WidgetView data={data} error={error} {...props} />;
+}
+
+function MapWidget({ resourceKey, fetcher, ...props }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let ignore = false;
+        dedupe(resourceKey, () => fetcher(resourceKey)).then(
+            body => !ignore && setData(body),
+            failure => !ignore && setError(failure),
+        );
+        return () => {
+            ignore = true;
+        };
+    }, [resourceKey, fetcher]);
+
+    return <WidgetView data={data} error={error} {...props} />;
+}
+
+function QueryWidget({ resourceKey, fetcher, ...props }) {
+    const { data, error } = useQuery({
+        queryKey: ["dedupe", resourceKey],
+        queryFn: () => fetcher(resourceKey),
+        staleTime: Infinity,
+        retry: false,
+    });
+    return <WidgetView data={data ?? null} error={error} {...props} />;
+}
+
+const WIDGETS = { naive: NaiveWidget, map: MapWidget, "react-query": QueryWidget };
+
+function WidgetView({ index, late, data, error, onSettled }) {
+    const done = Boolean(data || error);
+
+    useEffect(() => {
+        if (done) onSettled();
+    }, [done, onSettled]);
+
+    return (
+        <div className={`rounded-md border p-1.5 text-[10px] ${late ? "border-indigo-700" : "border-zinc-800"}`}>
+            <div className="flex justify-between text-zinc-500 mb-1">
+                <span>#{index + 1}{late && " late"}</span>
+                {data && <span className="font-mono text-indigo-300">hit {data.hit}</span>}
+            </div>
+            {error ? (
+                <ErrorNotice error={error} className="text-[10px] p-1" />
+            ) : data ? (
+                <img src={data.image.url} alt={data.image.id} className="w-full h-12 object-cover rounded" />
+            ) : (
+                <div className="w-full h-12 rounded bg-zinc-800 animate-pulse" />
+            )}
+        </div>
+    );
+}
+
+// ---- UI helpers ----
+
+function Counter({ label, value, highlight = false }) {
+    return (
+        <div className="bg-black rounded-lg border border-zinc-800 p-3 text-center">
+            <p className={`text-3xl font-bold font-mono ${highlight ? "text-green-400" : "text-white"}`}>{value}</p>
+            <p className="text-xs text-zinc-500 mt-1">{label}</p>
+        </div>
+    );
+}
+
+function Slider({ label, value, unit = "", min, max, step = 1, onChange }) {
+    return (
+        <div className="mb-4">
+            <label className="flex justify-between text-sm text-zinc-400 mb-1">
+                <span>{label}</span>
+                <span className="font-mono text-indigo-300">{value}{unit}</span>
+            </label>
+            <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={value}
+                onChange={(e) => onChange(Number(e.target.value))}
+                className="w-full accent-indigo-500"
+            />
+        </div>
+    );
+}
+
+function KeyPoint({ title, description }) {
+    return (
+        <div className="bg-zinc-900/50 border border-indigo-800/30 rounded-lg p-4">
+            <h4 className="font-semibold text-sm text-indigo-300 mb-2">{title}</h4>
+            <p className="text-xs text-zinc-400 leading-relaxed">{description}</p>
+        </div>
+    );
+}
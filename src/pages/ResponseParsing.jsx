@@ -1,123 +1,115 @@
 import { useState } from "react";
+import { HttpError, toApiError } from "../api/errors";
+import { fetchJson, validateImages } from "../api/http";
+import { apiUrl } from "../api/settings";
+import ErrorNotice from "../components/ErrorNotice";
+import { useRequestLifecycle } from "../lifecycle/useRequestLifecycle";
+
+const LIFECYCLE_STEPS = {
+    request: 1,
+    headers: 2,
+    parse: 3,
+    done: 4,
+};
 
 export default function ResponseParsing() {
-    const [step, setStep] = useState(0);
-    const [status, setStatus] = useState("idle");
+    const { step, status, logs, ...lifecycle } = useRequestLifecycle({
+        id: "parsing",
+        steps: LIFECYCLE_STEPS,
+        minStepDuration: 700,
+    });
     const [mode, setMode] = useState("json");
     const [imageUrl, setImageUrl] = useState(null);
     const [rawPreview, setRawPreview] = useState("");
-    const [logs, setLogs] = useState([]);
     const [contentType, setContentType] = useState(null);
     const [dataSize, setDataSize] = useState(null);
+    const [error, setError] = useState(null);
 
-    const addLog = (msg, type = "info") => {
-        setLogs(prev => [...prev, { msg, type, timestamp: Date.now() }]);
-    };
-
-    const reset = () => {
-        setStep(0);
-        setStatus("idle");
+    const clearResult = () => {
+        setError(null);
         setImageUrl(null);
         setRawPreview("");
-        setLogs([]);
         setContentType(null);
         setDataSize(null);
     };
 
+    const reset = () => {
+        lifecycle.reset();
+        clearResult();
+    };
+
     async function runParse(selectedMode) {
-        reset();
+        clearResult();
         setMode(selectedMode);
-        setStatus("loading");
-
-        addLog(`Starting response parsing with .${selectedMode}() method`, "info");
+        const run = lifecycle.begin(`Starting response parsing with .${selectedMode}() method`);
 
+        let url = apiUrl("/images/search");
         try {
-            setTimeout(() => {
-                setStep(1);
-                addLog("Sending HTTP request to API...", "info");
-            }, 500);
-
-            const response = await fetch(
-                "https://api.thecatapi.com/v1/images/search"
-            );
-
-            setTimeout(() => {
-                setStep(2);
-                addLog(`Response received with status: ${response.status}`, "success");
-                const ct = response.headers.get("content-type");
-                setContentType(ct);
-                addLog(`Content-Type: ${ct}`, "info");
-            }, 1000);
 
-            if (!response.ok) {
-                throw new Error("Request failed: " + response.status);
+            if (selectedMode === "blob") {
+                // Look up an image first; the lifecycle follows the image download itself.
+                run.log("Looking up an image URL to download as binary data...", "info");
+                const [image] = await fetchJson(url, { signal: run.signal, validate: validateImages });
+                url = image.url;
             }
 
-            setTimeout(() => {
-                setStep(3);
-                addLog(`Calling response.${selectedMode}() to parse body...`, "info");
-            }, 1800);
+            const response = await run.fetch(url);
+            const ct = response.headers.get("content-type");
+            run.emit("content-type", {
+                log: `Content-Type: ${ct}`,
+                apply: () => setContentType(ct),
+            });
+
+            if (!response.ok) {
+                throw await HttpError.fromResponse(response, { url, method: "GET" });
+            }
 
             if (selectedMode === "json") {
                 const data = await response.json();
                 const preview = JSON.stringify(data, null, 2);
                 const size = new Blob([preview]).size;
-                setDataSize(size);
-
-                addLog("JSON parsing successful", "success");
-                addLog(`Parsed ${data.length} item(s) from response`, "info");
 
-                setTimeout(() => {
-                    setStatus("success");
-                    setStep(4);
-                    setRawPreview(preview);
-                    addLog(`Data size: ${size} bytes`, "info");
-                }, 2400);
+                run.log(`Parsed ${data.length} item(s) from response`, "info");
+                run.succeed({
+                    log: `Data size: ${size} bytes`,
+                    logType: "info",
+                    apply: () => {
+                        setDataSize(size);
+                        setRawPreview(preview);
+                    },
+                });
             } else if (selectedMode === "text") {
                 const txt = await response.text();
                 const size = new Blob([txt]).size;
-                setDataSize(size);
 
-                addLog("Text parsing successful", "success");
-                addLog(`Retrieved ${txt.length} characters`, "info");
-
-                setTimeout(() => {
-                    setStatus("success");
-                    setStep(4);
-                    setRawPreview(txt);
-                    addLog(`Data size: ${size} bytes`, "info");
-                }, 2400);
+                run.log(`Retrieved ${txt.length} characters`, "info");
+                run.succeed({
+                    log: `Data size: ${size} bytes`,
+                    logType: "info",
+                    apply: () => {
+                        setDataSize(size);
+                        setRawPreview(txt);
+                    },
+                });
             } else {
-                // blob demo - get JSON first to extract image URL
-                const data = await response.json();
-                const url = data[0]?.url;
-
-                if (!url) {
-                    throw new Error("No image URL in response");
-                }
-
-                addLog("Blob concept: Fetching image as binary data...", "info");
-
-                // Fetch the actual image as blob
-                const imgResponse = await fetch(url);
-                const blob = await imgResponse.blob();
-                const objectUrl = URL.createObjectURL(blob);
-                setDataSize(blob.size);
-
-                addLog("Image blob created successfully", "success");
-                addLog(`Blob size: ${(blob.size / 1024).toFixed(2)} KB`, "info");
-                addLog(`Blob type: ${blob.type}`, "info");
-
-                setTimeout(() => {
-                    setStatus("success");
-                    setStep(4);
-                    setImageUrl(objectUrl);
-                }, 2400);
+                const blob = await response.blob();
+
+                run.log(`Blob size: ${(blob.size / 1024).toFixed(2)} KB`, "info");
+                run.log(`Blob type: ${blob.type}`, "info");
+                run.succeed({
+                    log: "Image blob created successfully",
+                    apply: () => {
+                        setDataSize(blob.size);
+                        setImageUrl(URL.createObjectURL(blob));
+                    },
+                });
             }
         } catch (error) {
-            console.error("Parsing error:", error);
-            setStatus("error");
-            addLog(`Error: ${error.message}`, "error");
+            if (!run.active) return;
+            // A body that won't parse comes back as a ParseError.
+            const failure = toApiError(error, { url, method: "GET" });
+            console.error("Parsing error:", failure);
+            run.fail(failure, { apply: () => setError(failure) });
         }
     }
 
@@ -243,11 +235,10 @@ img.src = url; // Display image`}
                         <div className="flex gap-4 mb-6 p-3 bg-black/30 rounded-xl border border-zinc-700">
                             <button
                                 onClick={() => runParse(mode)}
-                                disabled={status === "loading"}
-                                className="flex-1 px-6 py-3 bg-gradient-to-r from-indigo-600 to-indigo-700 hover:from-indigo-500 hover:to-indigo-600 disabled:from-zinc-700 disabled:to-zinc-600 disabled:cursor-not-allowed rounded-lg font-semibold text-sm shadow-lg hover:shadow-indigo-500/25 hover:scale-[1.01] transition-all duration-200 border border-indigo-500/40 active:scale-[0.99] flex flex-col items-start justify-center"
+                                className="flex-1 px-6 py-3 bg-gradient-to-r from-indigo-600 to-indigo-700 hover:from-indigo-500 hover:to-indigo-600 rounded-lg font-semibold text-sm shadow-lg hover:shadow-indigo-500/25 hover:scale-[1.01] transition-all duration-200 border border-indigo-500/40 active:scale-[0.99] flex flex-col items-start justify-center"
                             >
                                 <span className="text-xs uppercase tracking-wide opacity-80 mb-1">
-                                    Run
+                                    {status === "loading" ? "Restart" : "Run"}
                                 </span>
                                 <span className="font-mono text-sm">.{mode}()</span>
                             </button>
@@ -390,7 +381,9 @@ img.src = url; // Display image`}
                                                 ? "bg-red-950/30 text-red-400 border-l-2 border-red-500"
                                                 : log.type === "success"
                                                     ? "bg-green-950/30 text-green-400 border-l-2 border-green-500"
-                                                    : "bg-zinc-800 text-zinc-300"
+                                                    : log.type === "cancelled"
+                                                        ? "bg-amber-950/30 text-amber-400 border-l-2 border-dashed border-amber-500"
+                                                        : "bg-zinc-800 text-zinc-300"
                                             }`}
                                     >
                                         {log.msg}
@@ -427,6 +420,16 @@ img.src = url; // Display image`}
                                         ✕
                                     </div>
                                     <p className="text-red-400 font-medium">Parsing failed</p>
+                                    {error && <ErrorNotice error={error} className="mt-4 text-left" />}
+                                </div>
+                            )}
+
+                            {status === "cancelled" && (
+                                <div className="text-center flex flex-col items-center justify-center h-full">
+                                    <div className="w-16 h-16 border-2 border-amber-500 rounded-full flex items-center justify-center mb-4 text-3xl text-amber-500">
+                                        ⊘
+                                    </div>
+                                    <p className="text-amber-400 font-medium">Parsing cancelled</p>
                                 </div>
                             )}
 
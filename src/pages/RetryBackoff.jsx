@@ -0,0 +1,482 @@
+import { useMemo, useState } from "react";
+import axios from "axios";
+import { useQueryClient } from "@tanstack/react-query";
+import { toApiError } from "../api/errors";
+import { apiFetch, attachErrorModel, readJson } from "../api/http";
+import { apiUrl, setApiMode, useApiMode } from "../api/settings";
+import {
+    JITTER_STRATEGIES,
+    attachRetryInterceptor,
+    createBackoff,
+    exponentialDelay,
+    fetchWithRetry,
+    isRetryable,
+    responseEvent,
+} from "../api/retry";
+import { useRunScope } from "../lifecycle/useRunScope";
+
+const ATTEMPT_LATENCY = "150-400";
+const MAX_RETRIES = 6;
+
+const FAILURE_STATUSES = [
+    { status: 503, label: "503 Service Unavailable" },
+    { status: 500, label: "500 Internal Server Error" },
+    { status: 429, label: "429 Too Many Requests" },
+    { status: 0, label: "Network error (connection dropped)" },
+    { status: 404, label: "404 Not Found (not retryable)" },
+];
+
+const IMPLEMENTATIONS = {
+    fetch: {
+        label: "fetch loop",
+        code: `async function fetchWithRetry(url, { retries, backoff }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      // throws HttpError, NetworkError, TimeoutError…
+      return await fetchJson(url);
+    } catch (error) {
+      if (attempt >= retries || !isRetryable(error)) throw error;
+    }
+    await sleep(backoff(attempt));
+  }
+}`,
+    },
+    axios: {
+        label: "axios interceptor",
+        code: `// Added before attachErrorModel(api): it needs the AxiosError.
+api.interceptors.response.use(undefined, async (error) => {
+  const config = error.config;
+  const attempt = config.retryCount ?? 0;
+
+  if (attempt >= retries || !isRetryable(toApiError(error))) {
+    throw error;
+  }
+
+  await sleep(backoff(attempt));
+  config.retryCount = attempt + 1;
+  return api.request(config); // goes through the interceptors again
+});`,
+    },
+    "react-query": {
+        label: "React Query",
+        code: `useQuery({
+  queryKey: ["cat"],
+  queryFn: fetchCat,
+  // failureCount starts at 0 for the first failure
+  retry: (failureCount, error) =>
+    failureCount < retries && isRetryable(error), // an HttpError, NetworkError…
+  retryDelay: (failureCount) => backoff(failureCount),
+});`,
+    },
+};
+
+const RUN_STYLES = {
+    running: "border-indigo-500 text-indigo-400",
+    success: "border-green-500 text-green-400",
+    failed: "border-red-500 text-red-400",
+    cancelled: "border-amber-500 text-amber-400",
+};
+
+// The jitter preview draws from these, so it only changes when Resample asks for new ones.
+function rollDice() {
+    return Array.from({ length: MAX_RETRIES }, () => Math.random());
+}
+
+export default function RetryBackoff() {
+    const apiMode = useApiMode();
+    const queryClient = useQueryClient();
+    const runs = useRunScope();
+    const [retries, setRetries] = useState(4);
+    const [baseDelay, setBaseDelay] = useState(300);
+    const [cap, setCap] = useState(3000);
+    const [jitter, setJitter] = useState("full");
+    const [failFirst, setFailFirst] = useState(3);
+    const [failureStatus, setFailureStatus] = useState(503);
+    const [implementation, setImplementation] = useState("fetch");
+    const [results, setResults] = useState({});
+    const [rolls, setRolls] = useState(rollDice);
+
+    const settings = { retries, baseDelay, cap, jitter };
+    const previewDelays = useMemo(() => {
+        let next = 0;
+        const backoff = createBackoff({ baseDelay, cap, jitter, random: () => rolls[next++ % rolls.length] });
+        return Array.from({ length: retries }, (_, n) => backoff(n));
+    }, [retries, baseDelay, cap, jitter, rolls]);
+
+    function flakyUrl(key) {
+        const params = new URLSearchParams({
+            key,
+            fail: failFirst,
+            status: failureStatus,
+            delay: ATTEMPT_LATENCY,
+        });
+        return apiUrl(`/flaky?${params}`);
+    }
+
+    async function runImplementation(id, run) {
+        const startedAt = performance.now();
+        const at = () => Math.round(performance.now() - startedAt);
+        const update = (patch) => {
+            setResults(prev => (prev[id]?.runId === run.id ? { ...prev, [id]: patch(prev[id]) } : prev));
+        };
+        const onEvent = (event) => {
+            update(result => {
+                if (event.type === "attempt") {
+                    return { ...result, attempts: [...result.attempts, { attempt: event.attempt, startedAt: at() }] };
+                }
+                if (event.type === "response") {
+                    return {
+                        ...result,
+                        attempts: result.attempts.map(entry => (entry.attempt === event.attempt
+                            ? { ...entry, endedAt: at(), status: event.status, error: event.error }
+                            : entry)),
+                    };
+                }
+                return { ...result, delays: [...result.delays, event.delay] };
+            });
+        };
+
+        setResults(prev => ({ ...prev, [id]: { runId: run.id, settings, status: "running", attempts: [], delays: [] } }));
+        const backoff = createBackoff(settings);
+        const url = flakyUrl(`${id}-${run.id}-${Date.now()}`);
+
+        try {
+            if (id === "fetch") {
+                await fetchWithRetry(url, { retries, backoff, signal: run.signal, onEvent });
+            } else if (id === "axios") {
+                const api = axios.create();
+                attachRetryInterceptor(api, { retries, backoff, onEvent });
+                attachErrorModel(api);
+                onEvent({ type: "attempt", attempt: 0 });
+                await api.get(url, { signal: run.signal });
+            } else {
+                await runReactQuery(url, backoff, run, onEvent);
+            }
+            update(result => ({ ...result, status: "success", total: at() }));
+        } catch (error) {
+            const failure = toApiError(error);
+            update(result => ({
+                ...result,
+                status: run.active ? "failed" : "cancelled",
+                total: at(),
+                error: `${failure.name}: ${failure.message}`,
+            }));
+        }
+    }
+
+    async function runReactQuery(url, backoff, run, onEvent) {
+        const queryKey = ["retry-playground", url];
+        let attempt = 0;
+        const cancel = () => queryClient.cancelQueries({ queryKey });
+        run.signal.addEventListener("abort", cancel, { once: true });
+
+        try {
+            return await queryClient.fetchQuery({
+                queryKey,
+                gcTime: 0,
+                queryFn: async ({ signal }) => {
+                    const current = attempt++;
+                    onEvent({ type: "attempt", attempt: current });
+                    let response;
+                    try {
+                        response = await apiFetch(url, { signal });
+                    } catch (error) {
+                        onEvent(responseEvent(current, error));
+                        throw error;
+                    }
+                    onEvent({ type: "response", attempt: current, status: response.status });
+                    return readJson(response, { url, method: "GET" });
+                },
+                retry: (failureCount, error) => failureCount < retries && isRetryable(error),
+                retryDelay: (failureCount, error) => {
+                    const delay = backoff(failureCount);
+                    if (failureCount < retries && isRetryable(error)) {
+                        onEvent({ type: "wait", attempt: failureCount, delay });
+                    }
+                    return delay;
+                },
+            });
+        } finally {
+            run.signal.removeEventListener("abort", cancel);
+        }
+    }
+
+    function start(ids) {
+        const run = runs.start();
+        ids.forEach(id => runImplementation(id, run));
+    }
+
+    return (
+        <div className="min-h-screen bg-black text-white p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Headline */}
+                <div className="mb-10 text-center">
+                    <h2 className="text-5xl font-bold mb-3">
+                        Retry with <span className="text-indigo-400">exponential backoff</span>
+                    </h2>
+                    <p className="text-zinc-400 text-lg max-w-3xl mx-auto">
+                        Temporary failures deserve another try, but not immediately and not all at once.
+                        Tune the schedule, point it at a flaky endpoint and compare three ways to implement it.
+                    </p>
+                </div>
+
+                {apiMode !== "mock" && (
+                    <div className="mb-6 bg-yellow-950/30 border border-yellow-800 rounded-xl p-4 flex flex-wrap items-center justify-between gap-3">
+                        <p className="text-yellow-300 text-sm">
+                            This lesson needs the mock API's <code>/flaky</code> endpoint; the real Cat API never fails on demand.
+                        </p>
+                        <button
+                            onClick={() => setApiMode("mock")}
+                            className="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 rounded-lg text-sm font-semibold"
+                        >
+                            Switch to mock API
+                        </button>
+                    </div>
+                )}
+
+                {/* Main Content Grid */}
+                <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mb-6">
+                    {/* Settings */}
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <h3 className="font-semibold text-lg mb-4">Backoff Schedule</h3>
+
+                        <Slider label="Max retries" value={retries} min={0} max={MAX_RETRIES} onChange={setRetries} />
+                        <Slider label="Base delay" unit="ms" value={baseDelay} min={100} max={2000} step={100} onChange={setBaseDelay} />
+                        <Slider label="Cap" unit="ms" value={cap} min={500} max={10000} step={500} onChange={setCap} />
+
+                        <p className="text-sm text-zinc-400 mb-2">Jitter</p>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-2">
+                            {Object.entries(JITTER_STRATEGIES).map(([id, { label }]) => (
+                                <button
+                                    key={id}
+                                    onClick={() => setJitter(id)}
+                                    className={`px-3 py-2 rounded-lg border-2 text-sm font-semibold transition-all duration-200 ${jitter === id
+                                        ? "border-indigo-500 bg-indigo-950/30"
+                                        : "border-zinc-700 bg-zinc-950 hover:border-zinc-600"
+                                        }`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="font-mono text-xs text-indigo-300 mb-4">
+                            delay(n) = {JITTER_STRATEGIES[jitter].formula}
+                        </p>
+
+                        <div className="flex items-center justify-between mb-2">
+                            <p className="text-sm text-zinc-400">Sampled schedule</p>
+                            <button
+                                onClick={() => setRolls(rollDice())}
+                                className="text-xs px-3 py-1 bg-zinc-700 hover:bg-zinc-600 rounded"
+                            >
+                                Resample
+                            </button>
+                        </div>
+                        <DelayChart delays={previewDelays} settings={settings} />
+                    </div>
+
+                    {/* Flaky endpoint + implementation */}
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <h3 className="font-semibold text-lg mb-4">Flaky Endpoint</h3>
+
+                        <Slider label="Fail the first" unit=" attempts" value={failFirst} min={0} max={7} onChange={setFailFirst} />
+                        <label className="block text-sm text-zinc-400 mb-2">Failure response</label>
+                        <select
+                            value={failureStatus}
+                            onChange={(e) => setFailureStatus(Number(e.target.value))}
+                            className="w-full mb-6 px-3 py-2 bg-black border border-zinc-700 rounded-lg text-sm"
+                        >
+                            {FAILURE_STATUSES.map(({ status, label }) => (
+                                <option key={status} value={status}>{label}</option>
+                            ))}
+                        </select>
+
+                        <div className="flex gap-2 mb-4">
+                            {Object.entries(IMPLEMENTATIONS).map(([id, { label }]) => (
+                                <button
+                                    key={id}
+                                    onClick={() => setImplementation(id)}
+                                    className={`flex-1 px-3 py-2 rounded-lg text-sm font-semibold transition-all duration-200 ${implementation === id
+                                        ? "bg-indigo-600 text-white"
+                                        : "bg-zinc-800 text-zinc-400 hover:text-zinc-200"
+                                        }`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <pre className="bg-black rounded-lg p-4 text-xs text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed mb-4 h-64">
+                            {IMPLEMENTATIONS[implementation].code}
+                        </pre>
+
+                        <div className="flex gap-3">
+                            <button
+                                onClick={() => start([implementation])}
+                                disabled={apiMode !== "mock"}
+                                className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:bg-zinc-700 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200 hover:scale-105 disabled:scale-100"
+                            >
+                                Run {IMPLEMENTATIONS[implementation].label}
+                            </button>
+                            <button
+                                onClick={() => start(Object.keys(IMPLEMENTATIONS))}
+                                disabled={apiMode !== "mock"}
+                                className="px-6 py-3 bg-zinc-700 hover:bg-zinc-600 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200"
+                            >
+                                Run all three
+                            </button>
+                        </div>
+                    </div>
+                </div>
+
+                {/* Results */}
+                <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 mb-6">
+                    {Object.entries(IMPLEMENTATIONS).map(([id, { label }]) => (
+                        <ResultCard key={id} label={label} result={results[id]} />
+                    ))}
+                </div>
+
+                {/* Key Points */}
+                <div className="bg-gradient-to-r from-indigo-950/50 to-purple-950/50 rounded-xl p-6 border border-indigo-800/30 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-indigo-300">Key Points</h3>
+                    <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <KeyPoint
+                            title="Only retry what can recover"
+                            description="Network errors, 408, 429 and 5xx may succeed later. A 404 or 400 will fail the same way every time."
+                        />
+                        <KeyPoint
+                            title="Cap the delay"
+                            description="2^n grows fast. Without a cap the tenth retry would wait minutes."
+                        />
+                        <KeyPoint
+                            title="Add jitter"
+                            description="Clients that failed together retry together. Randomising the delay spreads that thundering herd out."
+                        />
+                        <KeyPoint
+                            title="React Query retries by default"
+                            description="useQuery retries 3 times with min(1000 × 2^n, 30000). fetch and axios never retry unless you write it."
+                        />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function ResultCard({ label, result }) {
+    return (
+        <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold">{label}</h3>
+                {result && (
+                    <span className={`text-xs px-3 py-1 rounded-full border ${RUN_STYLES[result.status]}`}>
+                        {result.status}
+                        {result.total !== undefined && ` · ${result.total}ms`}
+                    </span>
+                )}
+            </div>
+
+            {!result ? (
+                <p className="text-zinc-500 text-sm text-center py-10">Not run yet</p>
+            ) : (
+                <>
+                    <DelayChart delays={result.delays} settings={result.settings} />
+                    <div className="mt-4 space-y-1 font-mono text-xs">
+                        {result.attempts.map(entry => (
+                            <div
+                                key={entry.attempt}
+                                className={`flex justify-between p-2 rounded ${entry.endedAt === undefined
+                                    ? "bg-zinc-800 text-zinc-300"
+                                    : entry.status >= 200 && entry.status < 300
+                                        ? "bg-green-950/30 text-green-400"
+                                        : "bg-red-950/30 text-red-400"
+                                    }`}
+                            >
+                                <span>Attempt {entry.attempt + 1} @ {entry.startedAt}ms</span>
+                                <span>
+                                    {entry.endedAt === undefined
+                                        ? "…"
+                                        : entry.status ?? entry.error}
+                                </span>
+                            </div>
+                        ))}
+                    </div>
+                    {result.status === "failed" && (
+                        <p className="mt-3 text-xs text-red-400">Gave up: {result.error}</p>
+                    )}
+                </>
+            )}
+        </div>
+    );
+}
+
+// Bars are the delays actually waited; the outline behind each bar is the
+// un-jittered exponential delay for that retry, and the dashed line is the cap.
+function DelayChart({ delays, settings }) {
+    const slots = Math.max(settings.retries, delays.length, 1);
+    const top = Math.max(settings.cap, ...delays, 1);
+
+    return (
+        <div className="h-40 bg-black rounded-lg border border-zinc-800 px-3 pt-5 pb-6">
+            <div className="relative flex items-end gap-2 h-full">
+                <div
+                    className="absolute left-0 right-0 border-t border-dashed border-red-500/60"
+                    style={{ bottom: `${(settings.cap / top) * 100}%` }}
+                >
+                    <span className="absolute right-0 -top-4 text-[10px] text-red-400">cap {settings.cap}ms</span>
+                </div>
+                {Array.from({ length: slots }, (_, n) => {
+                    const delay = delays[n];
+                    const expected = exponentialDelay(settings, n);
+                    return (
+                        <div key={n} className="relative flex-1 h-full flex items-end justify-center">
+                            <div
+                                className="absolute bottom-0 w-full border border-zinc-600 rounded-t"
+                                style={{ height: `${(expected / top) * 100}%` }}
+                            />
+                            {delay !== undefined && (
+                                <div
+                                    className="relative w-2/3 bg-indigo-500 rounded-t transition-all duration-300"
+                                    style={{ height: `${(delay / top) * 100}%` }}
+                                >
+                                    <span className="absolute -top-4 left-1/2 -translate-x-1/2 text-[10px] text-indigo-300">
+                                        {delay}
+                                    </span>
+                                </div>
+                            )}
+                            <span className="absolute -bottom-5 text-[10px] text-zinc-500">#{n + 1}</span>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+function Slider({ label, value, unit = "", min, max, step = 1, onChange }) {
+    return (
+        <div className="mb-4">
+            <label className="flex justify-between text-sm text-zinc-400 mb-1">
+                <span>{label}</span>
+                <span className="font-mono text-indigo-300">{value}{unit}</span>
+            </label>
+            <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={value}
+                onChange={(e) => onChange(Number(e.target.value))}
+                className="w-full accent-indigo-500"
+            />
+        </div>
+    );
+}
+
+function KeyPoint({ title, description }) {
+    return (
+        <div className="bg-zinc-900/50 border border-indigo-800/30 rounded-lg p-4">
+            <h4 className="font-semibold text-sm text-indigo-300 mb-2">{title}</h4>
+            <p className="text-xs text-zinc-400 leading-relaxed">{description}</p>
+        </div>
+    );
+}
@@ -0,0 +1,484 @@
+import { useEffect, useRef, useState } from "react";
+import { useQuery, useQueryClient } from "@tanstack/react-query";
+import { fetchJson, validateImages } from "../api/http";
+import { apiUrl } from "../api/settings";
+import { getSWREntry, subscribeSWRCache, useSWR } from "../api/swr";
+import ErrorNotice from "../components/ErrorNotice";
+
+const SWR_KEY = "swr-lesson/cat";
+const QUERY_KEY = ["swr-lesson", "cat"];
+const TIMELINE_WINDOW = 30000;
+
+const IMPLEMENTATIONS = {
+    swr: {
+        label: "Hand-written useSWR",
+        code: `function useSWR(key, fetcher, { staleTime, gcTime }) {
+  const entry = useSyncExternalStore(subscribe, () => cache.get(key));
+
+  useEffect(() => {
+    observe(key);                       // cancels a pending GC
+    const age = Date.now() - cache.get(key).updatedAt;
+    if (age >= staleTime) revalidate(key, fetcher); // in the background
+    return () => unobserve(key, gcTime); // last one out starts the GC timer
+  }, [key]);
+
+  return { data: entry?.data, isValidating: Boolean(entry?.promise) };
+}`,
+    },
+    "react-query": {
+        label: "React Query useQuery",
+        code: `useQuery({
+  queryKey: ["swr-lesson", "cat"],
+  queryFn: fetchCat,
+  staleTime, // fresh data is served without refetching
+  gcTime,    // inactive data is kept this long after the last observer
+  // both switched off so the two columns follow the same rules
+  refetchOnWindowFocus: false,
+  retry: false,
+});`,
+    },
+};
+
+const PHASES = {
+    empty: { label: "Empty", style: "border-zinc-700 text-zinc-500" },
+    fresh: { label: "Fresh", style: "border-green-500 text-green-400" },
+    stale: { label: "Stale", style: "border-amber-500 text-amber-400" },
+    inactive: { label: "Inactive", style: "border-zinc-500 text-zinc-300" },
+    collected: { label: "Garbage-collected", style: "border-red-500 text-red-400" },
+};
+
+async function fetchCat() {
+    const [cat] = await fetchJson(apiUrl("/images/search?delay=800"), { validate: validateImages });
+    return cat;
+}
+
+export default function StaleWhileRevalidate() {
+    const [staleTime, setStaleTime] = useState(5000);
+    const [gcTime, setGcTime] = useState(10000);
+    const [mounted, setMounted] = useState(false);
+    const [mountKey, setMountKey] = useState(0);
+    const now = useNow(250);
+
+    const swrEvents = useCacheEvents("swr", staleTime);
+    const queryEvents = useCacheEvents("react-query", staleTime);
+
+    return (
+        <div className="min-h-screen bg-black text-white p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Headline */}
+                <div className="mb-10 text-center">
+                    <h2 className="text-5xl font-bold mb-3">
+                        Stale-while-<span className="text-indigo-400">revalidate</span>
+                    </h2>
+                    <p className="text-zinc-400 text-lg max-w-3xl mx-auto">
+                        Show cached data instantly, refresh it in the background once it's stale, and throw it away
+                        when nobody has used it for a while. A 30-line hook and React Query follow the same rules.
+                    </p>
+                </div>
+
+                {/* Settings */}
+                <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl mb-6">
+                    <div className="grid md:grid-cols-3 gap-6 items-end">
+                        <Slider
+                            label="staleTime"
+                            hint="how long data counts as fresh"
+                            value={staleTime}
+                            max={20000}
+                            onChange={setStaleTime}
+                        />
+                        <Slider
+                            label="gcTime"
+                            hint="how long unused data is kept"
+                            value={gcTime}
+                            max={20000}
+                            onChange={setGcTime}
+                        />
+                        <div className="flex gap-3 mb-4">
+                            <button
+                                onClick={() => setMounted(prev => !prev)}
+                                className={`flex-1 px-4 py-3 rounded-lg font-semibold transition-all duration-200 ${mounted
+                                    ? "bg-zinc-700 hover:bg-zinc-600"
+                                    : "bg-indigo-600 hover:bg-indigo-500"
+                                    }`}
+                            >
+                                {mounted ? "Unmount consumers" : "Mount consumers"}
+                            </button>
+                            <button
+                                onClick={() => setMountKey(prev => prev + 1)}
+                                disabled={!mounted}
+                                className="flex-1 px-4 py-3 bg-zinc-700 hover:bg-zinc-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200"
+                            >
+                                Remount
+                            </button>
+                        </div>
+                    </div>
+                    <p className="text-xs text-zinc-500">
+                        Mount to fetch. Remount while fresh: no request. Remount once stale: the old cat stays on screen while a new one loads.
+                        Unmount: the entry goes inactive and is dropped after gcTime unless you mount again first.
+                    </p>
+                </div>
+
+                {/* Side by side */}
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
+                    <CachePanel
+                        implementation="swr"
+                        events={swrEvents}
+                        now={now}
+                    >
+                        {mounted && <SWRConsumer key={mountKey} staleTime={staleTime} gcTime={gcTime} now={now} />}
+                    </CachePanel>
+                    <CachePanel
+                        implementation="react-query"
+                        events={queryEvents}
+                        now={now}
+                    >
+                        {mounted && <QueryConsumer key={mountKey} staleTime={staleTime} gcTime={gcTime} now={now} />}
+                    </CachePanel>
+                </div>
+
+                {/* Key Points */}
+                <div className="bg-gradient-to-r from-indigo-950/50 to-purple-950/50 rounded-xl p-6 border border-indigo-800/30 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-indigo-300">Key Points</h3>
+                    <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <KeyPoint
+                            title="Stale is not gone"
+                            description="Stale data is still shown. It only means the next mount (or focus, or reconnect) will refetch in the background."
+                        />
+                        <KeyPoint
+                            title="staleTime defaults to 0"
+                            description="With React Query's default every mount refetches. Raise staleTime for data that doesn't change every second."
+                        />
+                        <KeyPoint
+                            title="gcTime starts at unmount"
+                            description="The timer only runs while no component uses the key. Mount again in time and the cached data is still there."
+                        />
+                        <KeyPoint
+                            title="One request per key"
+                            description="Both caches share an in-flight fetch, so two components asking at once cause a single request."
+                        />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+// ---- Consumers ----
+
+function SWRConsumer({ staleTime, gcTime, now }) {
+    const { data, error, updatedAt, isValidating } = useSWR(SWR_KEY, fetchCat, { staleTime, gcTime });
+    return <CatView data={data} error={error} updatedAt={updatedAt} isFetching={isValidating} staleTime={staleTime} now={now} />;
+}
+
+function QueryConsumer({ staleTime, gcTime, now }) {
+    const { data, error, dataUpdatedAt, isFetching } = useQuery({
+        queryKey: QUERY_KEY,
+        queryFn: fetchCat,
+        staleTime,
+        gcTime,
+        refetchOnWindowFocus: false,
+        retry: false,
+    });
+    return <CatView data={data} error={error} updatedAt={dataUpdatedAt} isFetching={isFetching} staleTime={staleTime} now={now} />;
+}
+
+function CatView({ data, error, updatedAt, isFetching, staleTime, now }) {
+    if (error) {
+        return <ErrorNotice error={error} className="w-full" />;
+    }
+    if (!data) {
+        return <p className="text-zinc-400 text-sm animate-pulse">Loading… nothing cached to show yet</p>;
+    }
+
+    const age = Math.max(now - updatedAt, 0);
+    return (
+        <div className="flex items-center gap-4 w-full">
+            <img src={data.url} alt={data.id} className="w-40 h-28 object-cover rounded-lg border border-zinc-700" />
+            <div className="text-sm space-y-1">
+                <p className="font-mono text-zinc-300">{data.id}</p>
+                <p className="text-zinc-400">fetched {(age / 1000).toFixed(1)}s ago</p>
+                <p className={age < staleTime ? "text-green-400" : "text-amber-400"}>
+                    {age < staleTime ? "fresh" : "stale"}
+                </p>
+                {isFetching && <p className="text-indigo-300 animate-pulse">revalidating in the background…</p>}
+            </div>
+        </div>
+    );
+}
+
+// ---- Cache timeline ----
+
+/**
+ * Records what one cache does with the lesson's key, in the same shape for
+ * both implementations. Each fetch remembers the staleTime it was made under.
+ */
+function useCacheEvents(source, staleTime) {
+    const queryClient = useQueryClient();
+    const [events, setEvents] = useState(() => {
+        // Both caches outlive the lesson, so start from whatever they still hold.
+        const cached = source === "swr"
+            ? getSWREntry(SWR_KEY)?.updatedAt
+            : queryClient.getQueryState(QUERY_KEY)?.dataUpdatedAt;
+        return cached
+            ? [
+                { type: "fetched", at: cached, staleTime },
+                { type: "observers", delta: 0, at: Date.now() },
+            ]
+            : [];
+    });
+    const staleTimeRef = useRef(staleTime);
+
+    useEffect(() => {
+        staleTimeRef.current = staleTime;
+    });
+
+    useEffect(() => {
+        const record = (type, action) => {
+            const event = toTimelineEvent(type, action);
+            if (!event) return;
+            setEvents(prev => [...prev, { ...event, at: Date.now(), staleTime: staleTimeRef.current }]);
+        };
+
+        if (source === "swr") {
+            return subscribeSWRCache((event) => {
+                if (event.key === SWR_KEY) record(event.type, event.action);
+            });
+        }
+        const queryHash = JSON.stringify(QUERY_KEY);
+        return queryClient.getQueryCache().subscribe((event) => {
+            if (event.query.queryHash === queryHash) record(event.type, event.action);
+        });
+    }, [source, queryClient]);
+
+    return events;
+}
+
+function toTimelineEvent(type, action) {
+    switch (type) {
+        case "observerAdded":
+            return { type: "observers", delta: 1 };
+        case "observerRemoved":
+            return { type: "observers", delta: -1 };
+        case "removed":
+            return { type: "collected" };
+        case "updated":
+            if (action?.type === "fetch") return { type: "fetch" };
+            if (action?.type === "success") return { type: "fetched" };
+            if (action?.type === "error") return { type: "failed" };
+            return null;
+        default:
+            return null;
+    }
+}
+
+// Replays the events into spans: a data track (fresh → stale) and a usage
+// track (active while observed, inactive until collected).
+function buildTimeline(events, now) {
+    const data = [];
+    const usage = [];
+    const fetches = [];
+    const collections = [];
+    let fetched = null;
+    let fetchStartedAt = null;
+    let observers = 0;
+    let usageFrom = null;
+
+    const closeData = (at) => {
+        if (!fetched) return;
+        const freshUntil = fetched.at + fetched.staleTime;
+        data.push({ from: fetched.at, to: Math.min(at, freshUntil), kind: "fresh" });
+        if (at > freshUntil) data.push({ from: freshUntil, to: at, kind: "stale" });
+    };
+    const closeUsage = (at) => {
+        if (usageFrom !== null) usage.push({ from: usageFrom, to: at, kind: observers > 0 ? "active" : "inactive" });
+    };
+    const closeFetch = (at) => {
+        if (fetchStartedAt !== null) fetches.push({ from: fetchStartedAt, to: at });
+        fetchStartedAt = null;
+    };
+
+    for (const event of events) {
+        if (event.type === "fetch") {
+            fetchStartedAt = event.at;
+        } else if (event.type === "fetched") {
+            closeFetch(event.at);
+            closeData(event.at);
+            fetched = event;
+        } else if (event.type === "failed") {
+            closeFetch(event.at);
+        } else if (event.type === "observers") {
+            closeUsage(event.at);
+            observers += event.delta;
+            usageFrom = event.at;
+        } else if (event.type === "collected") {
+            closeFetch(event.at);
+            closeData(event.at);
+            closeUsage(event.at);
+            collections.push(event.at);
+            fetched = null;
+            observers = 0;
+            usageFrom = null;
+        }
+    }
+    closeData(now);
+    closeUsage(now);
+    closeFetch(now);
+
+    const last = events[events.length - 1];
+    let phase = "empty";
+    if (last?.type === "collected") phase = "collected";
+    else if (usageFrom !== null && observers === 0) phase = "inactive";
+    else if (fetched) phase = now - fetched.at < fetched.staleTime ? "fresh" : "stale";
+
+    return {
+        phase,
+        data,
+        usage,
+        fetches,
+        collections,
+        requests: events.filter(event => event.type === "fetch").length,
+    };
+}
+
+function CachePanel({ implementation, events, now, children }) {
+    const { label, code } = IMPLEMENTATIONS[implementation];
+    const timeline = buildTimeline(events, now);
+    const phase = PHASES[timeline.phase];
+
+    return (
+        <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+            <div className="flex items-center justify-between mb-4">
+                <h3 className="font-semibold text-lg">{label}</h3>
+                <div className="flex items-center gap-2">
+                    <span className="text-xs text-zinc-400">{timeline.requests} requests</span>
+                    <span className={`text-xs px-3 py-1 rounded-full border ${phase.style}`}>{phase.label}</span>
+                </div>
+            </div>
+
+            <div className="bg-black rounded-lg border border-zinc-800 p-4 h-40 flex items-center justify-center mb-4">
+                {children ?? <p className="text-zinc-500 text-sm">No component is using this key</p>}
+            </div>
+
+            <Timeline timeline={timeline} now={now} />
+
+            <pre className="mt-4 bg-black rounded-lg p-4 text-xs text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed">
+                {code}
+            </pre>
+        </div>
+    );
+}
+
+function Timeline({ timeline, now }) {
+    const start = now - TIMELINE_WINDOW;
+    const place = ({ from, to }) => {
+        const left = Math.max(from - start, 0) / TIMELINE_WINDOW;
+        const right = Math.max(to - start, 0) / TIMELINE_WINDOW;
+        return { left: `${left * 100}%`, width: `${Math.max(right - left, 0) * 100}%` };
+    };
+    const visible = span => span.to > start && span.to > span.from;
+
+    return (
+        <div className="bg-black rounded-lg border border-zinc-800 p-3">
+            <div className="grid grid-cols-[4.5rem_1fr] gap-y-2 items-center text-[10px] text-zinc-500">
+                <span>data</span>
+                <div className="relative h-4 bg-zinc-900 rounded overflow-hidden">
+                    {timeline.data.filter(visible).map(span => (
+                        <div
+                            key={`${span.kind}-${span.from}`}
+                            className={`absolute top-0 bottom-0 ${span.kind === "fresh" ? "bg-green-600" : "bg-amber-600"}`}
+                            style={place(span)}
+                        />
+                    ))}
+                    {timeline.fetches.filter(visible).map(span => (
+                        <div
+                            key={`fetch-${span.from}`}
+                            className="absolute top-0 h-1.5 bg-indigo-400"
+                            style={place(span)}
+                        />
+                    ))}
+                    {timeline.collections.filter(at => at > start).map(at => (
+                        <div
+                            key={`gc-${at}`}
+                            className="absolute top-0 bottom-0 w-0.5 bg-red-500"
+                            style={{ left: `${((at - start) / TIMELINE_WINDOW) * 100}%` }}
+                        />
+                    ))}
+                </div>
+                <span>observers</span>
+                <div className="relative h-4 bg-zinc-900 rounded overflow-hidden">
+                    {timeline.usage.filter(visible).map(span => (
+                        <div
+                            key={`${span.kind}-${span.from}`}
+                            className={`absolute top-0 bottom-0 ${span.kind === "active" ? "bg-indigo-600" : "bg-zinc-600"}`}
+                            style={place(span)}
+                        />
+                    ))}
+                </div>
+                <span />
+                <div className="flex justify-between">
+                    <span>-30s</span>
+                    <span>-20s</span>
+                    <span>-10s</span>
+                    <span>now</span>
+                </div>
+            </div>
+            <div className="flex flex-wrap gap-3 mt-3 text-[10px] text-zinc-400">
+                <Legend className="bg-green-600" label="fresh" />
+                <Legend className="bg-amber-600" label="stale" />
+                <Legend className="bg-indigo-400" label="fetching" />
+                <Legend className="bg-indigo-600" label="active (observed)" />
+                <Legend className="bg-zinc-600" label="inactive" />
+                <Legend className="bg-red-500" label="garbage-collected" />
+            </div>
+        </div>
+    );
+}
+
+// ---- Helpers ----
+
+function useNow(interval) {
+    const [now, setNow] = useState(() => Date.now());
+    useEffect(() => {
+        const id = setInterval(() => setNow(Date.now()), interval);
+        return () => clearInterval(id);
+    }, [interval]);
+    return now;
+}
+
+function Slider({ label, hint, value, max, onChange }) {
+    return (
+        <div className="mb-4">
+            <label className="flex justify-between text-sm text-zinc-400 mb-1">
+                <span><code className="text-indigo-300">{label}</code> · {hint}</span>
+                <span className="font-mono text-indigo-300">{value / 1000}s</span>
+            </label>
+            <input
+                type="range"
+                min={0}
+                max={max}
+                step={1000}
+                value={value}
+                onChange={(e) => onChange(Number(e.target.value))}
+                className="w-full accent-indigo-500"
+            />
+        </div>
+    );
+}
+
+function Legend({ className, label }) {
+    return (
+        <span className="flex items-center gap-1">
+            <span className={`w-3 h-2 rounded-sm ${className}`} />
+            {label}
+        </span>
+    );
+}
+
+function KeyPoint({ title, description }) {
+    return (
+        <div className="bg-zinc-900/50 border border-indigo-800/30 rounded-lg p-4">
+            <h4 className="font-semibold text-sm text-indigo-300 mb-2">{title}</h4>
+            <p className="text-xs text-zinc-400 leading-relaxed">{description}</p>
+        </div>
+    );
+}
@@ -0,0 +1,411 @@
+import { useEffect, useRef, useState } from "react";
+import { createClient } from "../api/client";
+import { toApiError } from "../api/errors";
+import { fetchJson } from "../api/http";
+import { apiUrl, getApiBase, setApiMode, useApiMode } from "../api/settings";
+import { attachTokenRefresh } from "../api/tokenRefresh";
+import ErrorNotice from "../components/ErrorNotice";
+import { useRunScope } from "../lifecycle/useRunScope";
+
+const REFRESH_LATENCY = 800;
+const REQUEST_LATENCY = "150-450";
+const RESOURCES = ["profile", "favourites", "votes", "breeds", "uploads", "settings"];
+
+const STRATEGIES = {
+    shared: {
+        label: "One shared refresh",
+        description: "The first 401 refreshes; later 401s wait for that refresh and then replay",
+    },
+    naive: {
+        label: "Refresh on every 401",
+        description: "Each 401 starts its own refresh. Refresh tokens are single-use, so all but one fail",
+    },
+};
+
+const SEGMENT_STYLES = {
+    request: "bg-indigo-700",
+    wait: "bg-amber-900/70 border border-dashed border-amber-500",
+    replay: "bg-indigo-500",
+    refresh: "bg-purple-600",
+};
+
+const OUTCOME_STYLES = {
+    ok: "text-green-400",
+    failed: "text-red-400",
+    pending: "text-zinc-500",
+};
+
+const INTERCEPTOR_CODE = `let refreshing = null; // the refresh in flight, shared
+
+client.interceptors.response.use(undefined, async (error) => {
+  const config = error.config;
+  if (error.status !== 401 || config.replayed) throw error;
+
+  // Sent before the last refresh finished? Only the token is stale.
+  if (config.headers.Authorization === \`Bearer \${session.accessToken}\`) {
+    refreshing ??= refresh(session.refreshToken)
+      .then(saveTokens)
+      .finally(() => { refreshing = null; });
+    await refreshing; // later 401s queue here
+  }
+  return client.request({ ...config, replayed: true });
+});`;
+
+function shortToken(token) {
+    return token ? `${token.slice(0, 9)}…` : "—";
+}
+
+export default function TokenRefresh() {
+    const apiMode = useApiMode();
+    const runs = useRunScope();
+    const sessionRef = useRef({ accessToken: null, refreshToken: null });
+    const [session, setSession] = useState(null);
+    const [now, setNow] = useState(() => Date.now());
+    const [ttl, setTtl] = useState(4);
+    const [count, setCount] = useState(4);
+    const [strategy, setStrategy] = useState("shared");
+    const [rows, setRows] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!session) return undefined;
+        const timer = setInterval(() => setNow(Date.now()), 250);
+        return () => clearInterval(timer);
+    }, [session]);
+
+    function saveSession(tokens) {
+        sessionRef.current.accessToken = tokens.accessToken;
+        sessionRef.current.refreshToken = tokens.refreshToken;
+        setSession({ ...tokens, expiresAt: Date.now() + tokens.expiresIn * 1000 });
+    }
+
+    async function signIn(signal) {
+        const tokens = await fetchJson(apiUrl("/auth/login"), {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ttl }),
+            signal,
+        });
+        saveSession(tokens);
+    }
+
+    async function expireNow() {
+        setError(null);
+        try {
+            await fetchJson(apiUrl("/auth/expire"), {
+                method: "POST",
+                headers: { Authorization: `Bearer ${sessionRef.current.accessToken}` },
+            });
+            setSession(prev => prev && { ...prev, expiresAt: Date.now() });
+        } catch (failure) {
+            setError(failure);
+        }
+    }
+
+    async function loadDashboard() {
+        const run = runs.start();
+        const startedAt = performance.now();
+        const at = () => Math.round(performance.now() - startedAt);
+        setRows([]);
+        setError(null);
+
+        const update = (id, patch) => {
+            if (!run.active) return;
+            setRows(prev => prev.map(row => (row.id === id ? patch(row) : row)));
+        };
+        const addRow = (row) => {
+            if (!run.active) return;
+            setRows(prev => [...prev, { ...row, outcome: "pending", segments: [] }]);
+        };
+        // Closes the open segment (if any), relabelling it, and starts the next one.
+        const advance = (id, closeLabel, next) => {
+            const time = at();
+            update(id, row => {
+                const segments = row.segments.map((segment, index) => (index === row.segments.length - 1 && segment.to === null
+                    ? { ...segment, to: time, label: typeof closeLabel === "function" ? closeLabel(segment) : closeLabel ?? segment.label }
+                    : segment));
+                return { ...row, segments: next ? [...segments, { ...next, from: time, to: null }] : segments };
+            });
+        };
+        const finish = (id, outcome, label) => {
+            advance(id, label);
+            update(id, row => ({ ...row, outcome, result: label }));
+        };
+
+        let refreshes = 0;
+        async function refresh(refreshToken) {
+            const id = `refresh-${++refreshes}`;
+            addRow({ id, label: `refresh #${refreshes}`, kind: "refresh" });
+            advance(id, null, { kind: "refresh", label: "POST /auth/refresh" });
+            try {
+                const tokens = await fetchJson(apiUrl(`/auth/refresh?delay=${REFRESH_LATENCY}`), {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    body: JSON.stringify({ refreshToken }),
+                    signal: run.signal,
+                });
+                finish(id, "ok", "200 new tokens");
+                if (run.active) saveSession(tokens);
+                return tokens;
+            } catch (failure) {
+                finish(id, "failed", `${failure.status ?? failure.name} ${failure.body?.message ?? ""}`.trim());
+                throw failure;
+            }
+        }
+
+        try {
+            if (!sessionRef.current.refreshToken) {
+                await signIn(run.signal);
+            }
+        } catch (failure) {
+            if (run.active) setError(toApiError(failure));
+            return;
+        }
+
+        const client = createClient({ baseURL: getApiBase() });
+        attachTokenRefresh(client, {
+            session: sessionRef.current,
+            refresh,
+            shareRefresh: strategy === "shared",
+            onEvent: ({ type, config }) => {
+                if (type === "refresh") advance(config.row, "401", { kind: "wait", label: "refreshing" });
+                if (type === "queued") advance(config.row, "401", { kind: "wait", label: "queued" });
+                // A request that was sent with an already-replaced token replays straight from its 401.
+                if (type === "replay") {
+                    advance(config.row, segment => (segment.kind === "request" ? "401" : segment.label), { kind: "replay", label: "replay" });
+                }
+            },
+        });
+
+        const resources = RESOURCES.slice(0, count);
+        resources.forEach(name => addRow({ id: name, label: `GET /${name}`, kind: "request" }));
+        await Promise.all(resources.map(async (name) => {
+            advance(name, null, { kind: "request", label: "request" });
+            try {
+                await client.get(`/auth/protected/${name}`, { params: { delay: REQUEST_LATENCY }, signal: run.signal, row: name });
+                finish(name, "ok", "200");
+            } catch (failure) {
+                finish(name, "failed", failure.status ? `${failure.status}` : failure.name);
+            }
+        }));
+    }
+
+    const expiresIn = session ? Math.max(session.expiresAt - now, 0) : 0;
+    const requests = rows.filter(row => row.kind === "request");
+    const refreshRows = rows.filter(row => row.kind === "refresh");
+    const replays = requests.filter(row => row.segments.some(segment => segment.kind === "replay")).length;
+    const timelineEnd = Math.max(1, ...rows.flatMap(row => row.segments.map(segment => segment.to ?? segment.from))) + 200;
+
+    return (
+        <div className="min-h-screen bg-black text-white p-6">
+            <div className="max-w-7xl mx-auto">
+                {/* Headline */}
+                <div className="mb-10 text-center">
+                    <h2 className="text-5xl font-bold mb-3">
+                        Refreshing tokens on <span className="text-indigo-400">401</span>
+                    </h2>
+                    <p className="text-zinc-400 text-lg max-w-3xl mx-auto">
+                        Access tokens expire in seconds here. When several requests hit the expiry at once,
+                        one refresh should serve them all, and every request should be replayed with the new token.
+                    </p>
+                </div>
+
+                {apiMode !== "mock" && (
+                    <div className="mb-6 bg-yellow-950/30 border border-yellow-800 rounded-xl p-4 flex flex-wrap items-center justify-between gap-3">
+                        <p className="text-yellow-300 text-sm">
+                            This lesson needs the mock API's <code>/auth</code> routes; the real Cat API uses a fixed API key.
+                        </p>
+                        <button
+                            onClick={() => setApiMode("mock")}
+                            className="px-4 py-2 bg-yellow-600 hover:bg-yellow-500 rounded-lg text-sm font-semibold"
+                        >
+                            Switch to mock API
+                        </button>
+                    </div>
+                )}
+
+                {/* Main Content Grid */}
+                <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mb-6">
+                    {/* Session + controls */}
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <h3 className="font-semibold text-lg mb-4">Session</h3>
+                        <div className="grid grid-cols-2 gap-3 mb-6 font-mono text-xs">
+                            <div className="bg-black rounded-lg border border-zinc-800 p-3">
+                                <p className="text-zinc-500 mb-1">access token</p>
+                                <p className="text-zinc-200">{shortToken(session?.accessToken)}</p>
+                                <p className={`mt-1 ${!session ? "text-zinc-500" : expiresIn > 0 ? "text-green-400" : "text-red-400"}`}>
+                                    {!session ? "signed out" : expiresIn > 0 ? `expires in ${(expiresIn / 1000).toFixed(1)}s` : "expired"}
+                                </p>
+                            </div>
+                            <div className="bg-black rounded-lg border border-zinc-800 p-3">
+                                <p className="text-zinc-500 mb-1">refresh token</p>
+                                <p className="text-zinc-200">{shortToken(session?.refreshToken)}</p>
+                                <p className="mt-1 text-zinc-500">single-use, rotates</p>
+                            </div>
+                        </div>
+
+                        <Slider label="Token lifetime" unit="s" value={ttl} min={1} max={15} onChange={setTtl} />
+                        <Slider label="Concurrent requests" value={count} min={2} max={RESOURCES.length} onChange={setCount} />
+
+                        <p className="text-sm text-zinc-400 mb-2">Refresh strategy</p>
+                        <div className="grid grid-cols-2 gap-2 mb-2">
+                            {Object.entries(STRATEGIES).map(([id, { label }]) => (
+                                <button
+                                    key={id}
+                                    onClick={() => setStrategy(id)}
+                                    className={`px-3 py-2 rounded-lg border-2 text-sm font-semibold transition-all duration-200 ${strategy === id
+                                        ? "border-indigo-500 bg-indigo-950/30"
+                                        : "border-zinc-700 bg-zinc-950 hover:border-zinc-600"
+                                        }`}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                        <p className="text-xs text-zinc-400 mb-6">{STRATEGIES[strategy].description}</p>
+
+                        <div className="flex flex-wrap gap-3">
+                            <button
+                                onClick={() => signIn().catch(failure => setError(toApiError(failure)))}
+                                disabled={apiMode !== "mock"}
+                                className="px-4 py-3 bg-zinc-700 hover:bg-zinc-600 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200"
+                            >
+                                Sign in
+                            </button>
+                            <button
+                                onClick={expireNow}
+                                disabled={apiMode !== "mock" || !session}
+                                className="px-4 py-3 bg-zinc-700 hover:bg-zinc-600 disabled:opacity-50 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200"
+                            >
+                                Expire token now
+                            </button>
+                            <button
+                                onClick={loadDashboard}
+                                disabled={apiMode !== "mock"}
+                                className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:bg-zinc-700 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200 hover:scale-105 disabled:scale-100"
+                            >
+                                Load dashboard ({count} requests)
+                            </button>
+                        </div>
+                        {error && <ErrorNotice error={error} className="mt-4" />}
+                    </div>
+
+                    {/* Code */}
+                    <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                        <h3 className="font-semibold text-lg mb-4">The Interceptor</h3>
+                        <pre className="bg-black rounded-lg p-4 text-xs text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed">
+                            {INTERCEPTOR_CODE}
+                        </pre>
+                        <p className="text-xs text-zinc-500 mt-3">
+                            The refresh call itself goes through plain fetchJson(), not the client: a 401 from it must not be intercepted and refreshed again.
+                        </p>
+                    </div>
+                </div>
+
+                {/* Timeline */}
+                <div className="bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl mb-6">
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                        <h3 className="font-semibold text-lg">Timeline</h3>
+                        <div className="flex gap-4 text-sm">
+                            <span className={refreshRows.length > 1 ? "text-red-400" : "text-purple-300"}>
+                                Refresh calls: <span className="font-mono font-bold">{refreshRows.length}</span>
+                            </span>
+                            <span className="text-indigo-300">
+                                Replayed: <span className="font-mono font-bold">{replays}</span>
+                            </span>
+                            <span className="text-green-400">
+                                Succeeded: <span className="font-mono font-bold">{requests.filter(row => row.outcome === "ok").length}/{requests.length}</span>
+                            </span>
+                        </div>
+                    </div>
+
+                    {rows.length === 0 ? (
+                        <p className="text-zinc-500 text-sm text-center py-10">
+                            Load the dashboard, let the token expire (or expire it now), then load it again.
+                        </p>
+                    ) : (
+                        <div className="space-y-2 font-mono text-xs">
+                            {rows.map(row => (
+                                <div key={row.id} className="flex items-center gap-3">
+                                    <div className={`w-32 shrink-0 truncate ${row.kind === "refresh" ? "text-purple-300" : "text-zinc-300"}`}>
+                                        {row.label}
+                                    </div>
+                                    <div className="relative flex-1 h-7 bg-zinc-950 rounded">
+                                        {row.segments.map((segment, index) => (
+                                            <div
+                                                key={index}
+                                                title={segment.label}
+                                                className={`absolute top-1 bottom-1 rounded flex items-center px-1 overflow-hidden whitespace-nowrap text-[10px] text-white/90 transition-all duration-300 ${SEGMENT_STYLES[segment.kind]}`}
+                                                style={{
+                                                    left: `${(segment.from / timelineEnd) * 100}%`,
+                                                    width: `${Math.max((((segment.to ?? timelineEnd) - segment.from) / timelineEnd) * 100, 0.5)}%`,
+                                                }}
+                                            >
+                                                {segment.label}
+                                            </div>
+                                        ))}
+                                    </div>
+                                    <div className={`w-40 shrink-0 truncate ${OUTCOME_STYLES[row.outcome]}`} title={row.result}>
+                                        {row.outcome === "pending" ? "…" : row.result}
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+                </div>
+
+                {/* Key Points */}
+                <div className="bg-gradient-to-r from-indigo-950/50 to-purple-950/50 rounded-xl p-6 border border-indigo-800/30 shadow-2xl">
+                    <h3 className="font-semibold text-lg mb-4 text-indigo-300">Key Points</h3>
+                    <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+                        <KeyPoint
+                            title="Share the refresh promise"
+                            description="Keep the refresh in flight in one variable. Every 401 awaits it; only the first one creates it."
+                        />
+                        <KeyPoint
+                            title="Replay once"
+                            description="Mark replayed requests. If the new token is refused too, fail instead of looping."
+                        />
+                        <KeyPoint
+                            title="Refresh outside the interceptors"
+                            description="Send the refresh with a separate client or plain fetch, or its own 401 triggers another refresh."
+                        />
+                        <KeyPoint
+                            title="Rotation exposes races"
+                            description="Single-use refresh tokens are common. Two parallel refreshes then mean one gets rejected as reuse."
+                        />
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function Slider({ label, value, unit = "", min, max, step = 1, onChange }) {
+    return (
+        <div className="mb-4">
+            <label className="flex justify-between text-sm text-zinc-400 mb-1">
+                <span>{label}</span>
+                <span className="font-mono text-indigo-300">{value}{unit}</span>
+            </label>
+            <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={value}
+                onChange={(e) => onChange(Number(e.target.value))}
+                className="w-full accent-indigo-500"
+            />
+        </div>
+    );
+}
+
+function KeyPoint({ title, description }) {
+    return (
+        <div className="bg-zinc-900/50 border border-indigo-800/30 rounded-lg p-4">
+            <h4 className="font-semibold text-sm text-indigo-300 mb-2">{title}</h4>
+            <p className="text-xs text-zinc-400 leading-relaxed">{description}</p>
+        </div>
+    );
+}
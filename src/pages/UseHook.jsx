@@ -1,17 +1,22 @@
-import { useState, useEffect, useRef } from "react";
+import { Component, Suspense, use, useEffect, useState } from "react";
+import { HttpError, toApiError } from "../api/errors";
+import { fetchJson, validateImages } from "../api/http";
+import { apiUrl } from "../api/settings";
+import ErrorNotice from "../components/ErrorNotice";
+import { useRunScope } from "../lifecycle/useRunScope";
 
 export default function UseHookPage() {
     const [animationStep, setAnimationStep] = useState(0);
     const [isAnimating, setIsAnimating] = useState(false);
     const [selectedPath, setSelectedPath] = useState("success"); // "success" or "error"
-    const timeoutsRef = useRef([]);
+    const runs = useRunScope();
 
     const stepReached = (step) => animationStep >= step;
     const stepIsCurrent = (step) => animationStep === step;
 
     const startAnimation = (path) => {
-        timeoutsRef.current.forEach(clearTimeout);
-        timeoutsRef.current = [];
+        // Starting a new run clears the previous run's step timers.
+        const run = runs.start();
 
         setSelectedPath(path);
         setIsAnimating(true);
@@ -20,21 +25,22 @@ export default function UseHookPage() {
         const delays = [1200, 2400, 3600, 4800, 6000]; // steps 2-6 (slower)
 
         delays.forEach((delay, idx) => {
-            const id = setTimeout(() => setAnimationStep(idx + 2), delay);
-            timeoutsRef.current.push(id);
+            run.setTimeout(() => setAnimationStep(idx + 2), delay);
         });
 
-        const endId = setTimeout(() => {
+        run.setTimeout(() => {
             setIsAnimating(false);
         }, 7000);
-        timeoutsRef.current.push(endId);
     };
 
-    useEffect(() => {
-        return () => {
-            timeoutsRef.current.forEach(clearTimeout);
-        };
-    }, []);
+    // The live demo drives the same diagram from real render events.
+    // `path` is null until the promise settles and picks a branch.
+    const showLiveStep = (path, step) => {
+        runs.cancel("the live demo took over the diagram");
+        setIsAnimating(false);
+        if (path) setSelectedPath(path);
+        setAnimationStep(step);
+    };
 
     const getStepDescription = () => {
         if (selectedPath === "success") {
@@ -736,6 +742,9 @@ export default function UseHookPage() {
                 </div>
             </div>
 
+            {/* Live Demo */}
+            <LiveUseDemo onStep={showLiveStep} />
+
             {/* Code Examples */}
             <div className="grid lg:grid-cols-2 gap-6">
                 {/* Promise Example */}
@@ -1042,4 +1051,255 @@ function ThemedButton({ show, children }) {
       `}</style>
         </div>
     );
-}
\ No newline at end of file
+}
+
+// ---- Live demo ----
+
+const LIVE_OUTCOMES = {
+    resolve: { label: "Resolve", description: "GET /images/search, then resolve with the cat" },
+    reject: { label: "Reject", description: "GET /status/500, then reject with the HTTP error" },
+    hang: { label: "Hang", description: "Never settle until you settle it by hand" },
+};
+
+const LIVE_LATENCY = 1200;
+
+// use() needs the same Promise on every render, and render can run many times
+// (StrictMode, Suspense retries), so promises live in a cache keyed per attempt.
+const liveResources = new Map();
+
+function getLiveResource(attempt) {
+    if (!liveResources.has(attempt.key)) {
+        liveResources.clear();
+        liveResources.set(attempt.key, createLiveResource(attempt));
+    }
+    return liveResources.get(attempt.key);
+}
+
+function createLiveResource({ outcome, trace }) {
+    let resolve;
+    let reject;
+    const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+    });
+    promise.then(
+        (cat) => trace(4, "success", `Promise resolved with ${cat.id}`),
+        (error) => trace(4, "error", `Promise rejected: ${error.name}: ${error.message}`)
+    );
+
+    if (outcome === "resolve") {
+        fetchLiveCat().then(resolve, reject);
+    } else if (outcome === "reject") {
+        const url = apiUrl(`/status/500?delay=${LIVE_LATENCY}`);
+        fetch(url).then(
+            async (response) => reject(await HttpError.fromResponse(response, { url, method: "GET" })),
+            (error) => reject(toApiError(error, { url, method: "GET" }))
+        );
+    }
+
+    return { promise, resolve, reject };
+}
+
+async function fetchLiveCat(delay = LIVE_LATENCY) {
+    const [cat] = await fetchJson(apiUrl(`/images/search?delay=${delay}`), { validate: validateImages });
+    return cat;
+}
+
+// Render may not set state, and it repeats, so each step is recorded once and
+// delivered after the current render has finished.
+function createLiveTrace(startedAt, onEvent) {
+    const seen = new Set();
+    return (step, path, message) => {
+        if (seen.has(step)) return;
+        seen.add(step);
+        const time = Math.round(performance.now() - startedAt);
+        queueMicrotask(() => onEvent({ step, path, message, time }));
+    };
+}
+
+function LiveUseDemo({ onStep }) {
+    const [outcome, setOutcome] = useState("resolve");
+    const [attempt, setAttempt] = useState(null);
+    const [events, setEvents] = useState([]);
+
+    const settled = events.some((event) => event.step >= 4);
+
+    const start = () => {
+        const key = (attempt?.key ?? 0) + 1;
+        setEvents([]);
+        setAttempt({
+            key,
+            outcome,
+            trace: createLiveTrace(performance.now(), (event) => {
+                setEvents((prev) => [...prev, event]);
+                onStep(event.path, event.step);
+            }),
+        });
+    };
+
+    const settleByHand = (result) => {
+        const resource = getLiveResource(attempt);
+        if (result === "resolve") {
+            fetchLiveCat(0).then(resource.resolve, resource.reject);
+        } else {
+            resource.reject(new Error("Rejected by hand"));
+        }
+    };
+
+    return (
+        <div className="bg-zinc-900 border border-zinc-800 rounded-2xl p-6 shadow-2xl">
+            <div className="flex flex-col md:flex-row md:items-center justify-between mb-6 gap-4">
+                <div>
+                    <h3 className="text-xl font-bold text-white">Live: use() inside a real Suspense and Error Boundary</h3>
+                    <p className="text-sm text-zinc-400 mt-1">
+                        Each step below is reported by the component React actually rendered, and moves the diagram above
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    {Object.entries(LIVE_OUTCOMES).map(([id, { label }]) => (
+                        <button
+                            key={id}
+                            onClick={() => setOutcome(id)}
+                            className={`px-4 py-2 rounded-lg text-sm font-semibold transition-all ${outcome === id
+                                    ? "bg-purple-600 hover:bg-purple-500"
+                                    : "bg-zinc-800 hover:bg-zinc-700"
+                                }`}
+                        >
+                            {label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 mb-6">
+                <button
+                    onClick={start}
+                    className="px-5 py-2.5 rounded-lg font-semibold bg-indigo-600 hover:bg-indigo-500 transition-all hover:scale-105"
+                >
+                    Create promise &amp; render
+                </button>
+                <span className="text-sm text-zinc-400">{LIVE_OUTCOMES[outcome].description}</span>
+                {attempt?.outcome === "hang" && !settled && (
+                    <div className="flex gap-2 ml-auto">
+                        <button
+                            onClick={() => settleByHand("resolve")}
+                            className="px-3 py-1.5 rounded-lg text-sm bg-emerald-700 hover:bg-emerald-600"
+                        >
+                            Resolve now
+                        </button>
+                        <button
+                            onClick={() => settleByHand("reject")}
+                            className="px-3 py-1.5 rounded-lg text-sm bg-red-700 hover:bg-red-600"
+                        >
+                            Reject now
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            <div className="grid lg:grid-cols-2 gap-6">
+                <div className="bg-black/60 rounded-xl border border-zinc-800 p-4 min-h-64 flex items-center justify-center">
+                    {attempt ? (
+                        <LiveErrorBoundary key={attempt.key} trace={attempt.trace}>
+                            <Suspense fallback={<LiveFallback trace={attempt.trace} />}>
+                                <LiveCat attempt={attempt} />
+                            </Suspense>
+                        </LiveErrorBoundary>
+                    ) : (
+                        <p className="text-sm text-zinc-500">Nothing rendered yet</p>
+                    )}
+                </div>
+
+                <div className="bg-black/60 rounded-xl border border-zinc-800 p-4 min-h-64">
+                    <p className="text-xs text-zinc-500 mb-3">What React rendered</p>
+                    <div className="space-y-2 font-mono text-xs">
+                        {events.map((event) => (
+                            <div
+                                key={event.step}
+                                className={`flex gap-3 p-2 rounded animate-fade-in ${event.path === "success"
+                                        ? "bg-emerald-950/30 text-emerald-300"
+                                        : event.path === "error"
+                                            ? "bg-red-950/30 text-red-300"
+                                            : "bg-zinc-800 text-zinc-300"
+                                    }`}
+                            >
+                                <span className="text-zinc-500 shrink-0">{event.time}ms</span>
+                                <span className="text-purple-300 shrink-0">step {event.step}</span>
+                                <span>{event.message}</span>
+                            </div>
+                        ))}
+                        {attempt?.outcome === "hang" && !settled && events.length > 0 && (
+                            <p className="text-zinc-500 p-2">The promise is still pending, so Suspense keeps showing the fallback…</p>
+                        )}
+                    </div>
+                </div>
+            </div>
+        </div>
+    );
+}
+
+function LiveCat({ attempt }) {
+    attempt.trace(1, null, "<LiveCat> rendered and called use(promise)");
+    attempt.trace(2, null, "use() read the cached promise");
+
+    // Suspends while pending, throws to the Error Boundary if rejected.
+    const cat = use(getLiveResource(attempt).promise);
+    attempt.trace(5, "success", "<LiveCat> rendered again; use() returned the cat");
+
+    useEffect(() => {
+        attempt.trace(6, "success", "The cat card was committed to the screen");
+    }, [attempt]);
+
+    return (
+        <div className="text-center animate-fade-in">
+            <img src={cat.url} alt={cat.id} className="w-64 rounded-lg border border-emerald-500/40 mb-3" />
+            <p className="text-sm text-emerald-300 font-mono">{cat.id}</p>
+        </div>
+    );
+}
+
+function LiveFallback({ trace }) {
+    useEffect(() => {
+        trace(3, null, "Promise pending: <Suspense> committed its fallback");
+    }, [trace]);
+
+    return (
+        <div className="flex items-center gap-3 text-indigo-300">
+            <span className="w-3 h-3 rounded-full bg-indigo-400 animate-pulse" />
+            Suspense fallback: waiting for the promise…
+        </div>
+    );
+}
+
+class LiveErrorBoundary extends Component {
+    state = { error: null };
+
+    static getDerivedStateFromError(error) {
+        return { error };
+    }
+
+    componentDidCatch(error) {
+        this.props.trace(5, "error", `Error Boundary caught ${error.name}: "${error.message}"`);
+    }
+
+    render() {
+        if (this.state.error) {
+            return <LiveErrorUI error={this.state.error} trace={this.props.trace} />;
+        }
+        return this.props.children;
+    }
+}
+
+function LiveErrorUI({ error, trace }) {
+    useEffect(() => {
+        trace(6, "error", "Error Boundary committed its error UI");
+    }, [trace]);
+
+    return (
+        <div className="text-center animate-fade-in">
+            <p className="text-3xl mb-2">⚠️</p>
+            <p className="text-red-300 font-semibold">Something went wrong</p>
+            <ErrorNotice error={error} className="mt-3 text-left" />
+        </div>
+    );
+}
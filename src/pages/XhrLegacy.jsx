@@ -1,71 +1,224 @@
-import { useState } from "react";
+import { Fragment, useState } from "react";
+import { HttpError, NetworkError, ParseError, TimeoutError, toApiError } from "../api/errors";
+import { apiFetch, readJson } from "../api/http";
+import { apiUrl, failureUrls, useApiMode } from "../api/settings";
+import ErrorNotice from "../components/ErrorNotice";
+import { useRequestLifecycle } from "../lifecycle/useRequestLifecycle";
+
+const TIMEOUT_MS = 1500;
+const READY_STATES = ["UNSENT", "OPENED", "HEADERS_RECEIVED", "LOADING", "DONE"];
+
+// Flow steps for the fetch() diagram. XHR runs pass readyState as the step instead,
+// so readyState changes and XHR events are paced like the fetch() steps.
+const LIFECYCLE_STEPS = {
+    request: 1,
+    pending: 2,
+    parse: 3,
+};
+
+const SCENARIOS = {
+    success: { label: "Success", description: "Normal request" },
+    timeout: { label: "Timeout", description: `Server slower than ${TIMEOUT_MS}ms` },
+    network: { label: "Network Error", description: "Connection dropped" },
+};
+
+const XHR_CODE = `const xhr = new XMLHttpRequest();
+xhr.open("GET", "/v1/images/search");
+xhr.responseType = "json";
+xhr.timeout = ${TIMEOUT_MS};
+
+xhr.onreadystatechange = () => {
+  console.log("readyState:", xhr.readyState);
+};
+
+xhr.onprogress = (event) => {
+  console.log("loaded", event.loaded, "bytes");
+};
+
+xhr.onload = () => {
+  if (xhr.status >= 200 && xhr.status < 300) {
+    console.log("Image:", xhr.response[0].url);
+  } else {
+    console.error("Failed:", xhr.status);
+  }
+};
+
+xhr.onerror = () => console.error("Network error");
+xhr.ontimeout = () => console.error("Timed out");
+
+xhr.send();`;
+
+const FETCH_CODE = `async function fetchCat() {
+  const response = await fetch("/v1/images/search", {
+    signal: AbortSignal.timeout(${TIMEOUT_MS}),
+  });
+
+  if (!response.ok) {
+    throw new Error("Request failed");
+  }
+
+  const data = await response.json();
+  return data[0].url;
+}`;
+
+const codeMetrics = {
+    xhr: { lines: XHR_CODE.split("\n").length, callbacks: 5, complexity: "High" },
+    fetch: { lines: FETCH_CODE.split("\n").length, callbacks: 0, complexity: "Low" },
+};
+
+function scenarioUrl(scenario) {
+    if (scenario === "network") return failureUrls().network;
+    const url = apiUrl("/images/search");
+    // Only the mock API understands ?delay; the timeout scenario is mock-only.
+    return scenario === "timeout" ? `${url}?delay=${TIMEOUT_MS * 2}` : url;
+}
 
 export default function XhrLegacy() {
-    const [step, setStep] = useState(0);
-    const [status, setStatus] = useState("idle");
+    const apiMode = useApiMode();
+    const { step, status, logs, ...lifecycle } = useRequestLifecycle({
+        id: "xhr",
+        steps: LIFECYCLE_STEPS,
+        minStepDuration: 700,
+    });
     const [imageUrl, setImageUrl] = useState(null);
     const [activeMethod, setActiveMethod] = useState("xhr"); // "xhr" or "fetch"
-    const [logs, setLogs] = useState([]);
-    const [codeMetrics, setCodeMetrics] = useState({
-        xhr: { lines: 17, callbacks: 3, complexity: "High" },
-        fetch: { lines: 8, callbacks: 0, complexity: "Low" }
-    });
-
-    const addLog = (msg, type = "info") => {
-        setLogs(prev => [...prev, { msg, type, timestamp: Date.now() }]);
+    const [scenario, setScenario] = useState("success");
+    const [responseType, setResponseType] = useState("json");
+    const [readyState, setReadyState] = useState(null);
+    const [xhrEvents, setXhrEvents] = useState([]);
+    const [error, setError] = useState(null);
+    const activeScenario = scenario === "timeout" && apiMode !== "mock" ? "success" : scenario;
+
+    const clearResult = () => {
+        setImageUrl(null);
+        setReadyState(null);
+        setXhrEvents([]);
+        setError(null);
     };
 
     const reset = () => {
-        setStep(0);
-        setStatus("idle");
-        setImageUrl(null);
-        setLogs([]);
+        lifecycle.reset();
+        clearResult();
     };
 
-    async function runXhrFlow() {
-        reset();
-        setStatus("loading");
-
-        addLog(`Starting ${activeMethod.toUpperCase()} request flow...`, "info");
-
-        setTimeout(() => {
-            setStep(1);
-            addLog(`Browser initiating ${activeMethod.toUpperCase()} request`, "info");
-        }, 500);
-
-        try {
-            setTimeout(() => {
-                setStep(2);
-                addLog("Request sent to Cat API server", "info");
-            }, 1400);
-
-            const response = await fetch(
-                "https://api.thecatapi.com/v1/images/search"
-            );
+    const fireEvent = (name) => {
+        setXhrEvents(prev => (prev.includes(name) ? prev : [...prev, name]));
+    };
 
-            addLog(`Response received with status: ${response.status}`, "success");
+    function sendXhr(url, run) {
+        return new Promise((resolve, reject) => {
+            const addLog = run.log;
+            const xhr = new XMLHttpRequest();
+            const context = { url, method: "GET" };
+            // XHR predates AbortSignal: cancelling the run calls xhr.abort(), and the
+            // events it still fires afterwards are ignored so they can't leak into the next run.
+            const handle = (handler) => (event) => {
+                if (run.active) handler(event);
+            };
+            run.signal.addEventListener("abort", () => {
+                xhr.abort();
+                reject(run.signal.reason);
+            }, { once: true });
+
+            // The callbacks fire faster than a learner can follow, so readyState changes
+            // and events go through the paced queue with the state they happened in.
+            const emitReadyState = (log) => {
+                const state = xhr.readyState;
+                run.emit("readystatechange", { step: state, log, apply: () => setReadyState(state) });
+            };
+            const emitEvent = (name, log, logType = "info") => {
+                run.emit(name, { step: xhr.readyState, log, logType, apply: () => fireEvent(name) });
+            };
+
+            emitReadyState(`new XMLHttpRequest() → readyState 0 (${READY_STATES[0]})`);
+
+            xhr.onreadystatechange = handle(() => {
+                emitReadyState(`onreadystatechange → readyState ${xhr.readyState} (${READY_STATES[xhr.readyState]})`);
+                if (xhr.readyState === 2) {
+                    addLog(`Headers received: ${xhr.status} ${xhr.statusText}, Content-Type: ${xhr.getResponseHeader("content-type")}`, "info");
+                }
+            });
+
+            xhr.onprogress = handle((event) => {
+                emitEvent("onprogress", `onprogress: ${event.loaded}${event.lengthComputable ? ` / ${event.total}` : ""} bytes`);
+            });
+
+            xhr.onload = handle(() => {
+                emitEvent("onload", `onload fired with status: ${xhr.status}`, xhr.status < 400 ? "success" : "error");
+                if (xhr.status < 200 || xhr.status >= 300) {
+                    reject(new HttpError({
+                        status: xhr.status,
+                        statusText: xhr.statusText,
+                        headers: responseHeaders(xhr),
+                        body: xhr.responseType === "json" ? xhr.response : xhr.responseText,
+                        ...context,
+                    }));
+                    return;
+                }
 
-            if (!response.ok) {
-                throw new Error("Request failed");
-            }
+                if (xhr.responseType === "json") {
+                    // The browser parses for us; invalid JSON yields null instead of throwing.
+                    addLog('responseType "json": xhr.response is already an object', "success");
+                    if (xhr.response === null) {
+                        reject(new ParseError("Response was not valid JSON", {
+                            reason: "syntax",
+                            contentType: xhr.getResponseHeader("content-type") ?? undefined,
+                            ...context,
+                        }));
+                        return;
+                    }
+                    resolve(xhr.response);
+                } else {
+                    addLog(`responseType "${xhr.responseType || "text"}": parsing xhr.responseText (${xhr.responseText.length} chars) manually`, "info");
+                    try {
+                        resolve(JSON.parse(xhr.responseText));
+                    } catch (error) {
+                        reject(toApiError(error, context));
+                    }
+                }
+            });
+
+            xhr.onerror = handle(() => {
+                emitEvent("onerror", "onerror fired: the request never reached a response", "error");
+                reject(new NetworkError("The request never reached a response", context));
+            });
+
+            xhr.ontimeout = handle(() => {
+                emitEvent("ontimeout", `ontimeout fired after ${xhr.timeout}ms`, "error");
+                reject(new TimeoutError(`Timed out after ${xhr.timeout}ms`, { ...context, timeout: xhr.timeout }));
+            });
+
+            xhr.open("GET", url);
+            xhr.responseType = responseType;
+            xhr.timeout = TIMEOUT_MS;
+            addLog(`xhr.responseType = "${responseType}", xhr.timeout = ${TIMEOUT_MS}`, "info");
+            xhr.send();
+            addLog("xhr.send() called", "info");
+        });
+    }
 
-            const data = await response.json();
-            addLog("JSON data parsed successfully", "success");
+    async function sendFetch(url, run) {
+        const response = await apiFetch(url, { fetch: run.fetch, timeout: TIMEOUT_MS });
+        return readJson(response, { url, method: "GET" });
+    }
 
-            setTimeout(() => {
-                setStep(3);
-                addLog(`${activeMethod === "xhr" ? "Callback" : "Promise"} processing response`, "info");
-            }, 2400);
+    async function runXhrFlow() {
+        clearResult();
+        const run = lifecycle.begin(`Starting ${activeMethod.toUpperCase()} request flow (${SCENARIOS[activeScenario].label})...`);
 
-            setTimeout(() => {
-                setImageUrl(data[0].url);
-                setStatus("success");
-                addLog("Image rendered in UI", "success");
-            }, 3200);
+        try {
+            const url = scenarioUrl(activeScenario);
+            const data = activeMethod === "xhr" ? await sendXhr(url, run) : await sendFetch(url, run);
 
+            run.succeed({
+                log: "Image rendered in UI",
+                apply: () => setImageUrl(data[0].url),
+            });
         } catch (error) {
-            setStatus("error");
-            addLog(`Request failed: ${error.message}`, "error");
+            if (!run.active) return;
+            // Both paths reject with the shared error model, so one catch handles them alike.
+            const failure = toApiError(error);
+            run.fail(failure, { apply: () => setError(failure) });
         }
     }
 
@@ -109,6 +262,60 @@ export default function XhrLegacy() {
                     </div>
                 </div>
 
+                {/* Scenario + responseType */}
+                <div className="mb-6 bg-zinc-900 rounded-xl p-6 border border-zinc-800 shadow-2xl">
+                    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+                        <div className="lg:col-span-2">
+                            <h3 className="font-semibold text-sm mb-3 text-zinc-300">Scenario</h3>
+                            <div className="grid grid-cols-3 gap-3">
+                                {Object.entries(SCENARIOS).map(([id, option]) => {
+                                    const unavailable = id === "timeout" && apiMode !== "mock";
+                                    return (
+                                        <button
+                                            key={id}
+                                            onClick={() => setScenario(id)}
+                                            disabled={unavailable}
+                                            title={unavailable ? "Needs the Mock API (it can delay responses)" : undefined}
+                                            className={`p-3 rounded-lg border-2 text-left transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${activeScenario === id
+                                                ? "border-indigo-500 bg-indigo-950/20"
+                                                : "border-zinc-700 bg-zinc-950 hover:border-zinc-600"
+                                                }`}
+                                        >
+                                            <div className="font-semibold text-sm">{option.label}</div>
+                                            <div className="text-xs text-zinc-400 mt-1">{option.description}</div>
+                                        </button>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                        <div>
+                            <h3 className="font-semibold text-sm mb-3 text-zinc-300">
+                                <code>xhr.responseType</code>
+                            </h3>
+                            <div className="grid grid-cols-2 gap-3">
+                                {["json", "text"].map((type) => (
+                                    <button
+                                        key={type}
+                                        onClick={() => setResponseType(type)}
+                                        disabled={activeMethod !== "xhr"}
+                                        className={`p-3 rounded-lg border-2 font-mono text-sm transition-all duration-200 disabled:opacity-40 disabled:cursor-not-allowed ${responseType === type
+                                            ? "border-red-500 bg-red-950/20"
+                                            : "border-zinc-700 bg-zinc-950 hover:border-zinc-600"
+                                            }`}
+                                    >
+                                        "{type}"
+                                    </button>
+                                ))}
+                            </div>
+                            <p className="text-xs text-zinc-500 mt-2">
+                                {responseType === "json"
+                                    ? "Browser parses the body into xhr.response"
+                                    : "You JSON.parse(xhr.responseText) yourself"}
+                            </p>
+                        </div>
+                    </div>
+                </div>
+
                 {/* Code Comparison */}
                 <div className="grid grid-cols-1 xl:grid-cols-2 gap-6 mb-6">
                     {/* XHR Code */}
@@ -137,29 +344,7 @@ export default function XhrLegacy() {
                         </div>
 
                         <pre className="bg-black rounded-lg p-5 text-sm text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed">
-                            {`const xhr = new XMLHttpRequest();
-
-xhr.open(
-  "GET", 
-  "https://api.thecatapi.com/v1/images/search"
-);
-
-xhr.onload = function () {
-  if (xhr.status === 200) {
-    const data = JSON.parse(
-      xhr.responseText
-    );
-    console.log("Image:", data[0].url);
-  } else {
-    console.error("Failed:", xhr.status);
-  }
-};
-
-xhr.onerror = function () {
-  console.error("Network error");
-};
-
-xhr.send();`}
+                            {XHR_CODE}
                         </pre>
 
                         <div className="mt-4 space-y-2">
@@ -196,18 +381,7 @@ xhr.send();`}
                         </div>
 
                         <pre className="bg-black rounded-lg p-5 text-sm text-zinc-200 overflow-auto border border-zinc-800 leading-relaxed">
-                            {`async function fetchCat() {
-  const response = await fetch(
-    "https://api.thecatapi.com/v1/images/search"
-  );
-
-  if (!response.ok) {
-    throw new Error("Request failed");
-  }
-
-  const data = await response.json();
-  return data[0].url;
-}`}
+                            {FETCH_CODE}
                         </pre>
 
                         <div className="mt-4 space-y-2">
@@ -226,30 +400,55 @@ xhr.send();`}
                         <h3 className="font-semibold text-lg mb-6">XMLHttpRequest Flow</h3>
 
                         <div className="space-y-4">
-                            <div className="flex items-center gap-3">
-                                <FlowBox
-                                    label="Browser (XHR)"
-                                    active={activeMethod === "xhr" && step >= 1}
-                                    completed={activeMethod === "xhr" && step > 1}
-                                />
-                                <FlowArrow active={activeMethod === "xhr" && step >= 1} />
-                                <FlowBox
-                                    label="Cat API"
-                                    active={activeMethod === "xhr" && step >= 2}
-                                    completed={activeMethod === "xhr" && step > 2}
-                                />
+                            <div>
+                                <p className="text-xs text-zinc-500 mb-2">xhr.readyState</p>
+                                <div className="flex items-center gap-1">
+                                    {READY_STATES.map((name, idx) => (
+                                        <Fragment key={name}>
+                                            {idx > 0 && (
+                                                <FlowArrow active={activeMethod === "xhr" && readyState >= idx} />
+                                            )}
+                                            <FlowBox
+                                                label={`${idx} ${name}`}
+                                                active={activeMethod === "xhr" && readyState >= idx}
+                                                completed={activeMethod === "xhr" && readyState > idx}
+                                            />
+                                        </Fragment>
+                                    ))}
+                                </div>
+                            </div>
+                            <div>
+                                <p className="text-xs text-zinc-500 mb-2">Events fired</p>
+                                <div className="flex items-center gap-3">
+                                    <FlowBox
+                                        label="onprogress"
+                                        active={activeMethod === "xhr" && xhrEvents.includes("onprogress")}
+                                        completed={activeMethod === "xhr" && xhrEvents.includes("onprogress")}
+                                    />
+                                    <FlowArrow active={activeMethod === "xhr" && xhrEvents.length > 0} />
+                                    {["onload", "onerror", "ontimeout"].map((name) => (
+                                        <FlowBox
+                                            key={name}
+                                            label={name}
+                                            active={activeMethod === "xhr" && xhrEvents.includes(name)}
+                                            completed={activeMethod === "xhr" && name === "onload" && xhrEvents.includes(name)}
+                                            error={activeMethod === "xhr" && name !== "onload" && xhrEvents.includes(name)}
+                                        />
+                                    ))}
+                                </div>
                             </div>
                             <div className="flex items-center gap-3">
                                 <FlowBox
-                                    label="onload callback"
-                                    active={activeMethod === "xhr" && step >= 3}
-                                    completed={activeMethod === "xhr" && step >= 3}
+                                    label={responseType === "json" ? "xhr.response" : "JSON.parse(responseText)"}
+                                    active={activeMethod === "xhr" && xhrEvents.includes("onload")}
+                                    completed={activeMethod === "xhr" && status === "success"}
+                                    error={activeMethod === "xhr" && xhrEvents.includes("onload") && status === "error"}
                                 />
-                                <FlowArrow active={activeMethod === "xhr" && step >= 3} />
+                                <FlowArrow active={activeMethod === "xhr" && status === "success"} />
                                 <FlowBox
-                                    label="Parse & Render"
-                                    active={activeMethod === "xhr" && step >= 3}
-                                    completed={activeMethod === "xhr" && step >= 3}
+                                    label="Render"
+                                    active={activeMethod === "xhr" && status === "success"}
+                                    completed={activeMethod === "xhr" && status === "success"}
                                 />
                             </div>
                         </div>
@@ -321,16 +520,29 @@ xhr.send();`}
                                 <span className="text-zinc-400">Current Step:</span>
                             </p>
                             <p className="text-base font-semibold">
-                                {step === 0 && "Idle - Ready to start"}
-                                {step === 1 && `Sending request with ${activeMethod.toUpperCase()}`}
-                                {step === 2 && "Cat API processing request"}
-                                {step === 3 && `${activeMethod === "xhr" ? "Callback" : "Promise"} parsing JSON and updating UI`}
+                                {activeMethod === "xhr" ? (
+                                    readyState === null
+                                        ? "Idle - Ready to start"
+                                        : `readyState ${readyState} - ${READY_STATES[readyState]}`
+                                ) : (
+                                    <>
+                                        {step === 0 && "Idle - Ready to start"}
+                                        {step === 1 && "Sending request with FETCH"}
+                                        {step === 2 && "Cat API processing request"}
+                                        {step === 3 && "Promise parsing JSON and updating UI"}
+                                    </>
+                                )}
                             </p>
 
                             <div className="mt-4 h-2 bg-zinc-800 rounded-full overflow-hidden">
                                 <div
-                                    className="h-full bg-gradient-to-r from-indigo-500 to-purple-500 transition-all duration-500"
-                                    style={{ width: `${(step / 3) * 100}%` }}
+                                    className={`h-full transition-all duration-500 ${status === "error"
+                                        ? "bg-gradient-to-r from-red-500 to-orange-500"
+                                        : "bg-gradient-to-r from-indigo-500 to-purple-500"
+                                        }`}
+                                    style={{
+                                        width: `${(activeMethod === "xhr" ? (readyState ?? 0) / 4 : step / 3) * 100}%`,
+                                    }}
                                 />
                             </div>
                         </div>
@@ -338,10 +550,9 @@ xhr.send();`}
                         <div className="flex gap-3">
                             <button
                                 onClick={runXhrFlow}
-                                disabled={status === "loading"}
-                                className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 disabled:bg-zinc-700 disabled:cursor-not-allowed rounded-lg font-semibold transition-all duration-200 hover:scale-105 disabled:scale-100"
+                                className="flex-1 px-6 py-3 bg-indigo-600 hover:bg-indigo-500 rounded-lg font-semibold transition-all duration-200 hover:scale-105"
                             >
-                                {status === "loading" ? "Running..." : `Run ${activeMethod.toUpperCase()} flow`}
+                                {status === "loading" ? "Restart (cancels current run)" : `Run ${activeMethod.toUpperCase()} flow`}
                             </button>
                             <button
                                 onClick={reset}
@@ -372,7 +583,8 @@ xhr.send();`}
                                         key={idx}
                                         className={`p-2 rounded animate-fade-in ${log.type === "error" ? "bg-red-950/30 text-red-400 border-l-2 border-red-500" :
                                             log.type === "success" ? "bg-green-950/30 text-green-400 border-l-2 border-green-500" :
-                                                "bg-zinc-800 text-zinc-300"
+                                                log.type === "cancelled" ? "bg-amber-950/30 text-amber-400 border-l-2 border-dashed border-amber-500" :
+                                                    "bg-zinc-800 text-zinc-300"
                                             }`}
                                     >
                                         {log.msg}
@@ -422,8 +634,21 @@ xhr.send();`}
                         {status === "error" && (
                             <div className="text-center">
                                 <div className="text-6xl mb-4">✕</div>
-                                <div className="bg-red-950/30 border border-red-800 rounded-lg p-4">
-                                    <p className="text-red-400 font-medium text-lg">Request failed</p>
+                                {error ? (
+                                    <ErrorNotice error={error} className="text-left" />
+                                ) : (
+                                    <div className="bg-red-950/30 border border-red-800 rounded-lg p-4">
+                                        <p className="text-red-400 font-medium text-lg">Request failed</p>
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {status === "cancelled" && (
+                            <div className="text-center">
+                                <div className="text-6xl mb-4 text-amber-500">⊘</div>
+                                <div className="bg-amber-950/30 border border-amber-800 rounded-lg p-4">
+                                    <p className="text-amber-400 font-medium text-lg">Request cancelled</p>
                                 </div>
                             </div>
                         )}
@@ -469,14 +694,26 @@ xhr.send();`}
     );
 }
 
-function FlowBox({ label, active, completed }) {
+/** XHR hands back headers as one CRLF-separated string. */
+function responseHeaders(xhr) {
+    const headers = new Headers();
+    for (const line of xhr.getAllResponseHeaders().trim().split(/[\r\n]+/)) {
+        const separator = line.indexOf(":");
+        if (separator > 0) headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+    }
+    return headers;
+}
+
+function FlowBox({ label, active, completed, error }) {
     return (
         <div
-            className={`flex-1 h-16 rounded-lg flex items-center justify-center border-2 text-xs font-medium transition-all duration-500 ${completed
-                ? "border-green-500 bg-green-950/20 text-green-400"
-                : active
-                    ? "border-indigo-400 bg-indigo-950/20 text-indigo-400 shadow-lg shadow-indigo-500/20 scale-105"
-                    : "border-zinc-700 text-zinc-500 bg-zinc-950"
+            className={`flex-1 min-h-16 px-1 rounded-lg flex items-center justify-center text-center break-all border-2 text-xs font-medium transition-all duration-500 ${error
+                ? "border-red-500 bg-red-950/20 text-red-400 shadow-lg shadow-red-500/20"
+                : completed
+                    ? "border-green-500 bg-green-950/20 text-green-400"
+                    : active
+                        ? "border-indigo-400 bg-indigo-950/20 text-indigo-400 shadow-lg shadow-indigo-500/20 scale-105"
+                        : "border-zinc-700 text-zinc-500 bg-zinc-950"
                 }`}
         >
             {label}